@@ -0,0 +1,314 @@
+/**
+ * brazil-routes.js - Cópia de data/brazil-routes.json para abrir a página sem servidor
+ *
+ * Usada por RoutesDB.load() apenas quando o fetch() do JSON falha (ex: index.html
+ * aberto direto do disco, em file://, onde o navegador bloqueia a leitura).
+ * Não edite à mão: altere data/brazil-routes.json e gere esta cópia de novo
+ * com o comando da seção "Notas de Desenvolvimento" do README.
+ */
+
+const BRAZIL_ROUTES_DATA = {
+  "version": "2026.10",
+  "description": "Municípios brasileiros (todas as capitais e principais municípios) e distâncias rodoviárias aproximadas entre eles. Códigos de município e de UF do IBGE; coordenadas em graus decimais; distâncias em km.",
+  "states": {
+    "AC": { "ibge": 12, "name": "Acre", "region": "norte" },
+    "AL": { "ibge": 27, "name": "Alagoas", "region": "nordeste" },
+    "AM": { "ibge": 13, "name": "Amazonas", "region": "norte" },
+    "AP": { "ibge": 16, "name": "Amapá", "region": "norte" },
+    "BA": { "ibge": 29, "name": "Bahia", "region": "nordeste" },
+    "CE": { "ibge": 23, "name": "Ceará", "region": "nordeste" },
+    "DF": { "ibge": 53, "name": "Distrito Federal", "region": "centroOeste" },
+    "ES": { "ibge": 32, "name": "Espírito Santo", "region": "sudeste" },
+    "GO": { "ibge": 52, "name": "Goiás", "region": "centroOeste" },
+    "MA": { "ibge": 21, "name": "Maranhão", "region": "nordeste" },
+    "MG": { "ibge": 31, "name": "Minas Gerais", "region": "sudeste" },
+    "MS": { "ibge": 50, "name": "Mato Grosso do Sul", "region": "centroOeste" },
+    "MT": { "ibge": 51, "name": "Mato Grosso", "region": "centroOeste" },
+    "PA": { "ibge": 15, "name": "Pará", "region": "norte" },
+    "PB": { "ibge": 25, "name": "Paraíba", "region": "nordeste" },
+    "PE": { "ibge": 26, "name": "Pernambuco", "region": "nordeste" },
+    "PI": { "ibge": 22, "name": "Piauí", "region": "nordeste" },
+    "PR": { "ibge": 41, "name": "Paraná", "region": "sul" },
+    "RJ": { "ibge": 33, "name": "Rio de Janeiro", "region": "sudeste" },
+    "RN": { "ibge": 24, "name": "Rio Grande do Norte", "region": "nordeste" },
+    "RO": { "ibge": 11, "name": "Rondônia", "region": "norte" },
+    "RR": { "ibge": 14, "name": "Roraima", "region": "norte" },
+    "RS": { "ibge": 43, "name": "Rio Grande do Sul", "region": "sul" },
+    "SC": { "ibge": 42, "name": "Santa Catarina", "region": "sul" },
+    "SE": { "ibge": 28, "name": "Sergipe", "region": "nordeste" },
+    "SP": { "ibge": 35, "name": "São Paulo", "region": "sudeste" },
+    "TO": { "ibge": 17, "name": "Tocantins", "region": "norte" }
+  },
+  "cities": [
+    { "ibge": 1200401, "name": "Rio Branco", "state": "AC", "capital": true, "lat": -9.9754, "lon": -67.8249 },
+    { "ibge": 1200203, "name": "Cruzeiro do Sul", "state": "AC", "capital": false, "lat": -7.6307, "lon": -72.6700 },
+    { "ibge": 1302603, "name": "Manaus", "state": "AM", "capital": true, "lat": -3.1190, "lon": -60.0217 },
+    { "ibge": 1303403, "name": "Parintins", "state": "AM", "capital": false, "lat": -2.6283, "lon": -56.7358 },
+    { "ibge": 1600303, "name": "Macapá", "state": "AP", "capital": true, "lat": 0.0349, "lon": -51.0694 },
+    { "ibge": 1600600, "name": "Santana", "state": "AP", "capital": false, "lat": -0.0583, "lon": -51.1817 },
+    { "ibge": 1501402, "name": "Belém", "state": "PA", "capital": true, "lat": -1.4558, "lon": -48.4902 },
+    { "ibge": 1500800, "name": "Ananindeua", "state": "PA", "capital": false, "lat": -1.3656, "lon": -48.3722 },
+    { "ibge": 1504208, "name": "Marabá", "state": "PA", "capital": false, "lat": -5.3686, "lon": -49.1179 },
+    { "ibge": 1505536, "name": "Parauapebas", "state": "PA", "capital": false, "lat": -6.0675, "lon": -49.9022 },
+    { "ibge": 1506807, "name": "Santarém", "state": "PA", "capital": false, "lat": -2.4385, "lon": -54.6996 },
+    { "ibge": 1100205, "name": "Porto Velho", "state": "RO", "capital": true, "lat": -8.7612, "lon": -63.9004 },
+    { "ibge": 1100122, "name": "Ji-Paraná", "state": "RO", "capital": false, "lat": -10.8777, "lon": -61.9322 },
+    { "ibge": 1400100, "name": "Boa Vista", "state": "RR", "capital": true, "lat": 2.8235, "lon": -60.6758 },
+    { "ibge": 1721000, "name": "Palmas", "state": "TO", "capital": true, "lat": -10.2491, "lon": -48.3243 },
+    { "ibge": 1702109, "name": "Araguaína", "state": "TO", "capital": false, "lat": -7.1911, "lon": -48.2072 },
+    { "ibge": 1709500, "name": "Gurupi", "state": "TO", "capital": false, "lat": -11.7279, "lon": -49.0686 },
+    { "ibge": 2704302, "name": "Maceió", "state": "AL", "capital": true, "lat": -9.6498, "lon": -35.7089 },
+    { "ibge": 2700300, "name": "Arapiraca", "state": "AL", "capital": false, "lat": -9.7525, "lon": -36.6611 },
+    { "ibge": 2927408, "name": "Salvador", "state": "BA", "capital": true, "lat": -12.9714, "lon": -38.5014 },
+    { "ibge": 2905701, "name": "Camaçari", "state": "BA", "capital": false, "lat": -12.6996, "lon": -38.3263 },
+    { "ibge": 2910800, "name": "Feira de Santana", "state": "BA", "capital": false, "lat": -12.2664, "lon": -38.9663 },
+    { "ibge": 2914802, "name": "Itabuna", "state": "BA", "capital": false, "lat": -14.7876, "lon": -39.2781 },
+    { "ibge": 2918407, "name": "Juazeiro", "state": "BA", "capital": false, "lat": -9.4116, "lon": -40.4986 },
+    { "ibge": 2933307, "name": "Vitória da Conquista", "state": "BA", "capital": false, "lat": -14.8615, "lon": -40.8442 },
+    { "ibge": 2304400, "name": "Fortaleza", "state": "CE", "capital": true, "lat": -3.7319, "lon": -38.5267 },
+    { "ibge": 2303709, "name": "Caucaia", "state": "CE", "capital": false, "lat": -3.7361, "lon": -38.6531 },
+    { "ibge": 2307304, "name": "Juazeiro do Norte", "state": "CE", "capital": false, "lat": -7.2131, "lon": -39.3153 },
+    { "ibge": 2312908, "name": "Sobral", "state": "CE", "capital": false, "lat": -3.6880, "lon": -40.3497 },
+    { "ibge": 2111300, "name": "São Luís", "state": "MA", "capital": true, "lat": -2.5307, "lon": -44.3068 },
+    { "ibge": 2103000, "name": "Caxias", "state": "MA", "capital": false, "lat": -4.8590, "lon": -43.3560 },
+    { "ibge": 2105302, "name": "Imperatriz", "state": "MA", "capital": false, "lat": -5.5264, "lon": -47.4917 },
+    { "ibge": 2507507, "name": "João Pessoa", "state": "PB", "capital": true, "lat": -7.1195, "lon": -34.8450 },
+    { "ibge": 2504009, "name": "Campina Grande", "state": "PB", "capital": false, "lat": -7.2307, "lon": -35.8817 },
+    { "ibge": 2510808, "name": "Patos", "state": "PB", "capital": false, "lat": -7.0244, "lon": -37.2800 },
+    { "ibge": 2611606, "name": "Recife", "state": "PE", "capital": true, "lat": -8.0476, "lon": -34.8770 },
+    { "ibge": 2604106, "name": "Caruaru", "state": "PE", "capital": false, "lat": -8.2760, "lon": -35.9819 },
+    { "ibge": 2607901, "name": "Jaboatão dos Guararapes", "state": "PE", "capital": false, "lat": -8.1130, "lon": -35.0150 },
+    { "ibge": 2609600, "name": "Olinda", "state": "PE", "capital": false, "lat": -8.0089, "lon": -34.8553 },
+    { "ibge": 2611101, "name": "Petrolina", "state": "PE", "capital": false, "lat": -9.3891, "lon": -40.5030 },
+    { "ibge": 2211001, "name": "Teresina", "state": "PI", "capital": true, "lat": -5.0920, "lon": -42.8038 },
+    { "ibge": 2207702, "name": "Parnaíba", "state": "PI", "capital": false, "lat": -2.9055, "lon": -41.7734 },
+    { "ibge": 2208007, "name": "Picos", "state": "PI", "capital": false, "lat": -7.0769, "lon": -41.4669 },
+    { "ibge": 2408102, "name": "Natal", "state": "RN", "capital": true, "lat": -5.7945, "lon": -35.2110 },
+    { "ibge": 2408003, "name": "Mossoró", "state": "RN", "capital": false, "lat": -5.1878, "lon": -37.3442 },
+    { "ibge": 2800308, "name": "Aracaju", "state": "SE", "capital": true, "lat": -10.9472, "lon": -37.0731 },
+    { "ibge": 2802908, "name": "Itabaiana", "state": "SE", "capital": false, "lat": -10.6850, "lon": -37.4253 },
+    { "ibge": 2804805, "name": "Nossa Senhora do Socorro", "state": "SE", "capital": false, "lat": -10.8550, "lon": -37.1264 },
+    { "ibge": 5300108, "name": "Brasília", "state": "DF", "capital": true, "lat": -15.7939, "lon": -47.8828 },
+    { "ibge": 5208707, "name": "Goiânia", "state": "GO", "capital": true, "lat": -16.6869, "lon": -49.2648 },
+    { "ibge": 5201108, "name": "Anápolis", "state": "GO", "capital": false, "lat": -16.3281, "lon": -48.9530 },
+    { "ibge": 5201405, "name": "Aparecida de Goiânia", "state": "GO", "capital": false, "lat": -16.8198, "lon": -49.2469 },
+    { "ibge": 5218805, "name": "Rio Verde", "state": "GO", "capital": false, "lat": -17.7923, "lon": -50.9192 },
+    { "ibge": 5002704, "name": "Campo Grande", "state": "MS", "capital": true, "lat": -20.4697, "lon": -54.6201 },
+    { "ibge": 5003207, "name": "Corumbá", "state": "MS", "capital": false, "lat": -19.0077, "lon": -57.6510 },
+    { "ibge": 5003702, "name": "Dourados", "state": "MS", "capital": false, "lat": -22.2231, "lon": -54.8118 },
+    { "ibge": 5008305, "name": "Três Lagoas", "state": "MS", "capital": false, "lat": -20.7849, "lon": -51.7007 },
+    { "ibge": 5103403, "name": "Cuiabá", "state": "MT", "capital": true, "lat": -15.6014, "lon": -56.0979 },
+    { "ibge": 5107602, "name": "Rondonópolis", "state": "MT", "capital": false, "lat": -16.4673, "lon": -54.6372 },
+    { "ibge": 5107909, "name": "Sinop", "state": "MT", "capital": false, "lat": -11.8604, "lon": -55.5091 },
+    { "ibge": 5108402, "name": "Várzea Grande", "state": "MT", "capital": false, "lat": -15.6458, "lon": -56.1322 },
+    { "ibge": 3205309, "name": "Vitória", "state": "ES", "capital": true, "lat": -20.3155, "lon": -40.3128 },
+    { "ibge": 3201308, "name": "Cariacica", "state": "ES", "capital": false, "lat": -20.2632, "lon": -40.4165 },
+    { "ibge": 3205002, "name": "Serra", "state": "ES", "capital": false, "lat": -20.1211, "lon": -40.3074 },
+    { "ibge": 3205200, "name": "Vila Velha", "state": "ES", "capital": false, "lat": -20.3417, "lon": -40.2875 },
+    { "ibge": 3106200, "name": "Belo Horizonte", "state": "MG", "capital": true, "lat": -19.9167, "lon": -43.9345 },
+    { "ibge": 3106705, "name": "Betim", "state": "MG", "capital": false, "lat": -19.9668, "lon": -44.1983 },
+    { "ibge": 3118601, "name": "Contagem", "state": "MG", "capital": false, "lat": -19.9321, "lon": -44.0539 },
+    { "ibge": 3127701, "name": "Governador Valadares", "state": "MG", "capital": false, "lat": -18.8511, "lon": -41.9495 },
+    { "ibge": 3136702, "name": "Juiz de Fora", "state": "MG", "capital": false, "lat": -21.7642, "lon": -43.3503 },
+    { "ibge": 3143302, "name": "Montes Claros", "state": "MG", "capital": false, "lat": -16.7282, "lon": -43.8578 },
+    { "ibge": 3146107, "name": "Ouro Preto", "state": "MG", "capital": false, "lat": -20.3856, "lon": -43.5035 },
+    { "ibge": 3170107, "name": "Uberaba", "state": "MG", "capital": false, "lat": -19.7472, "lon": -47.9381 },
+    { "ibge": 3170206, "name": "Uberlândia", "state": "MG", "capital": false, "lat": -18.9186, "lon": -48.2772 },
+    { "ibge": 3304557, "name": "Rio de Janeiro", "state": "RJ", "capital": true, "lat": -22.9068, "lon": -43.1729 },
+    { "ibge": 3301009, "name": "Campos dos Goytacazes", "state": "RJ", "capital": false, "lat": -21.7545, "lon": -41.3244 },
+    { "ibge": 3301702, "name": "Duque de Caxias", "state": "RJ", "capital": false, "lat": -22.7856, "lon": -43.3117 },
+    { "ibge": 3302403, "name": "Macaé", "state": "RJ", "capital": false, "lat": -22.3708, "lon": -41.7869 },
+    { "ibge": 3303302, "name": "Niterói", "state": "RJ", "capital": false, "lat": -22.8832, "lon": -43.1034 },
+    { "ibge": 3303500, "name": "Nova Iguaçu", "state": "RJ", "capital": false, "lat": -22.7556, "lon": -43.4603 },
+    { "ibge": 3303906, "name": "Petrópolis", "state": "RJ", "capital": false, "lat": -22.5050, "lon": -43.1786 },
+    { "ibge": 3306305, "name": "Volta Redonda", "state": "RJ", "capital": false, "lat": -22.5231, "lon": -44.1042 },
+    { "ibge": 3550308, "name": "São Paulo", "state": "SP", "capital": true, "lat": -23.5505, "lon": -46.6333 },
+    { "ibge": 3502804, "name": "Araçatuba", "state": "SP", "capital": false, "lat": -21.2089, "lon": -50.4328 },
+    { "ibge": 3506003, "name": "Bauru", "state": "SP", "capital": false, "lat": -22.3246, "lon": -49.0871 },
+    { "ibge": 3509502, "name": "Campinas", "state": "SP", "capital": false, "lat": -22.9099, "lon": -47.0626 },
+    { "ibge": 3516200, "name": "Franca", "state": "SP", "capital": false, "lat": -20.5352, "lon": -47.4039 },
+    { "ibge": 3518800, "name": "Guarulhos", "state": "SP", "capital": false, "lat": -23.4538, "lon": -46.5333 },
+    { "ibge": 3525904, "name": "Jundiaí", "state": "SP", "capital": false, "lat": -23.1857, "lon": -46.8978 },
+    { "ibge": 3526902, "name": "Limeira", "state": "SP", "capital": false, "lat": -22.5641, "lon": -47.4017 },
+    { "ibge": 3534401, "name": "Osasco", "state": "SP", "capital": false, "lat": -23.5325, "lon": -46.7917 },
+    { "ibge": 3538709, "name": "Piracicaba", "state": "SP", "capital": false, "lat": -22.7253, "lon": -47.6492 },
+    { "ibge": 3541406, "name": "Presidente Prudente", "state": "SP", "capital": false, "lat": -22.1256, "lon": -51.3889 },
+    { "ibge": 3543402, "name": "Ribeirão Preto", "state": "SP", "capital": false, "lat": -21.1704, "lon": -47.8103 },
+    { "ibge": 3547809, "name": "Santo André", "state": "SP", "capital": false, "lat": -23.6639, "lon": -46.5383 },
+    { "ibge": 3548500, "name": "Santos", "state": "SP", "capital": false, "lat": -23.9608, "lon": -46.3336 },
+    { "ibge": 3552205, "name": "Sorocaba", "state": "SP", "capital": false, "lat": -23.5015, "lon": -47.4526 },
+    { "ibge": 3548708, "name": "São Bernardo do Campo", "state": "SP", "capital": false, "lat": -23.6914, "lon": -46.5646 },
+    { "ibge": 3549805, "name": "São José do Rio Preto", "state": "SP", "capital": false, "lat": -20.8113, "lon": -49.3758 },
+    { "ibge": 3549904, "name": "São José dos Campos", "state": "SP", "capital": false, "lat": -23.1791, "lon": -45.8872 },
+    { "ibge": 3554102, "name": "Taubaté", "state": "SP", "capital": false, "lat": -23.0264, "lon": -45.5553 },
+    { "ibge": 4106902, "name": "Curitiba", "state": "PR", "capital": true, "lat": -25.4284, "lon": -49.2733 },
+    { "ibge": 4104808, "name": "Cascavel", "state": "PR", "capital": false, "lat": -24.9555, "lon": -53.4552 },
+    { "ibge": 4108304, "name": "Foz do Iguaçu", "state": "PR", "capital": false, "lat": -25.5469, "lon": -54.5882 },
+    { "ibge": 4113700, "name": "Londrina", "state": "PR", "capital": false, "lat": -23.3045, "lon": -51.1696 },
+    { "ibge": 4115200, "name": "Maringá", "state": "PR", "capital": false, "lat": -23.4205, "lon": -51.9333 },
+    { "ibge": 4119905, "name": "Ponta Grossa", "state": "PR", "capital": false, "lat": -25.0950, "lon": -50.1619 },
+    { "ibge": 4314902, "name": "Porto Alegre", "state": "RS", "capital": true, "lat": -30.0346, "lon": -51.2177 },
+    { "ibge": 4304606, "name": "Canoas", "state": "RS", "capital": false, "lat": -29.9178, "lon": -51.1839 },
+    { "ibge": 4305108, "name": "Caxias do Sul", "state": "RS", "capital": false, "lat": -29.1678, "lon": -51.1794 },
+    { "ibge": 4313409, "name": "Novo Hamburgo", "state": "RS", "capital": false, "lat": -29.6783, "lon": -51.1306 },
+    { "ibge": 4314100, "name": "Passo Fundo", "state": "RS", "capital": false, "lat": -28.2620, "lon": -52.4083 },
+    { "ibge": 4314407, "name": "Pelotas", "state": "RS", "capital": false, "lat": -31.7654, "lon": -52.3376 },
+    { "ibge": 4315602, "name": "Rio Grande", "state": "RS", "capital": false, "lat": -32.0350, "lon": -52.0986 },
+    { "ibge": 4316907, "name": "Santa Maria", "state": "RS", "capital": false, "lat": -29.6842, "lon": -53.8069 },
+    { "ibge": 4205407, "name": "Florianópolis", "state": "SC", "capital": true, "lat": -27.5954, "lon": -48.5480 },
+    { "ibge": 4202404, "name": "Blumenau", "state": "SC", "capital": false, "lat": -26.9194, "lon": -49.0661 },
+    { "ibge": 4204202, "name": "Chapecó", "state": "SC", "capital": false, "lat": -27.1004, "lon": -52.6152 },
+    { "ibge": 4204608, "name": "Criciúma", "state": "SC", "capital": false, "lat": -28.6775, "lon": -49.3697 },
+    { "ibge": 4208203, "name": "Itajaí", "state": "SC", "capital": false, "lat": -26.9078, "lon": -48.6619 },
+    { "ibge": 4209102, "name": "Joinville", "state": "SC", "capital": false, "lat": -26.3045, "lon": -48.8487 }
+  ],
+  "routes": [
+    { "origin": 3550308, "destination": 3304557, "distanceKm": 430 },
+    { "origin": 3550308, "destination": 5300108, "distanceKm": 1015 },
+    { "origin": 3304557, "destination": 5300108, "distanceKm": 1148 },
+    { "origin": 3550308, "destination": 3509502, "distanceKm": 95 },
+    { "origin": 3304557, "destination": 3303302, "distanceKm": 13 },
+    { "origin": 3106200, "destination": 3146107, "distanceKm": 100 },
+    { "origin": 3550308, "destination": 3106200, "distanceKm": 586 },
+    { "origin": 3304557, "destination": 3106200, "distanceKm": 716 },
+    { "origin": 3550308, "destination": 3552205, "distanceKm": 108 },
+    { "origin": 3550308, "destination": 3518800, "distanceKm": 28 },
+    { "origin": 1302603, "destination": 1200401, "distanceKm": 1800 },
+    { "origin": 1501402, "destination": 1302603, "distanceKm": 1665 },
+    { "origin": 1501402, "destination": 5300108, "distanceKm": 1863 },
+    { "origin": 1302603, "destination": 5300108, "distanceKm": 2187 },
+    { "origin": 2927408, "destination": 5300108, "distanceKm": 1268 },
+    { "origin": 2611606, "destination": 2927408, "distanceKm": 766 },
+    { "origin": 2304400, "destination": 5300108, "distanceKm": 2145 },
+    { "origin": 2408102, "destination": 2611606, "distanceKm": 299 },
+    { "origin": 2704302, "destination": 2611606, "distanceKm": 240 },
+    { "origin": 2111300, "destination": 5300108, "distanceKm": 2125 },
+    { "origin": 2211001, "destination": 5300108, "distanceKm": 1704 },
+    { "origin": 4106902, "destination": 5300108, "distanceKm": 1110 },
+    { "origin": 3304557, "destination": 4106902, "distanceKm": 920 },
+    { "origin": 3550308, "destination": 4106902, "distanceKm": 408 },
+    { "origin": 4314902, "destination": 4106902, "distanceKm": 1090 },
+    { "origin": 4106902, "destination": 4113700, "distanceKm": 380 },
+    { "origin": 5300108, "destination": 4314902, "distanceKm": 2020 },
+    { "origin": 4316907, "destination": 4314902, "distanceKm": 290 },
+    { "origin": 4205407, "destination": 4314902, "distanceKm": 640 },
+    { "origin": 5300108, "destination": 5208707, "distanceKm": 209 },
+    { "origin": 5300108, "destination": 5103403, "distanceKm": 925 },
+    { "origin": 5208707, "destination": 3550308, "distanceKm": 917 },
+    { "origin": 5002704, "destination": 5300108, "distanceKm": 1315 },
+    { "origin": 5103403, "destination": 5208707, "distanceKm": 1070 },
+    { "origin": 3548500, "destination": 3550308, "distanceKm": 72 },
+    { "origin": 3525904, "destination": 3550308, "distanceKm": 60 },
+    { "origin": 3543402, "destination": 3550308, "distanceKm": 310 },
+    { "origin": 3502804, "destination": 3550308, "distanceKm": 520 },
+    { "origin": 3205309, "destination": 3304557, "distanceKm": 521 },
+    { "origin": 3550308, "destination": 3548708, "distanceKm": 20 },
+    { "origin": 3550308, "destination": 3547809, "distanceKm": 18 },
+    { "origin": 3550308, "destination": 3534401, "distanceKm": 18 },
+    { "origin": 3550308, "destination": 3549904, "distanceKm": 94 },
+    { "origin": 3549904, "destination": 3554102, "distanceKm": 44 },
+    { "origin": 3554102, "destination": 3304557, "distanceKm": 310 },
+    { "origin": 3509502, "destination": 3525904, "distanceKm": 40 },
+    { "origin": 3509502, "destination": 3538709, "distanceKm": 72 },
+    { "origin": 3509502, "destination": 3526902, "distanceKm": 60 },
+    { "origin": 3509502, "destination": 3543402, "distanceKm": 224 },
+    { "origin": 3509502, "destination": 3552205, "distanceKm": 88 },
+    { "origin": 3509502, "destination": 3506003, "distanceKm": 265 },
+    { "origin": 3543402, "destination": 3516200, "distanceKm": 88 },
+    { "origin": 3506003, "destination": 3549805, "distanceKm": 204 },
+    { "origin": 3506003, "destination": 3541406, "distanceKm": 245 },
+    { "origin": 3506003, "destination": 3502804, "distanceKm": 190 },
+    { "origin": 3549805, "destination": 3502804, "distanceKm": 152 },
+    { "origin": 3543402, "destination": 3170107, "distanceKm": 175 },
+    { "origin": 3170107, "destination": 3170206, "distanceKm": 108 },
+    { "origin": 3170206, "destination": 5208707, "distanceKm": 340 },
+    { "origin": 3170206, "destination": 3106200, "distanceKm": 556 },
+    { "origin": 3106200, "destination": 3118601, "distanceKm": 21 },
+    { "origin": 3106200, "destination": 3106705, "distanceKm": 30 },
+    { "origin": 3106200, "destination": 3136702, "distanceKm": 271 },
+    { "origin": 3136702, "destination": 3304557, "distanceKm": 183 },
+    { "origin": 3106200, "destination": 3143302, "distanceKm": 422 },
+    { "origin": 3106200, "destination": 3127701, "distanceKm": 324 },
+    { "origin": 3127701, "destination": 3205309, "distanceKm": 407 },
+    { "origin": 3106200, "destination": 3205309, "distanceKm": 524 },
+    { "origin": 3304557, "destination": 3301702, "distanceKm": 21 },
+    { "origin": 3304557, "destination": 3303500, "distanceKm": 40 },
+    { "origin": 3304557, "destination": 3303906, "distanceKm": 68 },
+    { "origin": 3304557, "destination": 3306305, "distanceKm": 127 },
+    { "origin": 3304557, "destination": 3302403, "distanceKm": 190 },
+    { "origin": 3302403, "destination": 3301009, "distanceKm": 95 },
+    { "origin": 3301009, "destination": 3205309, "distanceKm": 245 },
+    { "origin": 3205309, "destination": 3205200, "distanceKm": 12 },
+    { "origin": 3205309, "destination": 3205002, "distanceKm": 27 },
+    { "origin": 3205309, "destination": 3201308, "distanceKm": 15 },
+    { "origin": 4106902, "destination": 4119905, "distanceKm": 115 },
+    { "origin": 4106902, "destination": 4104808, "distanceKm": 497 },
+    { "origin": 4104808, "destination": 4108304, "distanceKm": 143 },
+    { "origin": 4113700, "destination": 4115200, "distanceKm": 100 },
+    { "origin": 4106902, "destination": 4209102, "distanceKm": 130 },
+    { "origin": 4209102, "destination": 4202404, "distanceKm": 100 },
+    { "origin": 4202404, "destination": 4208203, "distanceKm": 51 },
+    { "origin": 4208203, "destination": 4205407, "distanceKm": 94 },
+    { "origin": 4205407, "destination": 4204608, "distanceKm": 190 },
+    { "origin": 4204608, "destination": 4314902, "distanceKm": 290 },
+    { "origin": 4204202, "destination": 4314100, "distanceKm": 175 },
+    { "origin": 4204202, "destination": 4205407, "distanceKm": 555 },
+    { "origin": 4314902, "destination": 4304606, "distanceKm": 17 },
+    { "origin": 4314902, "destination": 4313409, "distanceKm": 42 },
+    { "origin": 4314902, "destination": 4305108, "distanceKm": 127 },
+    { "origin": 4314902, "destination": 4314407, "distanceKm": 261 },
+    { "origin": 4314407, "destination": 4315602, "distanceKm": 56 },
+    { "origin": 4314902, "destination": 4314100, "distanceKm": 289 },
+    { "origin": 5208707, "destination": 5201405, "distanceKm": 20 },
+    { "origin": 5208707, "destination": 5201108, "distanceKm": 55 },
+    { "origin": 5208707, "destination": 5218805, "distanceKm": 230 },
+    { "origin": 5103403, "destination": 5108402, "distanceKm": 10 },
+    { "origin": 5103403, "destination": 5107602, "distanceKm": 212 },
+    { "origin": 5107602, "destination": 5002704, "distanceKm": 500 },
+    { "origin": 5103403, "destination": 5107909, "distanceKm": 503 },
+    { "origin": 5002704, "destination": 5003702, "distanceKm": 225 },
+    { "origin": 5002704, "destination": 5008305, "distanceKm": 327 },
+    { "origin": 5002704, "destination": 5003207, "distanceKm": 425 },
+    { "origin": 5008305, "destination": 3502804, "distanceKm": 200 },
+    { "origin": 1501402, "destination": 1500800, "distanceKm": 19 },
+    { "origin": 1501402, "destination": 1504208, "distanceKm": 485 },
+    { "origin": 1504208, "destination": 1505536, "distanceKm": 165 },
+    { "origin": 1504208, "destination": 2105302, "distanceKm": 240 },
+    { "origin": 2105302, "destination": 1702109, "distanceKm": 245 },
+    { "origin": 1702109, "destination": 1721000, "distanceKm": 385 },
+    { "origin": 1721000, "destination": 1709500, "distanceKm": 220 },
+    { "origin": 1100205, "destination": 1100122, "distanceKm": 373 },
+    { "origin": 1100205, "destination": 1200401, "distanceKm": 510 },
+    { "origin": 1200401, "destination": 1200203, "distanceKm": 636 },
+    { "origin": 1600303, "destination": 1600600, "distanceKm": 22 },
+    { "origin": 1400100, "destination": 1302603, "distanceKm": 785 },
+    { "origin": 2927408, "destination": 2905701, "distanceKm": 50 },
+    { "origin": 2927408, "destination": 2910800, "distanceKm": 108 },
+    { "origin": 2910800, "destination": 2933307, "distanceKm": 403 },
+    { "origin": 2927408, "destination": 2914802, "distanceKm": 435 },
+    { "origin": 2918407, "destination": 2611101, "distanceKm": 8 },
+    { "origin": 2611101, "destination": 2611606, "distanceKm": 712 },
+    { "origin": 2611606, "destination": 2604106, "distanceKm": 130 },
+    { "origin": 2611606, "destination": 2607901, "distanceKm": 18 },
+    { "origin": 2611606, "destination": 2609600, "distanceKm": 7 },
+    { "origin": 2611606, "destination": 2507507, "distanceKm": 120 },
+    { "origin": 2507507, "destination": 2504009, "distanceKm": 126 },
+    { "origin": 2504009, "destination": 2510808, "distanceKm": 180 },
+    { "origin": 2408102, "destination": 2408003, "distanceKm": 278 },
+    { "origin": 2408003, "destination": 2304400, "distanceKm": 260 },
+    { "origin": 2304400, "destination": 2303709, "distanceKm": 16 },
+    { "origin": 2304400, "destination": 2312908, "distanceKm": 235 },
+    { "origin": 2304400, "destination": 2307304, "distanceKm": 490 },
+    { "origin": 2304400, "destination": 2211001, "distanceKm": 600 },
+    { "origin": 2211001, "destination": 2207702, "distanceKm": 340 },
+    { "origin": 2211001, "destination": 2208007, "distanceKm": 310 },
+    { "origin": 2211001, "destination": 2111300, "distanceKm": 446 },
+    { "origin": 2211001, "destination": 2103000, "distanceKm": 75 },
+    { "origin": 2111300, "destination": 2105302, "distanceKm": 630 },
+    { "origin": 2704302, "destination": 2700300, "distanceKm": 128 },
+    { "origin": 2704302, "destination": 2800308, "distanceKm": 275 },
+    { "origin": 2800308, "destination": 2927408, "distanceKm": 325 },
+    { "origin": 2800308, "destination": 2804805, "distanceKm": 16 },
+    { "origin": 2800308, "destination": 2802908, "distanceKm": 55 }
+  ]
+};
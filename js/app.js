@@ -7,11 +7,12 @@
  * para criar uma experiência funcional completa.
  * 
  * FLUXO:
- * 1. Quando DOM está pronto, inicializa a aplicação
- * 2. Popula datalist com cidades e configura auto-preenchimento de distância
+ * 1. Quando DOM está pronto, inicializa a aplicação e começa a carregar a base de cidades
+ * 2. Liga o autocomplete de cidades e configura auto-preenchimento de distância
  * 3. Aguarda submissão do formulário
  * 4. Realiza cálculos e renderiza resultados
  * 5. Mostra seções de resultados com animação e scroll
+ * 6. Grava o cálculo na URL; ao abrir um link compartilhado, refaz o cálculo
  */
 
 /**
@@ -25,14 +26,54 @@ document.addEventListener('DOMContentLoaded', function() {
    * ===========================
    */
 
-  // Popula o datalist com lista de cidades do RoutesDB
-  // Permite que o usuário tenha autocomplete ao digitar origem e destino
-  CONFIG.populateDatalist();
+  // Restaura o idioma escolhido (ou o do navegador), traduz a página e liga o seletor de idioma
+  // (antes dos demais módulos, que geram textos no idioma em uso)
+  I18n.init();
+
+  // Começa a carregar a base de cidades e rotas (data/brazil-routes.json);
+  // enquanto carrega, #routes-status mostra o aviso (ver BASE DE CIDADES)
+  const routesLoaded = RoutesDB.load();
+
+  // Restaura a base de fatores de emissão escolhida e liga o select de bases
+  EmissionFactors.init();
+
+  // Restaura perfil de preço, moeda e cotações dos créditos e liga o painel "Preço dos créditos"
+  CreditPricing.init();
+
+  // Restaura as unidades de distância e massa escolhidas e liga o painel "Unidades"
+  Units.init();
+
+  // Liga os eventos do painel "Compensar Emissões" (distribuição entre projetos e comprovante)
+  Offset.init();
+
+  // Gera os botões de rádio dos modos de transporte a partir de CONFIG.TRANSPORT_MODES
+  // (antes das funções que ligam eventos a esses botões)
+  CONFIG.populateTransportModes();
+
+  // Liga o autocomplete de cidades (busca sem acentos, com erros de digitação,
+  // sugestões agrupadas por estado) aos campos de origem e destino
+  Autocomplete.init();
+
+  // Preenche as sub-opções de combustível/porte (carro, ônibus, caminhão)
+  // e mostra apenas as do modo selecionado
+  CONFIG.populateVehicleVariants();
+
+  // Preenche o select de modais do formulário de frete de carga
+  CONFIG.populateFreightModes();
+
+  // Preenche o select "Comparar com" (referência dos percentuais e da economia)
+  CONFIG.populateBaselineOptions();
+
+  // Mostra os campos da repetição escolhida (dias por semana ou viagens por mês)
+  CONFIG.setupRecurrenceFields();
 
   // Configura o auto-preenchimento de distância
   // Quando origem e destino são selecionados, busca a distância automaticamente
   CONFIG.setupDistanceAutofill();
 
+  // Configura o botão "Adicionar trecho" para itinerários com várias conexões
+  Itinerary.init();
+
   // Obter referência ao formulário pelo ID
   const calculatorForm = document.getElementById('calculator-form');
 
@@ -42,6 +83,10 @@ document.addEventListener('DOMContentLoaded', function() {
     return;
   }
 
+  // Mensagens de validação somem assim que o campo é editado
+  Validation.bindClearOnEdit(calculatorForm);
+  Validation.bindClearOnEdit(document.getElementById('freight-form'));
+
   // Log de sucesso na inicialização
   console.log('✓ Calculadora inicializada!');
 
@@ -89,6 +134,369 @@ document.addEventListener('DOMContentLoaded', function() {
     }
   }
 
+  /**
+   * ===========================
+   * VISUALIZAÇÃO TOTAL / POR PASSAGEIRO
+   * ===========================
+   */
+
+  // Último cálculo realizado: {resultsData, allModesComparison, creditsData, tripMode, baseline, timestamp, historyId, pledge}
+  let lastCalculation = null;
+
+  // Cálculo disparado pela abertura de um link compartilhado: mostra o resultado
+  // sem gravar no histórico (recarregar a página ou abrir o link de outra pessoa
+  // não deve criar registros repetidos)
+  let restoringSharedLink = false;
+
+  /**
+   * Renderiza resultados e comparação na visualização selecionada
+   * ('total' = emissão do grupo, 'perPassenger' = emissão por passageiro)
+   */
+  function renderEmissionViews() {
+    if (!lastCalculation) return;
+
+    const checkedView = document.querySelector('input[name="emission-view"]:checked');
+    const view = checkedView ? checkedView.value : 'total';
+
+    // Renderizar resultados e inserir no container de resultados
+    const resultsHTML = UI.renderResults(lastCalculation.resultsData, view);
+    document.getElementById('results-content').innerHTML = resultsHTML;
+
+    // Renderizar comparação entre modos e inserir no container
+    const comparisonHTML = UI.renderComparison(lastCalculation.allModesComparison, lastCalculation.tripMode, view, lastCalculation.baseline);
+    const chartHTML = Charts.renderModeComparison(lastCalculation.allModesComparison, lastCalculation.tripMode, view);
+    document.getElementById('comparison-content').innerHTML = comparisonHTML + chartHTML;
+  }
+
+  /**
+   * Recalcula o preço dos créditos do último cálculo com o perfil, a moeda e a
+   * cotação em uso e re-renderiza a seção de créditos (sem recalcular a emissão)
+   */
+  function refreshCreditPrices() {
+    if (!lastCalculation) return;
+
+    const creditsData = lastCalculation.creditsData;
+    creditsData.price = Calculator.estimateCreditPrice(creditsData.credits);
+    if (creditsData.annual) {
+      creditsData.annual.price = Calculator.estimateCreditPrice(creditsData.annual.credits);
+    }
+    creditsData.pricing = CreditPricing.describe();
+
+    document.getElementById('carbon-credits-content').innerHTML = UI.renderCarbonCredits(creditsData);
+
+    // Fluxo de compensação aberto: atualizar os preços dos projetos na nova moeda
+    if (!document.getElementById('offset').classList.contains('hidden')) {
+      Offset.render();
+    }
+  }
+
+  // Painel "Preço dos créditos": os campos já salvaram a escolha (CreditPricing.init), atualizar o resultado
+  document.getElementById('credit-pricing').addEventListener('change', refreshCreditPrices);
+
+  // Unidade trocada (Units.init): exibir o último cálculo, o histórico, o lote e o frete nas novas unidades, sem recalcular
+  document.addEventListener('unitchange', function(event) {
+    renderEmissionViews();
+    refreshCreditPrices();
+    refreshHistory();
+    renderBatch();
+    renderFreight();
+
+    // Distância do frete digitada na unidade anterior: converter para a nova
+    const freightDistanceInput = document.getElementById('freight-distance');
+    freightDistanceInput.value = Units.convertInputValue(freightDistanceInput.value, event.detail.previousDistance);
+  });
+
+  // Alternar visualização sem recalcular
+  document.querySelectorAll('input[name="emission-view"]').forEach(radio => {
+    radio.addEventListener('change', renderEmissionViews);
+  });
+
+  /**
+   * ===========================
+   * HISTÓRICO DE CÁLCULOS
+   * ===========================
+   */
+
+  /**
+   * Renderiza o painel de histórico com os cálculos salvos no localStorage
+   */
+  function refreshHistory() {
+    const entries = EmissionHistory.getAll();
+    const totalKg = EmissionHistory.getTotalEmission();
+    document.getElementById('history-content').innerHTML = UI.renderHistory(entries, totalKg) + Charts.renderHistoryCharts(entries);
+    UI.showElement('history');
+  }
+
+  // Excluir um cálculo ou limpar o histórico (delegação de eventos, o HTML é re-renderizado)
+  document.getElementById('history').addEventListener('click', function(event) {
+    const deleteButton = event.target.closest('.history__delete');
+    if (deleteButton) {
+      EmissionHistory.remove(deleteButton.dataset.historyId);
+      refreshHistory();
+      return;
+    }
+
+    // Limpar em dois cliques: o primeiro troca o botão e pede confirmação na própria página
+    const clearButton = event.target.closest('.history__clear');
+    if (clearButton) {
+      if (clearButton.dataset.confirming === 'true') {
+        EmissionHistory.clear();
+        refreshHistory();
+        return;
+      }
+
+      clearButton.dataset.confirming = 'true';
+      clearButton.classList.add('history__clear--confirm');
+      clearButton.textContent = I18n.t('history.clearConfirm');
+      document.querySelector('.history__confirm').textContent = I18n.t('history.confirmClear');
+    }
+  });
+
+  // Sair do botão sem confirmar cancela a limpeza
+  document.getElementById('history').addEventListener('focusout', function(event) {
+    const clearButton = event.target.closest('.history__clear');
+    if (clearButton && clearButton.dataset.confirming === 'true') {
+      delete clearButton.dataset.confirming;
+      clearButton.classList.remove('history__clear--confirm');
+      clearButton.textContent = I18n.t('history.clear');
+      document.querySelector('.history__confirm').textContent = '';
+    }
+  });
+
+  // Mostrar o histórico salvo em sessões anteriores
+  refreshHistory();
+
+  /**
+   * ===========================
+   * IDIOMA
+   * ===========================
+   */
+
+  // Trocar o idioma re-renderiza os textos gerados do último cálculo e do histórico
+  // (os textos fixos já foram traduzidos por I18n.setLocale)
+  document.addEventListener('localechange', function() {
+    renderEmissionViews();
+    refreshCreditPrices();
+    refreshHistory();
+    renderBatch();
+    renderFreight();
+    document.getElementById('share-status').textContent = '';
+  });
+
+  /**
+   * ===========================
+   * BASE DE CIDADES
+   * ===========================
+   */
+
+  // Aviso de carregamento (ou de falha) da base de cidades, no idioma em uso
+  function renderRoutesStatus() {
+    const status = document.getElementById('routes-status');
+    if (!status) return;
+
+    const messages = { loading: 'routes.loading', error: 'routes.error' };
+    status.textContent = messages[RoutesDB.status] ? I18n.t(messages[RoutesDB.status]) : '';
+    status.classList.toggle('routes-status--error', RoutesDB.status === 'error');
+  }
+
+  renderRoutesStatus();
+  document.addEventListener('routesload', renderRoutesStatus);
+  document.addEventListener('localechange', renderRoutesStatus);
+
+  /**
+   * ===========================
+   * EXPORTAÇÃO CSV / JSON
+   * ===========================
+   */
+
+  // Botões com data-export="result" ou "history" (o do histórico é re-renderizado, por isso a delegação)
+  document.addEventListener('click', function(event) {
+    const exportButton = event.target.closest('.export__button');
+    if (!exportButton) return;
+
+    const fileType = exportButton.dataset.fileType;
+    const formatSelect = exportButton.parentElement.querySelector('.export__format');
+    const formatName = formatSelect ? formatSelect.value : 'pt-BR';
+
+    if (exportButton.dataset.export === 'history') {
+      Exporter.exportHistory(EmissionHistory.getAll(), fileType, formatName);
+    } else if (lastCalculation) {
+      Exporter.exportResult(lastCalculation, fileType, formatName);
+    }
+  });
+
+  /**
+   * ===========================
+   * RELATÓRIO (IMPRESSÃO / HTML)
+   * ===========================
+   */
+
+  // Relatório de uma página do último cálculo: impressão (ou "Salvar como PDF") e arquivo HTML
+  document.getElementById('report-print').addEventListener('click', function() {
+    if (lastCalculation) {
+      Report.print(lastCalculation);
+    }
+  });
+
+  document.getElementById('report-download').addEventListener('click', function() {
+    if (lastCalculation) {
+      Report.download(lastCalculation);
+    }
+  });
+
+  // Botões "SVG" e "PNG" dos gráficos (re-renderizados a cada cálculo, por isso a delegação)
+  document.addEventListener('click', function(event) {
+    const chartButton = event.target.closest('.chart__download');
+    if (!chartButton) return;
+
+    Charts.download(chartButton.closest('.chart'), chartButton.dataset.chartFormat);
+  });
+
+  /**
+   * ===========================
+   * COMPENSAÇÃO DE EMISSÕES
+   * ===========================
+   */
+
+  // Botão "Compensar Emissões" (re-renderizado com a seção de créditos, por isso a delegação)
+  document.getElementById('carbon-credite').addEventListener('click', function(event) {
+    if (!event.target.closest('.carbon-credits__button') || !lastCalculation) return;
+
+    // O termo confirmado já foi salvo no cálculo e no registro do histórico: atualizar a lista
+    Offset.open(lastCalculation, refreshHistory);
+    UI.scrollToElement('offset');
+  });
+
+  /**
+   * ===========================
+   * IMPORTAÇÃO EM LOTE (CSV)
+   * ===========================
+   */
+
+  // Último lote importado (re-renderizado ao trocar o idioma)
+  let lastBatch = null;
+
+  /**
+   * Renderiza o resumo do último lote importado
+   */
+  function renderBatch() {
+    if (!lastBatch) return;
+
+    document.getElementById('batch-content').innerHTML = UI.renderBatchSummary(lastBatch);
+  }
+
+  // Erros do arquivo (colunas faltando, leitura) aparecem abaixo do campo, em #bulk-error (role="alert")
+  const bulkError = document.getElementById('bulk-error');
+
+  // Ler o arquivo escolhido, calcular todas as viagens e mostrar o resumo
+  document.getElementById('bulk-file').addEventListener('change', function(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+
+    reader.onload = function() {
+      const parsed = BulkImport.parseTrips(reader.result);
+
+      if (parsed.error) {
+        lastBatch = null;
+        bulkError.textContent = parsed.error;
+        UI.hideElement('batch-content');
+        return;
+      }
+
+      bulkError.textContent = '';
+      lastBatch = BulkImport.calculateBatch(parsed.trips);
+      renderBatch();
+      UI.showElement('batch-content');
+      UI.scrollToElement('batch-content');
+    };
+
+    reader.onerror = function() {
+      console.error('Erro ao ler o arquivo CSV:', reader.error);
+      bulkError.textContent = I18n.t('errors.fileRead');
+    };
+
+    reader.readAsText(file, 'utf-8');
+
+    // Permitir reimportar o mesmo arquivo após editá-lo
+    event.target.value = '';
+  });
+
+  /**
+   * ===========================
+   * FRETE DE CARGA (TONELADA-KM)
+   * ===========================
+   */
+
+  // Último frete calculado: {data, comparison, freightMode} (re-renderizado ao trocar o idioma)
+  let lastFreight = null;
+
+  /**
+   * Renderiza o resultado do último frete e a comparação entre modais
+   */
+  function renderFreight() {
+    if (!lastFreight) return;
+
+    document.getElementById('freight-content').innerHTML = UI.renderFreightResults(lastFreight.data) +
+      UI.renderComparison(lastFreight.comparison, lastFreight.freightMode, 'freight');
+  }
+
+  // Calcular a emissão da carga no modal escolhido e comparar com os demais modais
+  document.getElementById('freight-form').addEventListener('submit', function(event) {
+    event.preventDefault();
+
+    const freightForm = this;
+    const origin = document.getElementById('freight-origin').value.trim();
+    const destination = document.getElementById('freight-destination').value.trim();
+    const distanceText = document.getElementById('freight-distance').value.trim();
+    const cargoTonnes = parseFloat(document.getElementById('freight-weight').value);
+    const loadPercent = parseFloat(document.getElementById('freight-load').value);
+    const freightMode = document.getElementById('freight-mode').value;
+
+    // Distância informada (na unidade em uso, convertida para km), ou a distância rodoviária da base de rotas
+    const distanceSource = distanceText === '' ? 'routes' : 'manual';
+    const distance = distanceSource === 'routes'
+      ? (origin && destination ? RoutesDB.findDistance(origin, destination, 'truck') : null)
+      : Units.toKm(parseFloat(distanceText));
+
+    const validation = Validation.validateFreight({
+      origin: origin,
+      destination: destination,
+      distanceText: distanceText,
+      distance: distance,
+      cargoTonnes: cargoTonnes,
+      loadPercent: loadPercent
+    });
+
+    if (!Validation.showIssues(freightForm, validation)) {
+      return;
+    }
+
+    const loadFactor = loadPercent / 100;
+    const freight = Calculator.calculateFreightEmission(distance, cargoTonnes, freightMode, loadFactor);
+    const comparison = Calculator.calculateAllFreightModes(distance, cargoTonnes, freightMode, loadFactor);
+    const credits = Calculator.calculateCarbonCredits(freight.emission);
+
+    lastFreight = {
+      data: {
+        origin: origin,
+        destination: destination,
+        distanceSource: distanceSource,
+        freight: freight,
+        credits: credits,
+        price: Calculator.estimateCreditPrice(credits),
+        factorDataset: EmissionFactors.describe()
+      },
+      comparison: comparison,
+      freightMode: freightMode
+    };
+
+    renderFreight();
+    UI.showElement('freight-content');
+    UI.scrollToElement('freight-content');
+  });
+
   /**
    * ===========================
    * FASE 2: MANIPULADOR DE SUBMISSÃO DO FORMULÁRIO
@@ -104,54 +512,55 @@ document.addEventListener('DOMContentLoaded', function() {
     // Evita recarregar a página
     event.preventDefault();
 
+    // Somente cálculos pedidos pelo usuário entram no histórico
+    const saveToHistory = !restoringSharedLink;
+    restoringSharedLink = false;
+
     /**
      * ETAPA 1: OBTER VALORES DO FORMULÁRIO
      */
 
-    // Obter valor da origem (remover espaços em branco)
-    const originValue = document.getElementById('origin').value.trim();
-
-    // Obter valor do destino (remover espaços em branco)
-    const destinationValue = document.getElementById('destination').value.trim();
-
-    // Obter valor da distância (converter para número flutuante)
-    const distanceValue = parseFloat(document.getElementById('distance').value);
-
-    // Obter o radio button selecionado (modo de transporte)
-    const selectedTransportRadio = document.querySelector('input[name="transport"]:checked');
-    const transportMode = selectedTransportRadio ? selectedTransportRadio.value : null;
+    // Obter todos os trechos do itinerário (trecho principal + trechos adicionais)
+    // Cada trecho tem origem, destino, distância e modo de transporte próprios
+    const legs = Itinerary.getLegs();
+
+    // Valores do trecho principal (usados nos resultados de trecho único)
+    const originValue = legs[0].origin;
+    const destinationValue = legs[legs.length - 1].destination;
+    const transportMode = legs[0].mode;
+
+    // Obter número de passageiros do grupo (converter para número)
+    const passengersValue = Number(document.getElementById('passengers').value);
+
+    // Ida e volta e repetição da viagem (viagem única, dias por semana ou viagens por mês)
+    const recurrenceValue = {
+      roundTrip: document.getElementById('round-trip').checked,
+      frequency: document.getElementById('trip-frequency').value,
+      daysPerWeek: Number(document.getElementById('days-per-week').value),
+      weeks: Number(document.getElementById('weeks').value),
+      tripsPerMonth: Number(document.getElementById('trips-per-month').value)
+    };
+
+    // Referência da comparação: um modo de transporte ou um fator personalizado (kg CO2e/km)
+    const baselineValue = {
+      mode: document.getElementById('baseline').value || CONFIG.DEFAULT_BASELINE,
+      factor: Number(document.getElementById('baseline-factor').value)
+    };
 
     /**
      * ETAPA 2: VALIDAR ENTRADAS
      */
 
-    // Verificar se origem está preenchida
-    if (!originValue) {
-      alert('Por favor, selecione a cidade de origem');
-      return;
-    }
-
-    // Verificar se destino está preenchida
-    if (!destinationValue) {
-      alert('Por favor, selecione a cidade de destino');
-      return;
-    }
+    // Erros aparecem ao lado de cada campo (aria-describedby) e impedem o cálculo;
+    // avisos (ex: bicicleta acima de 1.000 km) aparecem sem impedir
+    const validation = Validation.validateTrip({
+      legs: legs,
+      passengers: passengersValue,
+      recurrence: recurrenceValue,
+      baseline: baselineValue
+    });
 
-    // Verificar se distância foi preenchida
-    if (isNaN(distanceValue)) {
-      alert('Por favor, insira a distância em quilômetros');
-      return;
-    }
-
-    // Verificar se distância é maior que zero
-    if (distanceValue <= 0) {
-      alert('A distância deve ser maior que zero');
-      return;
-    }
-
-    // Verificar se modo de transporte foi selecionado
-    if (!transportMode) {
-      alert('Por favor, selecione um modo de transporte');
+    if (!Validation.showIssues(calculatorForm, validation)) {
       return;
     }
 
@@ -169,6 +578,7 @@ document.addEventListener('DOMContentLoaded', function() {
     UI.hideElement('results');
     UI.hideElement('comparison');
     UI.hideElement('carbon-credite');
+    Offset.close();
 
     /**
      * ETAPA 4: SIMULAR PROCESSAMENTO COM DELAY
@@ -178,24 +588,49 @@ document.addEventListener('DOMContentLoaded', function() {
     setTimeout(function() {
       try {
         /**
-         * CÁLCULO 1: Emissão do modo selecionado
+         * CÁLCULO 1: Emissão de cada trecho e total do itinerário
          */
-        const selectedModeEmission = Calculator.calculateEmission(distanceValue, transportMode);
+        const itinerary = Calculator.calculateItinerary(legs, passengersValue);
+
+        // Totais por viagem (ida, ou ida e volta), mensal e anual
+        const trip = Calculator.calculateRecurrence({
+          distance: itinerary.totalDistance,
+          emission: itinerary.totalEmission,
+          perPassengerEmission: itinerary.totalPerPassengerEmission,
+          gases: itinerary.totalGases
+        }, recurrenceValue);
+        const distanceValue = trip.tripDistance;
+        const selectedModeEmission = trip.tripEmission;
+
+        // Modo de transporte da viagem: o modo comum a todos os trechos, ou null se misto
+        const isSingleMode = legs.every(leg => leg.mode === transportMode);
+        const tripMode = isSingleMode ? transportMode : null;
+
+        // Na comparação, o modo principal usa o combustível/porte escolhido
+        const selectedVariants = {};
+        if (transportMode && legs[0].variant) {
+          selectedVariants[transportMode] = legs[0].variant;
+        }
+
+        // Comparação e referência trecho a trecho e com a ida e volta, como o resultado
+        // (no avião, cada voo tem seu pouso/decolagem; não é o mesmo que um voo da distância total)
+        const legDistances = itinerary.legs.map(leg => leg.distance);
+        const tripMultiplier = trip.roundTrip ? 2 : 1;
 
         /**
-         * CÁLCULO 2: Emissão do carro como baseline para comparação
+         * CÁLCULO 2: Emissão da referência escolhida ("Comparar com") para o grupo
          */
-        const carBaseline = Calculator.calculateEmission(distanceValue, 'car');
+        const baselineEmission = Calculator.calculateBaselineEmission(legDistances, baselineValue, passengersValue, selectedVariants, tripMultiplier);
 
         /**
-         * CÁLCULO 3: Calcular economia (se modo selecionado é diferente do carro)
+         * CÁLCULO 3: Calcular economia (se modo selecionado é diferente da referência)
          */
-        const savingsData = Calculator.calculateSavings(selectedModeEmission, carBaseline);
+        const savingsData = Calculator.calculateSavings(selectedModeEmission, baselineEmission);
 
         /**
          * CÁLCULO 4: Calcular emissão de todos os modos para comparação
          */
-        const allModesComparison = Calculator.calculateAllModes(distanceValue);
+        const allModesComparison = Calculator.calculateAllModes(legDistances, passengersValue, selectedVariants, baselineValue, tripMultiplier);
 
         /**
          * CÁLCULO 5: Converter emissão do modo selecionado em créditos de carbono
@@ -217,27 +652,52 @@ document.addEventListener('DOMContentLoaded', function() {
           destination: destinationValue,
           distance: distanceValue,
           emission: selectedModeEmission,
-          mode: transportMode,
-          savings: transportMode !== 'car' ? savingsData : null
+          perPassengerEmission: trip.tripPerPassengerEmission,
+          gases: trip.tripGases,
+          passengers: itinerary.passengers,
+          mode: tripMode,
+          variant: isSingleMode ? legs[0].variant : null,
+          savings: tripMode !== baselineValue.mode ? savingsData : null,
+          baseline: baselineValue,
+          legs: itinerary.legs,
+          recurrence: trip,
+          factorDataset: EmissionFactors.describe(legs)
         };
 
         // Objeto com dados de créditos de carbono
         const creditsData = {
           credits: creditsNeeded,
-          price: priceEstimate
+          price: priceEstimate,
+          annual: null,
+          pricing: CreditPricing.describe()
         };
 
+        // Viagem recorrente: créditos e preço para compensar o total anual
+        if (trip.yearlyEmission !== null) {
+          const annualCredits = Calculator.calculateCarbonCredits(trip.yearlyEmission);
+          creditsData.annual = {
+            emission: trip.yearlyEmission,
+            credits: annualCredits,
+            price: Calculator.estimateCreditPrice(annualCredits)
+          };
+        }
+
         /**
          * ETAPA 6: RENDERIZAR CONTEÚDO NAS SEÇÕES
          */
 
-        // Renderizar resultados e inserir no container de resultados
-        const resultsHTML = UI.renderResults(resultsData);
-        document.getElementById('results-content').innerHTML = resultsHTML;
+        // Guardar o último cálculo para re-renderizar ao trocar a visualização e para exportação
+        lastCalculation = {
+          resultsData: resultsData,
+          allModesComparison: allModesComparison,
+          creditsData: creditsData,
+          tripMode: tripMode,
+          baseline: baselineValue,
+          timestamp: new Date().toISOString()
+        };
 
-        // Renderizar comparação entre modos e inserir no container
-        const comparisonHTML = UI.renderComparison(allModesComparison, transportMode);
-        document.getElementById('comparison-content').innerHTML = comparisonHTML;
+        // Renderizar resultados e comparação na visualização selecionada (total ou por passageiro)
+        renderEmissionViews();
 
         // Renderizar créditos de carbono e inserir no container
         const creditsHTML = UI.renderCarbonCredits(creditsData);
@@ -257,7 +717,36 @@ document.addEventListener('DOMContentLoaded', function() {
         UI.showElement('carbon-credite');
 
         /**
-         * ETAPA 8: SCROLL PARA RESULTADOS
+         * ETAPA 8: SALVAR NO HISTÓRICO
+         */
+
+        // Guardar o cálculo no localStorage e atualizar o painel de histórico
+        // (o id do registro permite salvar a compensação junto do cálculo)
+        if (saveToHistory) {
+          const historyRecord = EmissionHistory.add({
+            origin: resultsData.origin,
+            destination: resultsData.destination,
+            distance: resultsData.distance,
+            mode: resultsData.mode,
+            variant: resultsData.variant,
+            passengers: resultsData.passengers,
+            legs: resultsData.legs.length,
+            roundTrip: trip.roundTrip,
+            factorDataset: resultsData.factorDataset.id,
+            gwp: resultsData.factorDataset.gwp.id,
+            radiativeForcing: resultsData.factorDataset.radiativeForcing,
+            emission: resultsData.emission,
+            credits: creditsData.credits
+          });
+          lastCalculation.historyId = historyRecord.id;
+          refreshHistory();
+        }
+
+        // Gravar o estado do formulário na URL para compartilhar o cálculo
+        ShareLink.updateURL(legs, passengersValue, recurrenceValue, baselineValue);
+
+        /**
+         * ETAPA 9: SCROLL PARA RESULTADOS
          */
 
         // Fazer scroll suave até a seção de resultados
@@ -265,7 +754,7 @@ document.addEventListener('DOMContentLoaded', function() {
         UI.scrollToElement('results');
 
         /**
-         * ETAPA 9: RESTAURAR ESTADO DO BOTÃO
+         * ETAPA 10: RESTAURAR ESTADO DO BOTÃO
          */
 
         // Restaurar botão ao estado normal (remover loading)
@@ -282,8 +771,8 @@ document.addEventListener('DOMContentLoaded', function() {
         // Logar erro detalhado na console para debugging
         console.error('Erro ao realizar cálculo:', error);
 
-        // Mostrar mensagem amigável para o usuário
-        alert('Ocorreu um erro ao realizar o cálculo. Por favor, tente novamente.');
+        // Mostrar mensagem amigável no resumo de erros do formulário (role="alert")
+        calculatorForm.querySelector('.calculator__errors').textContent = I18n.t('errors.calculation');
 
         // Restaurar botão ao estado normal mesmo em caso de erro
         UI.hideLoading(submitButton);
@@ -291,4 +780,32 @@ document.addEventListener('DOMContentLoaded', function() {
 
     }, 1500); // Delay de 1500ms para simular processamento
   });
+
+  /**
+   * ===========================
+   * LINK COMPARTILHÁVEL
+   * ===========================
+   */
+
+  // Copiar o link do cálculo atual (a URL é atualizada a cada cálculo)
+  document.getElementById('share-link').addEventListener('click', function() {
+    const status = document.getElementById('share-status');
+
+    ShareLink.copyLink().then(copied => {
+      status.textContent = copied
+        ? I18n.t('share.copied')
+        : I18n.t('share.manual');
+    });
+  });
+
+  // Aberto por um link compartilhado: restaurar o formulário e calcular automaticamente
+  // (depois de carregar a base de cidades, da qual vem a distância automática)
+  const sharedState = ShareLink.readState();
+  if (sharedState) {
+    routesLoaded.then(() => {
+      ShareLink.applyState(sharedState);
+      restoringSharedLink = true;
+      calculatorForm.dispatchEvent(new Event('submit', { cancelable: true }));
+    });
+  }
 });
@@ -0,0 +1,349 @@
+/**
+ * autocomplete.js - Autocomplete Acessível de Cidades
+ *
+ * DESCRIÇÃO GERAL:
+ * Define um objeto global chamado Autocomplete que substitui o <datalist>
+ * nativo nos campos de cidade (origem e destino do formulário, dos trechos e
+ * do frete). As sugestões vêm de RoutesDB.searchCities(): ignoram acentos,
+ * aceitam erros de digitação e são ordenadas por relevância, agrupadas por
+ * estado com o nome da região (ex: "São Paulo (SP) · Sudeste").
+ *
+ * ACESSIBILIDADE (padrão combobox do WAI-ARIA):
+ * - O campo recebe role="combobox", aria-expanded e aria-controls apontando
+ *   para a lista (role="listbox"); cada estado é um role="group" com rótulo
+ * - A opção destacada é indicada por aria-activedescendant e aria-selected
+ * - A quantidade de sugestões é anunciada por uma região aria-live
+ *
+ * TECLADO:
+ * - Seta para baixo / para cima: abre a lista e percorre as sugestões
+ * - Enter: escolhe a sugestão destacada (sem enviar o formulário)
+ * - Tab: escolhe a sugestão destacada e segue para o próximo campo
+ * - Esc: fecha a lista
+ *
+ * ESTRUTURA DO Autocomplete:
+ * {
+ *   INPUT_IDS: Array<string>      - Campos de cidade fixos do index.html
+ *   MAX_SUGGESTIONS: number       - Quantidade máxima de sugestões
+ *   init(): Function              - Liga o autocomplete aos campos fixos
+ *   attach(): Function            - Liga o autocomplete a um campo de cidade
+ *   update(): Function            - Busca e mostra as sugestões do texto digitado
+ *   groupSuggestions(): Function  - Agrupa as sugestões por estado, mantendo a ordem
+ *   renderGroups(): Function      - Gera o HTML dos grupos e opções
+ *   getGroupLabel(): Function     - Rótulo do grupo (estado e região)
+ *   highlight(): Function         - Destaca uma sugestão
+ *   select(): Function            - Escolhe uma sugestão e preenche o campo
+ *   close(): Function             - Fecha a lista de um campo
+ *   closeAll(): Function          - Fecha todas as listas abertas
+ * }
+ *
+ * ESTRUTURA DO COMBO (estado de cada campo ligado):
+ * {
+ *   input: HTMLInputElement,      - Campo de cidade
+ *   list: HTMLElement,            - Lista de sugestões (role="listbox")
+ *   status: HTMLElement,          - Região aria-live com a quantidade de sugestões
+ *   suggestions: Array<Object>,   - Sugestões na ordem exibida (ver RoutesDB.searchCities())
+ *   activeIndex: number           - Índice da sugestão destacada (-1 = nenhuma)
+ * }
+ *
+ * Ao escolher uma sugestão o campo recebe o nome cadastrado (ex: "Goiânia, GO")
+ * e dispara 'change', o que refaz o auto-preenchimento da distância
+ * (CONFIG.bindDistanceAutofill) e apaga a mensagem de validação do campo.
+ */
+
+const Autocomplete = {
+  /**
+   * Campos de cidade presentes no index.html (os dos trechos são ligados por Itinerary.addLeg())
+   */
+  INPUT_IDS: ['origin', 'destination', 'freight-origin', 'freight-destination'],
+
+  /**
+   * Quantidade máxima de sugestões exibidas
+   */
+  MAX_SUGGESTIONS: 8,
+
+  /**
+   * init() - Liga o autocomplete aos campos de cidade fixos
+   * Ao trocar o idioma, fecha as listas abertas (os rótulos dos grupos
+   * são gerados no novo idioma na próxima busca)
+   */
+  init: function() {
+    this.INPUT_IDS.forEach(id => {
+      const input = document.getElementById(id);
+
+      if (!input) {
+        console.warn(`Campo de cidade "${id}" não encontrado para o autocomplete`);
+        return;
+      }
+
+      this.attach(input);
+    });
+
+    document.addEventListener('localechange', () => {
+      this.closeAll();
+    });
+  },
+
+  /**
+   * attach(input) - Liga o autocomplete a um campo de cidade
+   *
+   * LÓGICA:
+   * 1. Cria a lista de sugestões e a região aria-live logo após o campo
+   * 2. Marca o campo como combobox (e desliga o autocomplete do navegador)
+   * 3. Digitar busca as sugestões; as teclas navegam (ver TECLADO)
+   * 4. Clicar numa sugestão a escolhe; sair do campo fecha a lista
+   *
+   * @param {HTMLInputElement} input - Campo de cidade com id
+   */
+  attach: function(input) {
+    if (!input || input.dataset.autocomplete) {
+      return;
+    }
+
+    const list = document.createElement('div');
+    list.id = `${input.id}-suggestions`;
+    list.className = 'autocomplete__list hidden';
+    list.setAttribute('role', 'listbox');
+
+    const status = document.createElement('p');
+    status.className = 'visually-hidden';
+    status.setAttribute('aria-live', 'polite');
+
+    input.after(list, status);
+    input.parentElement.classList.add('autocomplete');
+    input.dataset.autocomplete = 'on';
+    input.removeAttribute('list');
+    input.setAttribute('autocomplete', 'off');
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-expanded', 'false');
+    input.setAttribute('aria-controls', list.id);
+
+    const combo = { input: input, list: list, status: status, suggestions: [], activeIndex: -1 };
+
+    input.addEventListener('input', () => {
+      this.update(combo);
+    });
+
+    input.addEventListener('keydown', event => {
+      const isOpen = input.getAttribute('aria-expanded') === 'true';
+
+      if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+        event.preventDefault();
+
+        if (!isOpen) {
+          this.update(combo);
+          if (combo.suggestions.length && event.key === 'ArrowUp') {
+            this.highlight(combo, combo.suggestions.length - 1);
+          }
+          return;
+        }
+
+        // Percorre a lista em círculo
+        const step = event.key === 'ArrowDown' ? 1 : -1;
+        const total = combo.suggestions.length;
+        this.highlight(combo, (combo.activeIndex + step + total) % total);
+      } else if (event.key === 'Enter' && isOpen && combo.activeIndex >= 0) {
+        event.preventDefault();
+        this.select(combo, combo.activeIndex);
+      } else if (event.key === 'Tab' && isOpen && combo.activeIndex >= 0) {
+        this.select(combo, combo.activeIndex);
+      } else if (event.key === 'Escape' && isOpen) {
+        event.preventDefault();
+        this.close(combo);
+      }
+    });
+
+    input.addEventListener('blur', () => {
+      this.close(combo);
+    });
+
+    // mousedown sem ação padrão: o campo não perde o foco antes do clique
+    list.addEventListener('mousedown', event => {
+      event.preventDefault();
+    });
+
+    list.addEventListener('click', event => {
+      const option = event.target.closest('[role="option"]');
+      if (option) {
+        this.select(combo, Number(option.dataset.index));
+      }
+    });
+  },
+
+  /**
+   * update(combo) - Busca e mostra as sugestões do texto digitado
+   * Sem texto ou sem resultados, a lista fica fechada (e a região aria-live
+   * avisa quando nenhuma cidade foi encontrada ou a base ainda está carregando)
+   *
+   * @param {Object} combo - Estado do campo (ver ESTRUTURA DO COMBO)
+   */
+  update: function(combo) {
+    const text = combo.input.value.trim();
+    const results = text ? RoutesDB.searchCities(text, this.MAX_SUGGESTIONS) : [];
+    const groups = this.groupSuggestions(results);
+
+    // A ordem de navegação segue a ordem exibida (grupo a grupo)
+    combo.suggestions = groups.reduce((all, group) => all.concat(group.items), []);
+    combo.activeIndex = -1;
+    combo.input.removeAttribute('aria-activedescendant');
+
+    if (!combo.suggestions.length) {
+      this.close(combo);
+      if (text) {
+        combo.status.textContent = I18n.t(RoutesDB.status === 'loading' ? 'autocomplete.loading' : 'autocomplete.none');
+      } else {
+        combo.status.textContent = '';
+      }
+      return;
+    }
+
+    combo.list.setAttribute('aria-label', I18n.t('autocomplete.label'));
+    combo.list.innerHTML = this.renderGroups(combo.list.id, groups);
+    combo.list.classList.remove('hidden');
+    combo.input.setAttribute('aria-expanded', 'true');
+    combo.status.textContent = I18n.t('autocomplete.count', { count: combo.suggestions.length });
+  },
+
+  /**
+   * groupSuggestions(results) - Agrupa as sugestões por estado
+   * Os grupos ficam na ordem da melhor sugestão de cada um, e as sugestões
+   * mantêm a ordem de relevância dentro do grupo
+   *
+   * EXEMPLO:
+   * - "sao" => [{state: 'MA', items: [São Luís]}, {state: 'SP', items: [São Paulo]}]
+   *
+   * @param {Array<Object>} results - Resultado de RoutesDB.searchCities()
+   * @returns {Array<Object>} Grupos {state, items}
+   */
+  groupSuggestions: function(results) {
+    const groups = [];
+
+    results.forEach(result => {
+      let group = groups.find(item => item.state === result.state);
+
+      if (!group) {
+        group = { state: result.state, items: [] };
+        groups.push(group);
+      }
+
+      group.items.push(result);
+    });
+
+    return groups;
+  },
+
+  /**
+   * renderGroups(listId, groups) - Gera o HTML dos grupos e das opções
+   * Cada opção guarda em data-index sua posição na ordem de navegação
+   *
+   * @param {string} listId - Id da lista (base dos ids dos grupos e opções)
+   * @param {Array<Object>} groups - Grupos de groupSuggestions()
+   * @returns {string} HTML com um role="group" por estado
+   */
+  renderGroups: function(listId, groups) {
+    let index = 0;
+
+    return groups.map((group, groupIndex) => {
+      const labelId = `${listId}-group-${groupIndex}`;
+      const options = group.items.map(item => {
+        const html = `<div id="${listId}-option-${index}" class="autocomplete__option" role="option" aria-selected="false" data-index="${index}">${item.name}</div>`;
+        index++;
+        return html;
+      }).join('');
+
+      return `
+        <div class="autocomplete__group" role="group" aria-labelledby="${labelId}">
+          <div id="${labelId}" class="autocomplete__group-label" role="presentation">${this.getGroupLabel(group.state)}</div>
+          ${options}
+        </div>`;
+    }).join('');
+  },
+
+  /**
+   * getGroupLabel(state) - Rótulo de um grupo de sugestões
+   *
+   * @param {string|null} state - Sigla do estado (ex: 'SP')
+   * @returns {string} Ex: "São Paulo (SP) · Sudeste" (en: "São Paulo (SP) · Southeast")
+   */
+  getGroupLabel: function(state) {
+    const stateData = state ? RoutesDB.states[state] : null;
+
+    if (!stateData) {
+      return I18n.t('autocomplete.otherGroup');
+    }
+
+    const region = I18n.translateLabel(`regions.${stateData.region}`, RoutesDB.regions[stateData.region]);
+    return `${stateData.name} (${state}) · ${region}`;
+  },
+
+  /**
+   * highlight(combo, index) - Destaca uma sugestão e a anuncia pelo aria-activedescendant
+   *
+   * @param {Object} combo - Estado do campo
+   * @param {number} index - Índice da sugestão na ordem de navegação
+   */
+  highlight: function(combo, index) {
+    combo.activeIndex = index;
+
+    combo.list.querySelectorAll('[role="option"]').forEach(option => {
+      const active = Number(option.dataset.index) === index;
+      option.setAttribute('aria-selected', active ? 'true' : 'false');
+      option.classList.toggle('autocomplete__option--active', active);
+
+      if (active) {
+        combo.input.setAttribute('aria-activedescendant', option.id);
+        // Manter a opção visível quando a lista tem rolagem
+        if (option.scrollIntoView) {
+          option.scrollIntoView({ block: 'nearest' });
+        }
+      }
+    });
+  },
+
+  /**
+   * select(combo, index) - Preenche o campo com a sugestão escolhida
+   * Fecha a lista e dispara 'change' no campo (com bubbles, para os ouvintes do formulário)
+   *
+   * @param {Object} combo - Estado do campo
+   * @param {number} index - Índice da sugestão escolhida
+   */
+  select: function(combo, index) {
+    const suggestion = combo.suggestions[index];
+
+    if (!suggestion) {
+      return;
+    }
+
+    combo.input.value = suggestion.name;
+    this.close(combo);
+    combo.status.textContent = '';
+    combo.input.dispatchEvent(new Event('change', { bubbles: true }));
+  },
+
+  /**
+   * close(combo) - Fecha a lista de sugestões de um campo
+   *
+   * @param {Object} combo - Estado do campo
+   */
+  close: function(combo) {
+    combo.list.classList.add('hidden');
+    combo.input.setAttribute('aria-expanded', 'false');
+    combo.input.removeAttribute('aria-activedescendant');
+    combo.activeIndex = -1;
+  },
+
+  /**
+   * closeAll() - Fecha todas as listas abertas (ex: ao trocar o idioma)
+   */
+  closeAll: function() {
+    document.querySelectorAll('[role="combobox"][aria-expanded="true"]').forEach(input => {
+      const list = document.getElementById(input.getAttribute('aria-controls'));
+
+      if (list) {
+        list.classList.add('hidden');
+      }
+      input.setAttribute('aria-expanded', 'false');
+      input.removeAttribute('aria-activedescendant');
+    });
+  }
+};
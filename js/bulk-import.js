@@ -0,0 +1,381 @@
+/**
+ * bulk-import.js - Importação de Viagens em Lote (CSV)
+ *
+ * DESCRIÇÃO GERAL:
+ * Define um objeto global chamado BulkImport que lê um arquivo CSV com várias
+ * viagens (ex: planilha mensal do departamento de viagens), resolve as
+ * distâncias pelo RoutesDB, calcula a emissão de cada linha com o Calculator
+ * e consolida os totais por modo, créditos e preço estimado.
+ *
+ * ESTRUTURA DO BulkImport:
+ * {
+ *   COLUMN_ALIASES: Object        - Nomes aceitos para cada coluna do CSV
+ *   parseCSV(): Function          - Converte texto CSV em matriz de células
+ *   parseTrips(): Function        - Converte o CSV em viagens {origin, destination, mode, variant, passengers, distance}
+ *   resolveMode(): Function       - Reconhece o modo pela chave ou pelo nome em português
+ *   resolveVariant(): Function    - Reconhece o combustível/porte pela chave ou pelo nome
+ *   parseNumber(): Function       - Lê números com vírgula ou ponto decimal (e pontos de milhar)
+ *   calculateBatch(): Function    - Calcula todas as viagens e consolida os totais
+ * }
+ *
+ * FORMATO DO CSV DE ENTRADA:
+ * - Primeira linha com cabeçalho; separador vírgula ou ponto-e-vírgula (detectado)
+ * - Colunas obrigatórias: origem, destino, modo
+ * - Colunas opcionais:
+ *   distancia_km (se vazia, a distância vem do RoutesDB)
+ *   variante (combustível/porte; se vazia, a variante padrão do modo, ex: carro a gasolina)
+ *   passageiros (se vazia, 1 passageiro; no carro/moto o grupo divide o veículo)
+ * - O modo pode ser a chave ('car', 'bus') ou o nome ('Carro', 'Ônibus');
+ *   a variante também ('ethanol' ou 'Etanol hidratado')
+ *
+ * EXEMPLO:
+ *   origem;destino;modo;variante;passageiros;distancia_km
+ *   São Paulo, SP;Rio de Janeiro, RJ;Ônibus;;;
+ *   Campinas, SP;Brasília, DF;plane;business;2;
+ *   Sede;Cliente X;car;ethanol;3;42,5
+ */
+
+const BulkImport = {
+  /**
+   * Nomes de cabeçalho aceitos para cada coluna (comparação sem maiúsculas/acentos)
+   */
+  COLUMN_ALIASES: {
+    origin: ['origem', 'origin'],
+    destination: ['destino', 'destination'],
+    mode: ['modo', 'mode', 'transporte'],
+    distance: ['distancia_km', 'distancia', 'distance', 'distance_km', 'km'],
+    variant: ['variante', 'variant', 'combustivel', 'fuel', 'porte'],
+    passengers: ['passageiros', 'passengers', 'pessoas']
+  },
+
+  /**
+   * parseCSV(text) - Converte texto CSV em matriz de células (RFC 4180)
+   *
+   * LÓGICA:
+   * 1. Detecta o separador pela primeira linha (';' se houver, senão ',')
+   * 2. Percorre o texto caractere a caractere respeitando campos entre aspas
+   * 3. Ignora linhas totalmente vazias
+   *
+   * @param {string} text - Conteúdo do arquivo CSV
+   * @returns {Array<Array<string>>} Linhas com as células de cada coluna
+   */
+  parseCSV: function(text) {
+    // Remover BOM UTF-8 (planilhas exportadas pelo Excel)
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/)[0] || '';
+    const delimiter = firstLine.includes(';') ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+      const char = content[i];
+
+      if (inQuotes) {
+        if (char === '"' && content[i + 1] === '"') {
+          // Aspas duplicadas dentro de campo entre aspas
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(cell);
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        // Fim de linha (trata \r\n como uma única quebra)
+        if (char === '\r' && content[i + 1] === '\n') {
+          i++;
+        }
+        row.push(cell);
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    // Última linha sem quebra no final do arquivo
+    if (cell !== '' || row.length > 0) {
+      row.push(cell);
+      rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+  },
+
+  /**
+   * parseTrips(text) - Converte o conteúdo CSV em lista de viagens
+   *
+   * @param {string} text - Conteúdo do arquivo CSV
+   * @returns {Object} Objeto com {trips: Array<{line, origin, destination, modeInput, mode, variantInput, variant,
+   *                   passengersInput, passengers, distanceInput, distance}>, error}
+   *                   (distance é NaN quando o texto da coluna é inválido ou ambíguo, ver parseNumber;
+   *                   variant é null quando o texto não corresponde a uma variante do modo)
+   *                   (error é uma mensagem no idioma em uso quando o cabeçalho é inválido)
+   */
+  parseTrips: function(text) {
+    const rows = this.parseCSV(text);
+
+    if (rows.length < 2) {
+      return { trips: [], error: I18n.t('bulk.noTrips') };
+    }
+
+    // Localizar as colunas pelo cabeçalho
+    const header = rows[0].map(name => this.normalize(name));
+    const columnIndex = {};
+    Object.keys(this.COLUMN_ALIASES).forEach(column => {
+      columnIndex[column] = header.findIndex(name => this.COLUMN_ALIASES[column].includes(name));
+    });
+
+    const missing = ['origin', 'destination', 'mode'].filter(column => columnIndex[column] === -1);
+    if (missing.length > 0) {
+      const names = missing.map(column => this.COLUMN_ALIASES[column][0]).join(', ');
+      return { trips: [], error: I18n.t('bulk.missingColumns', { columns: names }) };
+    }
+
+    const cellAt = (cells, column) => columnIndex[column] === -1 ? '' : (cells[columnIndex[column]] || '').trim();
+
+    const trips = rows.slice(1).map((cells, index) => {
+      const modeInput = cellAt(cells, 'mode');
+      const mode = this.resolveMode(modeInput);
+      const variantInput = cellAt(cells, 'variant');
+      const passengersInput = cellAt(cells, 'passengers');
+      const distanceInput = cellAt(cells, 'distance');
+
+      return {
+        line: index + 2,                             // Linha no arquivo (cabeçalho é a linha 1)
+        origin: cellAt(cells, 'origin'),
+        destination: cellAt(cells, 'destination'),
+        modeInput: modeInput,
+        mode: mode,
+        variantInput: variantInput,
+        variant: this.resolveVariant(mode, variantInput),
+        passengersInput: passengersInput,
+        passengers: passengersInput ? this.parseNumber(passengersInput) : 1,
+        distanceInput: distanceInput,
+        distance: this.parseNumber(distanceInput)
+      };
+    });
+
+    return { trips: trips, error: null };
+  },
+
+  /**
+   * resolveMode(value) - Reconhece o modo de transporte pela chave ou pelo nome
+   *
+   * EXEMPLO:
+   * - resolveMode('bus') => 'bus'
+   * - resolveMode('Ônibus') => 'bus'
+   * - resolveMode('patinete') => null
+   *
+   * @param {string} value - Texto da coluna modo
+   * @returns {string|null} Chave do modo em CONFIG.TRANSPORT_MODES ou null
+   */
+  resolveMode: function(value) {
+    const normalized = this.normalize(value);
+
+    const mode = Object.keys(CONFIG.TRANSPORT_MODES).find(key =>
+      key === normalized || this.normalize(CONFIG.TRANSPORT_MODES[key].label) === normalized
+    );
+
+    return mode || null;
+  },
+
+  /**
+   * resolveVariant(mode, value) - Reconhece o combustível/porte pela chave ou pelo nome
+   *
+   * EXEMPLO:
+   * - resolveVariant('car', 'ethanol') => 'ethanol'
+   * - resolveVariant('car', 'Etanol hidratado') => 'ethanol'
+   * - resolveVariant('car', '') => 'gasoline' (variante padrão do modo)
+   * - resolveVariant('bike', '') => null (modo sem variantes)
+   * - resolveVariant('car', 'querosene') => null
+   *
+   * @param {string|null} mode - Modo já reconhecido por resolveMode()
+   * @param {string} value - Texto da coluna variante (vazio usa a variante padrão)
+   * @returns {string|null} Chave em CONFIG.VEHICLE_VARIANTS[mode].options ou null
+   */
+  resolveVariant: function(mode, value) {
+    const variants = mode ? CONFIG.VEHICLE_VARIANTS[mode] : null;
+
+    if (!variants) {
+      return null;
+    }
+
+    const normalized = this.normalize(value);
+    if (!normalized) {
+      return variants.default;
+    }
+
+    // Nome em português ou no idioma em uso (ex: "Hydrous ethanol")
+    const variant = Object.keys(variants.options).find(key =>
+      key === normalized ||
+      this.normalize(variants.options[key].label) === normalized ||
+      this.normalize(I18n.translateLabel(`variants.${mode}.${key}`, variants.options[key].label)) === normalized
+    );
+
+    return variant || null;
+  },
+
+  /**
+   * parseNumber(value) - Lê um número com vírgula ou ponto decimal
+   *
+   * LÓGICA:
+   * 1. Com vírgula, ela é o separador decimal e os pontos são de milhar
+   *    ("1.234,5" => 1234.5; "42,5" => 42.5)
+   * 2. Sem vírgula, vários pontos são de milhar ("1.234.567" => 1234567) e um
+   *    ponto é decimal ("42.5" => 42.5)
+   * 3. Um único ponto seguido de exatamente 3 dígitos ("1.015") é ambíguo:
+   *    pode ser 1015 (pt-BR) ou 1,015 (internacional), então é recusado
+   * 4. Qualquer outro texto ("abc", "1,2,3") é recusado
+   *
+   * @param {string} value - Texto da célula (ex: "42,5", "42.5" ou "1.234,5")
+   * @returns {number|null} Número lido, null se vazio, NaN se inválido ou ambíguo
+   */
+  parseNumber: function(value) {
+    const text = String(value || '').replace(/\s/g, '');
+
+    if (!text) {
+      return null;
+    }
+
+    // Vírgula decimal, com ou sem pontos de milhar em grupos de 3
+    if (/^-?\d{1,3}(\.\d{3})+(,\d+)?$|^-?\d+,\d+$/.test(text)) {
+      if (/^-?\d{1,3}\.\d{3}$/.test(text)) {
+        return NaN;
+      }
+      return parseFloat(text.replace(/\./g, '').replace(',', '.'));
+    }
+
+    // Ponto decimal (ou número inteiro)
+    if (/^-?\d+(\.\d+)?$|^-?\.\d+$/.test(text)) {
+      return parseFloat(text);
+    }
+
+    return NaN;
+  },
+
+  /**
+   * normalize(text) - Minúsculas, sem acentos e sem espaços nas pontas
+   *
+   * @param {string} text - Texto a normalizar
+   * @returns {string} Texto normalizado (ex: "Ônibus" => "onibus")
+   */
+  normalize: function(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+  },
+
+  /**
+   * calculateBatch(trips) - Calcula a emissão de todas as viagens importadas
+   *
+   * LÓGICA:
+   * 1. Para cada viagem, valida origem, destino, modo, variante e passageiros
+   * 2. Usa a distância informada ou resolve com RoutesDB.findDistance()
+   * 3. Linhas sem rota ou com dados inválidos (inclusive distância ambígua,
+   *    ex: "1.015") são marcadas com status 'error';
+   *    error guarda a chave da mensagem (I18n) e errorParams os seus valores,
+   *    para o resumo ser exibido no idioma em uso
+   * 4. Calcula a emissão do grupo com Calculator.calculatePassengerEmission(),
+   *    com a variante e os passageiros da linha (padrão: variante do modo e 1 passageiro)
+   * 5. Consolida totais por modo e converte o total em créditos e preço
+   *
+   * @param {Array<Object>} trips - Viagens de parseTrips()
+   * @returns {Object} Objeto com: {rows, totalsByMode, validCount, errorCount, totalDistance,
+   *                   totalEmission, credits, price, factorDataset}
+   */
+  calculateBatch: function(trips) {
+    const totalsByMode = {};
+    let totalDistance = 0;
+    let totalEmission = 0;
+    let errorCount = 0;
+
+    const rows = trips.map(trip => {
+      const row = Object.assign({}, trip, { distanceSource: null, emission: null, status: 'ok', error: null, errorParams: null });
+
+      // Validar campos obrigatórios
+      if (!trip.origin || !trip.destination) {
+        row.error = 'bulk.emptyCity';
+      } else if (!trip.mode) {
+        row.error = 'bulk.unknownMode';
+        row.errorParams = { mode: trip.modeInput };
+      } else if (trip.variantInput && !trip.variant) {
+        row.error = 'bulk.unknownVariant';
+        row.errorParams = { variant: trip.variantInput };
+      } else if (!Number.isInteger(trip.passengers) || trip.passengers < 1) {
+        row.error = 'bulk.passengersInvalid';
+        row.errorParams = { value: trip.passengersInput };
+      } else if (Number.isNaN(trip.distance)) {
+        row.error = 'bulk.distanceInvalid';
+        row.errorParams = { value: trip.distanceInput };
+        row.distance = null;
+      } else if (trip.distance !== null && trip.distance <= 0) {
+        row.error = 'bulk.distancePositive';
+      }
+
+      // Resolver distância pelo RoutesDB quando não informada
+      if (!row.error) {
+        if (trip.distance !== null) {
+          row.distanceSource = 'manual';
+        } else {
+          row.distance = RoutesDB.findDistance(trip.origin, trip.destination, trip.mode);
+          row.distanceSource = 'routes';
+
+          if (row.distance === null) {
+            row.error = 'bulk.routeNotFound';
+          }
+        }
+      }
+
+      if (row.error) {
+        row.status = 'error';
+        errorCount++;
+        return row;
+      }
+
+      // Calcular emissão e acumular totais
+      row.emission = Calculator.calculatePassengerEmission(row.distance, row.mode, row.passengers, row.variant).emission;
+
+      if (!totalsByMode[row.mode]) {
+        totalsByMode[row.mode] = { trips: 0, distance: 0, emission: 0 };
+      }
+      totalsByMode[row.mode].trips++;
+      totalsByMode[row.mode].distance += row.distance;
+      totalsByMode[row.mode].emission += row.emission;
+
+      totalDistance += row.distance;
+      totalEmission += row.emission;
+
+      return row;
+    });
+
+    // Arredondar totais por modo para 2 casas decimais
+    Object.keys(totalsByMode).forEach(mode => {
+      totalsByMode[mode].distance = Math.round(totalsByMode[mode].distance * 100) / 100;
+      totalsByMode[mode].emission = Math.round(totalsByMode[mode].emission * 100) / 100;
+    });
+
+    totalEmission = Math.round(totalEmission * 100) / 100;
+    const credits = Calculator.calculateCarbonCredits(totalEmission);
+    const validRows = rows.filter(row => row.status === 'ok');
+
+    return {
+      rows: rows,                                           // Linhas calculadas ou com erro
+      totalsByMode: totalsByMode,                           // {modo: {trips, distance, emission}}
+      validCount: rows.length - errorCount,                 // Linhas calculadas
+      errorCount: errorCount,                               // Linhas com erro
+      totalDistance: Math.round(totalDistance * 100) / 100, // Distância total em km
+      totalEmission: totalEmission,                         // Emissão total em kg CO2e
+      credits: credits,                                     // Créditos de carbono do total
+      price: Calculator.estimateCreditPrice(credits),       // Preço estimado {min, max, average}
+      factorDataset: EmissionFactors.describe(validRows)    // Base de fatores usada
+    };
+  }
+};
@@ -6,11 +6,24 @@
  * relacionados a emissões de CO2, créditos de carbono e comparações entre
  * diferentes modos de transporte.
  * 
+ * Todas as emissões ("emission") estão em kg CO2e: CO2, CH4 e N2O somados
+ * com o GWP escolhido (ver EmissionFactors.toCO2e e CONFIG.GWP_SETS).
+ * 
  * ESTRUTURA DO CALCULATOR:
  * {
+ *   getEmissionFactor(): Function         - Obtém o fator de um modo/variante
  *   calculateEmission(): Function         - Calcula emissão para um modo
+ *   calculateGasEmissions(): Function     - Emissão separada de CO2, CH4 e N2O
+ *   calculateFlightEmission(): Function   - Modelo de voos (faixa de distância, pouso/decolagem, classe, forçamento radiativo)
+ *   calculatePassengerEmission(): Function - Divide a emissão entre os passageiros
+ *   calculateItinerary(): Function        - Calcula emissão por trecho e total
+ *   calculateRecurrence(): Function       - Totais por viagem, mensal e anual (ida e volta / recorrente)
+ *   calculateRouteEmission(): Function    - Viagem inteira em um modo, trecho a trecho (comparação)
+ *   calculateBaselineEmission(): Function - Emissão da referência de comparação (modo ou valor personalizado)
  *   calculateAllModes(): Function         - Calcula emissão para todos os modos
- *   calculateSavings(): Function          - Calcula economia vs baseline
+ *   calculateFreightEmission(): Function  - Emissão de uma carga por tonelada-km
+ *   calculateAllFreightModes(): Function  - Mesma carga em todos os modais de frete
+ *   calculateSavings(): Function          - Calcula economia vs referência
  *   calculateCarbonCredits(): Function    - Converte kg em créditos de carbono
  *   estimateCreditPrice(): Function       - Estima preço dos créditos
  * }
@@ -25,38 +38,62 @@
 
 const Calculator = {
   /**
-   * calculateEmission(distanceKm, transportMode) - Calcula emissão de CO2
+   * getEmissionFactor(transportMode, variant) - Obtém o fator de emissão (kg CO2e/km)
    * 
    * LÓGICA:
-   * 1. Obtém o fator de emissão do CONFIG baseado no modo de transporte
+   * 1. Se o modo tem variantes (CONFIG.VEHICLE_VARIANTS) e a variante existe,
+   *    retorna o fator da variante (ex: carro a etanol)
+   * 2. Caso contrário, retorna o fator padrão do modo
+   * Os fatores vêm da base escolhida pelo usuário (EmissionFactors.getActive()),
+   * com CO2, CH4 e N2O somados em CO2e pelo GWP escolhido
+   * 
+   * @param {string} transportMode - Modo de transporte (ex: 'car')
+   * @param {string} variant - Combustível/porte do veículo (opcional, ex: 'ethanol')
+   * @returns {number|undefined} Fator de emissão, ou undefined se o modo não existe
+   */
+  getEmissionFactor: function(transportMode, variant) {
+    return EmissionFactors.getFactor(transportMode, variant);
+  },
+
+  /**
+   * calculateEmission(distanceKm, transportMode, variant) - Calcula emissão em CO2e
+   * 
+   * LÓGICA:
+   * 1. Obtém o fator de emissão com getEmissionFactor() (variante ou padrão do modo)
    * 2. Multiplica a distância pelo fator de emissão
    * 3. Arredonda o resultado para 2 casas decimais
    * 
    * EXEMPLO:
    * - Distância: 100 km
    * - Modo: 'car' (fator: 0.12)
-   * - Cálculo: 100 * 0.12 = 12 kg CO2
+   * - Cálculo: 100 * 0.12 = 12 kg CO2e
    * 
    * @param {number} distanceKm - Distância da viagem em quilômetros
-   * @param {string} transportMode - Modo de transporte ('bicycle', 'car', 'bus', 'truck')
-   * @returns {number} Emissão de CO2 em quilogramas, arredondado a 2 decimais
+   * @param {string} transportMode - Modo de transporte (chave de CONFIG.TRANSPORT_MODES, ex: 'car', 'train')
+   * @param {string} variant - Combustível/porte do veículo (opcional, ex: 'ethanol')
+   * @returns {number} Emissão em kg CO2e, arredondado a 2 decimais
    */
-  calculateEmission: function(distanceKm, transportMode) {
+  calculateEmission: function(distanceKm, transportMode, variant) {
     // Validar entrada
     if (distanceKm < 0 || !transportMode) {
       console.warn('Entrada inválida para calculateEmission');
       return 0;
     }
 
-    // Obter fator de emissão do CONFIG para o modo selecionado
-    const emissionFactor = CONFIG.EMISSION_FACTORS[transportMode];
+    // Obter fator de emissão do CONFIG para o modo (e variante) selecionado
+    const emissionFactor = this.getEmissionFactor(transportMode, variant);
 
     // Validar se o modo de transporte existe nas configurações
     if (emissionFactor === undefined) {
-      console.warn(`Modo de transporte "${transportMode}" não encontrado em CONFIG.EMISSION_FACTORS`);
+      console.warn(`Modo de transporte "${transportMode}" não encontrado na base de fatores "${EmissionFactors.activeId}"`);
       return 0;
     }
 
+    // Avião: modelo próprio com faixas de distância, pouso/decolagem e classe da cabine
+    if (transportMode === 'plane') {
+      return this.calculateFlightEmission(distanceKm, variant).emission;
+    }
+
     // Calcular emissão: distância * fator
     const emission = distanceKm * emissionFactor;
 
@@ -65,58 +102,487 @@ const Calculator = {
   },
 
   /**
-   * calculateAllModes(distanceKm) - Calcula emissão para todos os modos de transporte
+   * calculateGasEmissions(distanceKm, transportMode, variant) - Emissão separada por gás
    * 
    * LÓGICA:
-   * 1. Cria array para armazenar resultados
-   * 2. Itera sobre cada modo em CONFIG.EMISSION_FACTORS
+   * 1. Obtém os fatores por gás da base em uso (EmissionFactors.getGasFactors)
+   * 2. Multiplica cada fator pela distância
+   * 3. Soma os gases em CO2e com o GWP em uso
+   * 
+   * EXEMPLO (100 km, fatores { co2: 0.162, ch4: 0.000023, n2o: 0.000005 }, AR5):
+   * - CO2: 16.2 kg, CH4: 0.0023 kg, N2O: 0.0005 kg
+   * - CO2e: 16.2 + 0.0023 × 28 + 0.0005 × 265 = 16.40 kg
+   * 
+   * @param {number} distanceKm - Distância da viagem em quilômetros
+   * @param {string} transportMode - Modo de transporte
+   * @param {string} variant - Combustível/porte do veículo (opcional)
+   * @returns {Object} Objeto com: {co2, ch4, n2o, rf, co2e} em kg (gases com 6 casas decimais;
+   *                   rf é o acréscimo de forçamento radiativo em kg CO2e, só em voos)
+   */
+  calculateGasEmissions: function(distanceKm, transportMode, variant) {
+    const factors = EmissionFactors.getGasFactors(transportMode, variant);
+
+    if (distanceKm < 0 || factors === undefined) {
+      console.warn('Entrada inválida para calculateGasEmissions');
+      return { co2: 0, ch4: 0, n2o: 0, rf: 0, co2e: 0 };
+    }
+
+    if (transportMode === 'plane') {
+      return this.calculateFlightEmission(distanceKm, variant).gases;
+    }
+
+    const gases = {
+      co2: distanceKm * factors.co2,
+      ch4: distanceKm * factors.ch4,
+      n2o: distanceKm * factors.n2o,
+      rf: 0
+    };
+
+    return this.roundGases(Object.assign(gases, { co2e: EmissionFactors.toCO2e(gases) }));
+  },
+
+  /**
+   * calculateFlightEmission(distanceKm, cabinClass) - Emissão de um voo por passageiro
+   * 
+   * LÓGICA (parâmetros em CONFIG.AVIATION):
+   * 1. Escolhe a faixa de distância (curta, média ou longa) pelo tamanho do voo
+   * 2. Distância equivalente = soma dos km dentro de cada faixa × multiplicador da faixa
+   *    + pouso e decolagem (LTO_KM); cada multiplicador vale só para o trecho dentro
+   *    da sua faixa, então um voo mais longo nunca emite menos que um mais curto
+   * 3. Gases = fatores do avião na base em uso × distância equivalente × multiplicador da classe
+   * 4. Soma os gases em CO2e com o GWP em uso
+   * 5. Com forçamento radiativo ligado, acrescenta (multiplicador - 1) × CO2e
+   * 
+   * EXEMPLO (fator 0.20, classe econômica, sem forçamento radiativo):
+   * - 300 km (curta): (300 × 1.0 + 125) × 0.20 = 85 kg (0.28 kg/km)
+   * - 1501 km (média): (1500 × 1.0 + 1 × 0.85 + 125) × 0.20 = 325.17 kg
+   * - 6000 km (longa): (1500 × 1.0 + 2500 × 0.85 + 2000 × 0.8 + 125) × 0.20 = 1070 kg (0.18 kg/km)
+   * - 6000 km em executiva com forçamento radiativo: 1070 × 2.9 × 1.9 = 5895.7 kg
+   * 
+   * @param {number} distanceKm - Distância do voo em quilômetros
+   * @param {string} cabinClass - Classe da cabine (chave de CONFIG.AVIATION.CABIN_CLASSES; padrão: econômica)
+   * @returns {Object} Objeto com: {band, bandLabel, bandMultiplier, ltoKm, equivalentKm, cabinClass,
+   *                   cabinMultiplier, radiativeForcing, gases: {co2, ch4, n2o, rf, co2e}, emission}
+   *                   (valores por passageiro; emission em kg CO2e)
+   */
+  calculateFlightEmission: function(distanceKm, cabinClass) {
+    const aviation = CONFIG.AVIATION;
+    const factors = EmissionFactors.getGasFactors('plane') || { co2: 0, ch4: 0, n2o: 0 };
+    const distance = distanceKm > 0 ? distanceKm : 0;
+
+    // Faixa de distância: a primeira cujo limite comporta o voo
+    const band = aviation.DISTANCE_BANDS.find(item => distance <= item.maxKm);
+
+    // Classe da cabine (classe desconhecida conta como econômica)
+    const cabin = aviation.CABIN_CLASSES[cabinClass] !== undefined ? cabinClass : CONFIG.VEHICLE_VARIANTS.plane.default;
+    const cabinMultiplier = aviation.CABIN_CLASSES[cabin];
+
+    // Cruzeiro: cada faixa aplica o seu multiplicador só aos km dentro dela
+    let cruiseKm = 0;
+    let bandStartKm = 0;
+    aviation.DISTANCE_BANDS.forEach(item => {
+      const kmInBand = Math.min(distance, item.maxKm) - bandStartKm;
+      if (kmInBand > 0) {
+        cruiseKm += kmInBand * item.multiplier;
+      }
+      bandStartKm = item.maxKm;
+    });
+
+    // Pouso e decolagem só existem se houver voo
+    const ltoKm = distance > 0 ? aviation.LTO_KM : 0;
+    const equivalentKm = cruiseKm + ltoKm;
+
+    const gases = {
+      co2: equivalentKm * factors.co2 * cabinMultiplier,
+      ch4: equivalentKm * factors.ch4 * cabinMultiplier,
+      n2o: equivalentKm * factors.n2o * cabinMultiplier
+    };
+
+    // Forçamento radiativo: acréscimo sobre o CO2e dos gases
+    const radiativeForcing = EmissionFactors.getRadiativeForcing();
+    const co2e = EmissionFactors.toCO2e(gases);
+    gases.rf = co2e * (radiativeForcing - 1);
+    gases.co2e = co2e + gases.rf;
+
+    const rounded = this.roundGases(gases);
+
+    return {
+      band: band.id,                                    // 'short', 'medium' ou 'long'
+      bandLabel: band.label,                            // Nome da faixa
+      bandMultiplier: band.multiplier,                  // Multiplicador do cruzeiro nos km dentro da faixa
+      ltoKm: ltoKm,                                     // Pouso e decolagem em km equivalentes
+      equivalentKm: Math.round(equivalentKm * 100) / 100, // Distância equivalente
+      cabinClass: cabin,                                // Classe da cabine
+      cabinMultiplier: cabinMultiplier,                 // Multiplicador da classe
+      radiativeForcing: radiativeForcing,               // Multiplicador de forçamento radiativo (1 se desligado)
+      gases: rounded,                                   // Emissão por gás, por passageiro
+      emission: rounded.co2e                            // Emissão por passageiro em kg CO2e
+    };
+  },
+
+  /**
+   * roundGases(gases, multiplier) - Multiplica e arredonda uma emissão por gás
+   * CO2 e CH4/N2O ficam com 6 casas decimais (CH4 e N2O são frações de grama por km);
+   * forçamento radiativo e CO2e ficam com 2 casas, como as demais emissões
+   * 
+   * @param {Object} gases - Objeto com: {co2, ch4, n2o, rf, co2e} em kg (rf opcional)
+   * @param {number} multiplier - Fator de multiplicação (padrão: 1)
+   * @returns {Object} Objeto com: {co2, ch4, n2o, rf, co2e} multiplicados e arredondados
+   */
+  roundGases: function(gases, multiplier) {
+    const times = multiplier === undefined ? 1 : multiplier;
+    const round6 = value => Math.round(value * times * 1e6) / 1e6;
+
+    return {
+      co2: round6(gases.co2),
+      ch4: round6(gases.ch4),
+      n2o: round6(gases.n2o),
+      rf: Math.round((gases.rf || 0) * times * 100) / 100,
+      co2e: Math.round(gases.co2e * times * 100) / 100
+    };
+  },
+
+  /**
+   * calculatePassengerEmission(distanceKm, transportMode, passengers) - Emissão total e por passageiro
+   * 
+   * LÓGICA (ver CONFIG.OCCUPANCY):
+   * - Modo individual (carro, caminhão, bicicleta): o veículo emite o mesmo
+   *   independentemente de quantas pessoas leva, então a emissão é dividida
+   *   entre os passageiros. Um grupo maior que a capacidade do veículo
+   *   (CONFIG.OCCUPANCY[modo].capacity) viaja em mais veículos:
+   *   veículos = arredondar para cima(passageiros / capacidade)
+   * - Modo coletivo (ônibus, avião, barco): o fator já é por passageiro, então
+   *   a emissão do grupo é o fator multiplicado pelo número de passageiros;
+   *   a emissão do veículo inteiro usa a ocupação média (ou o grupo, se maior)
+   * 
+   * EXEMPLO (100 km, 4 passageiros):
+   * - Carro: veículo 12 kg, total 12 kg, por passageiro 3 kg
+   * - Carro com 7 passageiros: 2 carros, total 24 kg, por passageiro 3.43 kg
+   * - Ônibus: total 35.6 kg (4 * 8.9), por passageiro 8.9 kg, veículo 222.5 kg (25 * 8.9)
+   * 
+   * @param {number} distanceKm - Distância da viagem em quilômetros
+   * @param {string} transportMode - Modo de transporte
+   * @param {number} passengers - Número de passageiros do grupo (padrão: 1)
+   * @param {string} variant - Combustível/porte do veículo (opcional)
+   * @returns {Object} Objeto com: {passengers, vehicles, emission, perPassengerEmission, vehicleEmission, gases} em kg CO2e
+   *                   (vehicles: veículos usados pelo grupo nos modos individuais, 1 nos coletivos;
+   *                   gases: emissão do grupo por gás, ver calculateGasEmissions)
+   */
+  calculatePassengerEmission: function(distanceKm, transportMode, passengers, variant) {
+    // Sem número válido de passageiros, considerar uma pessoa viajando
+    const people = passengers >= 1 ? Math.floor(passengers) : 1;
+
+    // Emissão base do modo (veículo ou passageiro, conforme CONFIG.OCCUPANCY)
+    const baseEmission = this.calculateEmission(distanceKm, transportMode, variant);
+    const occupancy = CONFIG.OCCUPANCY[transportMode] || { default: 1, shared: false };
+
+    const baseGases = this.calculateGasEmissions(distanceKm, transportMode, variant);
+
+    let emission;
+    let vehicleEmission;
+    let vehicles = 1;
+    let gases = baseGases;
+
+    if (occupancy.shared) {
+      // Modo coletivo: cada passageiro responde pelo fator por passageiro
+      emission = baseEmission * people;
+      vehicleEmission = baseEmission * Math.max(people, occupancy.default);
+      gases = this.roundGases(baseGases, people);
+    } else {
+      // Modo individual: cada veículo emite o mesmo, dividido entre os ocupantes;
+      // o grupo ocupa quantos veículos forem necessários
+      vehicles = occupancy.capacity ? Math.ceil(people / occupancy.capacity) : 1;
+      emission = baseEmission * vehicles;
+      vehicleEmission = baseEmission;
+      gases = this.roundGases(baseGases, vehicles);
+    }
+
+    return {
+      passengers: people,                                            // Passageiros considerados
+      vehicles: vehicles,                                            // Veículos usados pelo grupo
+      emission: Math.round(emission * 100) / 100,                    // Emissão total do grupo
+      perPassengerEmission: Math.round(emission / people * 100) / 100, // Emissão por passageiro
+      vehicleEmission: Math.round(vehicleEmission * 100) / 100,      // Emissão do veículo inteiro
+      gases: gases                                                   // Emissão do grupo por gás
+    };
+  },
+
+  /**
+   * calculateItinerary(legs, passengers) - Calcula emissão de um itinerário com vários trechos
+   * 
+   * LÓGICA:
+   * 1. Para cada trecho, calcula a emissão total e por passageiro com calculatePassengerEmission()
+   * 2. Soma distâncias e emissões de todos os trechos
+   * 3. Arredonda os totais para 2 casas decimais
+   * 
+   * EXEMPLO:
+   * - Trecho 1: São Paulo → Brasília, 1015 km de avião (0.20) = 203 kg
+   * - Trecho 2: Brasília → Goiânia, 209 km de ônibus (0.089) = 18.6 kg
+   * - Total: 1224 km, 221.6 kg CO2e
+   * 
+   * @param {Array<Object>} legs - Array de trechos: {origin, destination, distance, mode, variant}
+   * @param {number} passengers - Número de passageiros do grupo (padrão: 1)
+   * @returns {Object} Objeto com: {legs: Array<{origin, destination, distance, mode, variant, emission, perPassengerEmission, gases, flight}>,
+   *                   passengers, totalDistance, totalEmission, totalPerPassengerEmission, totalGases}
+   *                   (flight: premissas do voo por passageiro, de calculateFlightEmission(), apenas em trechos de avião)
+   */
+  calculateItinerary: function(legs, passengers) {
+    // Validar entrada
+    if (!Array.isArray(legs) || legs.length === 0) {
+      console.warn('Itinerário vazio para calculateItinerary');
+      return {
+        legs: [], passengers: 1, totalDistance: 0, totalEmission: 0, totalPerPassengerEmission: 0,
+        totalGases: { co2: 0, ch4: 0, n2o: 0, rf: 0, co2e: 0 }
+      };
+    }
+
+    // Calcular emissão total e por passageiro de cada trecho
+    const legResults = legs.map(leg => {
+      const legEmission = this.calculatePassengerEmission(leg.distance, leg.mode, passengers, leg.variant);
+
+      return {
+        origin: leg.origin,
+        destination: leg.destination,
+        distance: leg.distance,
+        mode: leg.mode,
+        variant: leg.variant || null,
+        emission: legEmission.emission,
+        perPassengerEmission: legEmission.perPassengerEmission,
+        gases: legEmission.gases,
+        flight: leg.mode === 'plane' ? this.calculateFlightEmission(leg.distance, leg.variant) : null
+      };
+    });
+
+    // Somar distâncias e emissões dos trechos
+    const people = passengers >= 1 ? Math.floor(passengers) : 1;
+    const totalDistance = legResults.reduce((sum, leg) => sum + leg.distance, 0);
+    const totalEmission = legResults.reduce((sum, leg) => sum + leg.emission, 0);
+
+    // Somar a emissão por gás dos trechos
+    const totalGases = legResults.reduce((sum, leg) => ({
+      co2: sum.co2 + leg.gases.co2,
+      ch4: sum.ch4 + leg.gases.ch4,
+      n2o: sum.n2o + leg.gases.n2o,
+      rf: sum.rf + leg.gases.rf,
+      co2e: sum.co2e + leg.gases.co2e
+    }), { co2: 0, ch4: 0, n2o: 0, rf: 0, co2e: 0 });
+
+    return {
+      legs: legResults,                                                      // Resultados por trecho
+      passengers: people,                                                    // Passageiros considerados
+      totalDistance: Math.round(totalDistance * 100) / 100,                 // Distância total em km
+      totalEmission: Math.round(totalEmission * 100) / 100,                 // Emissão total em kg CO2e
+      totalPerPassengerEmission: Math.round(totalEmission / people * 100) / 100, // Emissão por passageiro
+      totalGases: this.roundGases(totalGases)                               // Emissão total por gás
+    };
+  },
+
+  /**
+   * calculateRecurrence(trip, recurrence) - Calcula totais por viagem, mensal e anual
+   * 
+   * LÓGICA:
+   * 1. Ida e volta: distância e emissão da viagem (só ida) multiplicadas por 2
+   * 2. Frequência define quantas viagens acontecem por ano:
+   *    - 'once': viagem única (sem totais mensal/anual)
+   *    - 'weekly': dias por semana × número de semanas
+   *    - 'monthly': viagens por mês × 12
+   * 3. Total anual = emissão por viagem × viagens por ano
+   * 4. Total mensal = média do total anual em 12 meses
+   * 
+   * EXEMPLO (São Paulo ↔ Campinas de carro, 95 km, 5 dias/semana por 48 semanas):
+   * - Por viagem (ida e volta): 190 km, 22.8 kg CO2e
+   * - Por ano: 240 viagens, 5472 kg CO2e
+   * - Por mês: 456 kg CO2e
+   * 
+   * @param {Object} trip - Totais da viagem só de ida: {distance, emission, perPassengerEmission, gases}
+   *                        (gases: {co2, ch4, n2o, co2e}, opcional)
+   * @param {Object} recurrence - Objeto com: {roundTrip, frequency, daysPerWeek, weeks, tripsPerMonth}
+   * @returns {Object} Objeto com: {roundTrip, frequency, tripDistance, tripEmission, tripPerPassengerEmission, tripGases,
+   *                   tripsPerYear, yearlyDistance, monthlyEmission, yearlyEmission,
+   *                   monthlyPerPassengerEmission, yearlyPerPassengerEmission}
+   *                   (valores mensais/anuais são null para viagem única)
+   */
+  calculateRecurrence: function(trip, recurrence) {
+    const settings = recurrence || {};
+    const multiplier = settings.roundTrip ? 2 : 1;
+
+    const round = value => Math.round(value * 100) / 100;
+
+    // Viagens por ano conforme a frequência escolhida
+    let tripsPerYear = null;
+    if (settings.frequency === 'weekly') {
+      tripsPerYear = settings.daysPerWeek * settings.weeks;
+    } else if (settings.frequency === 'monthly') {
+      tripsPerYear = settings.tripsPerMonth * 12;
+    }
+
+    if (tripsPerYear !== null && !(tripsPerYear > 0)) {
+      console.warn(`Frequência inválida para calculateRecurrence: ${settings.frequency}`);
+      tripsPerYear = null;
+    }
+
+    // Totais de uma viagem (ida, ou ida e volta)
+    const tripDistance = trip.distance * multiplier;
+    const tripEmission = trip.emission * multiplier;
+    const tripPerPassengerEmission = trip.perPassengerEmission * multiplier;
+
+    const yearlyEmission = tripsPerYear !== null ? tripEmission * tripsPerYear : null;
+    const yearlyPerPassengerEmission = tripsPerYear !== null ? tripPerPassengerEmission * tripsPerYear : null;
+
+    return {
+      roundTrip: Boolean(settings.roundTrip),                                  // Ida e volta
+      frequency: tripsPerYear !== null ? settings.frequency : 'once',          // 'once', 'weekly' ou 'monthly'
+      tripDistance: round(tripDistance),                                       // km por viagem
+      tripEmission: round(tripEmission),                                       // kg CO2e por viagem
+      tripPerPassengerEmission: round(tripPerPassengerEmission),               // kg CO2e por viagem e passageiro
+      tripGases: trip.gases ? this.roundGases(trip.gases, multiplier) : null,  // Emissão por gás por viagem
+      tripsPerYear: tripsPerYear,                                              // Viagens por ano
+      yearlyDistance: tripsPerYear !== null ? round(tripDistance * tripsPerYear) : null,
+      monthlyEmission: yearlyEmission !== null ? round(yearlyEmission / 12) : null,
+      yearlyEmission: yearlyEmission !== null ? round(yearlyEmission) : null,
+      monthlyPerPassengerEmission: yearlyPerPassengerEmission !== null ? round(yearlyPerPassengerEmission / 12) : null,
+      yearlyPerPassengerEmission: yearlyPerPassengerEmission !== null ? round(yearlyPerPassengerEmission) : null
+    };
+  },
+
+  /**
+   * calculateRouteEmission(distances, transportMode, passengers, variant, multiplier) - Emissão
+   * de uma viagem inteira em um único modo, trecho a trecho
+   * 
+   * LÓGICA:
+   * - Cada trecho (só ida) é calculado separadamente com calculatePassengerEmission,
+   *   como em calculateItinerary: no avião, cada voo tem seu pouso/decolagem e suas
+   *   faixas de distância, então 2 voos de 430 km emitem mais que 1 voo de 860 km
+   * - A soma dos trechos é multiplicada por multiplier (2 na ida e volta), como em
+   *   calculateRecurrence
+   * 
+   * EXEMPLO (avião, 1 passageiro, São Paulo ↔ Rio de Janeiro):
+   * - calculateRouteEmission([430], 'plane', 1, undefined, 2) => { emission: 222, perPassengerEmission: 222 }
+   *   (2 voos de 430 km, igual ao resultado da ida e volta; um voo de 860 km daria 197 kg)
+   * 
+   * @param {number|Array<number>} distances - Distância de cada trecho só de ida, em km (ou um número, trecho único)
+   * @param {string} transportMode - Modo de transporte
+   * @param {number} passengers - Número de passageiros do grupo (padrão: 1)
+   * @param {string} variant - Combustível/porte do veículo (opcional)
+   * @param {number} multiplier - Vezes que o percurso é feito por viagem (padrão: 1; 2 na ida e volta)
+   * @returns {Object} Objeto com: {emission, perPassengerEmission} em kg CO2e, arredondados a 2 decimais
+   */
+  calculateRouteEmission: function(distances, transportMode, passengers, variant, multiplier) {
+    const legDistances = Array.isArray(distances) ? distances : [distances];
+    const times = multiplier >= 1 ? multiplier : 1;
+    const people = passengers >= 1 ? Math.floor(passengers) : 1;
+    const round = value => Math.round(value * 100) / 100;
+
+    const emission = legDistances.reduce((sum, distanceKm) => {
+      return sum + this.calculatePassengerEmission(distanceKm, transportMode, passengers, variant).emission;
+    }, 0);
+
+    return {
+      emission: round(round(emission) * times),
+      perPassengerEmission: round(round(emission / people) * times)
+    };
+  },
+
+  /**
+   * calculateBaselineEmission(distanceKm, baseline, passengers, variants) - Emissão da referência de comparação
+   * 
+   * LÓGICA:
+   * - Referência por modo: emissão do grupo naquele modo, trecho a trecho (calculateRouteEmission)
+   * - Referência personalizada ('custom'): distância total × fator informado (kg CO2e/km do grupo),
+   *   ex: média da frota da empresa
+   * 
+   * EXEMPLO (100 km, 1 passageiro):
+   * - { mode: 'car' } => 12 kg
+   * - { mode: 'custom', factor: 0.15 } => 15 kg
+   * 
+   * @param {number|Array<number>} distances - Distância de cada trecho só de ida, em km (ou um número, trecho único)
+   * @param {Object} baseline - Objeto com: {mode, factor} (mode: chave de CONFIG.TRANSPORT_MODES ou 'custom';
+   *                            factor: kg CO2e/km, apenas para 'custom'; padrão: { mode: 'car' })
+   * @param {number} passengers - Número de passageiros do grupo (padrão: 1)
+   * @param {Object} variants - Variante por modo (opcional)
+   * @param {number} multiplier - Vezes que o percurso é feito por viagem (padrão: 1; 2 na ida e volta)
+   * @returns {number} Emissão da referência em kg CO2e, arredondada a 2 decimais
+   */
+  calculateBaselineEmission: function(distances, baseline, passengers, variants, multiplier) {
+    const reference = baseline || { mode: CONFIG.DEFAULT_BASELINE };
+    const selectedVariants = variants || {};
+
+    if (reference.mode === 'custom') {
+      if (!(reference.factor >= 0)) {
+        console.warn('Fator da referência personalizada inválido');
+        return 0;
+      }
+
+      const legDistances = Array.isArray(distances) ? distances : [distances];
+      const distanceKm = legDistances.reduce((sum, km) => sum + km, 0) * (multiplier >= 1 ? multiplier : 1);
+      return Math.round(distanceKm * reference.factor * 100) / 100;
+    }
+
+    return this.calculateRouteEmission(distances, reference.mode, passengers, selectedVariants[reference.mode], multiplier).emission;
+  },
+
+  /**
+   * calculateAllModes(distanceKm, passengers, variants, baseline) - Calcula emissão para todos os modos de transporte
+   * 
+   * LÓGICA:
+   * 1. Calcula a emissão da referência escolhida (calculateBaselineEmission)
+   * 2. Itera sobre cada modo em CONFIG.TRANSPORT_MODES
    * 3. Para cada modo:
-   *    - Calcula a emissão usando calculateEmission()
-   *    - Calcula a emissão do carro como baseline
-   *    - Calcula percentual comparado ao carro: (emissão / emissão_carro) * 100
+   *    - Calcula a emissão do grupo trecho a trecho com calculateRouteEmission()
+   *    - Calcula percentual comparado à referência: (emissão / emissão_referência) * 100
    *    - Adiciona objeto com modo, emissão e percentual ao array
    * 4. Ordena array por emissão (menor primeiro)
    * 5. Retorna array ordenado
    * 
-   * EXEMPLO (distância: 100 km):
+   * EXEMPLO (distância: 100 km, referência: carro):
    * - Bicicleta: 0 kg (0% do carro)
    * - Ônibus: 8.9 kg (74% do carro)
-   * - Carro: 12 kg (100% - baseline)
+   * - Carro: 12 kg (100% - referência)
    * - Caminhão: 96 kg (800% do carro)
    * 
-   * @param {number} distanceKm - Distância da viagem em quilômetros
-   * @returns {Array<Object>} Array de objetos com: {mode, emission, percentageVsCar}
+   * Se a referência não emite (ex: bicicleta ou a pé), os modos continuam
+   * na lista e o percentual fica null (não há base para a proporção).
+   * 
+   * Com passengers informado, compara a emissão do grupo inteiro em cada modo
+   * (ex: 4 pessoas em um carro vs 4 passagens de ônibus) e inclui a emissão
+   * por passageiro de cada modo.
+   * 
+   * Com variants informado (ex: { car: 'ethanol' }), usa o combustível/porte
+   * indicado para aquele modo; os demais usam a variante padrão.
+   * 
+   * Com vários trechos ou ida e volta, cada modo é calculado trecho a trecho e
+   * multiplicado pela ida e volta, como o resultado da viagem; assim a linha
+   * do modo escolhido bate com o resultado também no avião (pouso/decolagem por voo).
+   * 
+   * @param {number|Array<number>} distances - Distância de cada trecho só de ida, em km (ou um número, trecho único)
+   * @param {number} passengers - Número de passageiros do grupo (padrão: 1)
+   * @param {Object} variants - Variante por modo (opcional)
+   * @param {Object} baseline - Referência de comparação: {mode, factor} (padrão: { mode: 'car' })
+   * @param {number} multiplier - Vezes que o percurso é feito por viagem (padrão: 1; 2 na ida e volta)
+   * @returns {Array<Object>} Array de objetos com: {mode, emission, perPassengerEmission, percentageVsBaseline}
    */
-  calculateAllModes: function(distanceKm) {
-    // Array para armazenar resultados de todos os modos
-    const results = [];
-
-    // Calcular emissão do carro como baseline para comparação
-    const carEmission = this.calculateEmission(distanceKm, 'car');
+  calculateAllModes: function(distances, passengers, variants, baseline, multiplier) {
+    const selectedVariants = variants || {};
 
-    // Evitar divisão por zero se a distância for 0
-    if (carEmission === 0) {
-      // Se não há emissão do carro (distância 0), retornar array vazio
-      return results;
-    }
+    // Emissão da referência (modo escolhido ou valor personalizado)
+    const baselineEmission = this.calculateBaselineEmission(distances, baseline, passengers, selectedVariants, multiplier);
 
-    // Iterar sobre cada modo de transporte disponível em CONFIG
-    Object.keys(CONFIG.EMISSION_FACTORS).forEach(mode => {
-      // Calcular emissão para este modo de transporte
-      const emission = this.calculateEmission(distanceKm, mode);
+    // Calcular a emissão de cada modo de transporte disponível em CONFIG
+    const results = Object.keys(CONFIG.TRANSPORT_MODES).map(mode => {
+      const modeEmission = this.calculateRouteEmission(distances, mode, passengers, selectedVariants[mode], multiplier);
+      const emission = modeEmission.emission;
 
-      // Calcular percentual em relação ao carro (baseline = 100%)
-      const percentageVsCar = (emission / carEmission) * 100;
+      // Percentual em relação à referência (referência = 100%); null se a referência não emite
+      const percentageVsBaseline = baselineEmission > 0
+        ? Math.round(emission / baselineEmission * 10000) / 100
+        : null;
 
-      // Criar objeto com os resultados
-      const result = {
-        mode: mode,                           // Nome do modo ('bicycle', 'car', 'bus', 'truck')
-        emission: emission,                   // Emissão em kg CO2
-        percentageVsCar: Math.round(percentageVsCar * 100) / 100  // Percentual vs carro, 2 decimais
+      return {
+        mode: mode,                                               // Nome do modo (chave de CONFIG.TRANSPORT_MODES)
+        emission: emission,                                       // Emissão em kg CO2e (grupo inteiro)
+        perPassengerEmission: modeEmission.perPassengerEmission,  // Emissão por passageiro
+        percentageVsBaseline: percentageVsBaseline                // Percentual vs referência, 2 decimais
       };
-
-      // Adicionar resultado ao array
-      results.push(result);
     });
 
     // Ordenar array por emissão (menor primeiro) para melhor visualização
@@ -125,12 +591,110 @@ const Calculator = {
     return results;
   },
 
+  /**
+   * calculateFreightEmission(distanceKm, cargoTonnes, freightMode, loadFactor) - Emissão de um frete
+   * 
+   * LÓGICA:
+   * 1. Tonelada-km (tkm) = toneladas de carga × distância
+   * 2. Fator por tkm da base em uso (EmissionFactors.getFreightGasFactors), válido
+   *    para a ocupação de referência do modal (CONFIG.FREIGHT_MODES[modal].loadFactor)
+   * 3. Ajuste pela ocupação informada: fator × ocupação de referência / ocupação
+   * 4. Soma os gases em CO2e com o GWP em uso
+   * 
+   * EXEMPLO (12 t por 430 km de caminhão, fator 0.096, ocupação de 40%):
+   * - tkm: 12 × 430 = 5160
+   * - Fator ajustado: 0.096 × 0.6 / 0.4 = 0.144 kg CO2e/tkm
+   * - Emissão: 5160 × 0.144 = 743.04 kg CO2e
+   * 
+   * @param {number} distanceKm - Distância do frete em quilômetros
+   * @param {number} cargoTonnes - Peso da carga em toneladas
+   * @param {string} freightMode - Modal de frete (chave de CONFIG.FREIGHT_MODES)
+   * @param {number} loadFactor - Ocupação da capacidade em peso, de 0 a 1 (opcional; padrão: ocupação de referência)
+   * @returns {Object} Objeto com: {mode, distance, cargoTonnes, tonneKm, loadFactor, referenceLoadFactor,
+   *                   factor, gases: {co2, ch4, n2o, rf, co2e}, emission} (factor em kg CO2e/tkm; emission em kg CO2e)
+   */
+  calculateFreightEmission: function(distanceKm, cargoTonnes, freightMode, loadFactor) {
+    const modeData = CONFIG.FREIGHT_MODES[freightMode];
+    const factors = EmissionFactors.getFreightGasFactors(freightMode);
+
+    // Validar entrada
+    if (!modeData || factors === undefined || distanceKm < 0 || cargoTonnes < 0) {
+      console.warn(`Entrada inválida para calculateFreightEmission (modal "${freightMode}")`);
+      return null;
+    }
+
+    // Ocupação informada, ou a de referência do modal
+    const load = loadFactor > 0 && loadFactor <= 1 ? loadFactor : modeData.loadFactor;
+    const loadAdjustment = modeData.loadFactor / load;
+
+    const tonneKm = cargoTonnes * distanceKm;
+
+    const gases = {
+      co2: tonneKm * factors.co2 * loadAdjustment,
+      ch4: tonneKm * factors.ch4 * loadAdjustment,
+      n2o: tonneKm * factors.n2o * loadAdjustment,
+      rf: 0
+    };
+    gases.co2e = EmissionFactors.toCO2e(gases);
+
+    const rounded = this.roundGases(gases);
+
+    return {
+      mode: freightMode,                                        // Modal de frete
+      distance: distanceKm,                                     // km
+      cargoTonnes: cargoTonnes,                                 // Toneladas de carga
+      tonneKm: Math.round(tonneKm * 100) / 100,                 // Tonelada-km
+      loadFactor: load,                                         // Ocupação usada (0 a 1)
+      referenceLoadFactor: modeData.loadFactor,                 // Ocupação de referência da base
+      factor: Math.round(EmissionFactors.toCO2e(factors) * loadAdjustment * 10000) / 10000, // kg CO2e/tkm
+      gases: rounded,                                           // Emissão por gás
+      emission: rounded.co2e                                    // Emissão total em kg CO2e
+    };
+  },
+
+  /**
+   * calculateAllFreightModes(distanceKm, cargoTonnes, selectedMode, loadFactor) - Mesma carga em todos os modais
+   * 
+   * LÓGICA:
+   * 1. Calcula a emissão da carga em cada modal de CONFIG.FREIGHT_MODES com calculateFreightEmission()
+   * 2. O modal escolhido usa a ocupação informada; os demais, a ocupação de referência
+   * 3. Percentual em relação ao caminhão (baseline = 100%)
+   * 4. Ordena por emissão (menor primeiro)
+   * 
+   * @param {number} distanceKm - Distância do frete em quilômetros (a mesma para todos os modais)
+   * @param {number} cargoTonnes - Peso da carga em toneladas
+   * @param {string} selectedMode - Modal escolhido pelo usuário
+   * @param {number} loadFactor - Ocupação do modal escolhido, de 0 a 1
+   * @returns {Array<Object>} Array de {mode, emission, factor, tonneKm, percentageVsTruck} ordenado por emissão
+   */
+  calculateAllFreightModes: function(distanceKm, cargoTonnes, selectedMode, loadFactor) {
+    const results = Object.keys(CONFIG.FREIGHT_MODES)
+      .map(mode => this.calculateFreightEmission(distanceKm, cargoTonnes, mode, mode === selectedMode ? loadFactor : undefined))
+      .filter(result => result !== null);
+
+    const truck = results.find(result => result.mode === 'truck');
+    const truckEmission = truck ? truck.emission : 0;
+
+    return results
+      .map(result => ({
+        mode: result.mode,                                      // Modal de frete
+        emission: result.emission,                              // kg CO2e
+        factor: result.factor,                                  // kg CO2e/tkm
+        tonneKm: result.tonneKm,                                // Tonelada-km
+        percentageVsTruck: truckEmission > 0                    // Percentual vs caminhão, 2 decimais
+          ? Math.round(result.emission / truckEmission * 10000) / 100
+          : 0
+      }))
+      .sort((a, b) => a.emission - b.emission);
+  },
+
   /**
    * calculateSavings(emission, baselineEmission) - Calcula economia de emissão
    * 
    * LÓGICA:
    * 1. Calcula quantidade economizada: baseline - emission
    * 2. Calcula percentual economizado: (economizado / baseline) * 100
+   *    (null se a referência não emite, ex: bicicleta)
    * 3. Arredonda ambos para 2 casas decimais
    * 4. Retorna objeto com valores
    * 
@@ -140,27 +704,25 @@ const Calculator = {
    * - Economizado: 3.1 kg
    * - Percentual: 25.83%
    * 
-   * @param {number} emission - Emissão de CO2 em kg (modo escolhido)
-   * @param {number} baselineEmission - Emissão baseline em kg (geralmente do carro)
-   * @returns {Object} Objeto com {savedKg, percentage} arredondados a 2 decimais
+   * @param {number} emission - Emissão em kg CO2e (modo escolhido)
+   * @param {number} baselineEmission - Emissão da referência em kg (ver calculateBaselineEmission)
+   * @returns {Object} Objeto com {savedKg, percentage, baselineEmission} arredondados a 2 decimais
+   *                   (percentage é null se a referência não emite)
    */
   calculateSavings: function(emission, baselineEmission) {
-    // Validar entradas
-    if (baselineEmission === 0) {
-      console.warn('Emissão baseline não pode ser zero');
-      return { savedKg: 0, percentage: 0 };
-    }
-
-    // Calcular quantidade de kg economizada
+    // Calcular quantidade de kg economizada (negativa se o modo emite mais que a referência)
     const savedKg = Math.round((baselineEmission - emission) * 100) / 100;
 
-    // Calcular percentual economizado em relação ao baseline
-    const percentage = Math.round((savedKg / baselineEmission) * 10000) / 100;
+    // Calcular percentual economizado em relação à referência
+    const percentage = baselineEmission > 0
+      ? Math.round((savedKg / baselineEmission) * 10000) / 100
+      : null;
 
     // Retornar objeto com os resultados
     return {
-      savedKg: savedKg,          // Quilogramas economizados
-      percentage: percentage      // Percentual economizado
+      savedKg: savedKg,                     // Quilogramas economizados
+      percentage: percentage,               // Percentual economizado
+      baselineEmission: baselineEmission    // Emissão da referência
     };
   },
 
@@ -173,7 +735,7 @@ const Calculator = {
    * 3. Retorna o número de créditos
    * 
    * EXEMPLO:
-   * - Emissão: 1250 kg CO2
+   * - Emissão: 1250 kg CO2e
    * - Configuração: 1000 kg por crédito
    * - Cálculo: 1250 / 1000 = 1.25 créditos
    * 
@@ -181,7 +743,7 @@ const Calculator = {
    * Um crédito de carbono representa o direito de emitir 1 tonelada de CO2 equivalente.
    * Este valor é usado para cálculos de neutralização de carbono.
    * 
-   * @param {number} emissionKg - Emissão de CO2 em quilogramas
+   * @param {number} emissionKg - Emissão em quilogramas de CO2e (CO2 + CH4 + N2O pelo GWP)
    * @returns {number} Número de créditos de carbono, arredondado a 4 decimais
    */
   calculateCarbonCredits: function(emissionKg) {
@@ -202,17 +764,21 @@ const Calculator = {
    * estimateCreditPrice(credits) - Estima preço dos créditos de carbono
    * 
    * LÓGICA:
-   * 1. Calcula preço mínimo: créditos * PRICE_MIN_BRL
-   * 2. Calcula preço máximo: créditos * PRICE_MAX_BRL
-   * 3. Calcula preço médio: (mínimo + máximo) / 2
-   * 4. Arredonda todos para 2 casas decimais
-   * 5. Retorna objeto com os três valores
+   * 1. Obtém a faixa por crédito em uso (CreditPricing.getPriceRange(), em reais):
+   *    perfil de preço escolhido ou faixa personalizada
+   * 2. Converte a faixa para a moeda de exibição (CreditPricing.convert)
+   * 3. Calcula preço mínimo: créditos * preço mínimo
+   * 4. Calcula preço máximo: créditos * preço máximo
+   * 5. Calcula preço médio: (mínimo + máximo) / 2
+   * 6. Arredonda todos para 2 casas decimais
+   * 7. Retorna objeto com os três valores e a moeda
    * 
-   * EXEMPLO:
+   * EXEMPLO (perfil padrão, em reais):
    * - Créditos: 1.25
    * - Preço mín: R$50/crédito => 1.25 * 50 = R$62.50
    * - Preço máx: R$150/crédito => 1.25 * 150 = R$187.50
    * - Preço médio: (62.50 + 187.50) / 2 = R$125.00
+   * - Em dólar com cotação 5,00: US$12.50 a US$37.50 (média US$25.00)
    * 
    * NOTA:
    * Os preços refletem a variação de mercado de créditos de carbono.
@@ -220,29 +786,38 @@ const Calculator = {
    * neutralizar suas emissões no mercado voluntário.
    * 
    * @param {number} credits - Número de créditos de carbono
-   * @returns {Object} Objeto com {min, max, average} em reais, arredondados a 2 decimais
+   * @returns {Object} Objeto com {min, max, average} na moeda em uso, arredondados a 2 decimais,
+   *                   e currency (chave de CONFIG.CARBON_CREDIT.CURRENCIES)
    */
   estimateCreditPrice: function(credits) {
+    const currency = CreditPricing.currency;
+
     // Validar entrada
     if (credits < 0) {
       console.warn('Número de créditos não pode ser negativo');
-      return { min: 0, max: 0, average: 0 };
+      return { min: 0, max: 0, average: 0, currency: currency };
     }
 
-    // Calcular preço mínimo usando PRICE_MIN_BRL
-    const minPrice = Math.round(credits * CONFIG.CARBON_CREDIT.PRICE_MIN_BRL * 100) / 100;
+    // Faixa por crédito em uso, convertida para a moeda de exibição
+    const range = CreditPricing.getPriceRange();
+    const unitMin = CreditPricing.convert(range.min, currency);
+    const unitMax = CreditPricing.convert(range.max, currency);
+
+    // Calcular preço mínimo
+    const minPrice = Math.round(credits * unitMin * 100) / 100;
 
-    // Calcular preço máximo usando PRICE_MAX_BRL
-    const maxPrice = Math.round(credits * CONFIG.CARBON_CREDIT.PRICE_MAX_BRL * 100) / 100;
+    // Calcular preço máximo
+    const maxPrice = Math.round(credits * unitMax * 100) / 100;
 
     // Calcular preço médio entre mínimo e máximo
     const averagePrice = Math.round((minPrice + maxPrice) / 2 * 100) / 100;
 
-    // Retornar objeto com os três valores em reais
+    // Retornar objeto com os três valores na moeda em uso
     return {
-      min: minPrice,        // Preço mínimo em reais
-      max: maxPrice,        // Preço máximo em reais
-      average: averagePrice // Preço médio em reais
+      min: minPrice,        // Preço mínimo
+      max: maxPrice,        // Preço máximo
+      average: averagePrice, // Preço médio
+      currency: currency    // Moeda dos valores (ex: 'BRL')
     };
   }
 };
@@ -0,0 +1,499 @@
+/**
+ * charts.js - Gráficos em SVG (sem bibliotecas externas)
+ *
+ * DESCRIÇÃO GERAL:
+ * Define um objeto global chamado Charts que gera gráficos como strings de
+ * SVG inline, no mesmo padrão de UI (HTML em string inserido pelo js/app.js):
+ * - Barras horizontais: emissão da mesma viagem em cada modo de transporte
+ * - Colunas empilhadas: emissões do histórico por período (dia ou mês), por modo
+ * - Rosca: participação de cada modo no total do histórico
+ *
+ * Os valores chegam em kg e são exibidos na unidade de massa escolhida
+ * (js/units.js); a escala do gráfico não muda, já que a conversão é proporcional.
+ * As cores vêm de CONFIG.TRANSPORT_MODES. Cada gráfico é um <svg role="img">
+ * com <title> e <desc> (o <desc> lista todos os valores em texto, para leitores
+ * de tela) e um <title> em cada barra/fatia, mostrado como dica ao passar o mouse.
+ * Cores e fontes são atributos do próprio SVG, então o arquivo baixado em SVG
+ * ou PNG fica igual ao que aparece na página.
+ *
+ * ESTRUTURA DO Charts:
+ * {
+ *   WIDTH: number                    - Largura do viewBox dos gráficos
+ *   FONT_FAMILY: string              - Fonte dos textos do SVG
+ *   MIXED_COLOR: string              - Cor dos itinerários com modos diferentes
+ *   MAX_PERIODS: number              - Máximo de colunas no gráfico empilhado
+ *   renderModeComparison(): Function - Barras da comparação entre modos
+ *   renderHistoryCharts(): Function  - Colunas empilhadas e rosca do histórico
+ *   renderBarChart(): Function       - Gráfico de barras horizontais
+ *   renderStackedChart(): Function   - Gráfico de colunas empilhadas
+ *   renderDonutChart(): Function     - Gráfico de rosca
+ *   renderFigure(): Function         - Envolve o SVG com legenda e botões de download
+ *   renderLegend(): Function         - Legenda com a cor de cada modo
+ *   getModeStyle(): Function         - Nome e cor de um modo (ou de "Misto")
+ *   getUnit(): Function              - Unidade de massa em uso, com "CO2e"
+ *   formatValue(): Function          - Formata uma emissão em kg na unidade em uso
+ *   groupByMode(): Function          - Soma a emissão do histórico por modo
+ *   groupByPeriod(): Function        - Soma a emissão do histórico por período e modo
+ *   serialize(): Function            - Converte o elemento <svg> em texto
+ *   download(): Function             - Baixa um gráfico em SVG ou PNG
+ * }
+ */
+
+const Charts = {
+  /**
+   * Largura do viewBox (o SVG se ajusta à largura do container)
+   */
+  WIDTH: 640,
+
+  /**
+   * Fonte dos textos (atributo do SVG, para valer também no arquivo baixado)
+   */
+  FONT_FAMILY: 'Segoe UI, Roboto, Helvetica, Arial, sans-serif',
+
+  /**
+   * Cor de itinerários com modos diferentes (mode null no histórico)
+   */
+  MIXED_COLOR: '#9ca3af',
+
+  /**
+   * Quantidade máxima de períodos (colunas) no gráfico empilhado; os mais antigos ficam de fora
+   */
+  MAX_PERIODS: 12,
+
+  /**
+   * renderModeComparison(modesArray, selectedMode, view) - Barras da comparação entre modos
+   *
+   * @param {Array} modesArray - Resultado de Calculator.calculateAllModes()
+   * @param {string} selectedMode - Modo da viagem calculada (destacado no texto do valor)
+   * @param {string} view - 'total' ou 'perPassenger' (padrão: 'total')
+   * @returns {string} HTML da figura com o gráfico
+   */
+  renderModeComparison: function(modesArray, selectedMode, view) {
+    const isPerPassenger = view === 'perPassenger';
+
+    const items = modesArray.map(item => {
+      const style = this.getModeStyle(item.mode);
+      return {
+        label: item.mode === selectedMode ? I18n.t('charts.selected', { mode: style.label }) : style.label,
+        value: isPerPassenger ? item.perPassengerEmission : item.emission,
+        color: style.color
+      };
+    });
+
+    return this.renderBarChart(items, {
+      id: 'comparacao-modos',
+      title: I18n.t(isPerPassenger ? 'charts.modesPerPassenger' : 'charts.modes'),
+      unit: this.getUnit()
+    });
+  },
+
+  /**
+   * renderHistoryCharts(entries) - Gráficos do histórico salvo
+   *
+   * LÓGICA:
+   * 1. Colunas empilhadas: emissão por período (ver groupByPeriod), uma cor por modo
+   * 2. Rosca: total de cada modo em todas as viagens salvas (ver groupByMode)
+   * 3. Sem registros, retorna string vazia
+   *
+   * @param {Array<Object>} entries - Registros de EmissionHistory.getAll()
+   * @returns {string} HTML com as duas figuras
+   */
+  renderHistoryCharts: function(entries) {
+    if (!entries || entries.length === 0) {
+      return '';
+    }
+
+    const periods = this.groupByPeriod(entries);
+
+    return `
+      <div class="charts">
+        ${this.renderStackedChart(periods.groups, {
+          id: 'historico-periodo',
+          title: I18n.t(periods.unit === 'day' ? 'charts.historyByDay' : 'charts.historyByMonth'),
+          unit: this.getUnit()
+        })}
+        ${this.renderDonutChart(this.groupByMode(entries), {
+          id: 'historico-modos',
+          title: I18n.t('charts.historyShare'),
+          unit: this.getUnit()
+        })}
+      </div>
+    `;
+  },
+
+  /**
+   * renderBarChart(items, options) - Gráfico de barras horizontais
+   *
+   * ESTRUTURA DO SVG:
+   * - Uma linha por item: nome à esquerda, barra proporcional ao maior valor e valor na unidade em uso
+   * - Barras com valor zero aparecem como um traço fino, para o modo continuar visível
+   *
+   * @param {Array<Object>} items - Array de {label, value, color}
+   * @param {Object} options - Objeto com: {id, title, unit}
+   * @returns {string} HTML da figura com o gráfico
+   */
+  renderBarChart: function(items, options) {
+    const rowHeight = 28;
+    const labelWidth = 190;
+    const valueWidth = 110;
+    const barArea = this.WIDTH - labelWidth - valueWidth;
+    const height = items.length * rowHeight + 8;
+    const maxValue = Math.max(0, ...items.map(item => item.value));
+
+    const rows = items.map((item, index) => {
+      const y = index * rowHeight + 4;
+      const width = maxValue > 0 ? Math.max(2, item.value / maxValue * barArea) : 2;
+      const valueText = `${this.formatValue(item.value, 2)} ${options.unit}`;
+
+      return `
+        <g>
+          <title>${item.label}: ${valueText}</title>
+          <text x="${labelWidth - 8}" y="${y + rowHeight / 2}" text-anchor="end" dominant-baseline="middle" font-size="13" fill="#112937">${item.label}</text>
+          <rect x="${labelWidth}" y="${y + 4}" width="${width.toFixed(1)}" height="${rowHeight - 8}" rx="3" fill="${item.color}"></rect>
+          <text x="${(labelWidth + width + 6).toFixed(1)}" y="${y + rowHeight / 2}" dominant-baseline="middle" font-size="12" fill="#6b7280">${valueText}</text>
+        </g>
+      `;
+    }).join('');
+
+    const description = items.map(item => `${item.label}: ${this.formatValue(item.value, 2)} ${options.unit}`).join('; ');
+
+    return this.renderFigure(options, this.WIDTH, height, description, rows, '');
+  },
+
+  /**
+   * renderStackedChart(groups, options) - Gráfico de colunas empilhadas
+   *
+   * ESTRUTURA DO SVG:
+   * - Uma coluna por período (mais antigo à esquerda), com o total acima
+   * - Um segmento por modo dentro da coluna, na ordem de CONFIG.TRANSPORT_MODES
+   * - Eixo horizontal com o nome do período
+   * - Legenda em HTML com os modos presentes
+   *
+   * @param {Array<Object>} groups - Array de {label, totals: {modo: kg}} (ver groupByPeriod)
+   * @param {Object} options - Objeto com: {id, title, unit}
+   * @returns {string} HTML da figura com o gráfico
+   */
+  renderStackedChart: function(groups, options) {
+    const height = 260;
+    const top = 24;
+    const bottom = 32;
+    const plotHeight = height - top - bottom;
+    const slotWidth = this.WIDTH / groups.length;
+    const columnWidth = Math.min(60, slotWidth * 0.6);
+    const modeOrder = Object.keys(CONFIG.TRANSPORT_MODES).concat('mixed');
+
+    const groupTotal = group => Object.keys(group.totals).reduce((sum, mode) => sum + group.totals[mode], 0);
+    const maxTotal = Math.max(0, ...groups.map(groupTotal));
+    const usedModes = modeOrder.filter(mode => groups.some(group => group.totals[mode] > 0));
+
+    const columns = groups.map((group, index) => {
+      const x = index * slotWidth + (slotWidth - columnWidth) / 2;
+      const total = groupTotal(group);
+      let y = top + plotHeight;
+
+      const segments = usedModes.filter(mode => group.totals[mode] > 0).map(mode => {
+        const style = this.getModeStyle(mode);
+        const segmentHeight = maxTotal > 0 ? group.totals[mode] / maxTotal * plotHeight : 0;
+        y -= segmentHeight;
+
+        return `
+          <rect x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${columnWidth.toFixed(1)}" height="${segmentHeight.toFixed(1)}" fill="${style.color}">
+            <title>${group.label} · ${style.label}: ${this.formatValue(group.totals[mode], 2)} ${options.unit}</title>
+          </rect>
+        `;
+      }).join('');
+
+      return `
+        <g>
+          ${segments}
+          <text x="${(x + columnWidth / 2).toFixed(1)}" y="${(y - 6).toFixed(1)}" text-anchor="middle" font-size="11" fill="#6b7280">${this.formatValue(total, 1)}</text>
+          <text x="${(x + columnWidth / 2).toFixed(1)}" y="${height - 10}" text-anchor="middle" font-size="12" fill="#112937">${group.label}</text>
+        </g>
+      `;
+    }).join('');
+
+    const axis = `<line x1="0" y1="${top + plotHeight}" x2="${this.WIDTH}" y2="${top + plotHeight}" stroke="#e5e7eb"></line>`;
+
+    const description = groups.map(group => {
+      const parts = usedModes.filter(mode => group.totals[mode] > 0)
+        .map(mode => `${this.getModeStyle(mode).label} ${this.formatValue(group.totals[mode], 2)}`);
+      return `${group.label}: ${this.formatValue(groupTotal(group), 2)} ${options.unit} (${parts.join(', ')})`;
+    }).join('; ');
+
+    return this.renderFigure(options, this.WIDTH, height, description, axis + columns, this.renderLegend(usedModes));
+  },
+
+  /**
+   * renderDonutChart(totals, options) - Gráfico de rosca
+   *
+   * LÓGICA:
+   * - Cada fatia é um círculo com stroke-dasharray do tamanho da sua fração
+   *   da circunferência, deslocado (stroke-dashoffset) para começar onde a
+   *   fatia anterior terminou; a primeira fatia começa no topo
+   * - O total fica no centro da rosca
+   *
+   * @param {Object} totals - Emissão por modo: {modo: kg} (ver groupByMode)
+   * @param {Object} options - Objeto com: {id, title, unit}
+   * @returns {string} HTML da figura com o gráfico
+   */
+  renderDonutChart: function(totals, options) {
+    const size = 240;
+    const radius = 80;
+    const strokeWidth = 36;
+    const circumference = 2 * Math.PI * radius;
+    const center = size / 2;
+
+    const modes = Object.keys(CONFIG.TRANSPORT_MODES).concat('mixed').filter(mode => totals[mode] > 0);
+    const total = modes.reduce((sum, mode) => sum + totals[mode], 0);
+    let offset = 0;
+
+    const slices = modes.map(mode => {
+      const style = this.getModeStyle(mode);
+      const fraction = totals[mode] / total;
+      const length = fraction * circumference;
+      const slice = `
+        <circle cx="${center}" cy="${center}" r="${radius}" fill="none" stroke="${style.color}" stroke-width="${strokeWidth}"
+          stroke-dasharray="${length.toFixed(2)} ${(circumference - length).toFixed(2)}" stroke-dashoffset="${(-offset).toFixed(2)}"
+          transform="rotate(-90 ${center} ${center})">
+          <title>${style.label}: ${this.formatValue(totals[mode], 2)} ${options.unit} (${UI.formatNumber(fraction * 100, 1)}%)</title>
+        </circle>
+      `;
+      offset += length;
+      return slice;
+    }).join('');
+
+    const background = total > 0
+      ? ''
+      : `<circle cx="${center}" cy="${center}" r="${radius}" fill="none" stroke="#e5e7eb" stroke-width="${strokeWidth}"></circle>`;
+
+    const label = `
+      <text x="${center}" y="${center - 4}" text-anchor="middle" font-size="20" font-weight="700" fill="#112937">${this.formatValue(total, 1)}</text>
+      <text x="${center}" y="${center + 16}" text-anchor="middle" font-size="12" fill="#6b7280">${options.unit}</text>
+    `;
+
+    const description = modes.map(mode =>
+      `${this.getModeStyle(mode).label}: ${this.formatValue(totals[mode], 2)} ${options.unit} (${UI.formatNumber(totals[mode] / total * 100, 1)}%)`
+    ).join('; ');
+
+    return this.renderFigure(options, size, size, description || I18n.t('charts.empty'), background + slices + label, this.renderLegend(modes));
+  },
+
+  /**
+   * renderFigure(options, width, height, description, content, legend) - Monta a figura do gráfico
+   *
+   * ESTRUTURA HTML GERADA:
+   * - <figure class="chart"> com data-chart-id (nome do arquivo baixado)
+   * - <svg role="img"> com <title> e <desc> ligados por aria-labelledby
+   * - Legenda (opcional) e botões "SVG" e "PNG" (data-chart-format)
+   *
+   * @param {Object} options - Objeto com: {id, title}
+   * @param {number} width - Largura do viewBox
+   * @param {number} height - Altura do viewBox
+   * @param {string} description - Valores do gráfico em texto (conteúdo do <desc>)
+   * @param {string} content - Elementos SVG do gráfico
+   * @param {string} legend - HTML da legenda (pode ser vazio)
+   * @returns {string} HTML da figura
+   */
+  renderFigure: function(options, width, height, description, content, legend) {
+    const titleId = `chart-${options.id}-title`;
+    const descId = `chart-${options.id}-desc`;
+    const downloadLabel = format => UI.escapeHTML(I18n.t('charts.download', { title: options.title, format: format }));
+
+    return `
+      <figure class="chart" data-chart-id="${options.id}">
+        <figcaption class="chart__title">${options.title}</figcaption>
+        <svg class="chart__svg" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}"
+          role="img" aria-labelledby="${titleId} ${descId}" font-family="${this.FONT_FAMILY}">
+          <title id="${titleId}">${options.title}</title>
+          <desc id="${descId}">${description}</desc>
+          ${content}
+        </svg>
+        ${legend}
+        <div class="chart__actions">
+          <button type="button" class="chart__download" data-chart-format="svg" aria-label="${downloadLabel('SVG')}">⬇️ SVG</button>
+          <button type="button" class="chart__download" data-chart-format="png" aria-label="${downloadLabel('PNG')}">⬇️ PNG</button>
+        </div>
+      </figure>
+    `;
+  },
+
+  /**
+   * renderLegend(modes) - Legenda com a cor e o nome de cada modo
+   *
+   * @param {Array<string>} modes - Chaves de CONFIG.TRANSPORT_MODES (ou 'mixed')
+   * @returns {string} HTML da legenda
+   */
+  renderLegend: function(modes) {
+    const items = modes.map(mode => {
+      const style = this.getModeStyle(mode);
+      return `
+        <li class="chart__legend-item">
+          <span class="chart__legend-swatch" style="background-color: ${style.color};" aria-hidden="true"></span>
+          ${style.label}
+        </li>
+      `;
+    }).join('');
+
+    return `<ul class="chart__legend">${items}</ul>`;
+  },
+
+  /**
+   * getModeStyle(mode) - Nome (no idioma em uso) e cor de um modo para os gráficos
+   *
+   * @param {string|null} mode - Chave de CONFIG.TRANSPORT_MODES, 'mixed' ou null (itinerário misto)
+   * @returns {Object} Objeto com: {label, color}
+   */
+  getModeStyle: function(mode) {
+    const modeData = CONFIG.TRANSPORT_MODES[mode];
+
+    if (!modeData) {
+      return { label: I18n.t('charts.mixed'), color: this.MIXED_COLOR };
+    }
+
+    return { label: UI.getModeLabel(mode), color: modeData.color };
+  },
+
+  /**
+   * getUnit() - Unidade dos valores dos gráficos
+   *
+   * @returns {string} Símbolo da massa em uso seguido de "CO2e" (ex: "kg CO2e", "lb CO2e")
+   */
+  getUnit: function() {
+    return `${Units.getMassSymbol()} CO2e`;
+  },
+
+  /**
+   * formatValue(kg, decimals) - Formata uma emissão na unidade de massa em uso
+   *
+   * EXEMPLO:
+   * - formatValue(100, 2) => "100,00" (kg) / "220,46" (lb) / "0,1000" (t)
+   *
+   * @param {number} kg - Emissão em kg CO2e
+   * @param {number} decimals - Casas decimais (em t, somam-se as casas extras de Units)
+   * @returns {string} Número formatado, sem o símbolo
+   */
+  formatValue: function(kg, decimals) {
+    return UI.formatNumber(Units.fromKg(kg), Units.getMassDecimals(decimals));
+  },
+
+  /**
+   * groupByMode(entries) - Soma a emissão do histórico por modo
+   *
+   * EXEMPLO:
+   * - [{mode: 'car', emission: 10}, {mode: 'car', emission: 5}, {mode: null, emission: 2}]
+   *   => { car: 15, mixed: 2 }
+   *
+   * @param {Array<Object>} entries - Registros de EmissionHistory.getAll()
+   * @returns {Object} Emissão em kg CO2e por modo ('mixed' para itinerários mistos)
+   */
+  groupByMode: function(entries) {
+    const totals = {};
+
+    entries.forEach(entry => {
+      const mode = CONFIG.TRANSPORT_MODES[entry.mode] ? entry.mode : 'mixed';
+      totals[mode] = Math.round(((totals[mode] || 0) + (Number(entry.emission) || 0)) * 100) / 100;
+    });
+
+    return totals;
+  },
+
+  /**
+   * groupByPeriod(entries) - Soma a emissão do histórico por período e modo
+   *
+   * LÓGICA:
+   * 1. Data de cada viagem no fuso do navegador (o timestamp salvo é ISO em UTC;
+   *    uma viagem às 22h de 31/01 no Brasil é 01/02 em UTC, mas conta em 31/01)
+   * 2. Se todas as viagens são do mesmo mês, agrupa por dia; senão, por mês
+   * 3. Cada período soma a emissão de cada modo (groupByMode)
+   * 4. Ordena do mais antigo para o mais recente e mantém os últimos MAX_PERIODS
+   *
+   * @param {Array<Object>} entries - Registros de EmissionHistory.getAll()
+   * @returns {Object} Objeto com: {unit: 'day'|'month', groups: [{key, label, totals}]}
+   */
+  groupByPeriod: function(entries) {
+    // 'AAAA-MM-DD' na data local (com zeros à esquerda, para ordenar como texto)
+    const localDate = entry => {
+      const date = new Date(entry.timestamp);
+      const pad = value => String(value).padStart(2, '0');
+      return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    };
+
+    const dates = entries.map(localDate);
+    const months = new Set(dates.map(date => date.slice(0, 7)));
+    const unit = months.size > 1 ? 'month' : 'day';
+    const keyLength = unit === 'month' ? 7 : 10;
+    const entriesByKey = {};
+
+    entries.forEach((entry, index) => {
+      const key = dates[index].slice(0, keyLength);
+      (entriesByKey[key] = entriesByKey[key] || []).push(entry);
+    });
+
+    const groups = Object.keys(entriesByKey).sort().slice(-this.MAX_PERIODS).map(key => {
+      // 'AAAA-MM' => 'MM/AAAA'; 'AAAA-MM-DD' => 'DD/MM'
+      const parts = key.split('-');
+      const label = unit === 'month' ? `${parts[1]}/${parts[0]}` : `${parts[2]}/${parts[1]}`;
+
+      return { key: key, label: label, totals: this.groupByMode(entriesByKey[key]) };
+    });
+
+    return { unit: unit, groups: groups };
+  },
+
+  /**
+   * serialize(svgElement) - Converte o elemento <svg> em texto de arquivo SVG
+   *
+   * @param {SVGElement} svgElement - Gráfico renderizado na página
+   * @returns {string} Documento SVG (com declaração XML)
+   */
+  serialize: function(svgElement) {
+    const svgText = new XMLSerializer().serializeToString(svgElement);
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${svgText}`;
+  },
+
+  /**
+   * download(figureElement, format) - Baixa o gráfico de uma figura em SVG ou PNG
+   *
+   * LÓGICA:
+   * - 'svg': grava o texto do SVG com Exporter.download()
+   * - 'png': desenha o SVG em um <canvas> com fundo branco, no dobro do
+   *   tamanho (nitidez em telas de alta densidade), e baixa o PNG gerado
+   *
+   * Nome do arquivo: grafico-<data-chart-id>-AAAA-MM-DD.<formato>
+   *
+   * @param {HTMLElement} figureElement - Elemento .chart gerado por renderFigure()
+   * @param {string} format - 'svg' ou 'png'
+   */
+  download: function(figureElement, format) {
+    const svgElement = figureElement.querySelector('svg');
+    const fileName = `grafico-${figureElement.dataset.chartId}-${Exporter.fileDate(new Date().toISOString())}`;
+    const svgText = this.serialize(svgElement);
+
+    if (format !== 'png') {
+      Exporter.download(`${fileName}.svg`, svgText, 'image/svg+xml');
+      return;
+    }
+
+    const scale = 2;
+    const viewBox = svgElement.viewBox.baseVal;
+    const canvas = document.createElement('canvas');
+    canvas.width = viewBox.width * scale;
+    canvas.height = viewBox.height * scale;
+
+    const image = new Image();
+    image.onload = function() {
+      const context = canvas.getContext('2d');
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+      canvas.toBlob(blob => {
+        Exporter.download(`${fileName}.png`, blob, 'image/png');
+      }, 'image/png');
+    };
+    image.onerror = function() {
+      console.warn('Não foi possível converter o gráfico em PNG');
+    };
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgText)}`;
+  }
+};
@@ -7,127 +7,599 @@
  * 
  * ESTRUTURA DO CONFIG:
  * {
- *   EMISSION_FACTORS: Object      - Fatores de emissão por modo de transporte
+ *   VEHICLE_VARIANTS: Object      - Combustíveis/portes por modo (fatores em js/emission-factors.js)
  *   TRANSPORT_MODES: Object       - Metadados dos modos de transporte
+ *   FREIGHT_MODES: Object         - Modais de frete (tonelada-km) e sua ocupação de referência
+ *   DETOUR_FACTORS: Object        - Fatores de desvio sobre a linha reta por malha
+ *   OCCUPANCY: Object             - Ocupação padrão de cada modo de transporte
+ *   AVIATION: Object              - Modelo de voos: faixas de distância, pouso/decolagem, classes e forçamento radiativo
+ *   GWP_SETS: Object              - Potenciais de aquecimento global (AR5/AR6) para CO2e
  *   CARBON_CREDIT: Object         - Configurações de crédito de carbono
- *   populateDatalist(): Function  - Popula a lista de cidades no datalist
+ *   UNITS: Object                 - Unidades de exibição de distância (km/mi) e massa (kg/t/lb)
+ *   DEFAULT_MODE: string          - Modo selecionado ao abrir a página
+ *   DEFAULT_BASELINE: string      - Referência de comparação padrão (modo ou 'custom')
+ *   populateTransportModes(): Function - Gera os botões de rádio dos modos de transporte
+ *   renderTransportOptions(): Function - Gera o HTML dos botões de rádio dos modos
+ *   populateVehicleVariants(): Function - Preenche os selects de combustível/porte
+ *   populateFreightModes(): Function - Preenche o select de modais de frete
+ *   populateBaselineOptions(): Function - Preenche o select da referência de comparação
+ *   setupRecurrenceFields(): Function - Mostra os campos da repetição (semanal/mensal)
+ *   renderVariantOptions(): Function  - Gera as opções de variantes de um modo
  *   setupDistanceAutofill(): Function - Configura auto-preenchimento de distância
+ *   bindDistanceAutofill(): Function  - Liga o auto-preenchimento a um trecho qualquer
  * }
  */
 
 const CONFIG = {
   /**
-   * FATORES DE EMISSÃO DE CO2
+   * VARIANTES DE VEÍCULO (COMBUSTÍVEL / PORTE)
    * 
-   * Contém o valor de emissão de CO2 em quilogramas por quilômetro
-   * para cada modo de transporte. Estes valores são usados para calcular
-   * as emissões totais da viagem.
+   * Segundo nível de seleção para carro, ônibus, caminhão e avião. Aqui ficam apenas
+   * os nomes e a variante padrão de cada modo; os fatores de cada variante
+   * estão em cada base de EmissionFactors.DATASETS (js/emission-factors.js).
    * 
-   * Fonte: Estimativas baseadas em dados de transporte sustentável
+   * Os fatores de etanol e biocombustíveis consideram apenas o CO2 fóssil
+   * (o CO2 biogênico da cana é reabsorvido no cultivo); os elétricos usam a
+   * matriz elétrica do país da base escolhida.
+   * 
+   * No avião, a variante é a classe da cabine; as bases têm um único fator
+   * por passageiro e a classe entra como multiplicador (ver AVIATION).
    */
-  EMISSION_FACTORS: {
-    bicycle: 0,        // Bicicleta: zero emissão (transporte limpo)
-    car: 0.12,         // Carro: 0.12 kg CO2/km (aproximadamente)
-    plane: 0.20,       // Avião: 0.20 kg CO2/km (estimativa por passageiro)
-    boat: 0.15,        // Barco: 0.15 kg CO2/km (estimativa média por passageiro)
-    bus: 0.089,        // Ônibus: 0.089 kg CO2/km (mais eficiente)
-    truck: 0.96        // Caminhão: 0.96 kg CO2/km (maior emissão)
+  VEHICLE_VARIANTS: {
+    car: {
+      default: 'gasoline',
+      options: {
+        gasoline: { label: 'Gasolina C (E27)' },
+        ethanol: { label: 'Etanol hidratado' },
+        diesel: { label: 'Diesel (SUV/picape)' },
+        cng: { label: 'GNV' },
+        hybrid: { label: 'Híbrido' },
+        electric: { label: 'Elétrico' }
+      }
+    },
+    bus: {
+      default: 'diesel',
+      options: {
+        diesel: { label: 'Rodoviário a diesel' },
+        micro: { label: 'Micro-ônibus a diesel' },
+        hybrid: { label: 'Híbrido' },
+        electric: { label: 'Elétrico' }
+      }
+    },
+    truck: {
+      default: 'heavy',
+      options: {
+        light: { label: 'Leve / VUC (diesel)' },
+        medium: { label: 'Médio (diesel)' },
+        heavy: { label: 'Pesado (diesel)' },
+        electric: { label: 'Leve elétrico' }
+      }
+    },
+    plane: {
+      default: 'economy',
+      options: {
+        economy: { label: 'Classe econômica' },
+        premium: { label: 'Econômica premium' },
+        business: { label: 'Executiva' },
+        first: { label: 'Primeira classe' }
+      }
+    }
   },
 
   /**
    * METADADOS DOS MODOS DE TRANSPORTE
    * 
    * Contém informações de exibição para cada modo de transporte incluindo:
-   * - label: Nome em português brasileiro
+   * - label: Nome em português brasileiro (outros idiomas: chaves 'modes.<modo>' em js/i18n.js)
    * - emoji: Ícone emoji representativo
    * - color: Cor hexadecimal para uso na interface
+   * - network: Malha usada pelo modo ('road', 'rail', 'air' ou 'waterway'), define o
+   *   fator de desvio da estimativa de distância em linha reta
+   * - maxDistanceKm: Distância plausível para uma viagem no modo; acima dela o
+   *   formulário mostra um aviso (ex: bicicleta acima de 1.000 km), sem impedir o cálculo
+   * 
+   * Os botões de rádio do formulário são gerados a partir deste objeto
+   * (populateTransportModes), na mesma ordem; um modo novo precisa apenas de
+   * uma entrada aqui, em OCCUPANCY e nos fatores de cada base de EmissionFactors.
    */
   TRANSPORT_MODES: {
     bicycle: {
       label: 'Bicicleta',
       emoji: '🚲',
-      color: '#3b82f6'  // Azul
+      color: '#3b82f6',  // Azul
+      network: 'road',
+      maxDistanceKm: 1000
     },
     car: {
       label: 'Carro',
       emoji: '🚗',
-      color: '#ef4444'  // Vermelho
+      color: '#ef4444',  // Vermelho
+      network: 'road',
+      maxDistanceKm: 8000
     },
     bus: {
       label: 'Ônibus',
       emoji: '🚌',
-      color: '#f59e0b'  // Âmbar
+      color: '#f59e0b',  // Âmbar
+      network: 'road',
+      maxDistanceKm: 8000
     },
     truck: {
       label: 'Caminhão',
       emoji: '🚚',
-      color: '#8b5cf6'  // Roxo
+      color: '#8b5cf6',  // Roxo
+      network: 'road',
+      maxDistanceKm: 8000
     }
     ,
     plane: {
       label: 'Avião',
       emoji: '✈️',
-      color: '#0284c7' // Azul-céu
+      color: '#0284c7', // Azul-céu
+      network: 'air',
+      maxDistanceKm: 20000
     }
     ,
     boat: {
       label: 'Barco',
       emoji: '🚢',
-      color: '#0ea5a4' // Verde-água
+      color: '#0ea5a4', // Verde-água
+      network: 'waterway',
+      maxDistanceKm: 20000
+    },
+    motorcycle: {
+      label: 'Moto',
+      emoji: '🏍️',
+      color: '#dc2626',  // Vermelho
+      network: 'road',
+      maxDistanceKm: 8000
+    },
+    train: {
+      label: 'Trem intermunicipal',
+      emoji: '🚆',
+      color: '#64748b',  // Cinza-azulado
+      network: 'rail',
+      maxDistanceKm: 5000
+    },
+    metro: {
+      label: 'Metrô',
+      emoji: '🚇',
+      color: '#7c3aed',  // Violeta
+      network: 'rail',
+      maxDistanceKm: 100
+    },
+    scooter: {
+      label: 'Patinete elétrico',
+      emoji: '🛴',
+      color: '#14b8a6',  // Turquesa
+      network: 'road',
+      maxDistanceKm: 100
+    },
+    walking: {
+      label: 'A pé',
+      emoji: '🚶',
+      color: '#22c55e',  // Verde
+      network: 'road',
+      maxDistanceKm: 100
+    }
+  },
+
+  /**
+   * Modo de transporte marcado ao abrir a página
+   */
+  DEFAULT_MODE: 'car',
+
+  /**
+   * Referência de comparação ao abrir a página (ver Calculator.calculateBaselineEmission)
+   * 
+   * Qualquer chave de TRANSPORT_MODES ou 'custom' (fator em kg CO2e/km
+   * informado pelo usuário, ex: média da frota da empresa)
+   */
+  DEFAULT_BASELINE: 'car',
+
+  /**
+   * MODAIS DE FRETE (ver Calculator.calculateFreightEmission)
+   * 
+   * Usados no cálculo de carga por tonelada-km (tkm = toneladas × km), separado
+   * dos modos de passageiros. Os fatores por tkm ficam em cada base de
+   * EmissionFactors.DATASETS (campo freight) e valem para a ocupação de
+   * referência (loadFactor: fração da capacidade em peso usada, em média).
+   * Com ocupação menor, o veículo leva menos carga pela mesma queima de
+   * combustível, então o fator por tkm cresce na mesma proporção.
+   */
+  FREIGHT_MODES: {
+    truck: {
+      label: 'Caminhão',
+      emoji: '🚚',
+      color: '#8b5cf6',  // Roxo
+      loadFactor: 0.6
+    },
+    rail: {
+      label: 'Trem de carga',
+      emoji: '🚆',
+      color: '#64748b',  // Cinza-azulado
+      loadFactor: 0.7
+    },
+    boat: {
+      label: 'Navio / barcaça',
+      emoji: '🚢',
+      color: '#0ea5a4',  // Verde-água
+      loadFactor: 0.7
+    },
+    air: {
+      label: 'Avião cargueiro',
+      emoji: '✈️',
+      color: '#0284c7',  // Azul-céu
+      loadFactor: 0.7
     }
   },
 
+  /**
+   * OCUPAÇÃO DOS MODOS DE TRANSPORTE
+   * 
+   * Define como a emissão é dividida entre os passageiros:
+   * - shared: false => modo individual; o fator de emissão é do veículo
+   *   inteiro e a emissão é dividida entre as pessoas a bordo
+   * - shared: true  => modo coletivo; o fator já é por passageiro e a emissão
+   *   da viagem cresce com o número de pessoas do grupo
+   * - default: ocupação padrão. Em modos individuais, número de pessoas a bordo
+   *   quando não informado; em modos coletivos, ocupação média do veículo,
+   *   usada para estimar a emissão do veículo inteiro
+   * - capacity: lugares por veículo nos modos individuais. Um grupo maior
+   *   viaja em mais de um veículo (ex: 7 pessoas de carro = 2 carros)
+   */
+  OCCUPANCY: {
+    bicycle: { default: 1, capacity: 1, shared: false },     // Um ciclista
+    car: { default: 1, capacity: 5, shared: false },         // Motorista sozinho; até 5 lugares
+    truck: { default: 1, capacity: 3, shared: false },       // Apenas o motorista; cabine com 3 lugares
+    bus: { default: 25, shared: true },                      // Ocupação média de ônibus rodoviário
+    plane: { default: 150, shared: true },                   // Voo doméstico típico
+    boat: { default: 100, shared: true },                    // Embarcação de passageiros
+    motorcycle: { default: 1, capacity: 2, shared: false },  // Piloto sozinho; piloto e garupa
+    train: { default: 200, shared: true },                   // Ocupação média de trem intermunicipal
+    metro: { default: 600, shared: true },                   // Ocupação média de composição de metrô
+    scooter: { default: 1, capacity: 1, shared: false },     // Um usuário
+    walking: { default: 1, capacity: 1, shared: false }      // Um pedestre
+  },
+
+  /**
+   * MODELO DE EMISSÃO DE VOOS (ver Calculator.calculateFlightEmission)
+   * 
+   * O fator do avião de cada base é a média por passageiro-km. Sobre ele:
+   * - DISTANCE_BANDS: multiplicador do cruzeiro por faixa de distância; voos
+   *   longos gastam proporcionalmente menos combustível subindo e descendo.
+   *   Cada multiplicador vale só para os km dentro da sua faixa (um voo de
+   *   5.000 km usa 1.0 nos primeiros 1.500 km, 0.85 até 4.000 km e 0.8 no resto)
+   * - LTO_KM: pouso e decolagem (ciclo LTO: taxiamento, decolagem, subida e
+   *   aproximação), somados a cada voo como quilômetros equivalentes de cruzeiro;
+   *   por isso voos curtos emitem mais por km
+   * - CABIN_CLASSES: multiplicador pelo espaço ocupado na cabine
+   *   (proporções da DEFRA 2024 para voos longos, em relação à econômica)
+   * - RADIATIVE_FORCING: multiplicador opcional dos efeitos não-CO2 em altitude
+   *   (trilhas de condensação, NOx); valor usual em calculadoras de carbono,
+   *   com alta incerteza científica
+   * 
+   * EXEMPLO (fator 0.20, 300 km, econômica, sem forçamento radiativo):
+   * - (300 × 1.0 + 125) × 0.20 = 85 kg por passageiro (0.28 kg/km)
+   */
+  AVIATION: {
+    DISTANCE_BANDS: [
+      { id: 'short', label: 'Curta distância (até 1.500 km)', maxKm: 1500, multiplier: 1.0 },
+      { id: 'medium', label: 'Média distância (1.500 a 4.000 km)', maxKm: 4000, multiplier: 0.85 },
+      { id: 'long', label: 'Longa distância (acima de 4.000 km)', maxKm: Infinity, multiplier: 0.8 }
+    ],
+    LTO_KM: 125,             // Pouso e decolagem ≈ 125 km de cruzeiro por voo
+    CABIN_CLASSES: {
+      economy: 1.0,
+      premium: 1.6,
+      business: 2.9,
+      first: 4.0
+    },
+    RADIATIVE_FORCING: 1.9   // Emissão total ≈ 1,9 × emissão sem efeitos não-CO2
+  },
+
+  /**
+   * FATORES DE DESVIO POR MALHA DE TRANSPORTE
+   * 
+   * Multiplicadores aplicados à distância em linha reta (haversine) quando
+   * não há rota cadastrada entre as cidades. Representam o quanto o trajeto
+   * real se afasta da linha reta em cada malha.
+   */
+  DETOUR_FACTORS: {
+    road: 1.3,         // Rodovias: curvas e desvios (~30% acima da linha reta)
+    rail: 1.25,        // Ferrovias: traçado com curvas amplas, pouco mais direto que a rodovia
+    air: 1.05,         // Aerovias: trajeto quase direto, com aproximação e espera
+    waterway: 1.5      // Hidrovias e cabotagem: contornam a costa e o leito dos rios
+  },
+
+  /**
+   * POTENCIAIS DE AQUECIMENTO GLOBAL (GWP, horizonte de 100 anos)
+   * 
+   * Convertem a massa de cada gás em CO2 equivalente (CO2e):
+   * CO2e = CO2 × 1 + CH4 × GWP_CH4 + N2O × GWP_N2O
+   * - AR5: IPCC, Quinto Relatório de Avaliação (2014), Tabela 8.7 (sem retroalimentação do clima)
+   * - AR6: IPCC, Sexto Relatório de Avaliação (2021), Tabela 7.15 (CH4 de origem fóssil)
+   */
+  GWP_SETS: {
+    AR5: { label: 'IPCC AR5 (2014)', co2: 1, ch4: 28, n2o: 265 },
+    AR6: { label: 'IPCC AR6 (2021)', co2: 1, ch4: 29.8, n2o: 273 }
+  },
+
   /**
    * CONFIGURAÇÕES DE CRÉDITO DE CARBONO
    * 
    * Define parâmetros para conversão de emissões em créditos de carbono
    * e valores de precificação em reais brasileiros.
+   * 
+   * PRICE_MIN_BRL/PRICE_MAX_BRL são a faixa padrão (perfil 'voluntary'); o
+   * usuário pode escolher outro perfil de preço ou editar a faixa no painel
+   * "Preço dos créditos" (ver js/credit-pricing.js). Os preços ficam sempre em
+   * reais e são convertidos para a moeda exibida pela cotação informada.
    */
   CARBON_CREDIT: {
     KG_PER_CREDIT: 1000,      // 1 crédito de carbono = 1000 kg de CO2
     PRICE_MIN_BRL: 50,        // Preço mínimo em reais por crédito
-    PRICE_MAX_BRL: 150        // Preço máximo em reais por crédito
+    PRICE_MAX_BRL: 150,       // Preço máximo em reais por crédito
+
+    // Perfis de preço: faixa em reais por crédito (tCO2e) de cada mercado/tipo de projeto
+    PRICE_PROFILES: {
+      voluntary: { label: 'Mercado voluntário (média geral)', min: 50, max: 150 },
+      regulated: { label: 'Mercado regulado (EU ETS)', min: 350, max: 500 },
+      forestry: { label: 'Reflorestamento e restauração', min: 80, max: 250 },
+      redd: { label: 'REDD+ (desmatamento evitado)', min: 25, max: 100 },
+      renewable: { label: 'Energia renovável', min: 10, max: 40 },
+      custom: { label: 'Personalizado', min: null, max: null }  // Faixa digitada pelo usuário
+    },
+    DEFAULT_PROFILE: 'voluntary',
+
+    // Moedas de exibição; rate = reais por unidade da moeda (cotação padrão, editável)
+    CURRENCIES: {
+      BRL: { label: 'Real (R$)', rate: 1 },
+      USD: { label: 'Dólar americano (US$)', rate: 5.40 },
+      EUR: { label: 'Euro (€)', rate: 5.90 }
+    },
+    DEFAULT_CURRENCY: 'BRL'
+  },
+
+  /**
+   * UNIDADES DE EXIBIÇÃO
+   * 
+   * O cálculo é sempre feito em quilômetros e quilogramas (js/calculator.js);
+   * a unidade escolhida no painel "Unidades" (ver js/units.js) só muda os
+   * valores digitados e exibidos.
+   * 
+   * perKm/perKg = quantas unidades cabem em 1 km ou 1 kg (milha internacional
+   * = 1,609344 km; libra = 0,45359237 kg). extraDecimals acrescenta casas
+   * decimais a unidades grandes (51,6 kg => "0,0516 t" em vez de "0,05 t").
+   * small é a unidade menor usada para massas pequenas, como o CH4 e o N2O
+   * de uma viagem (g com kg, kg com t, onça com libra), também com extraDecimals.
+   */
+  UNITS: {
+    DISTANCE: {
+      km: { label: 'Quilômetros (km)', symbol: 'km', perKm: 1 },
+      mi: { label: 'Milhas (mi)', symbol: 'mi', perKm: 1 / 1.609344 }
+    },
+    MASS: {
+      kg: { label: 'Quilogramas (kg)', symbol: 'kg', perKg: 1, small: { symbol: 'g', perKg: 1000 } },
+      t: { label: 'Toneladas (t)', symbol: 't', perKg: 0.001, extraDecimals: 2, small: { symbol: 'kg', perKg: 1, extraDecimals: 2 } },
+      lb: { label: 'Libras (lb)', symbol: 'lb', perKg: 1 / 0.45359237, small: { symbol: 'oz', perKg: 16 / 0.45359237, extraDecimals: 1 } }
+    },
+    DEFAULT_DISTANCE: 'km',
+    DEFAULT_MASS: 'kg'
   },
 
   /**
-   * populateDatalist() - Popula o elemento datalist com as cidades disponíveis
+   * populateTransportModes() - Gera os botões de rádio dos modos de transporte
    * 
    * FUNCIONAMENTO:
-   * 1. Obtém a lista de todas as cidades únicas do RoutesDB
-   * 2. Localiza o elemento datalist no HTML pela id 'cities-list'
-   * 3. Cria elementos <option> para cada cidade
-   * 4. Adiciona cada opção ao datalist para autocomplete
+   * 1. Localiza a grade '.calculator__transport-grid' do formulário
+   * 2. Cria um botão de rádio por modo de TRANSPORT_MODES (renderTransportOptions)
+   * 3. Marca o modo padrão (DEFAULT_MODE)
    * 
-   * RESULTADO:
-   * O usuário verá sugestões de cidades ao digitar na origem/destino
+   * Deve rodar antes das funções que ligam eventos aos rádios
+   * (populateVehicleVariants, setupDistanceAutofill).
    */
-  populateDatalist: function() {
-    // Obter lista de cidades a partir do RoutesDB
-    const cities = RoutesDB.getAllCities();
+  populateTransportModes: function() {
+    const grid = document.querySelector('.calculator__transport-grid');
+
+    if (!grid) {
+      console.warn('Grade de modos de transporte ".calculator__transport-grid" não encontrada');
+      return;
+    }
 
-    // Obter elemento datalist do HTML
-    const datalist = document.getElementById('cities-list');
+    grid.innerHTML = this.renderTransportOptions();
+  },
 
-    // Verificar se o datalist existe antes de processar
-    if (!datalist) {
-      console.warn('Elemento datalist com id "cities-list" não encontrado');
+  /**
+   * renderTransportOptions() - Gera o HTML dos botões de rádio dos modos de transporte
+   * Cada opção fica dentro de um label para aumentar a área clicável (BEM: calculator__transport-option)
+   * O nome do modo tem data-i18n e é traduzido por I18n.translatePage() ao trocar o idioma
+   * 
+   * @returns {string} HTML com um label/rádio por modo, com o modo padrão marcado
+   */
+  renderTransportOptions: function() {
+    return Object.keys(this.TRANSPORT_MODES).map(mode => {
+      const modeData = this.TRANSPORT_MODES[mode];
+      const checked = mode === this.DEFAULT_MODE ? ' checked' : '';
+
+      return `
+            <label for="transport-${mode}" class="calculator__transport-option">
+              <input id="transport-${mode}" type="radio" name="transport" value="${mode}"${checked}>
+              <span class="calculator__transport-card">
+                <span class="calculator__transport-emoji">${modeData.emoji}</span>
+                <span class="calculator__transport-label" data-i18n="modes.${mode}" data-i18n-default="${modeData.label}">${I18n.translateLabel(`modes.${mode}`, modeData.label)}</span>
+              </span>
+            </label>`;
+    }).join('');
+  },
+
+  /**
+   * populateVehicleVariants() - Preenche os selects de combustível/porte dos modos
+   * 
+   * FUNCIONAMENTO:
+   * 1. Para cada modo em VEHICLE_VARIANTS, localiza o select 'variant-<modo>'
+   * 2. Cria um <option> por variante, marcando a variante padrão
+   * 3. Mostra apenas o bloco de variantes do modo selecionado e atualiza
+   *    a visibilidade sempre que o modo muda
+   * 4. Ao trocar o idioma, re-gera as opções mantendo a variante escolhida
+   */
+  populateVehicleVariants: function() {
+    Object.keys(this.VEHICLE_VARIANTS).forEach(mode => {
+      const select = document.getElementById(`variant-${mode}`);
+
+      if (!select) {
+        console.warn(`Select de variantes "variant-${mode}" não encontrado`);
+        return;
+      }
+
+      select.innerHTML = this.renderVariantOptions(mode);
+
+      document.addEventListener('localechange', () => {
+        const selected = select.value;
+        select.innerHTML = this.renderVariantOptions(mode);
+        select.value = selected;
+      });
+    });
+
+    // Mostrar somente as variantes do modo selecionado
+    const transportRadios = document.querySelectorAll('input[name="transport"]');
+
+    function updateVisibleVariants() {
+      const checked = document.querySelector('input[name="transport"]:checked');
+      document.querySelectorAll('.calculator__variant').forEach(block => {
+        block.classList.toggle('hidden', !checked || block.dataset.mode !== checked.value);
+      });
+    }
+
+    transportRadios.forEach(radio => {
+      radio.addEventListener('change', updateVisibleVariants);
+    });
+    updateVisibleVariants();
+  },
+
+  /**
+   * populateFreightModes() - Preenche o select de modais de frete
+   * 
+   * FUNCIONAMENTO:
+   * 1. Localiza o select 'freight-mode' do formulário de frete
+   * 2. Cria um <option> por modal de FREIGHT_MODES (o primeiro fica selecionado)
+   * 3. Ao trocar o idioma, re-gera as opções mantendo o modal escolhido
+   */
+  populateFreightModes: function() {
+    const select = document.getElementById('freight-mode');
+
+    if (!select) {
+      console.warn('Select de modais de frete "freight-mode" não encontrado');
+      return;
+    }
+
+    const renderOptions = () => Object.keys(this.FREIGHT_MODES).map(mode => {
+      const modeData = this.FREIGHT_MODES[mode];
+      return `<option value="${mode}">${modeData.emoji} ${I18n.translateLabel(`freightModes.${mode}`, modeData.label)}</option>`;
+    }).join('');
+
+    select.innerHTML = renderOptions();
+
+    document.addEventListener('localechange', () => {
+      const selected = select.value;
+      select.innerHTML = renderOptions();
+      select.value = selected;
+    });
+  },
+
+  /**
+   * populateBaselineOptions() - Preenche o select da referência de comparação
+   * 
+   * FUNCIONAMENTO:
+   * 1. Localiza o select 'baseline' do formulário principal
+   * 2. Cria um <option> por modo de TRANSPORT_MODES e um para o valor
+   *    personalizado ('custom'), marcando DEFAULT_BASELINE
+   * 3. Mostra o campo do fator personalizado (#baseline-factor) apenas
+   *    quando 'custom' está selecionado, a cada mudança do select
+   * 4. Ao trocar o idioma, re-gera as opções mantendo a referência escolhida
+   */
+  populateBaselineOptions: function() {
+    const select = document.getElementById('baseline');
+    const factorField = document.getElementById('baseline-factor-field');
+
+    if (!select) {
+      console.warn('Select de referência "baseline" não encontrado');
       return;
     }
 
-    // Limpar datalist anterior (se houver)
-    datalist.innerHTML = '';
+    const renderOptions = () => {
+      const modeOptions = Object.keys(this.TRANSPORT_MODES).map(mode => {
+        const modeData = this.TRANSPORT_MODES[mode];
+        return `<option value="${mode}">${modeData.emoji} ${I18n.translateLabel(`modes.${mode}`, modeData.label)}</option>`;
+      });
+      modeOptions.push(`<option value="custom">${I18n.t('baseline.customOption')}</option>`);
+      return modeOptions.join('');
+    };
+
+    select.innerHTML = renderOptions();
+    select.value = this.DEFAULT_BASELINE;
 
-    // Criar e adicionar elemento <option> para cada cidade
-    cities.forEach(city => {
-      // Criar novo elemento option
-      const option = document.createElement('option');
-      // Definir o valor e texto da opção como o nome da cidade
-      option.value = city;
-      // Adicionar a opção ao datalist
-      datalist.appendChild(option);
+    document.addEventListener('localechange', () => {
+      const selected = select.value;
+      select.innerHTML = renderOptions();
+      select.value = selected;
     });
 
-    console.log(`Datalist populado com ${cities.length} cidades`);
+    function updateFactorField() {
+      if (factorField) {
+        factorField.classList.toggle('hidden', select.value !== 'custom');
+      }
+    }
+
+    select.addEventListener('change', updateFactorField);
+    updateFactorField();
+  },
+
+  /**
+   * setupRecurrenceFields() - Mostra apenas os campos da repetição escolhida
+   * 
+   * LÓGICA:
+   * 1. Lê o valor do select #trip-frequency ('once', 'weekly' ou 'monthly')
+   * 2. Mostra o bloco .calculator__recurrence-option com data-frequency igual
+   *    ao valor e oculta os demais
+   * 3. Repete a cada mudança do select
+   */
+  setupRecurrenceFields: function() {
+    const frequencySelect = document.getElementById('trip-frequency');
+
+    if (!frequencySelect) {
+      console.warn('Select de frequência "trip-frequency" não encontrado');
+      return;
+    }
+
+    function updateVisibleOptions() {
+      document.querySelectorAll('.calculator__recurrence-option').forEach(block => {
+        block.classList.toggle('hidden', block.dataset.frequency !== frequencySelect.value);
+      });
+    }
+
+    frequencySelect.addEventListener('change', updateVisibleOptions);
+    updateVisibleOptions();
+  },
+
+  /**
+   * renderVariantOptions(mode) - Gera os <option> de variantes de um modo
+   * 
+   * @param {string} mode - Modo de transporte (ex: 'car')
+   * @returns {string} HTML com as opções (vazio se o modo não tem variantes)
+   */
+  renderVariantOptions: function(mode) {
+    const variants = this.VEHICLE_VARIANTS[mode];
+
+    if (!variants) {
+      return '';
+    }
+
+    return Object.keys(variants.options).map(key => {
+      const selected = key === variants.default ? ' selected' : '';
+      const label = I18n.translateLabel(`variants.${mode}.${key}`, variants.options[key].label);
+      return `<option value="${key}"${selected}>${label}</option>`;
+    }).join('');
   },
 
   /**
@@ -142,22 +614,31 @@ const CONFIG = {
    * LÓGICA DE MUDANÇA (origin/destination):
    * - Obtém valores trimmed de ambos os inputs
    * - Se ambos estão preenchidos:
-   *   * Busca a distância no RoutesDB usando findDistance()
+   *   * Resolve a distância no RoutesDB usando resolveDistance() com o modo selecionado
+   *     (rota direta, menor caminho ou estimativa em linha reta)
    *   * Se encontrada:
    *     - Preenche o input de distância com o valor
    *     - Define o input como readonly
-   *     - Muda a cor do texto auxiliar para verde (sucesso)
+   *     - Marca a origem da distância em data-distance-source ('direct', 'derived' ou 'estimated')
+   *     - Rota direta: muda a cor do texto auxiliar para verde (sucesso)
+   *     - Rota indireta: mostra as cidades intermediárias em azul (informação)
+   *     - Estimativa: mostra linha reta e fator de desvio em âmbar (aviso)
    *   * Se não encontrada:
    *     - Limpa o input de distância
    *     - Muda o texto auxiliar sugerindo entrada manual
    *     - Muda a cor para aviso
+   * - Ao trocar o modo de transporte, refaz a busca (a estimativa depende da malha)
    * - Se qualquer input está vazio:
    *   - Limpa o input de distância
    *   - Restaura texto e cor padrão do helper
+   * - Ao trocar o idioma, refaz a mensagem do helper no novo idioma
+   * - Enquanto a base de cidades carrega, o helper avisa o carregamento; ao
+   *   terminar (evento 'routesload'), refaz a busca
    * 
    * LÓGICA DO CHECKBOX (manual-distance):
    * - Se marcado:
    *   * Remove atributo readonly do input de distância
+   *   * Marca a origem da distância como 'manual'
    *   * Permite que o usuário edite manualmente
    *   * Auto-foca no input de distância
    * - Se desmarcado:
@@ -175,15 +656,60 @@ const CONFIG = {
     const distanceInput = document.getElementById('distance');
     const manualCheckbox = document.getElementById('manual-distance');
 
-    // Obter elemento de texto auxiliar para mensagens
-    const helperText = distanceInput.parentElement.querySelector('.calculator__help');
-
     // Verificar se todos os elementos necessários existem
     if (!originInput || !destinationInput || !distanceInput || !manualCheckbox) {
       console.warn('Um ou mais elementos necessários não foram encontrados para setupDistanceAutofill');
       return;
     }
 
+    // Obter elemento de texto auxiliar para mensagens
+    const helperText = distanceInput.parentElement.querySelector('.calculator__help');
+
+    // Radios de modo de transporte do trecho principal
+    const transportRadios = Array.from(document.querySelectorAll('input[name="transport"]'));
+
+    // Ligar o auto-preenchimento ao trecho principal do formulário
+    this.bindDistanceAutofill({
+      originInput: originInput,
+      destinationInput: destinationInput,
+      distanceInput: distanceInput,
+      manualCheckbox: manualCheckbox,
+      helperText: helperText,
+      getMode: function() {
+        const checked = transportRadios.find(radio => radio.checked);
+        return checked ? checked.value : null;
+      },
+      modeInputs: transportRadios
+    });
+
+    console.log('Auto-preenchimento de distância configurado com sucesso');
+  },
+
+  /**
+   * bindDistanceAutofill(fields) - Liga o auto-preenchimento a um conjunto de campos
+   * 
+   * Contém a lógica descrita em setupDistanceAutofill(), mas recebe os elementos
+   * por parâmetro para que possa ser reutilizada em cada trecho adicional do
+   * itinerário (ver js/itinerary.js).
+   * 
+   * @param {Object} fields - Objeto com: {originInput, destinationInput, distanceInput, manualCheckbox, helperText,
+   *                          getMode, modeInputs} (getMode retorna o modo atual; modeInputs são os campos de modo)
+   * Os campos ficam com listeners próprios; os eventos 'localechange', 'routesload' e
+   * 'unitchange' são ouvidos em document, então um trecho removido da página precisa
+   * chamar unbind() para não continuar sendo atualizado (ver Itinerary.removeLeg()).
+   * 
+   * @returns {Object} Objeto com: {fill, unbind}
+   *                   (fill refaz a busca de distância, útil quando a origem é alterada via código;
+   *                   unbind remove os listeners registrados em document)
+   */
+  bindDistanceAutofill: function(fields) {
+    const originInput = fields.originInput;
+    const destinationInput = fields.destinationInput;
+    const distanceInput = fields.distanceInput;
+    const manualCheckbox = fields.manualCheckbox;
+    const helperText = fields.helperText;
+    const getMode = fields.getMode;
+
     // Função auxiliar para tentar buscar e preencher a distância
     function attemptFillDistance() {
       // Obter valores trimmed de origem e destino
@@ -192,32 +718,57 @@ const CONFIG = {
 
       // Verificar se ambos os inputs estão preenchidos
       if (origin && destination) {
-        // Buscar distância no RoutesDB
-        const distance = RoutesDB.findDistance(origin, destination);
+        // Resolver distância no RoutesDB (rota direta, menor caminho ou estimativa em linha reta)
+        const mode = getMode ? getMode() : null;
+        const route = RoutesDB.resolveDistance(origin, destination, mode);
 
-        if (distance !== null) {
-          // Rota encontrada: preencher distância e definir como readonly
-          distanceInput.value = distance;
+        if (route !== null) {
+          // Rota encontrada: preencher distância (na unidade em uso) e definir como readonly
+          distanceInput.value = Units.toInputValue(route.distanceKm);
           distanceInput.setAttribute('readonly', '');
           manualCheckbox.checked = false;
 
-          // Atualizar texto auxiliar com mensagem de sucesso em verde
-          helperText.textContent = '✓ Distância preenchida automaticamente';
-          helperText.style.color = '#10b981';  // Cor verde (sucesso)
+          // Marcar se a distância veio de uma rota cadastrada, foi derivada ou estimada
+          distanceInput.dataset.distanceSource = route.source;
+
+          if (route.source === 'direct') {
+            // Atualizar texto auxiliar com mensagem de sucesso em verde
+            helperText.textContent = I18n.t('distance.direct');
+            helperText.style.color = '#10b981';  // Cor verde (sucesso)
+          } else if (route.source === 'derived') {
+            // Rota indireta: mostrar o caminho inferido
+            helperText.textContent = I18n.t('distance.derived', { path: route.path.join(' → ') });
+            helperText.style.color = '#3b82f6';  // Cor azul (info)
+          } else {
+            // Estimativa em linha reta: mostrar a base do cálculo
+            helperText.textContent = I18n.t('distance.estimated', {
+              straight: UI.formatDistance(route.straightLineKm, 0),
+              detour: route.detourFactor.toLocaleString(I18n.locale)
+            });
+            helperText.style.color = '#f59e0b';  // Cor âmbar (aviso)
+          }
+        } else if (RoutesDB.status === 'loading') {
+          // Base de cidades ainda carregando: a busca é refeita no evento 'routesload'
+          distanceInput.value = '';
+          delete distanceInput.dataset.distanceSource;
+          helperText.textContent = I18n.t('distance.loading');
+          helperText.style.color = '#6b7280';  // Cor cinza padrão
         } else {
           // Rota não encontrada: sugerir entrada manual
           distanceInput.value = '';
-          helperText.textContent = 'Rota não encontrada. Insira a distância manualmente marcando a caixa abaixo.';
+          delete distanceInput.dataset.distanceSource;
+          helperText.textContent = I18n.t('distance.notFound');
           helperText.style.color = '#f59e0b';  // Cor âmbar (aviso)
         }
       } else {
         // Origem ou destino vazio: limpar distância e restaurar estado padrão
         distanceInput.value = '';
+        delete distanceInput.dataset.distanceSource;
         distanceInput.setAttribute('readonly', '');
         manualCheckbox.checked = false;
 
         // Restaurar texto e cor padrão do helper
-        helperText.textContent = 'A distância será preenchida automaticamente';
+        helperText.textContent = I18n.t('distance.auto');
         helperText.style.color = '#6b7280';  // Cor cinza padrão
       }
     }
@@ -226,13 +777,24 @@ const CONFIG = {
     originInput.addEventListener('change', attemptFillDistance);
     destinationInput.addEventListener('change', attemptFillDistance);
 
+    // A estimativa depende do modo: refazer a busca quando o modo mudar
+    // (exceto quando o usuário está editando a distância manualmente)
+    (fields.modeInputs || []).forEach(input => {
+      input.addEventListener('change', function() {
+        if (!manualCheckbox.checked) {
+          attemptFillDistance();
+        }
+      });
+    });
+
     // Adicionar listener ao checkbox de entrada manual
     manualCheckbox.addEventListener('change', function() {
       if (this.checked) {
         // Checkbox marcado: desbloquear input de distância para edição manual
         distanceInput.removeAttribute('readonly');
+        distanceInput.dataset.distanceSource = 'manual';
         distanceInput.focus();
-        helperText.textContent = 'Você está editando a distância manualmente';
+        helperText.textContent = I18n.t('distance.manual');
         helperText.style.color = '#3b82f6';  // Cor azul (info)
       } else {
         // Checkbox desmarcado: tentar buscar rota novamente
@@ -240,6 +802,43 @@ const CONFIG = {
       }
     });
 
-    console.log('Auto-preenchimento de distância configurado com sucesso');
+    // Idioma trocado: refazer a mensagem do helper (a distância automática é recalculada igual)
+    function onLocaleChange() {
+      if (manualCheckbox.checked) {
+        helperText.textContent = I18n.t('distance.manual');
+      } else {
+        attemptFillDistance();
+      }
+    }
+
+    // Base de cidades carregada: buscar a distância dos campos preenchidos durante o carregamento
+    function onRoutesLoad() {
+      if (!manualCheckbox.checked) {
+        attemptFillDistance();
+      }
+    }
+
+    // Unidade de distância trocada: converter o valor digitado ou refazer a busca
+    // (a distância da base é convertida a partir dos km, sem acumular arredondamentos)
+    function onUnitChange(event) {
+      if (manualCheckbox.checked) {
+        distanceInput.value = Units.convertInputValue(distanceInput.value, event.detail.previousDistance);
+      } else {
+        attemptFillDistance();
+      }
+    }
+
+    document.addEventListener('localechange', onLocaleChange);
+    document.addEventListener('routesload', onRoutesLoad);
+    document.addEventListener('unitchange', onUnitChange);
+
+    return {
+      fill: attemptFillDistance,
+      unbind: function() {
+        document.removeEventListener('localechange', onLocaleChange);
+        document.removeEventListener('routesload', onRoutesLoad);
+        document.removeEventListener('unitchange', onUnitChange);
+      }
+    };
   }
 };
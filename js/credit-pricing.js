@@ -0,0 +1,407 @@
+/**
+ * credit-pricing.js - Preço dos Créditos de Carbono e Moeda de Exibição
+ *
+ * DESCRIÇÃO GERAL:
+ * Define um objeto global chamado CreditPricing que guarda a faixa de preço
+ * por crédito usada por Calculator.estimateCreditPrice() e a moeda em que os
+ * valores são exibidos (UI.formatCurrency). O usuário escolhe um perfil de
+ * preço (CONFIG.CARBON_CREDIT.PRICE_PROFILES) ou digita a própria faixa, e
+ * escolhe entre real, dólar e euro informando a cotação. As escolhas ficam
+ * salvas no localStorage.
+ *
+ * ESTRUTURA DO CreditPricing:
+ * {
+ *   STORAGE_KEY: string           - Chave usada no localStorage
+ *   profileId: string             - Perfil de preço em uso (chave de PRICE_PROFILES)
+ *   customRange: Object           - Faixa digitada pelo usuário {min, max} em reais
+ *   currency: string              - Moeda de exibição (chave de CONFIG.CARBON_CREDIT.CURRENCIES)
+ *   rates: Object                 - Cotação de cada moeda em reais ({ USD: 5.4, EUR: 5.9 })
+ *   init(): Function              - Lê as escolhas salvas e liga os campos do painel
+ *   getPriceRange(): Function     - Faixa de preço por crédito em uso, em reais
+ *   setProfile(): Function        - Troca o perfil de preço
+ *   setPriceRange(): Function     - Define uma faixa personalizada
+ *   setCurrency(): Function       - Troca a moeda de exibição
+ *   setRate(): Function           - Define a cotação de uma moeda
+ *   getRate(): Function           - Cotação de uma moeda em reais
+ *   convert(): Function           - Converte um valor em reais para a moeda em uso
+ *   describe(): Function          - Perfil, faixa e moeda em uso (para resultados e relatório)
+ *   save(): Function              - Grava as escolhas no localStorage
+ *   renderProfileOptions(): Function  - Gera os <option> do select de perfis
+ *   renderCurrencyOptions(): Function - Gera os <option> do select de moedas
+ *   renderRateFields(): Function  - Gera os campos de cotação das moedas estrangeiras
+ * }
+ *
+ * EXEMPLO:
+ * - Perfil 'voluntary' (R$ 50 a R$ 150), moeda USD com cotação 5,00
+ *   => 1 crédito custa de US$ 10,00 a US$ 30,00
+ */
+
+const CreditPricing = {
+  /**
+   * Chave usada para guardar as escolhas no localStorage
+   */
+  STORAGE_KEY: 'calculadora-carbono:credit-pricing',
+
+  /**
+   * Perfil de preço em uso
+   */
+  profileId: CONFIG.CARBON_CREDIT.DEFAULT_PROFILE,
+
+  /**
+   * Faixa do perfil 'custom' em reais por crédito
+   */
+  customRange: {
+    min: CONFIG.CARBON_CREDIT.PRICE_MIN_BRL,
+    max: CONFIG.CARBON_CREDIT.PRICE_MAX_BRL
+  },
+
+  /**
+   * Moeda de exibição dos preços
+   */
+  currency: CONFIG.CARBON_CREDIT.DEFAULT_CURRENCY,
+
+  /**
+   * Cotações informadas pelo usuário (reais por unidade); moedas ausentes usam a cotação padrão
+   */
+  rates: {},
+
+  /**
+   * init() - Lê as escolhas salvas e liga os campos do painel "Preço dos créditos"
+   *
+   * LÓGICA:
+   * 1. Restaura perfil, faixa personalizada, moeda e cotações do localStorage
+   * 2. Preenche os selects #credit-profile e #credit-currency e gera os campos
+   *    de cotação (um por moeda estrangeira) em .calculator__rates
+   * 3. Trocar o perfil preenche a faixa; editar a faixa muda o perfil para 'custom'.
+   *    Faixa inválida volta aos valores em uso, com a mensagem #credit-price-error
+   *    (classe calculator__error, role="alert") abaixo do preço máximo
+   * 4. Mostra apenas o campo de cotação da moeda escolhida
+   * 5. Ao trocar o idioma, re-gera os nomes de perfis e moedas e os rótulos das cotações
+   */
+  init: function() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || 'null');
+
+      if (stored) {
+        if (CONFIG.CARBON_CREDIT.PRICE_PROFILES[stored.profileId]) {
+          this.profileId = stored.profileId;
+        }
+        if (stored.customRange && stored.customRange.min >= 0 && stored.customRange.max >= stored.customRange.min) {
+          this.customRange = { min: stored.customRange.min, max: stored.customRange.max };
+        }
+        if (CONFIG.CARBON_CREDIT.CURRENCIES[stored.currency]) {
+          this.currency = stored.currency;
+        }
+        Object.keys(stored.rates || {}).forEach(code => {
+          if (CONFIG.CARBON_CREDIT.CURRENCIES[code] && stored.rates[code] > 0) {
+            this.rates[code] = stored.rates[code];
+          }
+        });
+      }
+    } catch (error) {
+      console.warn('Não foi possível ler o preço dos créditos do localStorage:', error);
+    }
+
+    const profileSelect = document.getElementById('credit-profile');
+    const minInput = document.getElementById('credit-price-min');
+    const maxInput = document.getElementById('credit-price-max');
+    const currencySelect = document.getElementById('credit-currency');
+    const ratesContainer = document.querySelector('.calculator__rates');
+
+    if (!profileSelect || !minInput || !maxInput || !currencySelect) {
+      console.warn('Campos do painel de preço dos créditos não encontrados');
+      return;
+    }
+
+    const showRange = () => {
+      const range = this.getPriceRange();
+      minInput.value = range.min;
+      maxInput.value = range.max;
+    };
+
+    const showRateField = () => {
+      document.querySelectorAll('.calculator__rate').forEach(field => {
+        field.classList.toggle('hidden', field.dataset.currency !== this.currency);
+      });
+    };
+
+    profileSelect.innerHTML = this.renderProfileOptions();
+    profileSelect.value = this.profileId;
+    profileSelect.addEventListener('change', () => {
+      this.setProfile(profileSelect.value);
+      showRange();
+      showRangeError('');
+    });
+
+    // Mensagem da faixa recusada, ligada aos dois campos por aria-describedby
+    const showRangeError = message => {
+      let error = document.getElementById('credit-price-error');
+
+      if (!message) {
+        if (error) {
+          error.remove();
+          [minInput, maxInput].forEach(input => input.removeAttribute('aria-describedby'));
+        }
+        return;
+      }
+
+      if (!error) {
+        error = document.createElement('p');
+        error.id = 'credit-price-error';
+        error.className = 'calculator__error';
+        error.setAttribute('role', 'alert');
+        maxInput.closest('.calculator__field').appendChild(error);
+        [minInput, maxInput].forEach(input => input.setAttribute('aria-describedby', error.id));
+      }
+      error.textContent = message;
+    };
+
+    // Faixa digitada: inválida volta aos valores em uso, explicando o motivo
+    const onRangeChange = () => {
+      if (!this.setPriceRange(Number(minInput.value), Number(maxInput.value))) {
+        showRange();
+        const range = this.getPriceRange();
+        showRangeError(I18n.t('errors.priceRange', {
+          min: UI.formatCurrency(range.min, 'BRL'),
+          max: UI.formatCurrency(range.max, 'BRL')
+        }));
+        return;
+      }
+      showRangeError('');
+      profileSelect.value = this.profileId;
+    };
+    minInput.addEventListener('change', onRangeChange);
+    maxInput.addEventListener('change', onRangeChange);
+    showRange();
+
+    currencySelect.innerHTML = this.renderCurrencyOptions();
+    currencySelect.value = this.currency;
+    currencySelect.addEventListener('change', () => {
+      this.setCurrency(currencySelect.value);
+      showRateField();
+    });
+
+    if (ratesContainer) {
+      ratesContainer.innerHTML = this.renderRateFields();
+      ratesContainer.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', () => {
+          if (!this.setRate(input.dataset.currency, Number(input.value))) {
+            input.value = this.getRate(input.dataset.currency);
+          }
+        });
+      });
+    }
+    showRateField();
+
+    document.addEventListener('localechange', () => {
+      showRangeError('');
+      profileSelect.innerHTML = this.renderProfileOptions();
+      profileSelect.value = this.profileId;
+      currencySelect.innerHTML = this.renderCurrencyOptions();
+      currencySelect.value = this.currency;
+
+      document.querySelectorAll('.calculator__rate').forEach(field => {
+        field.querySelector('label').textContent = I18n.t('pricing.rate', { currency: field.dataset.currency });
+      });
+    });
+  },
+
+  /**
+   * getPriceRange() - Faixa de preço por crédito em uso
+   *
+   * @returns {Object} Objeto com {min, max} em reais por crédito
+   */
+  getPriceRange: function() {
+    const profile = CONFIG.CARBON_CREDIT.PRICE_PROFILES[this.profileId];
+
+    if (!profile || this.profileId === 'custom') {
+      return { min: this.customRange.min, max: this.customRange.max };
+    }
+
+    return { min: profile.min, max: profile.max };
+  },
+
+  /**
+   * setProfile(profileId) - Troca o perfil de preço e salva a escolha
+   *
+   * @param {string} profileId - Chave de CONFIG.CARBON_CREDIT.PRICE_PROFILES (ex: 'forestry')
+   * @returns {boolean} true se o perfil existe e foi selecionado
+   */
+  setProfile: function(profileId) {
+    if (!CONFIG.CARBON_CREDIT.PRICE_PROFILES[profileId]) {
+      console.warn(`Perfil de preço "${profileId}" não encontrado`);
+      return false;
+    }
+
+    this.profileId = profileId;
+    this.save();
+    return true;
+  },
+
+  /**
+   * setPriceRange(min, max) - Define uma faixa personalizada (perfil 'custom') e salva
+   *
+   * @param {number} min - Preço mínimo em reais por crédito (>= 0)
+   * @param {number} max - Preço máximo em reais por crédito (>= min)
+   * @returns {boolean} true se a faixa é válida e foi aplicada
+   */
+  setPriceRange: function(min, max) {
+    if (!(min >= 0) || !(max >= min)) {
+      console.warn('Faixa de preço inválida: o mínimo deve ser >= 0 e o máximo >= mínimo');
+      return false;
+    }
+
+    this.profileId = 'custom';
+    this.customRange = { min: min, max: max };
+    this.save();
+    return true;
+  },
+
+  /**
+   * setCurrency(currency) - Troca a moeda de exibição e salva a escolha
+   *
+   * @param {string} currency - Chave de CONFIG.CARBON_CREDIT.CURRENCIES (ex: 'USD')
+   * @returns {boolean} true se a moeda existe e foi selecionada
+   */
+  setCurrency: function(currency) {
+    if (!CONFIG.CARBON_CREDIT.CURRENCIES[currency]) {
+      console.warn(`Moeda "${currency}" não encontrada`);
+      return false;
+    }
+
+    this.currency = currency;
+    this.save();
+    return true;
+  },
+
+  /**
+   * setRate(currency, rate) - Define a cotação de uma moeda e salva
+   *
+   * @param {string} currency - Chave de CONFIG.CARBON_CREDIT.CURRENCIES (exceto 'BRL')
+   * @param {number} rate - Reais por unidade da moeda (> 0)
+   * @returns {boolean} true se a cotação é válida e foi aplicada
+   */
+  setRate: function(currency, rate) {
+    if (!CONFIG.CARBON_CREDIT.CURRENCIES[currency] || currency === 'BRL' || !(rate > 0)) {
+      console.warn(`Cotação inválida para "${currency}"`);
+      return false;
+    }
+
+    this.rates[currency] = rate;
+    this.save();
+    return true;
+  },
+
+  /**
+   * getRate(currency) - Cotação de uma moeda em reais
+   *
+   * @param {string} currency - Chave de CONFIG.CARBON_CREDIT.CURRENCIES (padrão: moeda em uso)
+   * @returns {number} Reais por unidade da moeda (1 para BRL)
+   */
+  getRate: function(currency) {
+    const code = currency || this.currency;
+    const currencyData = CONFIG.CARBON_CREDIT.CURRENCIES[code];
+
+    if (!currencyData || code === 'BRL') {
+      return 1;
+    }
+
+    return this.rates[code] || currencyData.rate;
+  },
+
+  /**
+   * convert(valueBRL, currency) - Converte um valor em reais para a moeda de exibição
+   *
+   * EXEMPLO:
+   * - convert(150, 'USD') com cotação 5 => 30
+   *
+   * @param {number} valueBRL - Valor em reais
+   * @param {string} currency - Moeda de destino (padrão: moeda em uso)
+   * @returns {number} Valor convertido (sem arredondamento)
+   */
+  convert: function(valueBRL, currency) {
+    return valueBRL / this.getRate(currency);
+  },
+
+  /**
+   * describe() - Perfil, faixa e moeda em uso
+   *
+   * @returns {Object} Objeto com: {profileId, profileLabel, minBRL, maxBRL, currency, rate}
+   */
+  describe: function() {
+    const range = this.getPriceRange();
+    const profile = CONFIG.CARBON_CREDIT.PRICE_PROFILES[this.profileId];
+
+    return {
+      profileId: this.profileId,
+      profileLabel: profile ? profile.label : this.profileId,
+      minBRL: range.min,
+      maxBRL: range.max,
+      currency: this.currency,
+      rate: this.getRate()
+    };
+  },
+
+  /**
+   * save() - Grava perfil, faixa personalizada, moeda e cotações no localStorage
+   */
+  save: function() {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify({
+        profileId: this.profileId,
+        customRange: this.customRange,
+        currency: this.currency,
+        rates: this.rates
+      }));
+    } catch (error) {
+      console.warn('Não foi possível gravar o preço dos créditos no localStorage:', error);
+    }
+  },
+
+  /**
+   * renderProfileOptions() - Gera os <option> do select de perfis, com a faixa de cada um
+   * (nomes no idioma em uso; ver js/i18n.js)
+   *
+   * @returns {string} HTML com as opções
+   */
+  renderProfileOptions: function() {
+    const profiles = CONFIG.CARBON_CREDIT.PRICE_PROFILES;
+
+    return Object.keys(profiles).map(profileId => {
+      const profile = profiles[profileId];
+      const label = I18n.translateLabel(`pricingProfiles.${profileId}`, profile.label);
+      const range = profile.min !== null ? ` ${I18n.t('pricing.range', { min: profile.min, max: profile.max })}` : '';
+      return `<option value="${profileId}">${label}${range}</option>`;
+    }).join('');
+  },
+
+  /**
+   * renderCurrencyOptions() - Gera os <option> do select de moedas
+   *
+   * @returns {string} HTML com as opções
+   */
+  renderCurrencyOptions: function() {
+    const currencies = CONFIG.CARBON_CREDIT.CURRENCIES;
+
+    return Object.keys(currencies).map(code =>
+      `<option value="${code}">${I18n.translateLabel(`currencies.${code}`, currencies[code].label)}</option>`
+    ).join('');
+  },
+
+  /**
+   * renderRateFields() - Gera um campo de cotação para cada moeda estrangeira
+   *
+   * @returns {string} HTML com os campos (.calculator__rate, data-currency)
+   */
+  renderRateFields: function() {
+    const currencies = CONFIG.CARBON_CREDIT.CURRENCIES;
+
+    return Object.keys(currencies).filter(code => code !== 'BRL').map(code => `
+      <div class="calculator__field calculator__rate" data-currency="${code}">
+        <label for="credit-rate-${code}" class="calculator__label">${I18n.t('pricing.rate', { currency: code })}</label>
+        <input id="credit-rate-${code}" type="number" min="0.0001" step="0.0001" value="${this.getRate(code)}"
+          data-currency="${code}" class="calculator__input">
+      </div>
+    `).join('');
+  }
+};
@@ -0,0 +1,691 @@
+/**
+ * emission-factors.js - Bases de Fatores de Emissão Versionadas e Citadas
+ *
+ * DESCRIÇÃO GERAL:
+ * Define um objeto global chamado EmissionFactors que guarda várias bases de
+ * fatores de emissão (kg por km de cada gás: CO2, CH4 e N2O), cada uma com
+ * nome, versão, ano e a citação da fonte, para que todo resultado possa ser
+ * rastreado até a publicação de origem. Os gases são somados em CO2e com o
+ * conjunto de GWP escolhido (CONFIG.GWP_SETS). O usuário escolhe a base e o
+ * GWP usados pelo Calculator; as escolhas ficam salvas no localStorage.
+ *
+ * ESTRUTURA DO EmissionFactors:
+ * {
+ *   STORAGE_KEY: string           - Chave usada no localStorage (base)
+ *   GWP_STORAGE_KEY: string       - Chave usada no localStorage (conjunto de GWP)
+ *   RF_STORAGE_KEY: string        - Chave usada no localStorage (forçamento radiativo)
+ *   DEFAULT_ID: string            - Base usada quando nenhuma foi escolhida
+ *   DEFAULT_GWP: string           - Conjunto de GWP usado quando nenhum foi escolhido
+ *   DATASETS: Object              - Bases disponíveis (ver ESTRUTURA DE CADA BASE)
+ *   activeId: string              - Base em uso pelo Calculator
+ *   gwpId: string                 - Conjunto de GWP em uso (chave de CONFIG.GWP_SETS)
+ *   radiativeForcing: boolean     - Inclui o forçamento radiativo dos voos (CONFIG.AVIATION)
+ *   init(): Function              - Lê as escolhas salvas e liga os selects da página
+ *   getActive(): Function         - Retorna a base em uso
+ *   setActive(): Function         - Troca a base em uso e salva a escolha
+ *   getGwp(): Function            - Retorna o conjunto de GWP em uso
+ *   setGwp(): Function            - Troca o conjunto de GWP e salva a escolha
+ *   setRadiativeForcing(): Function - Liga/desliga o forçamento radiativo e salva a escolha
+ *   applyShared(): Function       - Usa as escolhas de um link só nesta sessão (sem salvar)
+ *   showChoices(): Function       - Mostra nos campos as escolhas em uso (e a citação da base)
+ *   getRadiativeForcing(): Function - Multiplicador de forçamento radiativo em uso (1 se desligado)
+ *   getGasFactors(): Function     - Fatores por gás de um modo/variante na base em uso
+ *   toCO2e(): Function            - Soma CO2, CH4 e N2O em CO2e com o GWP em uso
+ *   getFactor(): Function         - Fator em CO2e de um modo/variante na base em uso
+ *   getFreightGasFactors(): Function - Fatores por gás de um modal de frete (por tonelada-km)
+ *   hasVariant(): Function        - Indica se a base em uso tem fator próprio para a variante
+ *   describe(): Function          - Metadados da base em uso (sem os fatores)
+ *   getLabel(): Function          - Nome de uma base no idioma em uso
+ *   getCitation(): Function       - Citação de uma base no idioma em uso
+ *   renderOptions(): Function     - Gera os <option> do select de bases
+ *   renderGwpOptions(): Function  - Gera os <option> do select de GWP
+ * }
+ *
+ * ESTRUTURA DE CADA BASE:
+ * {
+ *   label: string,                - Nome de exibição
+ *   publisher: string,            - Organização responsável pela publicação
+ *   version: string,              - Versão/edição da publicação
+ *   year: number,                 - Ano de referência dos fatores
+ *   unit: string,                 - Unidade publicada pela fonte ('kg CO2/km' ou 'kg CO2e/km')
+ *   citation: string,             - Referência bibliográfica da fonte
+ *   url: string|null,             - Endereço da publicação, se houver
+ *   notes: string,                - Premissas usadas na conversão para kg/km
+ *   factors: Object,              - Fator por modo (por veículo em modos individuais, por
+ *                                   passageiro em coletivos; ver CONFIG.OCCUPANCY)
+ *   variants: Object,             - Fator por combustível/porte ({ car: { ethanol: {...} } })
+ *   freight: Object               - Fator por modal de frete em kg por tonelada-km, na
+ *                                   ocupação de referência de CONFIG.FREIGHT_MODES
+ * }
+ *
+ * FORMATO DE CADA FATOR:
+ * - { co2, ch4, n2o }: kg de cada gás por km (CH4 e N2O em massa do próprio gás)
+ * - número: apenas kg CO2/km (CH4 e N2O não modelados pela base)
+ *
+ * NOTA:
+ * As publicações citadas trazem fatores por litro de combustível, por kWh ou
+ * por passageiro-km em tabelas próprias; os valores abaixo são a conversão
+ * para kg/km com as premissas descritas em "notes", arredondados. Confira a
+ * edição original antes de usar os resultados em inventários oficiais.
+ * Nas bases publicadas em CO2e, a divisão entre CO2, CH4 e N2O usa as
+ * proporções típicas de cada combustível e reproduz o CO2e publicado com
+ * o GWP do AR5 (padrão).
+ */
+
+const EmissionFactors = {
+  /**
+   * Chave usada para guardar a base escolhida no localStorage
+   */
+  STORAGE_KEY: 'calculadora-carbono:factor-dataset',
+
+  /**
+   * Chave usada para guardar o conjunto de GWP escolhido no localStorage
+   */
+  GWP_STORAGE_KEY: 'calculadora-carbono:gwp',
+
+  /**
+   * Chave usada para guardar a escolha do forçamento radiativo no localStorage
+   */
+  RF_STORAGE_KEY: 'calculadora-carbono:radiative-forcing',
+
+  /**
+   * Base padrão: os fatores originais da calculadora
+   */
+  DEFAULT_ID: 'calculadora-2024',
+
+  /**
+   * GWP padrão: AR5, usado pelas bases publicadas em CO2e
+   */
+  DEFAULT_GWP: 'AR5',
+
+  /**
+   * BASES DE FATORES DISPONÍVEIS
+   *
+   * Variantes ausentes em uma base usam o fator da variante padrão do modo
+   * (CONFIG.VEHICLE_VARIANTS[modo].default) nessa mesma base.
+   */
+  DATASETS: {
+    'calculadora-2024': {
+      label: 'Estimativas da calculadora',
+      publisher: 'Calculadora de Carbono',
+      version: '1.0',
+      year: 2024,
+      unit: 'kg CO2/km',
+      citation: 'Estimativas próprias da calculadora baseadas em dados de transporte sustentável (sem fonte oficial única).',
+      url: null,
+      notes: 'Valores médios de referência usados desde a primeira versão da calculadora; servem para comparação entre modos, não para inventários. Apenas CO2 (CH4 e N2O não modelados).',
+      factors: {
+        bicycle: 0,        // Bicicleta: zero emissão (transporte limpo)
+        car: 0.12,         // Carro: por veículo
+        bus: 0.089,        // Ônibus: por passageiro
+        truck: 0.96,       // Caminhão: por veículo
+        plane: 0.20,       // Avião: por passageiro
+        boat: 0.15,        // Barco: por passageiro
+        motorcycle: 0.07,  // Moto: por veículo
+        train: 0.041,      // Trem intermunicipal: por passageiro
+        metro: 0.006,      // Metrô: por passageiro (elétrico)
+        scooter: 0.004,    // Patinete elétrico: por veículo
+        walking: 0         // A pé: zero emissão
+      },
+      variants: {
+        car: { gasoline: 0.12, ethanol: 0.03, diesel: 0.17, cng: 0.10, hybrid: 0.08, electric: 0.015 },
+        bus: { diesel: 0.089, micro: 0.12, hybrid: 0.06, electric: 0.008 },
+        truck: { light: 0.35, medium: 0.60, heavy: 0.96, electric: 0.05 }
+      },
+      freight: {
+        truck: 0.096,      // Caminhão pesado (0.96 kg/km) com 10 t de carga média
+        rail: 0.025,       // Trem de carga a diesel
+        boat: 0.015,       // Navio de cabotagem / barcaça
+        air: 1.0           // Avião cargueiro
+      }
+    },
+
+    'ghg-protocol-br-2023': {
+      label: 'Programa Brasileiro GHG Protocol',
+      publisher: 'FGVces / Programa Brasileiro GHG Protocol',
+      version: 'Ferramenta de cálculo 2023',
+      year: 2023,
+      unit: 'kg CO2e/km',
+      citation: 'FGVces. Programa Brasileiro GHG Protocol: Ferramenta de Cálculo, versão 2023. São Paulo: FGV EAESP, 2023. Fator da rede elétrica: MCTI, Fatores de Emissão do Sistema Interligado Nacional, 2023.',
+      url: null,
+      notes: 'Convertido de kg por litro/kWh com o consumo médio da frota brasileira e a ocupação média dos coletivos; etanol e fração renovável da gasolina C contam apenas emissões fósseis. Moto com consumo médio da frota a gasolina C; trem intermunicipal a diesel; metrô e patinete elétrico com o consumo de energia por passageiro-km e o fator do SIN. Frete: consumo médio de diesel por tonelada-km do caminhão articulado, da locomotiva e da cabotagem, e querosene de aviação de voos domésticos com carga.',
+      factors: {
+        bicycle: { co2: 0, ch4: 0, n2o: 0 },
+        car: { co2: 0.12449, ch4: 1.8e-5, n2o: 3.8e-6 },
+        bus: { co2: 0.03562, ch4: 6.4e-7, n2o: 1.4e-6 },
+        truck: { co2: 0.96971, ch4: 1.7e-5, n2o: 3.7e-5 },
+        plane: { co2: 0.15655, ch4: 1.1e-6, n2o: 5.4e-6 },
+        boat: { co2: 0.11892, ch4: 4.3e-6, n2o: 3.6e-6 },
+        motorcycle: { co2: 0.05483, ch4: 8.0e-6, n2o: 1.7e-6 },
+        train: { co2: 0.03463, ch4: 6.1e-7, n2o: 1.3e-6 },
+        metro: { co2: 0.00394, ch4: 1.5e-6, n2o: 9.1e-8 },
+        scooter: { co2: 0.00059, ch4: 2.2e-7, n2o: 1.4e-8 },
+        walking: { co2: 0, ch4: 0, n2o: 0 }
+      },
+      variants: {
+        car: {
+          gasoline: { co2: 0.12449, ch4: 1.8e-5, n2o: 3.8e-6 },
+          ethanol: { co2: 0.02046, ch4: 2.4e-5, n2o: 3.3e-6 },
+          diesel: { co2: 0.17613, ch4: 3.2e-6, n2o: 6.7e-6 },
+          cng: { co2: 0.10422, ch4: 1.2e-4, n2o: 2.0e-6 },
+          hybrid: { co2: 0.08398, ch4: 1.2e-5, n2o: 2.6e-6 },
+          electric: { co2: 0.00787, ch4: 2.9e-6, n2o: 1.8e-7 }
+        },
+        bus: {
+          diesel: { co2: 0.03562, ch4: 6.4e-7, n2o: 1.4e-6 },
+          micro: { co2: 0.06432, ch4: 1.2e-6, n2o: 2.5e-6 },
+          hybrid: { co2: 0.02573, ch4: 4.6e-7, n2o: 9.8e-7 },
+          electric: { co2: 0.00197, ch4: 7.1e-7, n2o: 4.5e-8 }
+        },
+        truck: {
+          light: { co2: 0.32654, ch4: 5.9e-6, n2o: 1.2e-5 },
+          medium: { co2: 0.57391, ch4: 1.0e-5, n2o: 2.2e-5 },
+          heavy: { co2: 0.96971, ch4: 1.7e-5, n2o: 3.7e-5 },
+          electric: { co2: 0.01968, ch4: 7.1e-6, n2o: 4.5e-7 }
+        }
+      },
+      freight: {
+        truck: { co2: 0.08807, ch4: 1.5e-6, n2o: 3.3e-6 },
+        rail: { co2: 0.02078, ch4: 3.6e-7, n2o: 7.9e-7 },
+        boat: { co2: 0.01388, ch4: 5.0e-7, n2o: 4.2e-7 },
+        air: { co2: 1.18905, ch4: 8.3e-6, n2o: 4.0e-5 }
+      }
+    },
+
+    'defra-2024': {
+      label: 'DESNZ/DEFRA (Reino Unido)',
+      publisher: 'UK Department for Energy Security and Net Zero (DESNZ) / DEFRA',
+      version: 'Conversion Factors 2024',
+      year: 2024,
+      unit: 'kg CO2e/km',
+      citation: 'DESNZ; DEFRA. UK Government GHG Conversion Factors for Company Reporting 2024. Londres, 2024.',
+      url: 'https://www.gov.uk/government/publications/greenhouse-gas-reporting-conversion-factors-2024',
+      notes: 'Carro médio por porte, ônibus rodoviário = "coach", micro-ônibus = "average local bus", avião = voo doméstico sem forçamento radiativo, barco = balsa (média de passageiros); elétricos com a rede elétrica do Reino Unido. Moto = "motorbike average", trem = "national rail", metrô = "London Underground"; patinete elétrico não consta na publicação e usa o consumo típico (kWh/km) com o fator da rede elétrica do Reino Unido. Sem fatores para etanol hidratado e ônibus híbrido/elétrico. Frete ("Freighting goods"): HGV média a diesel com carga média, trem de carga, navio de carga geral e frete aéreo de curta distância sem forçamento radiativo.',
+      factors: {
+        bicycle: { co2: 0, ch4: 0, n2o: 0 },
+        car: { co2: 0.16203, ch4: 2.3e-5, n2o: 5.0e-6 },
+        bus: { co2: 0.02672, ch4: 4.8e-7, n2o: 1.0e-6 },
+        truck: { co2: 0.92024, ch4: 1.7e-5, n2o: 3.5e-5 },
+        plane: { co2: 0.13178, ch4: 9.5e-7, n2o: 4.5e-6 },
+        boat: { co2: 0.11198, ch4: 4.0e-6, n2o: 3.4e-6 },
+        motorcycle: { co2: 0.11231, ch4: 1.6e-5, n2o: 3.4e-6 },
+        train: { co2: 0.03509, ch4: 6.1e-7, n2o: 1.3e-6 },
+        metro: { co2: 0.02736, ch4: 1.0e-5, n2o: 6.3e-7 },
+        scooter: { co2: 0.00305, ch4: 1.1e-6, n2o: 7.0e-8 },
+        walking: { co2: 0, ch4: 0, n2o: 0 }
+      },
+      variants: {
+        car: {
+          gasoline: { co2: 0.16203, ch4: 2.3e-5, n2o: 5.0e-6 },
+          diesel: { co2: 0.16624, ch4: 3.0e-6, n2o: 6.3e-6 },
+          cng: { co2: 0.15247, ch4: 1.7e-4, n2o: 3.0e-6 },
+          hybrid: { co2: 0.11856, ch4: 1.7e-5, n2o: 3.6e-6 },
+          electric: { co2: 0.04625, ch4: 1.7e-5, n2o: 1.1e-6 }
+        },
+        bus: {
+          diesel: { co2: 0.02672, ch4: 4.8e-7, n2o: 1.0e-6 },
+          micro: { co2: 0.10093, ch4: 1.8e-6, n2o: 3.8e-6 }
+        },
+        truck: {
+          light: { co2: 0.24836, ch4: 4.5e-6, n2o: 9.5e-6 },
+          medium: { co2: 0.58381, ch4: 1.1e-5, n2o: 2.2e-5 },
+          heavy: { co2: 0.92024, ch4: 1.7e-5, n2o: 3.5e-5 },
+          electric: { co2: 0.06888, ch4: 2.5e-5, n2o: 1.6e-6 }
+        }
+      },
+      freight: {
+        truck: { co2: 0.10588, ch4: 1.9e-6, n2o: 4.0e-6 },
+        rail: { co2: 0.02741, ch4: 4.8e-7, n2o: 1.0e-6 },
+        boat: { co2: 0.01288, ch4: 4.6e-7, n2o: 3.9e-7 },
+        air: { co2: 1.11969, ch4: 7.8e-6, n2o: 3.8e-5 }
+      }
+    }
+  },
+
+  /**
+   * Base em uso pelo Calculator (atualizada por init() e setActive())
+   */
+  activeId: 'calculadora-2024',
+
+  /**
+   * Conjunto de GWP em uso (atualizado por init() e setGwp())
+   */
+  gwpId: 'AR5',
+
+  /**
+   * Forçamento radiativo dos voos (atualizado por init() e setRadiativeForcing())
+   */
+  radiativeForcing: false,
+
+  /**
+   * init() - Lê as escolhas salvas e liga os campos de base, GWP e forçamento radiativo
+   *
+   * FUNCIONAMENTO:
+   * 1. Restaura a base, o GWP e o forçamento radiativo de sessões anteriores (se ainda existirem)
+   * 2. Preenche o select #factor-dataset e mostra a citação da base em uso
+   * 3. Preenche o select #gwp-set e marca a caixa #radiative-forcing
+   * 4. Ao trocar um campo, troca a escolha e a salva
+   */
+  init: function() {
+    try {
+      const storedDataset = localStorage.getItem(this.STORAGE_KEY);
+      if (storedDataset && Object.prototype.hasOwnProperty.call(this.DATASETS, storedDataset)) {
+        this.activeId = storedDataset;
+      }
+
+      const storedGwp = localStorage.getItem(this.GWP_STORAGE_KEY);
+      if (storedGwp && Object.prototype.hasOwnProperty.call(CONFIG.GWP_SETS, storedGwp)) {
+        this.gwpId = storedGwp;
+      }
+
+      this.radiativeForcing = localStorage.getItem(this.RF_STORAGE_KEY) === '1';
+    } catch (error) {
+      console.warn('Não foi possível ler a base de fatores do localStorage:', error);
+    }
+
+    const select = document.getElementById('factor-dataset');
+    const gwpSelect = document.getElementById('gwp-set');
+
+    if (gwpSelect) {
+      gwpSelect.innerHTML = this.renderGwpOptions();
+      gwpSelect.value = this.gwpId;
+      gwpSelect.addEventListener('change', () => {
+        this.setGwp(gwpSelect.value);
+      });
+
+      // O valor de CH4 usa o separador decimal do idioma em uso
+      document.addEventListener('localechange', () => {
+        gwpSelect.innerHTML = this.renderGwpOptions();
+        gwpSelect.value = this.gwpId;
+      });
+    }
+
+    const rfCheckbox = document.getElementById('radiative-forcing');
+
+    if (rfCheckbox) {
+      rfCheckbox.checked = this.radiativeForcing;
+      rfCheckbox.addEventListener('change', () => {
+        this.setRadiativeForcing(rfCheckbox.checked);
+      });
+    }
+
+    if (!select) {
+      console.warn('Select de bases de fatores "factor-dataset" não encontrado');
+      return;
+    }
+
+    select.innerHTML = this.renderOptions();
+
+    // Nome e citação da base padrão (estimativas da calculadora) são traduzidos
+    document.addEventListener('localechange', () => {
+      select.innerHTML = this.renderOptions();
+      this.showChoices();
+    });
+
+    select.addEventListener('change', () => {
+      this.setActive(select.value);
+      this.showChoices();
+    });
+    this.showChoices();
+  },
+
+  /**
+   * showChoices() - Mostra nos campos a base, o GWP e o forçamento radiativo em uso,
+   * e a citação da base em #factor-dataset-citation
+   */
+  showChoices: function() {
+    const select = document.getElementById('factor-dataset');
+    const helperText = document.getElementById('factor-dataset-citation');
+    const gwpSelect = document.getElementById('gwp-set');
+    const rfCheckbox = document.getElementById('radiative-forcing');
+
+    if (select) {
+      select.value = this.activeId;
+    }
+    if (helperText) {
+      helperText.textContent = this.getCitation(this.activeId);
+    }
+    if (gwpSelect) {
+      gwpSelect.value = this.gwpId;
+    }
+    if (rfCheckbox) {
+      rfCheckbox.checked = this.radiativeForcing;
+    }
+  },
+
+  /**
+   * applyShared(settings) - Usa a base, o GWP e o forçamento radiativo de um link
+   * compartilhado (js/share.js) apenas nesta sessão
+   *
+   * As escolhas salvas de quem abriu o link continuam no localStorage: na próxima
+   * visita sem link, valem de novo. Trocar um campo depois disso salva normalmente.
+   *
+   * @param {Object} settings - Objeto com: {factors, gwp, radiativeForcing}
+   *                            (factors e gwp null mantêm a escolha em uso)
+   */
+  applyShared: function(settings) {
+    if (settings.factors) {
+      this.setActive(settings.factors, false);
+    }
+    if (settings.gwp) {
+      this.setGwp(settings.gwp, false);
+    }
+    this.setRadiativeForcing(settings.radiativeForcing, false);
+    this.showChoices();
+  },
+
+  /**
+   * getActive() - Retorna a base de fatores em uso
+   *
+   * @returns {Object} Base de DATASETS (ver ESTRUTURA DE CADA BASE)
+   */
+  getActive: function() {
+    return this.DATASETS[this.activeId] || this.DATASETS[this.DEFAULT_ID];
+  },
+
+  /**
+   * setActive(datasetId, save) - Troca a base de fatores em uso e salva a escolha
+   *
+   * @param {string} datasetId - Chave de DATASETS (ex: 'defra-2024')
+   * @param {boolean} save - false para não gravar no localStorage (padrão: true)
+   * @returns {boolean} true se a base existe e foi selecionada
+   */
+  setActive: function(datasetId, save) {
+    if (!Object.prototype.hasOwnProperty.call(this.DATASETS, datasetId)) {
+      console.warn(`Base de fatores "${datasetId}" não encontrada`);
+      return false;
+    }
+
+    this.activeId = datasetId;
+
+    if (save === false) {
+      return true;
+    }
+
+    try {
+      localStorage.setItem(this.STORAGE_KEY, datasetId);
+    } catch (error) {
+      console.warn('Não foi possível gravar a base de fatores no localStorage:', error);
+    }
+
+    return true;
+  },
+
+  /**
+   * getGwp() - Retorna o conjunto de GWP em uso
+   *
+   * @returns {Object} Conjunto de CONFIG.GWP_SETS: {label, co2, ch4, n2o}
+   */
+  getGwp: function() {
+    return CONFIG.GWP_SETS[this.gwpId] || CONFIG.GWP_SETS[this.DEFAULT_GWP];
+  },
+
+  /**
+   * setGwp(gwpId, save) - Troca o conjunto de GWP em uso e salva a escolha
+   *
+   * @param {string} gwpId - Chave de CONFIG.GWP_SETS (ex: 'AR6')
+   * @param {boolean} save - false para não gravar no localStorage (padrão: true)
+   * @returns {boolean} true se o conjunto existe e foi selecionado
+   */
+  setGwp: function(gwpId, save) {
+    if (!Object.prototype.hasOwnProperty.call(CONFIG.GWP_SETS, gwpId)) {
+      console.warn(`Conjunto de GWP "${gwpId}" não encontrado`);
+      return false;
+    }
+
+    this.gwpId = gwpId;
+
+    if (save === false) {
+      return true;
+    }
+
+    try {
+      localStorage.setItem(this.GWP_STORAGE_KEY, gwpId);
+    } catch (error) {
+      console.warn('Não foi possível gravar o conjunto de GWP no localStorage:', error);
+    }
+
+    return true;
+  },
+
+  /**
+   * setRadiativeForcing(enabled, save) - Liga/desliga o forçamento radiativo dos voos e salva a escolha
+   *
+   * @param {boolean} enabled - true para multiplicar a emissão dos voos por CONFIG.AVIATION.RADIATIVE_FORCING
+   * @param {boolean} save - false para não gravar no localStorage (padrão: true)
+   */
+  setRadiativeForcing: function(enabled, save) {
+    this.radiativeForcing = Boolean(enabled);
+
+    if (save === false) {
+      return;
+    }
+
+    try {
+      localStorage.setItem(this.RF_STORAGE_KEY, this.radiativeForcing ? '1' : '0');
+    } catch (error) {
+      console.warn('Não foi possível gravar o forçamento radiativo no localStorage:', error);
+    }
+  },
+
+  /**
+   * getRadiativeForcing() - Multiplicador de forçamento radiativo em uso
+   *
+   * @returns {number} CONFIG.AVIATION.RADIATIVE_FORCING se ligado, senão 1
+   */
+  getRadiativeForcing: function() {
+    return this.radiativeForcing ? CONFIG.AVIATION.RADIATIVE_FORCING : 1;
+  },
+
+  /**
+   * getGasFactors(transportMode, variant) - Fatores por gás na base em uso
+   *
+   * LÓGICA:
+   * 1. Se o modo tem variantes e a base tem fator para a variante, usa esse fator
+   * 2. Se a base não cobre a variante, usa a variante padrão do modo na base
+   * 3. Sem variante, usa o fator do modo
+   * 4. Fatores numéricos (apenas CO2) viram { co2: valor, ch4: 0, n2o: 0 }
+   *
+   * EXEMPLO (base 'calculadora-2024'):
+   * - getGasFactors('car', 'ethanol') => { co2: 0.03, ch4: 0, n2o: 0 }
+   * - getGasFactors('teleporte') => undefined
+   *
+   * @param {string} transportMode - Modo de transporte (ex: 'car')
+   * @param {string} variant - Combustível/porte (opcional, chave de CONFIG.VEHICLE_VARIANTS)
+   * @returns {Object|undefined} Objeto com: {co2, ch4, n2o} em kg/km, ou undefined se o modo não existe na base
+   */
+  getGasFactors: function(transportMode, variant) {
+    const dataset = this.getActive();
+    const variantFactors = dataset.variants[transportMode];
+    const modeVariants = CONFIG.VEHICLE_VARIANTS[transportMode];
+
+    let factor = dataset.factors[transportMode];
+
+    if (variant && variantFactors && modeVariants && modeVariants.options[variant]) {
+      if (variantFactors[variant] !== undefined) {
+        factor = variantFactors[variant];
+      } else if (variantFactors[modeVariants.default] !== undefined) {
+        factor = variantFactors[modeVariants.default];
+      }
+    }
+
+    if (factor === undefined) {
+      return undefined;
+    }
+
+    return typeof factor === 'number'
+      ? { co2: factor, ch4: 0, n2o: 0 }
+      : { co2: factor.co2 || 0, ch4: factor.ch4 || 0, n2o: factor.n2o || 0 };
+  },
+
+  /**
+   * toCO2e(gases) - Soma CO2, CH4 e N2O em CO2e com o GWP em uso
+   *
+   * EXEMPLO (AR5: CH4 = 28, N2O = 265):
+   * - toCO2e({ co2: 10, ch4: 0.01, n2o: 0.001 }) => 10 + 0.28 + 0.265 = 10.545
+   *
+   * @param {Object} gases - Objeto com: {co2, ch4, n2o} em kg
+   * @returns {number} kg CO2e
+   */
+  toCO2e: function(gases) {
+    const gwp = this.getGwp();
+    return gases.co2 * gwp.co2 + gases.ch4 * gwp.ch4 + gases.n2o * gwp.n2o;
+  },
+
+  /**
+   * getFactor(transportMode, variant) - Fator de emissão em CO2e na base em uso
+   *
+   * EXEMPLO (base 'calculadora-2024'):
+   * - getFactor('car', 'ethanol') => 0.03
+   * - getFactor('plane') => 0.20
+   * - getFactor('teleporte') => undefined
+   *
+   * @param {string} transportMode - Modo de transporte (ex: 'car')
+   * @param {string} variant - Combustível/porte (opcional, chave de CONFIG.VEHICLE_VARIANTS)
+   * @returns {number|undefined} Fator em kg CO2e/km, ou undefined se o modo não existe na base
+   */
+  getFactor: function(transportMode, variant) {
+    const gases = this.getGasFactors(transportMode, variant);
+    return gases === undefined ? undefined : this.toCO2e(gases);
+  },
+
+  /**
+   * getFreightGasFactors(freightMode) - Fatores por gás de um modal de frete na base em uso
+   *
+   * EXEMPLO (base 'calculadora-2024'):
+   * - getFreightGasFactors('rail') => { co2: 0.025, ch4: 0, n2o: 0 }
+   * - getFreightGasFactors('dirigivel') => undefined
+   *
+   * @param {string} freightMode - Modal de frete (chave de CONFIG.FREIGHT_MODES)
+   * @returns {Object|undefined} Objeto com: {co2, ch4, n2o} em kg por tonelada-km, ou undefined se a base não tem o modal
+   */
+  getFreightGasFactors: function(freightMode) {
+    const freight = this.getActive().freight || {};
+    const factor = freight[freightMode];
+
+    if (factor === undefined) {
+      return undefined;
+    }
+
+    return typeof factor === 'number'
+      ? { co2: factor, ch4: 0, n2o: 0 }
+      : { co2: factor.co2 || 0, ch4: factor.ch4 || 0, n2o: factor.n2o || 0 };
+  },
+
+  /**
+   * hasVariant(transportMode, variant) - Indica se a base em uso tem fator próprio para a variante
+   *
+   * EXEMPLO:
+   * - Base 'defra-2024': hasVariant('car', 'ethanol') => false (usa o fator da gasolina)
+   *
+   * @param {string} transportMode - Modo de transporte
+   * @param {string} variant - Combustível/porte
+   * @returns {boolean} true se a variante tem fator na base (ou se não há variante)
+   */
+  hasVariant: function(transportMode, variant) {
+    const variantFactors = this.getActive().variants[transportMode];
+
+    if (!variant || !variantFactors) {
+      return true;
+    }
+
+    return variantFactors[variant] !== undefined;
+  },
+
+  /**
+   * describe(legs) - Metadados da base em uso, para resultados, histórico e exportação
+   *
+   * Com legs informado, lista as variantes dos trechos que a base não cobre
+   * (calculadas com o fator da variante padrão do modo).
+   *
+   * @param {Array<Object>} legs - Trechos calculados: {mode, variant} (opcional)
+   * @returns {Object} Objeto com: {id, label, publisher, version, year, unit, citation, url,
+   *                   uncoveredVariants: Array<{mode, variant}>, gwp: {id, label, ch4, n2o},
+   *                   radiativeForcing: number (multiplicador dos voos; 1 se desligado)}
+   */
+  describe: function(legs) {
+    const dataset = this.getActive();
+    const gwp = this.getGwp();
+
+    // Variantes sem fator próprio nesta base (sem repetir modo/variante)
+    const uncoveredVariants = [];
+    (legs || []).forEach(leg => {
+      const alreadyListed = uncoveredVariants.some(item => item.mode === leg.mode && item.variant === leg.variant);
+      if (!alreadyListed && !this.hasVariant(leg.mode, leg.variant)) {
+        uncoveredVariants.push({ mode: leg.mode, variant: leg.variant });
+      }
+    });
+
+    return {
+      id: this.DATASETS[this.activeId] ? this.activeId : this.DEFAULT_ID,
+      label: dataset.label,
+      publisher: dataset.publisher,
+      version: dataset.version,
+      year: dataset.year,
+      unit: dataset.unit,
+      citation: dataset.citation,
+      url: dataset.url,
+      uncoveredVariants: uncoveredVariants,
+      gwp: {
+        id: CONFIG.GWP_SETS[this.gwpId] ? this.gwpId : this.DEFAULT_GWP,
+        label: gwp.label,
+        ch4: gwp.ch4,
+        n2o: gwp.n2o
+      },
+      radiativeForcing: this.getRadiativeForcing()
+    };
+  },
+
+  /**
+   * getLabel(id) - Nome de uma base no idioma em uso
+   *
+   * EXEMPLO:
+   * - getLabel('calculadora-2024') => "Estimativas da calculadora" (pt-BR) / "Calculator estimates" (en)
+   * - getLabel('ghg-protocol-br-2023') => "Programa Brasileiro GHG Protocol" (nome próprio, sem tradução)
+   *
+   * @param {string} id - Chave de DATASETS
+   * @returns {string} Nome traduzido ('factorDatasets.<id>.label' em js/i18n.js) ou o original
+   */
+  getLabel: function(id) {
+    const dataset = this.DATASETS[id] || this.DATASETS[this.DEFAULT_ID];
+    return I18n.translateLabel(`factorDatasets.${id}.label`, dataset.label);
+  },
+
+  /**
+   * getCitation(id) - Citação de uma base no idioma em uso
+   * As referências bibliográficas publicadas ficam como estão; só a
+   * descrição das estimativas próprias da calculadora é traduzida
+   *
+   * @param {string} id - Chave de DATASETS
+   * @returns {string} Citação traduzida ('factorDatasets.<id>.citation' em js/i18n.js) ou a original
+   */
+  getCitation: function(id) {
+    const dataset = this.DATASETS[id] || this.DATASETS[this.DEFAULT_ID];
+    return I18n.translateLabel(`factorDatasets.${id}.citation`, dataset.citation);
+  },
+
+  /**
+   * renderOptions() - Gera os <option> do select de bases de fatores
+   *
+   * @returns {string} HTML das opções (ex: "<option value="defra-2024">DESNZ/DEFRA (Reino Unido) · Conversion Factors 2024 (2024)</option>")
+   */
+  renderOptions: function() {
+    return Object.keys(this.DATASETS).map(id => {
+      const dataset = this.DATASETS[id];
+      return `<option value="${id}">${this.getLabel(id)} · ${dataset.version} (${dataset.year})</option>`;
+    }).join('');
+  },
+
+  /**
+   * renderGwpOptions() - Gera os <option> do select de conjuntos de GWP
+   *
+   * @returns {string} HTML das opções (ex: "<option value="AR6">IPCC AR6 (2021) · CH4 29,8 · N2O 273</option>")
+   */
+  renderGwpOptions: function() {
+    return Object.keys(CONFIG.GWP_SETS).map(id => {
+      const gwp = CONFIG.GWP_SETS[id];
+      const ch4 = gwp.ch4.toLocaleString(I18n.locale);
+      return `<option value="${id}">${gwp.label} · CH4 ${ch4} · N2O ${gwp.n2o}</option>`;
+    }).join('');
+  }
+};
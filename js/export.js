@@ -0,0 +1,329 @@
+/**
+ * export.js - Exportação de Resultados em CSV e JSON
+ *
+ * DESCRIÇÃO GERAL:
+ * Define um objeto global chamado Exporter que converte o resultado atual
+ * (resultsData, comparação de calculateAllModes e creditsData montados em
+ * js/app.js) e o histórico salvo em arquivos CSV ou JSON baixados pelo navegador.
+ *
+ * ESTRUTURA DO Exporter:
+ * {
+ *   NUMBER_FORMATS: Object        - Formatos numéricos de CSV (pt-BR ou internacional)
+ *   RESULT_COLUMNS: Array         - Colunas do CSV do resultado atual
+ *   HISTORY_COLUMNS: Array        - Colunas do CSV do histórico
+ *   buildResultRows(): Function   - Monta as linhas do resultado atual
+ *   formatBaseline(): Function    - Texto da coluna da referência de comparação
+ *   toCSV(): Function             - Converte linhas em texto CSV
+ *   exportResult(): Function      - Baixa o resultado atual em CSV ou JSON
+ *   exportHistory(): Function     - Baixa o histórico em CSV ou JSON
+ *   fileDate(): Function          - Data AAAA-MM-DD para o nome do arquivo
+ *   download(): Function          - Dispara o download de um arquivo
+ * }
+ *
+ * ESQUEMA DO CSV DO RESULTADO ATUAL (uma linha por modo):
+ * - tipo                   'resultado' (viagem calculada) ou 'comparacao' (mesma viagem em outro modo)
+ * - data_hora              Data/hora do cálculo (ISO 8601)
+ * - origem / destino       Cidades de origem e destino final
+ * - distancia_km           Distância total em km
+ * - passageiros            Passageiros do grupo
+ * - trechos                Quantidade de trechos do itinerário
+ * - modo                   Chave do modo ('car', 'bus', ...) ou 'misto'
+ * - variante               Combustível/porte (CONFIG.VEHICLE_VARIANTS), se houver
+ * - emissao_kg             Emissão total em kg CO2e
+ * - emissao_passageiro_kg  Emissão por passageiro em kg CO2e
+ * - referencia             Referência da comparação: chave do modo ('car', 'bus', ...) ou
+ *                          'custom:<kg CO2e/km>' para um fator personalizado
+ * - percentual_vs_referencia  Emissão em % da emissão da referência (vazio na linha de resultado
+ *                          misto ou se a referência não emite)
+ * - creditos               Créditos de carbono necessários (1 crédito = 1.000 kg)
+ * - preco_min / preco_medio / preco_max   Faixa de preço dos créditos na moeda de exibição
+ * - moeda                  Moeda dos preços ('BRL', 'USD' ou 'EUR', ver CreditPricing)
+ * - base_fatores           Base de fatores de emissão usada (chave de EmissionFactors.DATASETS)
+ * - co2_kg / ch4_kg / n2o_kg   Emissão de cada gás em kg (apenas na linha de resultado)
+ * - gwp                    Conjunto de GWP usado no CO2e ('AR5' ou 'AR6', ver CONFIG.GWP_SETS)
+ * - forcamento_radiativo   Multiplicador de forçamento radiativo dos voos (1 se desligado)
+ *
+ * ESQUEMA DO CSV DO HISTÓRICO (uma linha por cálculo salvo):
+ * - data_hora, origem, destino, distancia_km, modo, variante, passageiros,
+ *   trechos, emissao_kg, creditos, base_fatores, gwp, forcamento_radiativo (mesmos significados acima)
+ * - compensacao_id         Número do termo de compensação (vazio se não compensado, ver js/offset.js)
+ * - compensacao_creditos   Créditos compensados no termo
+ *
+ * FORMATO NUMÉRICO:
+ * - 'pt-BR' (padrão): vírgula decimal e ponto-e-vírgula como separador de colunas,
+ *   abre corretamente no Excel/LibreOffice configurados em português
+ * - 'international': ponto decimal e vírgula como separador de colunas
+ * Números nunca usam separador de milhar, para que a planilha os reconheça.
+ */
+
+const Exporter = {
+  /**
+   * Formatos numéricos disponíveis para o CSV
+   */
+  NUMBER_FORMATS: {
+    'pt-BR': { decimal: ',', delimiter: ';' },
+    'international': { decimal: '.', delimiter: ',' }
+  },
+
+  /**
+   * Colunas do CSV do resultado atual, na ordem do arquivo
+   */
+  RESULT_COLUMNS: [
+    'tipo', 'data_hora', 'origem', 'destino', 'distancia_km', 'passageiros', 'trechos',
+    'modo', 'variante', 'emissao_kg', 'emissao_passageiro_kg', 'referencia', 'percentual_vs_referencia',
+    'creditos', 'preco_min', 'preco_medio', 'preco_max', 'moeda', 'base_fatores',
+    'co2_kg', 'ch4_kg', 'n2o_kg', 'gwp', 'forcamento_radiativo'
+  ],
+
+  /**
+   * Colunas do CSV do histórico, na ordem do arquivo
+   */
+  HISTORY_COLUMNS: [
+    'data_hora', 'origem', 'destino', 'distancia_km', 'modo', 'variante',
+    'passageiros', 'trechos', 'emissao_kg', 'creditos', 'base_fatores', 'gwp', 'forcamento_radiativo',
+    'compensacao_id', 'compensacao_creditos'
+  ],
+
+  /**
+   * buildResultRows(calculation) - Monta as linhas do CSV do resultado atual
+   *
+   * LÓGICA:
+   * 1. Primeira linha: a viagem calculada (tipo 'resultado'), com créditos e preço de creditsData
+   * 2. Demais linhas: a mesma viagem em cada modo da comparação (tipo 'comparacao'),
+   *    com créditos e preço calculados para a emissão daquele modo
+   *
+   * @param {Object} calculation - Objeto com: {resultsData, allModesComparison, creditsData, timestamp}
+   * @returns {Array<Object>} Linhas com as chaves de RESULT_COLUMNS
+   */
+  buildResultRows: function(calculation) {
+    const data = calculation.resultsData;
+    const comparisonByMode = {};
+    calculation.allModesComparison.forEach(item => {
+      comparisonByMode[item.mode] = item;
+    });
+
+    // Colunas comuns a todas as linhas (dados da viagem)
+    const tripColumns = {
+      data_hora: calculation.timestamp,
+      origem: data.origin,
+      destino: data.destination,
+      distancia_km: data.distance,
+      passageiros: data.passengers,
+      trechos: data.legs ? data.legs.length : 1,
+      base_fatores: data.factorDataset ? data.factorDataset.id : '',
+      gwp: data.factorDataset ? data.factorDataset.gwp.id : '',
+      forcamento_radiativo: data.factorDataset ? data.factorDataset.radiativeForcing : '',
+      referencia: this.formatBaseline(data.baseline)
+    };
+
+    const selected = data.mode ? comparisonByMode[data.mode] : null;
+
+    const rows = [Object.assign({}, tripColumns, {
+      tipo: 'resultado',
+      modo: data.mode || 'misto',
+      variante: data.variant || '',
+      emissao_kg: data.emission,
+      emissao_passageiro_kg: data.perPassengerEmission,
+      percentual_vs_referencia: selected ? selected.percentageVsBaseline : '',
+      creditos: calculation.creditsData.credits,
+      preco_min: calculation.creditsData.price.min,
+      preco_medio: calculation.creditsData.price.average,
+      preco_max: calculation.creditsData.price.max,
+      moeda: calculation.creditsData.price.currency,
+      co2_kg: data.gases ? data.gases.co2 : '',
+      ch4_kg: data.gases ? data.gases.ch4 : '',
+      n2o_kg: data.gases ? data.gases.n2o : ''
+    })];
+
+    calculation.allModesComparison.forEach(item => {
+      const credits = Calculator.calculateCarbonCredits(item.emission);
+      const price = Calculator.estimateCreditPrice(credits);
+
+      rows.push(Object.assign({}, tripColumns, {
+        tipo: 'comparacao',
+        modo: item.mode,
+        variante: item.mode === data.mode ? data.variant || '' : '',
+        emissao_kg: item.emission,
+        emissao_passageiro_kg: item.perPassengerEmission,
+        percentual_vs_referencia: item.percentageVsBaseline,
+        creditos: credits,
+        preco_min: price.min,
+        preco_medio: price.average,
+        preco_max: price.max,
+        moeda: price.currency
+      }));
+    });
+
+    return rows;
+  },
+
+  /**
+   * formatBaseline(baseline) - Texto da coluna 'referencia'
+   *
+   * EXEMPLO:
+   * - formatBaseline({ mode: 'bus' }) => 'bus'
+   * - formatBaseline({ mode: 'custom', factor: 0.15 }) => 'custom:0.15'
+   *
+   * @param {Object} baseline - Referência: {mode, factor} (padrão: CONFIG.DEFAULT_BASELINE)
+   * @returns {string} Chave do modo ou 'custom:<fator>'
+   */
+  formatBaseline: function(baseline) {
+    if (!baseline) {
+      return CONFIG.DEFAULT_BASELINE;
+    }
+
+    return baseline.mode === 'custom' ? `custom:${baseline.factor}` : baseline.mode;
+  },
+
+  /**
+   * toCSV(rows, columns, formatName) - Converte linhas em texto CSV
+   *
+   * LÓGICA:
+   * 1. Primeira linha com os nomes das colunas
+   * 2. Números formatados com o separador decimal do formato escolhido
+   * 3. Textos com separador, aspas ou quebra de linha ficam entre aspas (RFC 4180)
+   *
+   * EXEMPLO (pt-BR):
+   * - toCSV([{ origem: 'São Paulo, SP', emissao_kg: 11.4 }], ['origem', 'emissao_kg'])
+   *   => 'origem;emissao_kg\r\nSão Paulo, SP;11,4'
+   *
+   * @param {Array<Object>} rows - Linhas a exportar
+   * @param {Array<string>} columns - Colunas na ordem do arquivo
+   * @param {string} formatName - Chave de NUMBER_FORMATS (padrão: 'pt-BR')
+   * @returns {string} Texto CSV
+   */
+  toCSV: function(rows, columns, formatName) {
+    const format = this.NUMBER_FORMATS[formatName] || this.NUMBER_FORMATS['pt-BR'];
+
+    const formatCell = value => {
+      if (value === null || value === undefined) {
+        return '';
+      }
+
+      if (typeof value === 'number') {
+        return String(value).replace('.', format.decimal);
+      }
+
+      const text = String(value);
+      if (text.includes(format.delimiter) || text.includes('"') || /[\r\n]/.test(text)) {
+        return `"${text.replace(/"/g, '""')}"`;
+      }
+
+      return text;
+    };
+
+    const lines = [columns.join(format.delimiter)];
+    rows.forEach(row => {
+      lines.push(columns.map(column => formatCell(row[column])).join(format.delimiter));
+    });
+
+    return lines.join('\r\n');
+  },
+
+  /**
+   * exportResult(calculation, fileType, formatName) - Baixa o resultado atual
+   *
+   * @param {Object} calculation - Objeto com: {resultsData, allModesComparison, creditsData, timestamp}
+   * @param {string} fileType - 'csv' ou 'json'
+   * @param {string} formatName - Formato numérico do CSV (ver NUMBER_FORMATS)
+   */
+  exportResult: function(calculation, fileType, formatName) {
+    const fileName = `emissao-${this.fileDate(calculation.timestamp)}`;
+
+    if (fileType === 'json') {
+      const json = {
+        exportedAt: new Date().toISOString(),
+        calculatedAt: calculation.timestamp,
+        result: calculation.resultsData,
+        comparison: calculation.allModesComparison,
+        credits: calculation.creditsData
+      };
+      this.download(`${fileName}.json`, JSON.stringify(json, null, 2), 'application/json');
+      return;
+    }
+
+    const csv = this.toCSV(this.buildResultRows(calculation), this.RESULT_COLUMNS, formatName);
+    this.download(`${fileName}.csv`, csv, 'text/csv');
+  },
+
+  /**
+   * exportHistory(entries, fileType, formatName) - Baixa o histórico salvo
+   *
+   * @param {Array<Object>} entries - Registros de EmissionHistory.getAll()
+   * @param {string} fileType - 'csv' ou 'json'
+   * @param {string} formatName - Formato numérico do CSV (ver NUMBER_FORMATS)
+   */
+  exportHistory: function(entries, fileType, formatName) {
+    const fileName = `historico-emissoes-${this.fileDate(new Date().toISOString())}`;
+
+    if (fileType === 'json') {
+      const json = {
+        exportedAt: new Date().toISOString(),
+        entries: entries
+      };
+      this.download(`${fileName}.json`, JSON.stringify(json, null, 2), 'application/json');
+      return;
+    }
+
+    const rows = entries.map(entry => ({
+      data_hora: entry.timestamp,
+      origem: entry.origin,
+      destino: entry.destination,
+      distancia_km: entry.distance,
+      modo: entry.mode || 'misto',
+      variante: entry.variant || '',
+      passageiros: entry.passengers,
+      trechos: entry.legs,
+      emissao_kg: entry.emission,
+      creditos: entry.credits,
+      base_fatores: entry.factorDataset || '',
+      gwp: entry.gwp || '',
+      forcamento_radiativo: entry.radiativeForcing || '',
+      compensacao_id: entry.pledge ? entry.pledge.id : '',
+      compensacao_creditos: entry.pledge ? entry.pledge.credits : ''
+    }));
+
+    const csv = this.toCSV(rows, this.HISTORY_COLUMNS, formatName);
+    this.download(`${fileName}.csv`, csv, 'text/csv');
+  },
+
+  /**
+   * fileDate(isoString) - Data no formato AAAA-MM-DD para nomes de arquivo
+   *
+   * @param {string} isoString - Data ISO 8601
+   * @returns {string} Data (ex: "2024-05-31")
+   */
+  fileDate: function(isoString) {
+    return (isoString || new Date().toISOString()).slice(0, 10);
+  },
+
+  /**
+   * download(fileName, content, mimeType) - Dispara o download de um arquivo no navegador
+   *
+   * LÓGICA:
+   * 1. Cria um Blob com o conteúdo (CSV recebe BOM UTF-8 para o Excel reconhecer acentos);
+   *    conteúdo que já é Blob (ex: PNG de um gráfico, ver Charts.download) é usado como está
+   * 2. Cria um link temporário com URL.createObjectURL e simula o clique
+   * 3. Remove o link e libera a URL
+   *
+   * @param {string} fileName - Nome do arquivo baixado
+   * @param {string|Blob} content - Conteúdo do arquivo
+   * @param {string} mimeType - Tipo MIME (ex: 'text/csv')
+   */
+  download: function(fileName, content, mimeType) {
+    const bom = mimeType === 'text/csv' ? '\uFEFF' : '';
+    const blob = content instanceof Blob
+      ? content
+      : new Blob([bom + content], { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+  }
+};
@@ -0,0 +1,172 @@
+/**
+ * history.js - Histórico de Cálculos de Emissão
+ *
+ * DESCRIÇÃO GERAL:
+ * Define um objeto global chamado EmissionHistory que guarda cada cálculo
+ * realizado no localStorage do navegador, permitindo listar, remover e somar
+ * as emissões das viagens salvas entre sessões.
+ *
+ * ESTRUTURA DO EmissionHistory:
+ * {
+ *   STORAGE_KEY: string           - Chave usada no localStorage
+ *   MAX_ENTRIES: number           - Quantidade máxima de cálculos guardados
+ *   getAll(): Function            - Lê todos os cálculos salvos (mais recente primeiro)
+ *   add(): Function               - Salva um novo cálculo
+ *   update(): Function            - Altera campos de um cálculo salvo
+ *   remove(): Function            - Remove um cálculo pelo id
+ *   clear(): Function             - Remove todos os cálculos
+ *   getTotalEmission(): Function  - Soma a emissão (kg CO2) de todos os cálculos
+ *   persist(): Function           - Grava o array no localStorage
+ * }
+ *
+ * ESTRUTURA DE CADA REGISTRO:
+ * {
+ *   id: string,                   - Identificador único do registro
+ *   timestamp: string,            - Data/hora do cálculo (ISO 8601)
+ *   origin: string,               - Cidade de origem
+ *   destination: string,          - Cidade de destino (final, se houver trechos)
+ *   distance: number,             - Distância total em km
+ *   mode: string|null,            - Modo de transporte (null se itinerário misto)
+ *   variant: string|null,         - Combustível/porte do veículo
+ *   passengers: number,           - Passageiros do grupo
+ *   legs: number,                 - Quantidade de trechos
+ *   roundTrip: boolean,           - Ida e volta (distância e emissão já incluem a volta)
+ *   factorDataset: string,        - Base de fatores usada (chave de EmissionFactors.DATASETS)
+ *   gwp: string,                  - Conjunto de GWP usado no CO2e (chave de CONFIG.GWP_SETS)
+ *   radiativeForcing: number,     - Multiplicador de forçamento radiativo dos voos (1 se desligado)
+ *   emission: number,             - Emissão total em kg CO2e
+ *   credits: number,              - Créditos de carbono necessários
+ *   pledge: Object                - Termo de compensação (opcional, ver js/offset.js)
+ * }
+ *
+ * NOTA:
+ * Se o localStorage estiver indisponível (ex: navegação privada com cota zero),
+ * o histórico funciona apenas em memória e um aviso é registrado na console.
+ */
+
+const EmissionHistory = {
+  /**
+   * Chave usada para guardar o histórico no localStorage
+   */
+  STORAGE_KEY: 'calculadora-carbono:history',
+
+  /**
+   * Limite de registros guardados (os mais antigos são descartados)
+   */
+  MAX_ENTRIES: 100,
+
+  /**
+   * Cópia em memória usada quando o localStorage não está disponível
+   */
+  memoryEntries: [],
+
+  /**
+   * getAll() - Lê todos os cálculos salvos
+   *
+   * @returns {Array<Object>} Array de registros, do mais recente para o mais antigo
+   */
+  getAll: function() {
+    try {
+      const stored = localStorage.getItem(this.STORAGE_KEY);
+      const entries = stored ? JSON.parse(stored) : [];
+      return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+      console.warn('Não foi possível ler o histórico do localStorage:', error);
+      return this.memoryEntries.slice();
+    }
+  },
+
+  /**
+   * add(entry) - Salva um novo cálculo no início do histórico
+   *
+   * LÓGICA:
+   * 1. Gera id e timestamp para o registro
+   * 2. Insere no início do array (mais recente primeiro)
+   * 3. Descarta registros além de MAX_ENTRIES
+   * 4. Grava no localStorage
+   *
+   * @param {Object} entry - Dados do cálculo (ver ESTRUTURA DE CADA REGISTRO, sem id/timestamp)
+   * @returns {Object} Registro salvo, com id e timestamp
+   */
+  add: function(entry) {
+    const now = new Date();
+
+    const record = Object.assign({
+      id: `${now.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+      timestamp: now.toISOString()
+    }, entry);
+
+    const entries = this.getAll();
+    entries.unshift(record);
+
+    this.persist(entries.slice(0, this.MAX_ENTRIES));
+
+    return record;
+  },
+
+  /**
+   * update(id, changes) - Altera campos de um cálculo salvo
+   *
+   * EXEMPLO:
+   * - update(id, { pledge: {...} }) => guarda o termo de compensação no registro
+   *
+   * @param {string} id - Identificador do registro
+   * @param {Object} changes - Campos a gravar no registro
+   * @returns {Object|null} Registro atualizado, ou null se o id não existir
+   */
+  update: function(id, changes) {
+    const entries = this.getAll();
+    const index = entries.findIndex(entry => entry.id === id);
+
+    if (index === -1) {
+      console.warn(`Registro do histórico não encontrado: ${id}`);
+      return null;
+    }
+
+    entries[index] = Object.assign({}, entries[index], changes);
+    this.persist(entries);
+
+    return entries[index];
+  },
+
+  /**
+   * remove(id) - Remove um cálculo do histórico
+   *
+   * @param {string} id - Identificador do registro
+   */
+  remove: function(id) {
+    this.persist(this.getAll().filter(entry => entry.id !== id));
+  },
+
+  /**
+   * clear() - Remove todos os cálculos do histórico
+   */
+  clear: function() {
+    this.persist([]);
+  },
+
+  /**
+   * getTotalEmission() - Soma a emissão de todas as viagens salvas
+   *
+   * @returns {number} Total em kg CO2, arredondado a 2 decimais
+   */
+  getTotalEmission: function() {
+    const total = this.getAll().reduce((sum, entry) => sum + (entry.emission || 0), 0);
+    return Math.round(total * 100) / 100;
+  },
+
+  /**
+   * persist(entries) - Grava o array de registros no localStorage
+   *
+   * @param {Array<Object>} entries - Registros a gravar
+   */
+  persist: function(entries) {
+    this.memoryEntries = entries.slice();
+
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(entries));
+    } catch (error) {
+      console.warn('Não foi possível gravar o histórico no localStorage:', error);
+    }
+  }
+};
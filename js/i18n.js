@@ -0,0 +1,1383 @@
+/**
+ * i18n.js - Idiomas da Interface (pt-BR, en, es)
+ *
+ * DESCRIÇÃO GERAL:
+ * Define um objeto global chamado I18n com o catálogo de traduções, o idioma
+ * em uso e a formatação de números e moedas de cada idioma. O português do
+ * Brasil é o idioma de origem: os textos fixos do index.html e os nomes em
+ * CONFIG (modos, combustíveis, perfis de preço) e das bases de fatores
+ * (EmissionFactors.DATASETS) já estão em pt-BR e servem
+ * de texto padrão quando uma chave não tem tradução.
+ *
+ * ESTRUTURA DO I18n:
+ * {
+ *   STORAGE_KEY: string           - Chave usada no localStorage
+ *   DEFAULT_LOCALE: string        - Idioma quando nada foi escolhido ('pt-BR')
+ *   LOCALES: Object               - Idiomas disponíveis e seu nome no próprio idioma
+ *   MESSAGES: Object              - Catálogo: { 'pt-BR': {...}, en: {...}, es: {...} }
+ *   locale: string                - Idioma em uso
+ *   init(): Function              - Restaura o idioma salvo e liga o seletor #language
+ *   detectLocale(): Function      - Idioma salvo, do navegador ou o padrão
+ *   setLocale(): Function         - Troca o idioma, traduz a página e avisa os módulos
+ *   t(): Function                 - Texto de uma chave no idioma em uso
+ *   translateLabel(): Function    - Tradução de um nome de CONFIG, ou o nome original
+ *   translatePage(): Function     - Traduz os elementos com data-i18n
+ *   renderLocaleOptions(): Function - Gera os <option> do seletor de idioma
+ * }
+ *
+ * CHAVES E INTERPOLAÇÃO:
+ * - As chaves usam pontos por assunto: 'errors.passengers', 'results.title'
+ * - Valores entre chaves são substituídos: t('results.yearlyDistance', { distance: '1.200 km' })
+ * - Chave ausente no idioma em uso: usa pt-BR; ausente também em pt-BR: a própria chave
+ *
+ * TEXTOS FIXOS DO HTML:
+ * - data-i18n="chave"             => conteúdo do elemento (aceita <sub>)
+ * - data-i18n-placeholder="chave" => atributo placeholder
+ * - data-i18n-aria-label="chave"  => atributo aria-label
+ * O texto original (pt-BR) é guardado na primeira tradução e volta ao escolher pt-BR.
+ *
+ * EVENTO:
+ * Ao trocar o idioma, document recebe o evento 'localechange' (detail: {locale});
+ * módulos que geram texto dinâmico (selects, resultados, ajuda da distância)
+ * re-renderizam nesse momento.
+ */
+
+const I18n = {
+  /**
+   * Chave usada para guardar o idioma escolhido no localStorage
+   */
+  STORAGE_KEY: 'calculadora-carbono:language',
+
+  /**
+   * Idioma de origem dos textos e padrão quando o navegador usa outro idioma
+   */
+  DEFAULT_LOCALE: 'pt-BR',
+
+  /**
+   * Idiomas disponíveis; o nome aparece no seletor sempre no próprio idioma
+   */
+  LOCALES: {
+    'pt-BR': { label: 'Português (Brasil)' },
+    en: { label: 'English' },
+    es: { label: 'Español' }
+  },
+
+  /**
+   * CATÁLOGO DE TRADUÇÕES
+   *
+   * pt-BR contém apenas os textos gerados por JavaScript; os textos fixos do
+   * HTML, os nomes de CONFIG e o catálogo de projetos (OffsetProjects) já são
+   * pt-BR. en e es traduzem tudo.
+   */
+  MESSAGES: {
+    'pt-BR': {
+      'ui.loading': 'Calculando...',
+
+      'errors.origin': 'Por favor, selecione a cidade de origem',
+      'errors.destination': 'Por favor, selecione a cidade de destino',
+      'errors.distanceMissing': 'Por favor, insira a distância em {unit}',
+      'errors.distancePositive': 'A distância deve ser maior que zero',
+      'errors.mode': 'Por favor, selecione um modo de transporte',
+      'errors.unknownCity': '"{city}" não está na base de cidades. Escolha uma cidade da lista ou marque "Inserir distância manualmente".',
+      'errors.summary': 'Corrija os campos destacados para calcular.',
+      'warnings.unknownCity': '"{city}" não está na base de cidades; será usada a distância digitada.',
+      'warnings.distanceTooLong': 'Distância incomum para {mode}: {distance} (normalmente até {max}). Confira o valor.',
+      'errors.passengers': 'O número de passageiros deve ser um número inteiro maior ou igual a 1',
+      'errors.daysPerWeek': 'Os dias por semana devem ser um número inteiro entre 1 e 7',
+      'errors.weeks': 'O número de semanas deve ser um número inteiro entre 1 e 52',
+      'errors.tripsPerMonth': 'As viagens por mês devem ser um número inteiro maior ou igual a 1',
+      'errors.baselineFactor': 'Informe o fator da referência personalizada em kg CO2e/km (maior que zero)',
+      'errors.calculation': 'Ocorreu um erro ao realizar o cálculo. Por favor, tente novamente.',
+      'errors.fileRead': 'Não foi possível ler o arquivo. Tente novamente.',
+      'errors.freightCities': 'Por favor, preencha a origem e o destino da carga',
+      'errors.freightWeight': 'O peso da carga deve ser maior que zero',
+      'errors.freightLoad': 'A ocupação do veículo deve estar entre 1% e 100%',
+      'errors.freightRoute': 'Rota não encontrada na base. Informe a distância em {unit}.',
+      'errors.freightDistance': 'A distância deve ser maior que zero',
+      'errors.priceRange': 'Faixa de preço inválida: o mínimo deve ser maior ou igual a zero e o máximo maior ou igual ao mínimo. Continua valendo a faixa de {min} a {max}.',
+
+      'distance.auto': 'A distância será preenchida automaticamente',
+      'distance.direct': '✓ Distância preenchida automaticamente',
+      'distance.derived': '✓ Distância estimada pelo caminho {path} (sem rota direta)',
+      'distance.estimated': '≈ Distância estimada: {straight} em linha reta × {detour} (fator de desvio). Marque a caixa abaixo para ajustar.',
+      'distance.notFound': 'Rota não encontrada. Insira a distância manualmente marcando a caixa abaixo.',
+      'distance.manual': 'Você está editando a distância manualmente',
+      'distance.loading': '⏳ Carregando a base de cidades...',
+
+      'autocomplete.label': 'Sugestões de cidades',
+      'autocomplete.count': '{count} sugestão(ões). Use as setas para escolher e Enter para confirmar.',
+      'autocomplete.none': 'Nenhuma cidade encontrada',
+      'autocomplete.otherGroup': 'Outras cidades',
+      'autocomplete.loading': 'Carregando a base de cidades...',
+
+      'routes.loading': '⏳ Carregando a base de cidades e rotas...',
+      'routes.error': '⚠️ Não foi possível carregar a base de cidades. Informe as distâncias manualmente.',
+
+      'regions.norte': 'Norte',
+      'regions.nordeste': 'Nordeste',
+      'regions.centroOeste': 'Centro-Oeste',
+      'regions.sudeste': 'Sudeste',
+      'regions.sul': 'Sul',
+
+      'itinerary.leg': 'Trecho {n}',
+
+      'share.copied': '✓ Link copiado!',
+      'share.manual': 'Copie o endereço da barra do navegador para compartilhar.',
+
+      'baseline.customOption': '✏️ Valor personalizado (kg CO2e/km)',
+      'baseline.customLabel': 'Referência ({factor} kg/km)',
+
+      'pricing.rate': 'Cotação: R$ por 1 {currency}',
+      'pricing.range': '(R$ {min} a R$ {max})',
+
+      'results.title': 'Resultado da Emissão',
+      'results.route': 'Rota',
+      'results.distance': 'Distância',
+      'results.roundTrip': 'Ida e volta (2 × {distance})',
+      'results.emission': 'Emissão de CO<sub>2</sub>e',
+      'results.emissionPerPassenger': 'Emissão de CO<sub>2</sub>e por Passageiro',
+      'results.perTripSuffix': ' por Viagem',
+      'results.passengers': '{n} passageiros · {other}',
+      'results.otherTotal': 'total da viagem: {mass}',
+      'results.otherPerPassenger': 'por passageiro: {mass}',
+      'results.legs': 'Emissão por Trecho',
+      'results.legsRoundTrip': 'Valores de ida; a volta repete os mesmos trechos.',
+      'results.mode': 'Modo de Transporte',
+      'results.recurrence': 'Viagem Recorrente',
+      'results.perTrip': 'Por viagem:',
+      'results.perMonth': 'Por mês (média):',
+      'results.perYear': 'Por ano:',
+      'results.frequencyWeekly': '{trips} viagens por ano (dias por semana × semanas)',
+      'results.frequencyMonthly': '{perMonth} viagens por mês · {perYear} por ano',
+      'results.yearlyDistance': '{distance} por ano',
+      'results.savings': 'Economia vs {baseline}',
+      'results.saved': 'Economizado:',
+      'results.percentage': 'Percentual:',
+
+      'gases.title': 'Emissão por Gás',
+      'gases.nonCO2': 'Não-CO<sub>2</sub>',
+      'gases.radiativeForcing': 'forçamento radiativo',
+      'gases.onlyCO2': 'A base de fatores escolhida não separa CH<sub>4</sub> e N<sub>2</sub>O; a emissão é contada como CO<sub>2</sub>.',
+
+      'flights.title': 'Premissas do Voo',
+      'flights.lto': '+{distance} de pouso e decolagem',
+      'flights.radiativeForcing': 'forçamento radiativo ×{value}',
+      'flights.noRadiativeForcing': 'sem forçamento radiativo',
+      'flights.emission': '{mass} por passageiro ({intensity})',
+
+      'source.title': '📚 Fatores:',
+      'source.link': 'Ver publicação',
+      'source.uncovered': '⚠️ Sem fator próprio nesta base para: {variants}. Usado o fator padrão do modo.',
+
+      'comparison.title': 'Comparação entre Modos de Transporte',
+      'comparison.titlePerPassenger': 'Comparação entre Modos de Transporte (por passageiro)',
+      'comparison.freightTitle': 'Comparação entre Modais de Frete',
+      'comparison.customReference': 'Percentuais em relação a {factor} kg CO<sub>2</sub>e/km (referência personalizada)',
+      'comparison.selected': 'Selecionado',
+      'comparison.baseline': 'Referência',
+      'comparison.vsBaseline': '{percentage}% vs {baseline}',
+      'comparison.vsBaselineNone': '— vs {baseline}',
+      'comparison.vsTruck': '{factor} · {percentage}% do caminhão',
+      'comparison.tipTitle': '💡 Dica:',
+      'comparison.tip': 'Sempre opte por modos de transporte com menor emissão de CO<sub>2</sub> para reduzir seu impacto ambiental. Caminhar, pedalar e usar metrô, trem ou ônibus são as opções mais sustentáveis!',
+      'comparison.tipFreight': 'Trem e navio emitem uma fração do caminhão por tonelada-km; combinar modais (ex: trem no trecho longo e caminhão na ponta) reduz a emissão do frete.',
+
+      'credits.title': 'Créditos de Carbono',
+      'credits.needed': 'Créditos Necessários',
+      'credits.perCredit': '1 crédito = {mass} CO<sub>2</sub>e',
+      'credits.price': 'Preço Estimado',
+      'credits.pricing': '{profile}: {min} a {max} por crédito',
+      'credits.rate': ' · cotação {rate} por 1 {currency}',
+      'credits.annualTitle': 'Total Anual ({mass} CO<sub>2</sub>e)',
+      'credits.perYear': 'Créditos por Ano',
+      'credits.pricePerYear': 'Preço Estimado por Ano',
+      'credits.infoTitle': 'O que é um Crédito de Carbono?',
+      'credits.infoText': 'Um crédito de carbono representa o direito de emitir uma tonelada de dióxido de carbono equivalente. Ao comprar créditos, você financia projetos de redução de emissões e neutraliza o impacto ambiental de sua viagem.',
+      'credits.infoExamples': 'Exemplos de projetos: reflorestamento, energia renovável, eficiência energética.',
+      'credits.button': '🛒 Compensar Emissões',
+
+      'history.title': 'Histórico de Cálculos',
+      'history.empty': 'Nenhum cálculo salvo ainda. Seus resultados aparecerão aqui.',
+      'history.total': 'Total acumulado',
+      'history.tripsOne': '{count} viagem salva',
+      'history.tripsMany': '{count} viagens salvas',
+      'history.mixed': '🔀 Misto',
+      'history.legs': ' · {n} trechos',
+      'history.roundTrip': ' · ida e volta',
+      'history.credits': '{credits} créditos',
+      'history.pledge': '🌱 Compensado',
+      'history.pledgeTitle': 'Termo {id}',
+      'history.delete': 'Excluir cálculo de {date}',
+      'history.export': 'Exportar histórico',
+      'history.clear': '🗑️ Limpar histórico',
+      'history.confirmClear': 'Deseja remover todos os cálculos do histórico? Clique de novo no botão para confirmar.',
+      'history.clearConfirm': '🗑️ Sim, limpar histórico',
+
+      'export.format': 'Formato dos números',
+      'export.ptBR': 'pt-BR (1234,5 ; separador ponto-e-vírgula)',
+      'export.international': 'Internacional (1234.5 , separador vírgula)',
+      'export.csv': '⬇️ Exportar CSV',
+      'export.json': '⬇️ Exportar JSON',
+
+      'charts.modes': 'Emissão por modo de transporte',
+      'charts.modesPerPassenger': 'Emissão por modo de transporte (por passageiro)',
+      'charts.selected': '{mode} (selecionado)',
+      'charts.historyByDay': 'Emissões do histórico por dia e modo',
+      'charts.historyByMonth': 'Emissões do histórico por mês e modo',
+      'charts.historyShare': 'Participação de cada modo no histórico',
+      'charts.mixed': 'Misto',
+      'charts.empty': 'Sem emissões',
+      'charts.download': 'Baixar gráfico "{title}" em {format}',
+
+      'bulk.noTrips': 'O arquivo não contém viagens (esperado cabeçalho + ao menos uma linha).',
+      'bulk.missingColumns': 'Colunas obrigatórias ausentes no cabeçalho: {columns}.',
+      'bulk.emptyCity': 'Origem ou destino vazio',
+      'bulk.unknownMode': 'Modo de transporte desconhecido: "{mode}"',
+      'bulk.distancePositive': 'Distância deve ser maior que zero',
+      'bulk.distanceInvalid': 'Distância "{value}" inválida ou ambígua: use vírgula decimal (ex: 1015 ou 1.015,0)',
+      'bulk.unknownVariant': 'Combustível/porte desconhecido para o modo: "{variant}"',
+      'bulk.passengersInvalid': 'Passageiros deve ser um número inteiro maior ou igual a 1: "{value}"',
+      'bulk.routeNotFound': 'Rota não encontrada',
+
+      'batch.title': 'Resumo da Importação',
+      'batch.trips': 'Viagens calculadas',
+      'batch.tripsValue': '{valid} de {total}',
+      'batch.errorsOne': '1 linha com erro',
+      'batch.errorsMany': '{count} linhas com erro',
+      'batch.emission': 'Emissão total',
+      'batch.totalDistance': '{distance} no total',
+      'batch.credits': 'Créditos de carbono',
+      'batch.byMode': 'Totais por Modo',
+      'batch.rows': 'Viagens do Arquivo',
+      'batch.mode': 'Modo',
+      'batch.tripsColumn': 'Viagens',
+      'batch.distanceColumn': 'Distância ({unit})',
+      'batch.emissionColumn': 'Emissão ({unit} CO<sub>2</sub>e)',
+      'batch.line': 'Linha',
+      'batch.route': 'Origem → Destino',
+      'batch.status': 'Situação',
+      'batch.passengers': '{n} passageiros',
+      'batch.fromFile': '✓ Distância do arquivo',
+      'batch.fromRoutes': '✓ Distância da base de rotas',
+
+      'freight.cargo': 'Carga',
+      'freight.cargoDetails': '{mode} · {tonnes} t · ocupação {load}% (referência {reference}%)',
+      'freight.factor': '{factor} de CO<sub>2</sub>e',
+      'freight.fromRoutes': 'distância rodoviária da base de rotas',
+      'freight.fromInput': 'distância informada',
+
+      'prices.range': '{min} a {max} (média {average})',
+
+      'report.title': '🍃 Relatório de Emissões de CO2e',
+      'report.meta': 'Cálculo de {calculated} · Relatório gerado em {generated}',
+      'report.documentTitle': 'Relatório de emissões · {origin} → {destination}',
+      'report.trip': 'Viagem',
+      'report.comparison': 'Comparação entre modos de transporte',
+      'report.credits': 'Créditos de carbono',
+      'report.assumptions': 'Premissas',
+      'report.footer': 'Calculadora de Emissão de CO2 · valores estimados para fins de conscientização e planejamento',
+      'report.route': 'Rota',
+      'report.legs': 'Trechos',
+      'report.distance': 'Distância',
+      'report.roundTrip': '{distance} (ida e volta)',
+      'report.mode': 'Modo de transporte',
+      'report.mixed': '🔀 Misto (trechos com modos diferentes)',
+      'report.passengers': 'Passageiros',
+      'report.frequency': 'Frequência',
+      'report.once': 'Viagem única',
+      'report.weekly': 'Semanal',
+      'report.monthly': 'Mensal',
+      'report.tripsPerYear': '{frequency} · {trips} viagens por ano',
+      'report.emission': 'Emissão por viagem',
+      'report.perPassenger': 'Emissão por passageiro',
+      'report.monthlyYearly': 'Emissão mensal / anual',
+      'report.modeColumn': 'Modo',
+      'report.emissionColumn': 'Emissão ({unit} CO2e)',
+      'report.perPassengerColumn': 'Por passageiro ({unit})',
+      'report.vsBaseline': 'vs {baseline}',
+      'report.creditsPerTrip': 'Créditos por viagem',
+      'report.costPerTrip': 'Custo estimado por viagem',
+      'report.creditsPerYear': 'Créditos por ano',
+      'report.costPerYear': 'Custo estimado por ano',
+      'report.price': '{average} ({min} a {max})',
+      'report.factors': 'Fatores de emissão: {label} · {version} ({year}) · {unit}. {citation}',
+      'report.gwp': 'CO2e com GWP de 100 anos do {gwp} (CH4 = {ch4}, N2O = {n2o})',
+      'report.radiativeForcing': 'Voos com forçamento radiativo (×{value})',
+      'report.noRadiativeForcing': 'Voos sem forçamento radiativo (apenas emissões diretas)',
+      'report.baseline': 'Comparação e economia em relação a: {baseline}',
+      'report.pricing': '1 crédito de carbono = {mass} CO2e; preço ({profile}) entre {min} e {max} por crédito{rate}',
+      'report.rate': '; valores em {currency} com cotação de {rate} por 1 {currency}',
+
+      'offset.title': '🌱 Compensar Emissões',
+      'offset.intro': 'Distribua os <strong>{credits} créditos</strong> necessários entre os projetos abaixo. Projetos ilustrativos do catálogo local; a compra é combinada diretamente com cada projeto.',
+      'offset.scope': 'Compensar',
+      'offset.scopeTrip': 'Esta viagem ({credits} créditos)',
+      'offset.scopeAnnual': 'O ano inteiro ({credits} créditos)',
+      'offset.perCredit': '{price} / crédito',
+      'offset.credits': 'Créditos',
+      'offset.split': '⚖️ Distribuir igualmente',
+      'offset.cancel': 'Cancelar',
+      'offset.confirm': '✅ Confirmar compensação',
+      'offset.complete': '✔ Créditos distribuídos',
+      'offset.missing': 'Faltam {credits} créditos',
+      'offset.extra': 'Sobram {credits} créditos',
+      'offset.allocated': 'Alocado: <strong>{credits}</strong> créditos',
+      'offset.totalCost': 'Custo total: <strong>{cost}</strong>',
+      'offset.receiptTitle': '🧾 Termo de Compromisso de Compensação',
+      'offset.receiptId': 'Nº {id} · {date}',
+      'offset.receiptText': 'Compensação de <strong>{mass} CO<sub>2</sub>e</strong> ({scope}) com <strong>{credits} créditos</strong>:',
+      'offset.receiptTrip': 'esta viagem',
+      'offset.receiptAnnual': 'total anual',
+      'offset.receiptLine': '{credits} créditos · {cost}',
+      'offset.receiptTotal': 'Total: {cost}',
+      'offset.receiptSaved': 'O termo fica salvo com o cálculo no histórico.',
+      'offset.download': '⬇️ Baixar comprovante (JSON)',
+      'offset.close': 'Fechar'
+    },
+
+    en: {
+      'ui.loading': 'Calculating...',
+
+      'errors.origin': 'Please select the origin city',
+      'errors.destination': 'Please select the destination city',
+      'errors.distanceMissing': 'Please enter the distance in {unit}',
+      'errors.distancePositive': 'The distance must be greater than zero',
+      'errors.mode': 'Please select a transport mode',
+      'errors.unknownCity': '"{city}" is not in the city database. Pick a city from the list or check "Enter distance manually".',
+      'errors.summary': 'Fix the highlighted fields to calculate.',
+      'warnings.unknownCity': '"{city}" is not in the city database; the distance you entered will be used.',
+      'warnings.distanceTooLong': 'Unusual distance for {mode}: {distance} (usually up to {max}). Please check the value.',
+      'errors.passengers': 'The number of passengers must be a whole number of at least 1',
+      'errors.daysPerWeek': 'Days per week must be a whole number between 1 and 7',
+      'errors.weeks': 'The number of weeks must be a whole number between 1 and 52',
+      'errors.tripsPerMonth': 'Trips per month must be a whole number of at least 1',
+      'errors.baselineFactor': 'Enter the custom reference factor in kg CO2e/km (greater than zero)',
+      'errors.calculation': 'An error occurred while calculating. Please try again.',
+      'errors.fileRead': 'The file could not be read. Please try again.',
+      'errors.freightCities': 'Please fill in the origin and destination of the cargo',
+      'errors.freightWeight': 'The cargo weight must be greater than zero',
+      'errors.freightLoad': 'The vehicle load must be between 1% and 100%',
+      'errors.freightRoute': 'Route not found in the database. Enter the distance in {unit}.',
+      'errors.freightDistance': 'The distance must be greater than zero',
+      'errors.priceRange': 'Invalid price range: the minimum must be zero or more and the maximum at least the minimum. The range from {min} to {max} still applies.',
+
+      'distance.auto': 'The distance will be filled in automatically',
+      'distance.direct': '✓ Distance filled in automatically',
+      'distance.derived': '✓ Distance estimated via {path} (no direct route)',
+      'distance.estimated': '≈ Estimated distance: {straight} in a straight line × {detour} (detour factor). Check the box below to adjust it.',
+      'distance.notFound': 'Route not found. Check the box below to enter the distance manually.',
+      'distance.manual': 'You are editing the distance manually',
+      'distance.loading': '⏳ Loading the city database...',
+
+      'autocomplete.label': 'City suggestions',
+      'autocomplete.count': '{count} suggestion(s). Use the arrow keys to choose and Enter to confirm.',
+      'autocomplete.none': 'No city found',
+      'autocomplete.otherGroup': 'Other cities',
+      'autocomplete.loading': 'Loading the city database...',
+
+      'routes.loading': '⏳ Loading the city and route database...',
+      'routes.error': '⚠️ The city database could not be loaded. Please enter the distances manually.',
+
+      'regions.norte': 'North',
+      'regions.nordeste': 'Northeast',
+      'regions.centroOeste': 'Central-West',
+      'regions.sudeste': 'Southeast',
+      'regions.sul': 'South',
+
+      'itinerary.leg': 'Leg {n}',
+      'itinerary.remove': '✕ Remove',
+      'itinerary.variant': 'Fuel / size / class',
+
+      'share.copied': '✓ Link copied!',
+      'share.manual': 'Copy the address from the browser bar to share it.',
+
+      'baseline.customOption': '✏️ Custom value (kg CO2e/km)',
+      'baseline.customLabel': 'Reference ({factor} kg/km)',
+
+      'pricing.rate': 'Exchange rate: R$ per 1 {currency}',
+      'pricing.range': '(R$ {min} to R$ {max})',
+
+      'results.title': 'Emission Result',
+      'results.route': 'Route',
+      'results.distance': 'Distance',
+      'results.roundTrip': 'Round trip (2 × {distance})',
+      'results.emission': 'CO<sub>2</sub>e Emission',
+      'results.emissionPerPassenger': 'CO<sub>2</sub>e Emission per Passenger',
+      'results.perTripSuffix': ' per Trip',
+      'results.passengers': '{n} passengers · {other}',
+      'results.otherTotal': 'trip total: {mass}',
+      'results.otherPerPassenger': 'per passenger: {mass}',
+      'results.legs': 'Emission per Leg',
+      'results.legsRoundTrip': 'Outbound values; the return repeats the same legs.',
+      'results.mode': 'Transport Mode',
+      'results.recurrence': 'Recurring Trip',
+      'results.perTrip': 'Per trip:',
+      'results.perMonth': 'Per month (average):',
+      'results.perYear': 'Per year:',
+      'results.frequencyWeekly': '{trips} trips per year (days per week × weeks)',
+      'results.frequencyMonthly': '{perMonth} trips per month · {perYear} per year',
+      'results.yearlyDistance': '{distance} per year',
+      'results.savings': 'Savings vs {baseline}',
+      'results.saved': 'Saved:',
+      'results.percentage': 'Percentage:',
+
+      'gases.title': 'Emission by Gas',
+      'gases.nonCO2': 'Non-CO<sub>2</sub>',
+      'gases.radiativeForcing': 'radiative forcing',
+      'gases.onlyCO2': 'The selected factor dataset does not separate CH<sub>4</sub> and N<sub>2</sub>O; the emission is counted as CO<sub>2</sub>.',
+
+      'flights.title': 'Flight Assumptions',
+      'flights.lto': '+{distance} for landing and take-off',
+      'flights.radiativeForcing': 'radiative forcing ×{value}',
+      'flights.noRadiativeForcing': 'no radiative forcing',
+      'flights.emission': '{mass} per passenger ({intensity})',
+
+      'source.title': '📚 Factors:',
+      'source.link': 'View publication',
+      'source.uncovered': '⚠️ No specific factor in this dataset for: {variants}. The mode\'s default factor was used.',
+
+      'comparison.title': 'Transport Mode Comparison',
+      'comparison.titlePerPassenger': 'Transport Mode Comparison (per passenger)',
+      'comparison.freightTitle': 'Freight Mode Comparison',
+      'comparison.customReference': 'Percentages relative to {factor} kg CO<sub>2</sub>e/km (custom reference)',
+      'comparison.selected': 'Selected',
+      'comparison.baseline': 'Reference',
+      'comparison.vsBaseline': '{percentage}% vs {baseline}',
+      'comparison.vsBaselineNone': '— vs {baseline}',
+      'comparison.vsTruck': '{factor} · {percentage}% of truck',
+      'comparison.tipTitle': '💡 Tip:',
+      'comparison.tip': 'Always choose transport modes with lower CO<sub>2</sub> emissions to reduce your environmental impact. Walking, cycling and taking the metro, train or bus are the most sustainable options!',
+      'comparison.tipFreight': 'Rail and ships emit a fraction of a truck per tonne-km; combining modes (e.g. rail for the long haul and truck for the last mile) reduces freight emissions.',
+
+      'credits.title': 'Carbon Credits',
+      'credits.needed': 'Credits Needed',
+      'credits.perCredit': '1 credit = {mass} CO<sub>2</sub>e',
+      'credits.price': 'Estimated Price',
+      'credits.pricing': '{profile}: {min} to {max} per credit',
+      'credits.rate': ' · rate {rate} per 1 {currency}',
+      'credits.annualTitle': 'Annual Total ({mass} CO<sub>2</sub>e)',
+      'credits.perYear': 'Credits per Year',
+      'credits.pricePerYear': 'Estimated Price per Year',
+      'credits.infoTitle': 'What is a Carbon Credit?',
+      'credits.infoText': 'A carbon credit represents the right to emit one tonne of carbon dioxide equivalent. By buying credits, you fund emission reduction projects and offset the environmental impact of your trip.',
+      'credits.infoExamples': 'Example projects: reforestation, renewable energy, energy efficiency.',
+      'credits.button': '🛒 Offset Emissions',
+
+      'history.title': 'Calculation History',
+      'history.empty': 'No saved calculations yet. Your results will appear here.',
+      'history.total': 'Running total',
+      'history.tripsOne': '{count} saved trip',
+      'history.tripsMany': '{count} saved trips',
+      'history.mixed': '🔀 Mixed',
+      'history.legs': ' · {n} legs',
+      'history.roundTrip': ' · round trip',
+      'history.credits': '{credits} credits',
+      'history.pledge': '🌱 Offset',
+      'history.pledgeTitle': 'Pledge {id}',
+      'history.delete': 'Delete calculation from {date}',
+      'history.export': 'Export history',
+      'history.clear': '🗑️ Clear history',
+      'history.confirmClear': 'Remove all calculations from the history? Click the button again to confirm.',
+      'history.clearConfirm': '🗑️ Yes, clear history',
+
+      'charts.modes': 'Emissions by transport mode',
+      'charts.modesPerPassenger': 'Emissions by transport mode (per passenger)',
+      'charts.selected': '{mode} (selected)',
+      'charts.historyByDay': 'History emissions by day and mode',
+      'charts.historyByMonth': 'History emissions by month and mode',
+      'charts.historyShare': 'Share of each mode in the history',
+      'charts.mixed': 'Mixed',
+      'charts.empty': 'No emissions',
+      'charts.download': 'Download chart "{title}" as {format}',
+
+      'bulk.noTrips': 'The file contains no trips (expected a header and at least one row).',
+      'bulk.missingColumns': 'Required columns missing from the header: {columns}.',
+      'bulk.emptyCity': 'Empty origin or destination',
+      'bulk.unknownMode': 'Unknown transport mode: "{mode}"',
+      'bulk.distancePositive': 'Distance must be greater than zero',
+      'bulk.distanceInvalid': 'Invalid or ambiguous distance "{value}": write it without thousands separators (e.g. 1015 or 1.015,0)',
+      'bulk.unknownVariant': 'Unknown fuel/size for this mode: "{variant}"',
+      'bulk.passengersInvalid': 'Passengers must be a whole number of at least 1: "{value}"',
+      'bulk.routeNotFound': 'Route not found',
+
+      'batch.title': 'Import Summary',
+      'batch.trips': 'Trips calculated',
+      'batch.tripsValue': '{valid} of {total}',
+      'batch.errorsOne': '1 row with an error',
+      'batch.errorsMany': '{count} rows with errors',
+      'batch.emission': 'Total emissions',
+      'batch.totalDistance': '{distance} in total',
+      'batch.credits': 'Carbon credits',
+      'batch.byMode': 'Totals by Mode',
+      'batch.rows': 'Trips in the File',
+      'batch.mode': 'Mode',
+      'batch.tripsColumn': 'Trips',
+      'batch.distanceColumn': 'Distance ({unit})',
+      'batch.emissionColumn': 'Emissions ({unit} CO<sub>2</sub>e)',
+      'batch.line': 'Row',
+      'batch.route': 'Origin → Destination',
+      'batch.status': 'Status',
+      'batch.passengers': '{n} passengers',
+      'batch.fromFile': '✓ Distance from the file',
+      'batch.fromRoutes': '✓ Distance from the route database',
+
+      'freight.cargo': 'Cargo',
+      'freight.cargoDetails': '{mode} · {tonnes} t · load {load}% (reference {reference}%)',
+      'freight.factor': '{factor} of CO<sub>2</sub>e',
+      'freight.fromRoutes': 'road distance from the route database',
+      'freight.fromInput': 'distance entered',
+
+      'prices.range': '{min} to {max} (average {average})',
+
+      'report.title': '🍃 CO2e Emissions Report',
+      'report.meta': 'Calculated on {calculated} · Report generated on {generated}',
+      'report.documentTitle': 'Emissions report · {origin} → {destination}',
+      'report.trip': 'Trip',
+      'report.comparison': 'Comparison between transport modes',
+      'report.credits': 'Carbon credits',
+      'report.assumptions': 'Assumptions',
+      'report.footer': 'CO2 Emission Calculator · estimated values for awareness and planning purposes',
+      'report.route': 'Route',
+      'report.legs': 'Legs',
+      'report.distance': 'Distance',
+      'report.roundTrip': '{distance} (round trip)',
+      'report.mode': 'Transport mode',
+      'report.mixed': '🔀 Mixed (legs with different modes)',
+      'report.passengers': 'Passengers',
+      'report.frequency': 'Frequency',
+      'report.once': 'Single trip',
+      'report.weekly': 'Weekly',
+      'report.monthly': 'Monthly',
+      'report.tripsPerYear': '{frequency} · {trips} trips per year',
+      'report.emission': 'Emissions per trip',
+      'report.perPassenger': 'Emissions per passenger',
+      'report.monthlyYearly': 'Monthly / yearly emissions',
+      'report.modeColumn': 'Mode',
+      'report.emissionColumn': 'Emissions ({unit} CO2e)',
+      'report.perPassengerColumn': 'Per passenger ({unit})',
+      'report.vsBaseline': 'vs {baseline}',
+      'report.creditsPerTrip': 'Credits per trip',
+      'report.costPerTrip': 'Estimated cost per trip',
+      'report.creditsPerYear': 'Credits per year',
+      'report.costPerYear': 'Estimated cost per year',
+      'report.price': '{average} ({min} to {max})',
+      'report.factors': 'Emission factors: {label} · {version} ({year}) · {unit}. {citation}',
+      'report.gwp': 'CO2e with the 100-year GWP from {gwp} (CH4 = {ch4}, N2O = {n2o})',
+      'report.radiativeForcing': 'Flights with radiative forcing (×{value})',
+      'report.noRadiativeForcing': 'Flights without radiative forcing (direct emissions only)',
+      'report.baseline': 'Comparison and savings relative to: {baseline}',
+      'report.pricing': '1 carbon credit = {mass} CO2e; price ({profile}) between {min} and {max} per credit{rate}',
+      'report.rate': '; values in {currency} at a rate of {rate} per 1 {currency}',
+
+      'offset.title': '🌱 Offset Emissions',
+      'offset.intro': 'Split the <strong>{credits} credits</strong> needed among the projects below. Illustrative projects from the local catalogue; the purchase is arranged directly with each project.',
+      'offset.scope': 'Offset',
+      'offset.scopeTrip': 'This trip ({credits} credits)',
+      'offset.scopeAnnual': 'The whole year ({credits} credits)',
+      'offset.perCredit': '{price} / credit',
+      'offset.credits': 'Credits',
+      'offset.split': '⚖️ Split evenly',
+      'offset.cancel': 'Cancel',
+      'offset.confirm': '✅ Confirm offset',
+      'offset.complete': '✔ Credits allocated',
+      'offset.missing': '{credits} credits left to allocate',
+      'offset.extra': '{credits} credits over',
+      'offset.allocated': 'Allocated: <strong>{credits}</strong> credits',
+      'offset.totalCost': 'Total cost: <strong>{cost}</strong>',
+      'offset.receiptTitle': '🧾 Offset Pledge',
+      'offset.receiptId': 'No. {id} · {date}',
+      'offset.receiptText': 'Offset of <strong>{mass} CO<sub>2</sub>e</strong> ({scope}) with <strong>{credits} credits</strong>:',
+      'offset.receiptTrip': 'this trip',
+      'offset.receiptAnnual': 'yearly total',
+      'offset.receiptLine': '{credits} credits · {cost}',
+      'offset.receiptTotal': 'Total: {cost}',
+      'offset.receiptSaved': 'The pledge is saved with the calculation in the history.',
+      'offset.download': '⬇️ Download pledge (JSON)',
+      'offset.close': 'Close',
+
+      'offsetProjects.mata-atlantica-restauracao.name': 'Atlantic Forest Restoration',
+      'offsetProjects.mata-atlantica-restauracao.type': 'Reforestation',
+      'offsetProjects.mata-atlantica-restauracao.location': 'Paraíba Valley, SP',
+      'offsetProjects.mata-atlantica-restauracao.description': 'Planting native species on degraded pasture, connecting forest fragments.',
+      'offsetProjects.amazonia-redd.name': 'Standing Forest - REDD+',
+      'offsetProjects.amazonia-redd.type': 'REDD+',
+      'offsetProjects.amazonia-redd.location': 'Southern Amazonas, AM',
+      'offsetProjects.amazonia-redd.description': 'Protection of forest threatened by deforestation, with satellite monitoring and income for local communities.',
+      'offsetProjects.eolica-nordeste.name': 'Sertão Wind Farm',
+      'offsetProjects.eolica-nordeste.type': 'Renewable energy',
+      'offsetProjects.eolica-nordeste.location': 'Caetité, BA',
+      'offsetProjects.eolica-nordeste.description': 'Wind power that replaces electricity from fossil-fuel power plants on the grid.',
+      'offsetProjects.biogas-suinocultura.name': 'Biogas in Pig Farming',
+      'offsetProjects.biogas-suinocultura.type': 'Avoided methane',
+      'offsetProjects.biogas-suinocultura.location': 'Western Santa Catarina, SC',
+      'offsetProjects.biogas-suinocultura.description': 'Biodigesters capture methane from manure and generate energy for the farms.',
+      'offsetProjects.fogoes-eficientes.name': 'Efficient Stoves in the Semi-arid Region',
+      'offsetProjects.fogoes-eficientes.type': 'Energy efficiency',
+      'offsetProjects.fogoes-eficientes.location': 'Sertão of Piauí, PI',
+      'offsetProjects.fogoes-eficientes.description': 'Replacing traditional wood stoves, reducing firewood use and smoke inside homes.',
+
+      'modes.bicycle': 'Bicycle',
+      'modes.car': 'Car',
+      'modes.bus': 'Bus',
+      'modes.truck': 'Truck',
+      'modes.plane': 'Plane',
+      'modes.boat': 'Boat',
+      'modes.motorcycle': 'Motorcycle',
+      'modes.train': 'Intercity train',
+      'modes.metro': 'Metro',
+      'modes.scooter': 'E-scooter',
+      'modes.walking': 'Walking',
+
+      'freightModes.truck': 'Truck',
+      'freightModes.rail': 'Freight train',
+      'freightModes.boat': 'Ship / barge',
+      'freightModes.air': 'Cargo plane',
+
+      'variants.car.gasoline': 'Gasoline C (E27)',
+      'variants.car.ethanol': 'Hydrous ethanol',
+      'variants.car.diesel': 'Diesel (SUV/pickup)',
+      'variants.car.cng': 'CNG',
+      'variants.car.hybrid': 'Hybrid',
+      'variants.car.electric': 'Electric',
+      'variants.bus.diesel': 'Diesel coach',
+      'variants.bus.micro': 'Diesel minibus',
+      'variants.bus.hybrid': 'Hybrid',
+      'variants.bus.electric': 'Electric',
+      'variants.truck.light': 'Light / urban (diesel)',
+      'variants.truck.medium': 'Medium (diesel)',
+      'variants.truck.heavy': 'Heavy (diesel)',
+      'variants.truck.electric': 'Light electric',
+      'variants.plane.economy': 'Economy class',
+      'variants.plane.premium': 'Premium economy',
+      'variants.plane.business': 'Business class',
+      'variants.plane.first': 'First class',
+
+      'flightBands.short': 'Short haul (up to 1,500 km)',
+      'flightBands.medium': 'Medium haul (1,500 to 4,000 km)',
+      'flightBands.long': 'Long haul (over 4,000 km)',
+
+      'factorDatasets.calculadora-2024.label': 'Calculator estimates',
+      'factorDatasets.calculadora-2024.citation': 'The calculator\'s own estimates based on sustainable transport data (no single official source).',
+      'factorDatasets.defra-2024.label': 'DESNZ/DEFRA (United Kingdom)',
+
+      'pricingProfiles.voluntary': 'Voluntary market (overall average)',
+      'pricingProfiles.regulated': 'Regulated market (EU ETS)',
+      'pricingProfiles.forestry': 'Reforestation and restoration',
+      'pricingProfiles.redd': 'REDD+ (avoided deforestation)',
+      'pricingProfiles.renewable': 'Renewable energy',
+      'pricingProfiles.custom': 'Custom',
+
+      'currencies.BRL': 'Brazilian real (R$)',
+      'currencies.USD': 'US dollar (US$)',
+      'currencies.EUR': 'Euro (€)',
+
+      'units.km': 'Kilometres (km)',
+      'units.mi': 'Miles (mi)',
+      'units.kg': 'Kilograms (kg)',
+      'units.t': 'Tonnes (t)',
+      'units.lb': 'Pounds (lb)',
+
+      'page.title': '🍃 CO2 Emission Calculator',
+      'page.heading': '🍃 CO<sub>2</sub> Emission Calculator',
+      'page.subtitle': 'Discover the environmental impact of your transport!',
+      'page.language': '🌐 Language',
+      'page.footer': 'Developed by Brenda Góes for DIO | GitHub Copilot Project',
+
+      'form.heading': 'Calculator Form',
+      'form.origin': 'Origin',
+      'form.originPlaceholder': 'Type the origin city',
+      'form.destination': 'Destination',
+      'form.destinationPlaceholder': 'Type the destination city',
+      'form.distance': 'Distance',
+      'form.distancePlaceholder': 'Filled in automatically',
+      'form.manualDistance': 'Enter distance manually',
+      'form.manualDistanceHelp': 'Uncheck to fill in the distance automatically. Check to edit it manually.',
+      'form.passengers': 'Passengers',
+      'form.passengersHelp': 'In a car or on a motorcycle the emission is split among the occupants; on buses, trains, metro, planes and boats each passenger counts as one ticket.',
+      'form.transport': 'Transport mode',
+      'form.variantCar': '⛽ Car fuel',
+      'form.variantBus': '🚌 Bus type',
+      'form.variantTruck': '🚚 Truck size',
+      'form.variantPlane': '💺 Cabin class',
+      'form.addLeg': '➕ Add leg',
+      'form.addLegHelp': 'Trip with connections? Add one leg for each part, with its own transport mode.',
+      'form.frequency': 'Trip frequency',
+      'form.roundTrip': 'Round trip',
+      'form.repeat': 'Repeat',
+      'form.frequencyOnce': 'Single trip',
+      'form.frequencyWeekly': 'Days per week (e.g. commuting)',
+      'form.frequencyMonthly': 'Trips per month',
+      'form.daysPerWeek': 'Days per week',
+      'form.weeks': 'Number of weeks',
+      'form.weeksHelp': '48 weeks is a working year minus vacations and holidays.',
+      'form.tripsPerMonth': 'Trips per month',
+      'form.factorDataset': '📚 Emission factor dataset',
+      'form.gwpHelp': 'Weight of methane (CH<sub>4</sub>) and nitrous oxide (N<sub>2</sub>O) relative to CO<sub>2</sub> over 100 years',
+      'form.radiativeForcing': '✈️ Include radiative forcing for flights (×1.9)',
+      'form.radiativeForcingHelp': 'Contrails and NO<sub>x</sub> at altitude warm beyond the CO<sub>2</sub> emitted; the value is highly uncertain',
+      'form.baseline': '📊 Compare with',
+      'form.baselineHelp': 'Percentages and savings are calculated relative to this reference',
+      'form.baselineFactor': 'Reference factor (kg CO<sub>2</sub>e/km)',
+      'form.baselineFactorPlaceholder': 'E.g. 0.15',
+      'form.baselineFactorHelp': 'Emission per km for the whole group, e.g. the company fleet average',
+      'form.units': '📏 Units',
+      'form.unitsLabel': 'Units',
+      'form.distanceUnit': 'Distance',
+      'form.massUnit': 'Emissions',
+      'form.unitsHelp': 'The calculation uses km and kg; the unit only changes the values you type and see',
+      'form.pricing': '💰 Carbon credit price',
+      'form.creditProfile': 'Price profile',
+      'form.priceMin': 'Minimum price (R$ per credit)',
+      'form.priceMax': 'Maximum price (R$ per credit)',
+      'form.priceHelp': 'Editing the range switches the profile to "Custom"',
+      'form.currency': 'Display currency',
+      'form.submit': 'Calculate Emission',
+
+      'bulk.title': 'Import Trips (CSV)',
+      'bulk.file': 'CSV file',
+      'bulk.help': 'Columns: origem, destino, modo and, optionally, variante (fuel/size; default: the mode\'s standard one), passageiros (default: 1) and distancia_km. Comma or semicolon separator; without a distance, it is looked up in the route database.',
+
+      'freight.title': 'Cargo Freight (tonne-km)',
+      'freight.originPlaceholder': 'Cargo origin city',
+      'freight.destinationPlaceholder': 'Cargo destination city',
+      'freight.distancePlaceholder': 'Optional',
+      'freight.distanceHelp': 'Leave empty to use the road distance from the route database; the same distance is used in the mode comparison.',
+      'freight.weight': 'Cargo weight (tonnes)',
+      'freight.load': 'Vehicle load (% of weight capacity)',
+      'freight.loadHelp': 'Lightly loaded vehicles emit more per tonne carried.',
+      'freight.mode': 'Freight mode',
+      'freight.submit': 'Calculate Freight',
+
+      'view.label': 'Emission view',
+      'view.total': 'Trip total',
+      'view.perPassenger': 'Per passenger',
+
+      'export.format': 'Number format',
+      'export.ptBR': 'pt-BR (1234,5 ; semicolon separator)',
+      'export.international': 'International (1234.5 , comma separator)',
+      'export.csv': '⬇️ Export CSV',
+      'export.json': '⬇️ Export JSON',
+
+      'share.button': '🔗 Copy calculation link',
+      'report.print': '🖨️ Generate report',
+      'report.download': '⬇️ Download report (HTML)'
+    },
+
+    es: {
+      'ui.loading': 'Calculando...',
+
+      'errors.origin': 'Por favor, seleccione la ciudad de origen',
+      'errors.destination': 'Por favor, seleccione la ciudad de destino',
+      'errors.distanceMissing': 'Por favor, ingrese la distancia en {unit}',
+      'errors.distancePositive': 'La distancia debe ser mayor que cero',
+      'errors.mode': 'Por favor, seleccione un modo de transporte',
+      'errors.unknownCity': '"{city}" no está en la base de ciudades. Elija una ciudad de la lista o marque "Ingresar la distancia manualmente".',
+      'errors.summary': 'Corrija los campos destacados para calcular.',
+      'warnings.unknownCity': '"{city}" no está en la base de ciudades; se usará la distancia ingresada.',
+      'warnings.distanceTooLong': 'Distancia inusual para {mode}: {distance} (normalmente hasta {max}). Revise el valor.',
+      'errors.passengers': 'El número de pasajeros debe ser un número entero mayor o igual a 1',
+      'errors.daysPerWeek': 'Los días por semana deben ser un número entero entre 1 y 7',
+      'errors.weeks': 'El número de semanas debe ser un número entero entre 1 y 52',
+      'errors.tripsPerMonth': 'Los viajes por mes deben ser un número entero mayor o igual a 1',
+      'errors.baselineFactor': 'Ingrese el factor de la referencia personalizada en kg CO2e/km (mayor que cero)',
+      'errors.calculation': 'Ocurrió un error al realizar el cálculo. Por favor, inténtelo de nuevo.',
+      'errors.fileRead': 'No se pudo leer el archivo. Inténtelo de nuevo.',
+      'errors.freightCities': 'Por favor, complete el origen y el destino de la carga',
+      'errors.freightWeight': 'El peso de la carga debe ser mayor que cero',
+      'errors.freightLoad': 'La ocupación del vehículo debe estar entre 1% y 100%',
+      'errors.freightRoute': 'Ruta no encontrada en la base. Ingrese la distancia en {unit}.',
+      'errors.freightDistance': 'La distancia debe ser mayor que cero',
+      'errors.priceRange': 'Rango de precios no válido: el mínimo debe ser mayor o igual a cero y el máximo mayor o igual al mínimo. Sigue vigente el rango de {min} a {max}.',
+
+      'distance.auto': 'La distancia se completará automáticamente',
+      'distance.direct': '✓ Distancia completada automáticamente',
+      'distance.derived': '✓ Distancia estimada por el camino {path} (sin ruta directa)',
+      'distance.estimated': '≈ Distancia estimada: {straight} en línea recta × {detour} (factor de desvío). Marque la casilla de abajo para ajustarla.',
+      'distance.notFound': 'Ruta no encontrada. Marque la casilla de abajo para ingresar la distancia manualmente.',
+      'distance.manual': 'Está editando la distancia manualmente',
+      'distance.loading': '⏳ Cargando la base de ciudades...',
+
+      'autocomplete.label': 'Sugerencias de ciudades',
+      'autocomplete.count': '{count} sugerencia(s). Use las flechas para elegir y Enter para confirmar.',
+      'autocomplete.none': 'No se encontró ninguna ciudad',
+      'autocomplete.otherGroup': 'Otras ciudades',
+      'autocomplete.loading': 'Cargando la base de ciudades...',
+
+      'routes.loading': '⏳ Cargando la base de ciudades y rutas...',
+      'routes.error': '⚠️ No se pudo cargar la base de ciudades. Ingrese las distancias manualmente.',
+
+      'regions.norte': 'Norte',
+      'regions.nordeste': 'Nordeste',
+      'regions.centroOeste': 'Centro-Oeste',
+      'regions.sudeste': 'Sudeste',
+      'regions.sul': 'Sur',
+
+      'itinerary.leg': 'Tramo {n}',
+      'itinerary.remove': '✕ Quitar',
+      'itinerary.variant': 'Combustible / tamaño / clase',
+
+      'share.copied': '✓ ¡Enlace copiado!',
+      'share.manual': 'Copie la dirección de la barra del navegador para compartir.',
+
+      'baseline.customOption': '✏️ Valor personalizado (kg CO2e/km)',
+      'baseline.customLabel': 'Referencia ({factor} kg/km)',
+
+      'pricing.rate': 'Cotización: R$ por 1 {currency}',
+      'pricing.range': '(R$ {min} a R$ {max})',
+
+      'results.title': 'Resultado de la Emisión',
+      'results.route': 'Ruta',
+      'results.distance': 'Distancia',
+      'results.roundTrip': 'Ida y vuelta (2 × {distance})',
+      'results.emission': 'Emisión de CO<sub>2</sub>e',
+      'results.emissionPerPassenger': 'Emisión de CO<sub>2</sub>e por Pasajero',
+      'results.perTripSuffix': ' por Viaje',
+      'results.passengers': '{n} pasajeros · {other}',
+      'results.otherTotal': 'total del viaje: {mass}',
+      'results.otherPerPassenger': 'por pasajero: {mass}',
+      'results.legs': 'Emisión por Tramo',
+      'results.legsRoundTrip': 'Valores de ida; la vuelta repite los mismos tramos.',
+      'results.mode': 'Modo de Transporte',
+      'results.recurrence': 'Viaje Recurrente',
+      'results.perTrip': 'Por viaje:',
+      'results.perMonth': 'Por mes (promedio):',
+      'results.perYear': 'Por año:',
+      'results.frequencyWeekly': '{trips} viajes por año (días por semana × semanas)',
+      'results.frequencyMonthly': '{perMonth} viajes por mes · {perYear} por año',
+      'results.yearlyDistance': '{distance} por año',
+      'results.savings': 'Ahorro vs {baseline}',
+      'results.saved': 'Ahorrado:',
+      'results.percentage': 'Porcentaje:',
+
+      'gases.title': 'Emisión por Gas',
+      'gases.nonCO2': 'No-CO<sub>2</sub>',
+      'gases.radiativeForcing': 'forzamiento radiativo',
+      'gases.onlyCO2': 'La base de factores elegida no separa CH<sub>4</sub> y N<sub>2</sub>O; la emisión se cuenta como CO<sub>2</sub>.',
+
+      'flights.title': 'Supuestos del Vuelo',
+      'flights.lto': '+{distance} de aterrizaje y despegue',
+      'flights.radiativeForcing': 'forzamiento radiativo ×{value}',
+      'flights.noRadiativeForcing': 'sin forzamiento radiativo',
+      'flights.emission': '{mass} por pasajero ({intensity})',
+
+      'source.title': '📚 Factores:',
+      'source.link': 'Ver publicación',
+      'source.uncovered': '⚠️ Sin factor propio en esta base para: {variants}. Se usó el factor predeterminado del modo.',
+
+      'comparison.title': 'Comparación entre Modos de Transporte',
+      'comparison.titlePerPassenger': 'Comparación entre Modos de Transporte (por pasajero)',
+      'comparison.freightTitle': 'Comparación entre Modos de Carga',
+      'comparison.customReference': 'Porcentajes en relación con {factor} kg CO<sub>2</sub>e/km (referencia personalizada)',
+      'comparison.selected': 'Seleccionado',
+      'comparison.baseline': 'Referencia',
+      'comparison.vsBaseline': '{percentage}% vs {baseline}',
+      'comparison.vsBaselineNone': '— vs {baseline}',
+      'comparison.vsTruck': '{factor} · {percentage}% del camión',
+      'comparison.tipTitle': '💡 Consejo:',
+      'comparison.tip': 'Elija siempre modos de transporte con menor emisión de CO<sub>2</sub> para reducir su impacto ambiental. ¡Caminar, andar en bicicleta y usar metro, tren o autobús son las opciones más sostenibles!',
+      'comparison.tipFreight': 'El tren y el barco emiten una fracción del camión por tonelada-km; combinar modos (ej: tren en el tramo largo y camión en la punta) reduce la emisión de la carga.',
+
+      'credits.title': 'Créditos de Carbono',
+      'credits.needed': 'Créditos Necesarios',
+      'credits.perCredit': '1 crédito = {mass} CO<sub>2</sub>e',
+      'credits.price': 'Precio Estimado',
+      'credits.pricing': '{profile}: {min} a {max} por crédito',
+      'credits.rate': ' · cotización {rate} por 1 {currency}',
+      'credits.annualTitle': 'Total Anual ({mass} CO<sub>2</sub>e)',
+      'credits.perYear': 'Créditos por Año',
+      'credits.pricePerYear': 'Precio Estimado por Año',
+      'credits.infoTitle': '¿Qué es un Crédito de Carbono?',
+      'credits.infoText': 'Un crédito de carbono representa el derecho a emitir una tonelada de dióxido de carbono equivalente. Al comprar créditos, usted financia proyectos de reducción de emisiones y neutraliza el impacto ambiental de su viaje.',
+      'credits.infoExamples': 'Ejemplos de proyectos: reforestación, energía renovable, eficiencia energética.',
+      'credits.button': '🛒 Compensar Emisiones',
+
+      'history.title': 'Historial de Cálculos',
+      'history.empty': 'Aún no hay cálculos guardados. Sus resultados aparecerán aquí.',
+      'history.total': 'Total acumulado',
+      'history.tripsOne': '{count} viaje guardado',
+      'history.tripsMany': '{count} viajes guardados',
+      'history.mixed': '🔀 Mixto',
+      'history.legs': ' · {n} tramos',
+      'history.roundTrip': ' · ida y vuelta',
+      'history.credits': '{credits} créditos',
+      'history.pledge': '🌱 Compensado',
+      'history.pledgeTitle': 'Compromiso {id}',
+      'history.delete': 'Eliminar cálculo del {date}',
+      'history.export': 'Exportar historial',
+      'history.clear': '🗑️ Borrar historial',
+      'history.confirmClear': '¿Desea eliminar todos los cálculos del historial? Haga clic de nuevo en el botón para confirmar.',
+      'history.clearConfirm': '🗑️ Sí, borrar historial',
+
+      'charts.modes': 'Emisión por modo de transporte',
+      'charts.modesPerPassenger': 'Emisión por modo de transporte (por pasajero)',
+      'charts.selected': '{mode} (seleccionado)',
+      'charts.historyByDay': 'Emisiones del historial por día y modo',
+      'charts.historyByMonth': 'Emisiones del historial por mes y modo',
+      'charts.historyShare': 'Participación de cada modo en el historial',
+      'charts.mixed': 'Mixto',
+      'charts.empty': 'Sin emisiones',
+      'charts.download': 'Descargar gráfico "{title}" en {format}',
+
+      'bulk.noTrips': 'El archivo no contiene viajes (se espera un encabezado y al menos una fila).',
+      'bulk.missingColumns': 'Faltan columnas obligatorias en el encabezado: {columns}.',
+      'bulk.emptyCity': 'Origen o destino vacío',
+      'bulk.unknownMode': 'Modo de transporte desconocido: "{mode}"',
+      'bulk.distancePositive': 'La distancia debe ser mayor que cero',
+      'bulk.distanceInvalid': 'Distancia "{value}" no válida o ambigua: use coma decimal (ej: 1015 o 1.015,0)',
+      'bulk.unknownVariant': 'Combustible/tamaño desconocido para el modo: "{variant}"',
+      'bulk.passengersInvalid': 'Los pasajeros deben ser un número entero mayor o igual a 1: "{value}"',
+      'bulk.routeNotFound': 'Ruta no encontrada',
+
+      'batch.title': 'Resumen de la Importación',
+      'batch.trips': 'Viajes calculados',
+      'batch.tripsValue': '{valid} de {total}',
+      'batch.errorsOne': '1 fila con error',
+      'batch.errorsMany': '{count} filas con error',
+      'batch.emission': 'Emisión total',
+      'batch.totalDistance': '{distance} en total',
+      'batch.credits': 'Créditos de carbono',
+      'batch.byMode': 'Totales por Modo',
+      'batch.rows': 'Viajes del Archivo',
+      'batch.mode': 'Modo',
+      'batch.tripsColumn': 'Viajes',
+      'batch.distanceColumn': 'Distancia ({unit})',
+      'batch.emissionColumn': 'Emisión ({unit} CO<sub>2</sub>e)',
+      'batch.line': 'Fila',
+      'batch.route': 'Origen → Destino',
+      'batch.status': 'Estado',
+      'batch.passengers': '{n} pasajeros',
+      'batch.fromFile': '✓ Distancia del archivo',
+      'batch.fromRoutes': '✓ Distancia de la base de rutas',
+
+      'freight.cargo': 'Carga',
+      'freight.cargoDetails': '{mode} · {tonnes} t · ocupación {load}% (referencia {reference}%)',
+      'freight.factor': '{factor} de CO<sub>2</sub>e',
+      'freight.fromRoutes': 'distancia por carretera de la base de rutas',
+      'freight.fromInput': 'distancia informada',
+
+      'prices.range': '{min} a {max} (promedio {average})',
+
+      'report.title': '🍃 Informe de Emisiones de CO2e',
+      'report.meta': 'Cálculo del {calculated} · Informe generado el {generated}',
+      'report.documentTitle': 'Informe de emisiones · {origin} → {destination}',
+      'report.trip': 'Viaje',
+      'report.comparison': 'Comparación entre modos de transporte',
+      'report.credits': 'Créditos de carbono',
+      'report.assumptions': 'Supuestos',
+      'report.footer': 'Calculadora de Emisión de CO2 · valores estimados con fines de concienciación y planificación',
+      'report.route': 'Ruta',
+      'report.legs': 'Tramos',
+      'report.distance': 'Distancia',
+      'report.roundTrip': '{distance} (ida y vuelta)',
+      'report.mode': 'Modo de transporte',
+      'report.mixed': '🔀 Mixto (tramos con modos diferentes)',
+      'report.passengers': 'Pasajeros',
+      'report.frequency': 'Frecuencia',
+      'report.once': 'Viaje único',
+      'report.weekly': 'Semanal',
+      'report.monthly': 'Mensual',
+      'report.tripsPerYear': '{frequency} · {trips} viajes por año',
+      'report.emission': 'Emisión por viaje',
+      'report.perPassenger': 'Emisión por pasajero',
+      'report.monthlyYearly': 'Emisión mensual / anual',
+      'report.modeColumn': 'Modo',
+      'report.emissionColumn': 'Emisión ({unit} CO2e)',
+      'report.perPassengerColumn': 'Por pasajero ({unit})',
+      'report.vsBaseline': 'vs {baseline}',
+      'report.creditsPerTrip': 'Créditos por viaje',
+      'report.costPerTrip': 'Costo estimado por viaje',
+      'report.creditsPerYear': 'Créditos por año',
+      'report.costPerYear': 'Costo estimado por año',
+      'report.price': '{average} ({min} a {max})',
+      'report.factors': 'Factores de emisión: {label} · {version} ({year}) · {unit}. {citation}',
+      'report.gwp': 'CO2e con GWP a 100 años del {gwp} (CH4 = {ch4}, N2O = {n2o})',
+      'report.radiativeForcing': 'Vuelos con forzamiento radiativo (×{value})',
+      'report.noRadiativeForcing': 'Vuelos sin forzamiento radiativo (solo emisiones directas)',
+      'report.baseline': 'Comparación y ahorro respecto a: {baseline}',
+      'report.pricing': '1 crédito de carbono = {mass} CO2e; precio ({profile}) entre {min} y {max} por crédito{rate}',
+      'report.rate': '; valores en {currency} con cotización de {rate} por 1 {currency}',
+
+      'offset.title': '🌱 Compensar Emisiones',
+      'offset.intro': 'Distribuya los <strong>{credits} créditos</strong> necesarios entre los proyectos de abajo. Proyectos ilustrativos del catálogo local; la compra se acuerda directamente con cada proyecto.',
+      'offset.scope': 'Compensar',
+      'offset.scopeTrip': 'Este viaje ({credits} créditos)',
+      'offset.scopeAnnual': 'El año entero ({credits} créditos)',
+      'offset.perCredit': '{price} / crédito',
+      'offset.credits': 'Créditos',
+      'offset.split': '⚖️ Distribuir por igual',
+      'offset.cancel': 'Cancelar',
+      'offset.confirm': '✅ Confirmar compensación',
+      'offset.complete': '✔ Créditos distribuidos',
+      'offset.missing': 'Faltan {credits} créditos',
+      'offset.extra': 'Sobran {credits} créditos',
+      'offset.allocated': 'Asignado: <strong>{credits}</strong> créditos',
+      'offset.totalCost': 'Costo total: <strong>{cost}</strong>',
+      'offset.receiptTitle': '🧾 Compromiso de Compensación',
+      'offset.receiptId': 'N.º {id} · {date}',
+      'offset.receiptText': 'Compensación de <strong>{mass} CO<sub>2</sub>e</strong> ({scope}) con <strong>{credits} créditos</strong>:',
+      'offset.receiptTrip': 'este viaje',
+      'offset.receiptAnnual': 'total anual',
+      'offset.receiptLine': '{credits} créditos · {cost}',
+      'offset.receiptTotal': 'Total: {cost}',
+      'offset.receiptSaved': 'El compromiso queda guardado con el cálculo en el historial.',
+      'offset.download': '⬇️ Descargar comprobante (JSON)',
+      'offset.close': 'Cerrar',
+
+      'offsetProjects.mata-atlantica-restauracao.name': 'Restauración de la Mata Atlántica',
+      'offsetProjects.mata-atlantica-restauracao.type': 'Reforestación',
+      'offsetProjects.mata-atlantica-restauracao.location': 'Valle del Paraíba, SP',
+      'offsetProjects.mata-atlantica-restauracao.description': 'Plantación de especies nativas en pastizales degradados, conectando fragmentos de bosque.',
+      'offsetProjects.amazonia-redd.name': 'Bosque en Pie - REDD+',
+      'offsetProjects.amazonia-redd.type': 'REDD+',
+      'offsetProjects.amazonia-redd.location': 'Sur de Amazonas, AM',
+      'offsetProjects.amazonia-redd.description': 'Protección de bosque amenazado por la deforestación, con monitoreo satelital e ingresos para las comunidades locales.',
+      'offsetProjects.eolica-nordeste.name': 'Parque Eólico del Sertão',
+      'offsetProjects.eolica-nordeste.type': 'Energía renovable',
+      'offsetProjects.eolica-nordeste.location': 'Caetité, BA',
+      'offsetProjects.eolica-nordeste.description': 'Generación de energía eólica que sustituye electricidad de centrales térmicas fósiles en la red.',
+      'offsetProjects.biogas-suinocultura.name': 'Biogás en la Porcicultura',
+      'offsetProjects.biogas-suinocultura.type': 'Metano evitado',
+      'offsetProjects.biogas-suinocultura.location': 'Oeste de Santa Catarina, SC',
+      'offsetProjects.biogas-suinocultura.description': 'Biodigestores capturan el metano de los desechos y generan energía para las granjas.',
+      'offsetProjects.fogoes-eficientes.name': 'Cocinas Eficientes en el Semiárido',
+      'offsetProjects.fogoes-eficientes.type': 'Eficiencia energética',
+      'offsetProjects.fogoes-eficientes.location': 'Sertão de Piauí, PI',
+      'offsetProjects.fogoes-eficientes.description': 'Sustitución de cocinas de leña tradicionales, reduciendo el consumo de leña y el humo dentro de las casas.',
+
+      'modes.bicycle': 'Bicicleta',
+      'modes.car': 'Coche',
+      'modes.bus': 'Autobús',
+      'modes.truck': 'Camión',
+      'modes.plane': 'Avión',
+      'modes.boat': 'Barco',
+      'modes.motorcycle': 'Moto',
+      'modes.train': 'Tren interurbano',
+      'modes.metro': 'Metro',
+      'modes.scooter': 'Patinete eléctrico',
+      'modes.walking': 'A pie',
+
+      'freightModes.truck': 'Camión',
+      'freightModes.rail': 'Tren de carga',
+      'freightModes.boat': 'Barco / barcaza',
+      'freightModes.air': 'Avión de carga',
+
+      'variants.car.gasoline': 'Gasolina C (E27)',
+      'variants.car.ethanol': 'Etanol hidratado',
+      'variants.car.diesel': 'Diésel (SUV/pickup)',
+      'variants.car.cng': 'GNC',
+      'variants.car.hybrid': 'Híbrido',
+      'variants.car.electric': 'Eléctrico',
+      'variants.bus.diesel': 'Autobús de carretera diésel',
+      'variants.bus.micro': 'Microbús diésel',
+      'variants.bus.hybrid': 'Híbrido',
+      'variants.bus.electric': 'Eléctrico',
+      'variants.truck.light': 'Ligero / urbano (diésel)',
+      'variants.truck.medium': 'Mediano (diésel)',
+      'variants.truck.heavy': 'Pesado (diésel)',
+      'variants.truck.electric': 'Ligero eléctrico',
+      'variants.plane.economy': 'Clase económica',
+      'variants.plane.premium': 'Económica premium',
+      'variants.plane.business': 'Clase ejecutiva',
+      'variants.plane.first': 'Primera clase',
+
+      'flightBands.short': 'Corta distancia (hasta 1.500 km)',
+      'flightBands.medium': 'Media distancia (1.500 a 4.000 km)',
+      'flightBands.long': 'Larga distancia (más de 4.000 km)',
+
+      'factorDatasets.calculadora-2024.label': 'Estimaciones de la calculadora',
+      'factorDatasets.calculadora-2024.citation': 'Estimaciones propias de la calculadora basadas en datos de transporte sostenible (sin fuente oficial única).',
+
+      'pricingProfiles.voluntary': 'Mercado voluntario (promedio general)',
+      'pricingProfiles.regulated': 'Mercado regulado (EU ETS)',
+      'pricingProfiles.forestry': 'Reforestación y restauración',
+      'pricingProfiles.redd': 'REDD+ (deforestación evitada)',
+      'pricingProfiles.renewable': 'Energía renovable',
+      'pricingProfiles.custom': 'Personalizado',
+
+      'currencies.BRL': 'Real brasileño (R$)',
+      'currencies.USD': 'Dólar estadounidense (US$)',
+      'currencies.EUR': 'Euro (€)',
+
+      'units.km': 'Kilómetros (km)',
+      'units.mi': 'Millas (mi)',
+      'units.kg': 'Kilogramos (kg)',
+      'units.t': 'Toneladas (t)',
+      'units.lb': 'Libras (lb)',
+
+      'page.title': '🍃 Calculadora de Emisión de CO2',
+      'page.heading': '🍃 Calculadora de Emisión de CO<sub>2</sub>',
+      'page.subtitle': '¡Descubra el impacto ambiental de su transporte!',
+      'page.language': '🌐 Idioma',
+      'page.footer': 'Desarrollado por Brenda Góes para DIO | Proyecto GitHub Copilot',
+
+      'form.heading': 'Formulario de la Calculadora',
+      'form.origin': 'Origen',
+      'form.originPlaceholder': 'Escriba la ciudad de origen',
+      'form.destination': 'Destino',
+      'form.destinationPlaceholder': 'Escriba la ciudad de destino',
+      'form.distance': 'Distancia',
+      'form.distancePlaceholder': 'Completado automático',
+      'form.manualDistance': 'Ingresar la distancia manualmente',
+      'form.manualDistanceHelp': 'Desmarque para completar la distancia automáticamente. Márquela para editarla manualmente.',
+      'form.passengers': 'Pasajeros',
+      'form.passengersHelp': 'En coche y moto la emisión se divide entre los ocupantes; en autobús, tren, metro, avión y barco cada pasajero cuenta un boleto.',
+      'form.transport': 'Modo de transporte',
+      'form.variantCar': '⛽ Combustible del coche',
+      'form.variantBus': '🚌 Tipo de autobús',
+      'form.variantTruck': '🚚 Tamaño del camión',
+      'form.variantPlane': '💺 Clase de cabina',
+      'form.addLeg': '➕ Agregar tramo',
+      'form.addLegHelp': '¿Viaje con conexiones? Agregue un tramo para cada parte, con su propio modo de transporte.',
+      'form.frequency': 'Frecuencia del viaje',
+      'form.roundTrip': 'Ida y vuelta',
+      'form.repeat': 'Repetición',
+      'form.frequencyOnce': 'Viaje único',
+      'form.frequencyWeekly': 'Días por semana (ej: ir al trabajo)',
+      'form.frequencyMonthly': 'Viajes por mes',
+      'form.daysPerWeek': 'Días por semana',
+      'form.weeks': 'Número de semanas',
+      'form.weeksHelp': '48 semanas equivalen a un año de trabajo descontando vacaciones y feriados.',
+      'form.tripsPerMonth': 'Viajes por mes',
+      'form.factorDataset': '📚 Base de factores de emisión',
+      'form.gwpHelp': 'Peso del metano (CH<sub>4</sub>) y del óxido nitroso (N<sub>2</sub>O) en relación con el CO<sub>2</sub> en 100 años',
+      'form.radiativeForcing': '✈️ Incluir forzamiento radiativo en los vuelos (×1,9)',
+      'form.radiativeForcingHelp': 'Las estelas de condensación y el NO<sub>x</sub> en altitud calientan más allá del CO<sub>2</sub> emitido; el valor tiene alta incertidumbre',
+      'form.baseline': '📊 Comparar con',
+      'form.baselineHelp': 'Los porcentajes y el ahorro se calculan en relación con esta referencia',
+      'form.baselineFactor': 'Factor de la referencia (kg CO<sub>2</sub>e/km)',
+      'form.baselineFactorPlaceholder': 'Ej: 0.15',
+      'form.baselineFactorHelp': 'Emisión por km del grupo entero, ej: promedio de la flota de la empresa',
+      'form.units': '📏 Unidades',
+      'form.unitsLabel': 'Unidades',
+      'form.distanceUnit': 'Distancia',
+      'form.massUnit': 'Emisiones',
+      'form.unitsHelp': 'El cálculo se hace en km y kg; la unidad solo cambia los valores ingresados y mostrados',
+      'form.pricing': '💰 Precio de los créditos de carbono',
+      'form.creditProfile': 'Perfil de precio',
+      'form.priceMin': 'Precio mínimo (R$ por crédito)',
+      'form.priceMax': 'Precio máximo (R$ por crédito)',
+      'form.priceHelp': 'Editar el rango cambia el perfil a "Personalizado"',
+      'form.currency': 'Moneda de visualización',
+      'form.submit': 'Calcular Emisión',
+
+      'bulk.title': 'Importar Viajes (CSV)',
+      'bulk.file': 'Archivo CSV',
+      'bulk.help': 'Columnas: origem, destino, modo y, opcionalmente, variante (combustible/tamaño; por defecto, el estándar del modo), passageiros (por defecto: 1) y distancia_km. Separador coma o punto y coma; sin distancia, se busca en la base de rutas.',
+
+      'freight.title': 'Transporte de Carga (tonelada-km)',
+      'freight.originPlaceholder': 'Ciudad de origen de la carga',
+      'freight.destinationPlaceholder': 'Ciudad de destino de la carga',
+      'freight.distancePlaceholder': 'Opcional',
+      'freight.distanceHelp': 'Déjela vacía para usar la distancia por carretera de la base de rutas; la misma distancia se usa en la comparación entre modos.',
+      'freight.weight': 'Peso de la carga (toneladas)',
+      'freight.load': 'Ocupación del vehículo (% de la capacidad en peso)',
+      'freight.loadHelp': 'Los vehículos con poca carga emiten más por tonelada transportada.',
+      'freight.mode': 'Modo de carga',
+      'freight.submit': 'Calcular Carga',
+
+      'view.label': 'Visualización de la emisión',
+      'view.total': 'Total del viaje',
+      'view.perPassenger': 'Por pasajero',
+
+      'export.format': 'Formato de los números',
+      'export.ptBR': 'pt-BR (1234,5 ; separador punto y coma)',
+      'export.international': 'Internacional (1234.5 , separador coma)',
+      'export.csv': '⬇️ Exportar CSV',
+      'export.json': '⬇️ Exportar JSON',
+
+      'share.button': '🔗 Copiar enlace del cálculo',
+      'report.print': '🖨️ Generar informe',
+      'report.download': '⬇️ Descargar informe (HTML)'
+    }
+  },
+
+  /**
+   * Idioma em uso (definido por init/setLocale)
+   */
+  locale: 'pt-BR',
+
+  /**
+   * init() - Restaura o idioma salvo e liga o seletor de idioma
+   *
+   * LÓGICA:
+   * 1. Escolhe o idioma (ver detectLocale) e traduz a página
+   * 2. Preenche o select #language e troca o idioma a cada mudança
+   *
+   * Deve rodar antes dos módulos que geram texto (CONFIG.populate*, CreditPricing.init).
+   */
+  init: function() {
+    this.setLocale(this.detectLocale(), false);
+
+    const select = document.getElementById('language');
+
+    if (!select) {
+      console.warn('Seletor de idioma "language" não encontrado');
+      return;
+    }
+
+    select.innerHTML = this.renderLocaleOptions();
+    select.value = this.locale;
+
+    select.addEventListener('change', () => {
+      this.setLocale(select.value, true);
+    });
+  },
+
+  /**
+   * detectLocale() - Idioma salvo, do navegador ou o padrão
+   *
+   * EXEMPLO:
+   * - Nada salvo, navegador em 'en-US' => 'en'
+   * - Nada salvo, navegador em 'pt-PT' => 'pt-BR'
+   * - Nada salvo, navegador em 'fr-FR' => 'pt-BR' (DEFAULT_LOCALE)
+   *
+   * @returns {string} Chave de LOCALES
+   */
+  detectLocale: function() {
+    try {
+      const stored = localStorage.getItem(this.STORAGE_KEY);
+      if (this.LOCALES[stored]) {
+        return stored;
+      }
+    } catch (error) {
+      console.warn('Não foi possível ler o idioma do localStorage:', error);
+    }
+
+    const preferred = (navigator.languages && navigator.languages.length > 0)
+      ? navigator.languages
+      : [navigator.language || ''];
+
+    for (let i = 0; i < preferred.length; i++) {
+      const language = String(preferred[i]);
+      const exact = Object.keys(this.LOCALES).find(locale => locale.toLowerCase() === language.toLowerCase());
+      const sameLanguage = Object.keys(this.LOCALES).find(locale => locale.split('-')[0] === language.split('-')[0]);
+
+      if (exact || sameLanguage) {
+        return exact || sameLanguage;
+      }
+    }
+
+    return this.DEFAULT_LOCALE;
+  },
+
+  /**
+   * setLocale(locale, persist) - Troca o idioma da interface
+   *
+   * LÓGICA:
+   * 1. Ignora idiomas desconhecidos (aviso na console)
+   * 2. Atualiza <html lang>, traduz os textos fixos e grava a escolha (se persist)
+   * 3. Dispara 'localechange' em document para os módulos re-renderizarem
+   *
+   * @param {string} locale - Chave de LOCALES (ex: 'en')
+   * @param {boolean} persist - Gravar a escolha no localStorage
+   */
+  setLocale: function(locale, persist) {
+    if (!this.LOCALES[locale]) {
+      console.warn(`Idioma não suportado: ${locale}`);
+      return;
+    }
+
+    this.locale = locale;
+    document.documentElement.lang = locale;
+    this.translatePage(document);
+
+    if (persist) {
+      try {
+        localStorage.setItem(this.STORAGE_KEY, locale);
+      } catch (error) {
+        console.warn('Não foi possível gravar o idioma no localStorage:', error);
+      }
+    }
+
+    document.dispatchEvent(new CustomEvent('localechange', { detail: { locale: locale } }));
+  },
+
+  /**
+   * t(key, params) - Texto de uma chave no idioma em uso
+   *
+   * EXEMPLO:
+   * - t('itinerary.leg', { n: 2 }) => "Trecho 2" (pt-BR) / "Leg 2" (en)
+   *
+   * @param {string} key - Chave do catálogo
+   * @param {Object} params - Valores a substituir em {nome} (opcional)
+   * @returns {string} Texto traduzido (pt-BR ou a própria chave se não houver tradução)
+   */
+  t: function(key, params) {
+    const messages = this.MESSAGES[this.locale] || {};
+    let text = messages[key];
+
+    if (text === undefined) {
+      text = this.MESSAGES[this.DEFAULT_LOCALE][key];
+    }
+
+    if (text === undefined) {
+      console.warn(`Tradução não encontrada: ${key}`);
+      return key;
+    }
+
+    return text.replace(/\{(\w+)\}/g, (match, name) =>
+      params && params[name] !== undefined ? params[name] : match
+    );
+  },
+
+  /**
+   * translateLabel(key, fallback) - Tradução de um nome vindo de CONFIG
+   * Os nomes em CONFIG já são pt-BR; sem tradução, o nome original é usado.
+   *
+   * EXEMPLO:
+   * - translateLabel('modes.bus', 'Ônibus') => "Bus" (en) / "Ônibus" (pt-BR)
+   *
+   * @param {string} key - Chave do catálogo (ex: 'modes.bus')
+   * @param {string} fallback - Nome original em pt-BR
+   * @returns {string} Nome no idioma em uso
+   */
+  translateLabel: function(key, fallback) {
+    const messages = this.MESSAGES[this.locale] || {};
+    return messages[key] !== undefined ? messages[key] : fallback;
+  },
+
+  /**
+   * translatePage(root) - Traduz os elementos com data-i18n dentro de root
+   *
+   * O texto original de cada elemento/atributo é guardado em data-i18n-default*
+   * na primeira vez, para voltar ao pt-BR sem duplicar os textos no catálogo.
+   *
+   * @param {Element|Document} root - Onde procurar os elementos (ex: document ou um trecho novo)
+   */
+  translatePage: function(root) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      if (element.dataset.i18nDefault === undefined) {
+        element.dataset.i18nDefault = element.innerHTML.trim();
+      }
+      element.innerHTML = this.translateLabel(element.dataset.i18n, element.dataset.i18nDefault);
+    });
+
+    // Atributos traduzíveis: data-i18n-placeholder e data-i18n-aria-label
+    const attributes = [
+      { attribute: 'placeholder', dataKey: 'i18nPlaceholder' },
+      { attribute: 'aria-label', dataKey: 'i18nAriaLabel' }
+    ];
+
+    attributes.forEach(({ attribute, dataKey }) => {
+      const defaultKey = `${dataKey}Default`;
+
+      root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+        if (element.dataset[defaultKey] === undefined) {
+          element.dataset[defaultKey] = element.getAttribute(attribute) || '';
+        }
+        element.setAttribute(attribute, this.translateLabel(element.dataset[dataKey], element.dataset[defaultKey]));
+      });
+    });
+  },
+
+  /**
+   * renderLocaleOptions() - Gera os <option> do seletor de idioma
+   *
+   * @returns {string} HTML com uma opção por idioma de LOCALES
+   */
+  renderLocaleOptions: function() {
+    return Object.keys(this.LOCALES).map(locale =>
+      `<option value="${locale}" lang="${locale}">${this.LOCALES[locale].label}</option>`
+    ).join('');
+  }
+};
@@ -0,0 +1,304 @@
+/**
+ * itinerary.js - Itinerário com múltiplos trechos
+ *
+ * DESCRIÇÃO GERAL:
+ * Define um objeto global chamado Itinerary que gerencia os trechos adicionais
+ * do formulário. O primeiro trecho é sempre o formado pelos campos principais
+ * (origem, destino, distância e modo de transporte); cada trecho adicional tem
+ * sua própria origem, destino, distância (auto-preenchida pelo RoutesDB) e modo.
+ *
+ * ESTRUTURA DO Itinerary:
+ * {
+ *   container: HTMLElement        - Elemento que contém os trechos adicionais
+ *   nextId: number                - Contador usado para gerar ids únicos
+ *   autofillBindings: Map         - Auto-preenchimento de cada trecho (para desligá-lo ao remover)
+ *   init(): Function              - Liga o botão "Adicionar trecho"
+ *   addLeg(): Function            - Adiciona um novo trecho ao formulário
+ *   removeLeg(): Function         - Remove um trecho adicional
+ *   renumberLegs(): Function      - Atualiza os títulos "Trecho N"
+ *   renderModeOptions(): Function - Gera os <option> do select de modo de um trecho
+ *   getLegs(): Function           - Lê todos os trechos (principal + adicionais)
+ * }
+ *
+ * ESTRUTURA DE CADA TRECHO RETORNADO POR getLegs():
+ * {
+ *   origin: string,               - Cidade de origem do trecho
+ *   destination: string,          - Cidade de destino do trecho
+ *   distance: number,             - Distância em km, convertida da unidade em uso (NaN se não preenchida)
+ *   mode: string|null,            - Modo de transporte do trecho
+ *   variant: string|null,         - Combustível/porte (CONFIG.VEHICLE_VARIANTS), se houver
+ *   fields: Object                - Ids dos campos do trecho {origin, destination, distance, mode},
+ *                                   usados para mostrar os erros de validação ao lado de cada campo
+ * }
+ *
+ * DEPENDÊNCIAS:
+ * - CONFIG (js/config.js): TRANSPORT_MODES e bindDistanceAutofill()
+ * - I18n (js/i18n.js): textos dos trechos no idioma em uso
+ * - Autocomplete (js/autocomplete.js): sugestões nos campos de cidade
+ */
+
+const Itinerary = {
+  /**
+   * Elemento que contém os trechos adicionais (id "itinerary-legs")
+   */
+  container: null,
+
+  /**
+   * Contador para gerar ids únicos (labels precisam de ids distintos)
+   */
+  nextId: 2,
+
+  /**
+   * Retorno de CONFIG.bindDistanceAutofill() ({fill, unbind}) por elemento de trecho
+   */
+  autofillBindings: new Map(),
+
+  /**
+   * init() - Inicializa o gerenciamento de trechos
+   *
+   * FUNCIONAMENTO:
+   * 1. Localiza o container de trechos e o botão "Adicionar trecho"
+   * 2. Liga o clique do botão a addLeg()
+   * 3. Ao trocar o idioma, re-gera os selects de modo/variante e os títulos dos trechos
+   */
+  init: function() {
+    this.container = document.getElementById('itinerary-legs');
+    const addButton = document.getElementById('add-leg');
+
+    if (!this.container || !addButton) {
+      console.warn('Elementos do itinerário não encontrados; apenas um trecho estará disponível');
+      return;
+    }
+
+    addButton.addEventListener('click', () => {
+      this.addLeg();
+    });
+
+    document.addEventListener('localechange', () => {
+      this.container.querySelectorAll('.itinerary__leg').forEach(leg => {
+        const modeSelect = leg.querySelector('.itinerary__mode');
+        const variantSelect = leg.querySelector('.itinerary__variant');
+        const variant = variantSelect.value;
+
+        modeSelect.innerHTML = this.renderModeOptions(modeSelect.value);
+        variantSelect.innerHTML = CONFIG.renderVariantOptions(modeSelect.value);
+        variantSelect.value = variant;
+      });
+      this.renumberLegs();
+    });
+
+    console.log('Itinerário com múltiplos trechos configurado');
+  },
+
+  /**
+   * addLeg() - Adiciona um novo trecho ao formulário
+   *
+   * LÓGICA:
+   * 1. Gera um id único para o trecho
+   * 2. Constrói o HTML do trecho (origem, destino, distância, checkbox manual e modo),
+   *    com data-i18n nos textos fixos, traduzidos por I18n.translatePage()
+   * 3. Pré-preenche a origem com o destino do trecho anterior (conexão)
+   * 4. Liga o autocomplete de cidades (Autocomplete.attach()) e o auto-preenchimento
+   *    de distância com CONFIG.bindDistanceAutofill()
+   * 5. Liga o botão "Remover"
+   *
+   * @returns {HTMLElement|null} Elemento do trecho criado
+   */
+  addLeg: function() {
+    if (!this.container) {
+      return null;
+    }
+
+    const id = this.nextId++;
+
+    const leg = document.createElement('div');
+    leg.className = 'itinerary__leg';
+    leg.dataset.legId = id;
+    leg.innerHTML = `
+      <div class="itinerary__leg-header">
+        <h3 class="itinerary__leg-title">Trecho</h3>
+        <button type="button" class="itinerary__remove" data-i18n="itinerary.remove">✕ Remover</button>
+      </div>
+
+      <div class="calculator__field">
+        <label for="leg-${id}-origin" class="calculator__label" data-i18n="form.origin">Origem</label>
+        <input id="leg-${id}-origin" class="calculator__input itinerary__origin" placeholder="Digite a cidade de origem" data-i18n-placeholder="form.originPlaceholder">
+      </div>
+
+      <div class="calculator__field">
+        <label for="leg-${id}-destination" class="calculator__label" data-i18n="form.destination">Destino</label>
+        <input id="leg-${id}-destination" class="calculator__input itinerary__destination" placeholder="Digite a cidade de destino" data-i18n-placeholder="form.destinationPlaceholder">
+      </div>
+
+      <div class="calculator__field">
+        <label for="leg-${id}-distance" class="calculator__label"><span data-i18n="form.distance">Distância</span> (<span class="units__distance-symbol">${Units.getDistanceSymbol()}</span>)</label>
+        <input id="leg-${id}-distance" type="number" step="any" readonly class="calculator__input itinerary__distance" placeholder="Preenchimento automático" data-i18n-placeholder="form.distancePlaceholder">
+        <p class="calculator__help">${I18n.t('distance.auto')}</p>
+      </div>
+
+      <div class="calculator__field">
+        <input id="leg-${id}-manual" type="checkbox" class="calculator__checkbox itinerary__manual">
+        <label for="leg-${id}-manual" class="calculator__label" data-i18n="form.manualDistance">Inserir distância manualmente</label>
+      </div>
+
+      <div class="calculator__field">
+        <label for="leg-${id}-mode" class="calculator__label" data-i18n="form.transport">Modo de transporte</label>
+        <select id="leg-${id}-mode" class="calculator__input itinerary__mode">${this.renderModeOptions('car')}</select>
+      </div>
+
+      <div class="calculator__field itinerary__variant-field">
+        <label for="leg-${id}-variant" class="calculator__label" data-i18n="itinerary.variant">Combustível / porte / classe</label>
+        <select id="leg-${id}-variant" class="calculator__input itinerary__variant"></select>
+      </div>
+    `;
+
+    I18n.translatePage(leg);
+    this.container.appendChild(leg);
+
+    const originInput = leg.querySelector('.itinerary__origin');
+    const destinationInput = leg.querySelector('.itinerary__destination');
+    const distanceInput = leg.querySelector('.itinerary__distance');
+    const modeSelect = leg.querySelector('.itinerary__mode');
+    const variantSelect = leg.querySelector('.itinerary__variant');
+
+    // Sub-opções de combustível/porte acompanham o modo do trecho
+    function updateVariants() {
+      variantSelect.innerHTML = CONFIG.renderVariantOptions(modeSelect.value);
+      variantSelect.parentElement.classList.toggle('hidden', !CONFIG.VEHICLE_VARIANTS[modeSelect.value]);
+    }
+    modeSelect.addEventListener('change', updateVariants);
+    updateVariants();
+
+    // Sugestões de cidades na origem e no destino do trecho
+    Autocomplete.attach(originInput);
+    Autocomplete.attach(destinationInput);
+
+    // Ligar auto-preenchimento de distância deste trecho
+    const autofill = CONFIG.bindDistanceAutofill({
+      originInput: originInput,
+      destinationInput: destinationInput,
+      distanceInput: distanceInput,
+      manualCheckbox: leg.querySelector('.itinerary__manual'),
+      helperText: distanceInput.parentElement.querySelector('.calculator__help'),
+      getMode: () => modeSelect.value,
+      modeInputs: [modeSelect]
+    });
+    this.autofillBindings.set(leg, autofill);
+
+    // Conexão: a origem do novo trecho é o destino do trecho anterior
+    const legs = this.getLegs();
+    const previousLeg = legs[legs.length - 2];
+    if (previousLeg && previousLeg.destination) {
+      originInput.value = previousLeg.destination;
+      autofill.fill();
+    }
+
+    // Botão de remoção do trecho
+    leg.querySelector('.itinerary__remove').addEventListener('click', () => {
+      this.removeLeg(leg);
+    });
+
+    this.renumberLegs();
+    leg.querySelector('.itinerary__destination').focus();
+
+    return leg;
+  },
+
+  /**
+   * removeLeg(legElement) - Remove um trecho adicional do formulário
+   *
+   * Também desliga o auto-preenchimento de distância do trecho, cujos listeners
+   * de idioma, unidade e base de cidades ficam em document.
+   *
+   * @param {HTMLElement} legElement - Elemento do trecho a ser removido
+   */
+  removeLeg: function(legElement) {
+    if (legElement && legElement.parentElement === this.container) {
+      const autofill = this.autofillBindings.get(legElement);
+      if (autofill) {
+        autofill.unbind();
+        this.autofillBindings.delete(legElement);
+      }
+
+      this.container.removeChild(legElement);
+      this.renumberLegs();
+    }
+  },
+
+  /**
+   * renumberLegs() - Atualiza os títulos dos trechos adicionais
+   * O trecho principal é o "Trecho 1", então os adicionais começam em 2
+   */
+  renumberLegs: function() {
+    if (!this.container) {
+      return;
+    }
+
+    this.container.querySelectorAll('.itinerary__leg-title').forEach((title, index) => {
+      title.textContent = I18n.t('itinerary.leg', { n: index + 2 });
+    });
+  },
+
+  /**
+   * renderModeOptions(selectedMode) - Gera os <option> do select de modo de um trecho
+   *
+   * @param {string} selectedMode - Modo marcado (chave de CONFIG.TRANSPORT_MODES)
+   * @returns {string} HTML com um <option> por modo, com o nome no idioma em uso
+   */
+  renderModeOptions: function(selectedMode) {
+    return Object.keys(CONFIG.TRANSPORT_MODES).map(mode => {
+      const modeData = CONFIG.TRANSPORT_MODES[mode];
+      const selected = mode === selectedMode ? ' selected' : '';
+      return `<option value="${mode}"${selected}>${modeData.emoji} ${UI.getModeLabel(mode)}</option>`;
+    }).join('');
+  },
+
+  /**
+   * getLegs() - Lê todos os trechos do formulário
+   *
+   * LÓGICA:
+   * 1. Lê o trecho principal a partir dos campos fixos (#origin, #destination, etc.)
+   * 2. Lê cada trecho adicional do container
+   * 3. Retorna array na ordem da viagem
+   *
+   * @returns {Array<Object>} Array de trechos: {origin, destination, distance, mode, variant, fields}
+   */
+  getLegs: function() {
+    const selectedTransportRadio = document.querySelector('input[name="transport"]:checked');
+    const mainMode = selectedTransportRadio ? selectedTransportRadio.value : null;
+
+    // Combustível/porte do trecho principal (apenas modos com variantes)
+    const mainVariantSelect = mainMode ? document.getElementById(`variant-${mainMode}`) : null;
+
+    // Trecho principal (campos originais do formulário)
+    const legs = [{
+      origin: document.getElementById('origin').value.trim(),
+      destination: document.getElementById('destination').value.trim(),
+      distance: Units.toKm(parseFloat(document.getElementById('distance').value)),
+      mode: mainMode,
+      variant: mainVariantSelect ? mainVariantSelect.value || null : null,
+      fields: { origin: 'origin', destination: 'destination', distance: 'distance', mode: 'transport-modes' }
+    }];
+
+    // Trechos adicionais
+    if (this.container) {
+      this.container.querySelectorAll('.itinerary__leg').forEach(leg => {
+        const originInput = leg.querySelector('.itinerary__origin');
+        const destinationInput = leg.querySelector('.itinerary__destination');
+        const distanceInput = leg.querySelector('.itinerary__distance');
+        const modeSelect = leg.querySelector('.itinerary__mode');
+
+        legs.push({
+          origin: originInput.value.trim(),
+          destination: destinationInput.value.trim(),
+          distance: Units.toKm(parseFloat(distanceInput.value)),
+          mode: modeSelect.value || null,
+          variant: leg.querySelector('.itinerary__variant').value || null,
+          fields: { origin: originInput.id, destination: destinationInput.id, distance: distanceInput.id, mode: modeSelect.id }
+        });
+      });
+    }
+
+    return legs;
+  }
+};
@@ -0,0 +1,125 @@
+/**
+ * offset-projects.js - Catálogo local de projetos de compensação
+ *
+ * DESCRIÇÃO GERAL:
+ * Define um objeto global chamado OffsetProjects com os projetos de
+ * compensação de carbono oferecidos no fluxo "Compensar Emissões"
+ * (ver js/offset.js). O catálogo é local (sem servidor): para incluir um
+ * projeto basta acrescentar um objeto ao array projects.
+ *
+ * ESTRUTURA DO OffsetProjects:
+ * {
+ *   projects: Array<Object>       - Projetos disponíveis (ver ESTRUTURA DE CADA PROJETO)
+ *   getAll(): Function            - Retorna todos os projetos
+ *   getById(): Function           - Busca um projeto pelo id
+ *   getText(): Function           - Nome, tipo, local ou resumo no idioma em uso
+ * }
+ *
+ * ESTRUTURA DE CADA PROJETO:
+ * {
+ *   id: string,                   - Identificador único (usado no registro da compensação)
+ *   name: string,                 - Nome de exibição
+ *   type: string,                 - Tipo de projeto (mesmos nomes dos perfis de preço)
+ *   emoji: string,                - Ícone do tipo de projeto
+ *   location: string,             - Cidade/estado ou região do projeto
+ *   standard: string,             - Padrão de certificação dos créditos
+ *   pricePerCreditBRL: number,    - Preço de 1 crédito (1 tCO2e) em reais
+ *   description: string           - Resumo do projeto
+ * }
+ *
+ * TRADUÇÃO:
+ * Os textos do catálogo estão em pt-BR; as traduções ficam no I18n com a
+ * chave 'offsetProjects.<id>.<campo>' (ex: 'offsetProjects.eolica-nordeste.name').
+ *
+ * NOTA:
+ * Os projetos são exemplos ilustrativos para a demonstração do fluxo de
+ * compensação; nomes, preços e certificações não representam ofertas reais.
+ */
+
+const OffsetProjects = {
+  projects: [
+    {
+      id: 'mata-atlantica-restauracao',
+      name: 'Restauração da Mata Atlântica',
+      type: 'Reflorestamento',
+      emoji: '🌳',
+      location: 'Vale do Paraíba, SP',
+      standard: 'Verra VCS + CCB',
+      pricePerCreditBRL: 120,
+      description: 'Plantio de espécies nativas em áreas de pastagem degradada, conectando fragmentos de floresta.'
+    },
+    {
+      id: 'amazonia-redd',
+      name: 'Floresta em Pé - REDD+',
+      type: 'REDD+',
+      emoji: '🌿',
+      location: 'Sul do Amazonas, AM',
+      standard: 'Verra VCS',
+      pricePerCreditBRL: 60,
+      description: 'Proteção de floresta ameaçada de desmatamento, com monitoramento por satélite e renda para comunidades locais.'
+    },
+    {
+      id: 'eolica-nordeste',
+      name: 'Parque Eólico do Sertão',
+      type: 'Energia renovável',
+      emoji: '💨',
+      location: 'Caetité, BA',
+      standard: 'Gold Standard',
+      pricePerCreditBRL: 25,
+      description: 'Geração de energia eólica que substitui eletricidade de termelétricas fósseis na rede.'
+    },
+    {
+      id: 'biogas-suinocultura',
+      name: 'Biogás na Suinocultura',
+      type: 'Metano evitado',
+      emoji: '🔥',
+      location: 'Oeste de Santa Catarina, SC',
+      standard: 'Gold Standard',
+      pricePerCreditBRL: 45,
+      description: 'Biodigestores capturam o metano dos dejetos e geram energia para as propriedades rurais.'
+    },
+    {
+      id: 'fogoes-eficientes',
+      name: 'Fogões Eficientes no Semiárido',
+      type: 'Eficiência energética',
+      emoji: '🍲',
+      location: 'Sertão do Piauí, PI',
+      standard: 'Gold Standard',
+      pricePerCreditBRL: 70,
+      description: 'Substituição de fogões a lenha tradicionais, reduzindo o consumo de lenha e a fumaça dentro das casas.'
+    }
+  ],
+
+  /**
+   * getAll() - Retorna todos os projetos do catálogo
+   *
+   * @returns {Array<Object>} Projetos (ver ESTRUTURA DE CADA PROJETO)
+   */
+  getAll: function() {
+    return this.projects.slice();
+  },
+
+  /**
+   * getById(id) - Busca um projeto pelo id
+   *
+   * @param {string} id - Identificador do projeto (ex: 'eolica-nordeste')
+   * @returns {Object|null} Projeto encontrado, ou null
+   */
+  getById: function(id) {
+    return this.projects.find(project => project.id === id) || null;
+  },
+
+  /**
+   * getText(project, field) - Texto de um projeto no idioma em uso
+   *
+   * EXEMPLO:
+   * - getText(projeto eólico, 'name') => "Parque Eólico do Sertão" (pt-BR) / "Sertão Wind Farm" (en)
+   *
+   * @param {Object} project - Projeto do catálogo
+   * @param {string} field - 'name', 'type', 'location' ou 'description'
+   * @returns {string} Texto traduzido, ou o texto original do catálogo
+   */
+  getText: function(project, field) {
+    return I18n.translateLabel(`offsetProjects.${project.id}.${field}`, project[field]);
+  }
+};
@@ -0,0 +1,430 @@
+/**
+ * offset.js - Fluxo de Compensação de Emissões
+ *
+ * DESCRIÇÃO GERAL:
+ * Define um objeto global chamado Offset que abre o fluxo do botão
+ * "Compensar Emissões" da seção de créditos de carbono:
+ * 1. Lista os projetos do catálogo local (js/offset-projects.js) com o preço por crédito
+ * 2. O usuário distribui os créditos necessários entre os projetos
+ * 3. O total de créditos e o custo são atualizados a cada alteração
+ * 4. Ao confirmar, gera um termo de compromisso (comprovante) que fica salvo
+ *    junto do cálculo no histórico e pode ser baixado em JSON
+ *
+ * Os preços do catálogo estão em reais e são exibidos na moeda escolhida
+ * no painel de preço dos créditos (CreditPricing). Os textos do painel e do
+ * comprovante vêm do I18n (chaves 'offset.*') e são re-renderizados ao trocar o idioma.
+ *
+ * ESTRUTURA DO Offset:
+ * {
+ *   calculation: Object|null      - Cálculo sendo compensado (lastCalculation do js/app.js)
+ *   scope: string                 - 'trip' (uma viagem) ou 'annual' (total anual da viagem recorrente)
+ *   allocations: Object           - Créditos por projeto ({ 'eolica-nordeste': 0.25 })
+ *   onPledge: Function|null       - Chamada após registrar a compensação
+ *   pledge: Object|null           - Último comprovante gerado
+ *   init(): Function              - Liga os eventos do painel (delegação)
+ *   open(): Function              - Abre o fluxo para um cálculo
+ *   close(): Function             - Fecha o fluxo
+ *   getNeededCredits(): Function  - Créditos a compensar no escopo escolhido
+ *   calculateAllocation(): Function - Totais e custo de uma distribuição
+ *   splitEvenly(): Function       - Distribui créditos igualmente entre projetos
+ *   createPledge(): Function      - Monta o registro do termo de compromisso
+ *   confirm(): Function           - Registra a compensação e mostra o comprovante
+ *   render(): Function            - Re-renderiza o painel
+ *   renderPanel(): Function       - HTML da lista de projetos e da distribuição
+ *   renderSummary(): Function     - HTML do total alocado e do custo
+ *   renderReceipt(): Function     - HTML do comprovante
+ * }
+ *
+ * ESTRUTURA DO COMPROVANTE (pledge):
+ * {
+ *   id: string,                   - Número do termo (ex: "COMP-20240531-4F7K2Q")
+ *   createdAt: string,            - Data/hora (ISO 8601)
+ *   scope: string,                - 'trip' ou 'annual'
+ *   emission: number,             - Emissão compensada em kg CO2e
+ *   credits: number,              - Créditos compensados
+ *   allocations: Array<Object>,   - {projectId, name, credits, pricePerCreditBRL, costBRL}
+ *   totalCostBRL: number,         - Custo total em reais
+ *   currency: string,             - Moeda exibida ao confirmar
+ *   totalCost: number             - Custo total na moeda exibida
+ * }
+ */
+
+const Offset = {
+  calculation: null,
+  scope: 'trip',
+  allocations: {},
+  onPledge: null,
+  pledge: null,
+
+  /**
+   * init() - Liga os eventos do painel #offset
+   *
+   * Usa delegação de eventos, pois o conteúdo é re-renderizado:
+   * - input nos campos de créditos (data-project-id): atualiza a distribuição e o resumo
+   * - change em #offset-scope: troca entre a viagem e o total anual
+   * - cliques em [data-offset-action]: 'split', 'confirm', 'cancel', 'download'
+   */
+  init: function() {
+    const panel = document.getElementById('offset');
+
+    if (!panel) {
+      console.warn('Painel de compensação "offset" não encontrado');
+      return;
+    }
+
+    panel.addEventListener('input', event => {
+      const input = event.target.closest('[data-project-id]');
+      if (!input) return;
+
+      this.allocations[input.dataset.projectId] = Math.max(0, Number(input.value) || 0);
+      document.getElementById('offset-summary').innerHTML = this.renderSummary(this.calculateAllocation(this.allocations, this.getNeededCredits()));
+    });
+
+    panel.addEventListener('change', event => {
+      if (event.target.id !== 'offset-scope') return;
+
+      this.scope = event.target.value;
+      this.allocations = this.splitEvenly(this.getNeededCredits(), [OffsetProjects.getAll()[0].id]);
+      this.render();
+    });
+
+    panel.addEventListener('click', event => {
+      const button = event.target.closest('[data-offset-action]');
+      if (!button) return;
+
+      const action = button.dataset.offsetAction;
+
+      if (action === 'split') {
+        this.allocations = this.splitEvenly(this.getNeededCredits(), OffsetProjects.getAll().map(project => project.id));
+        this.render();
+      } else if (action === 'confirm') {
+        this.confirm();
+      } else if (action === 'cancel') {
+        this.close();
+      } else if (action === 'download' && this.pledge) {
+        Exporter.download(`${this.pledge.id}.json`, JSON.stringify(this.pledge, null, 2), 'application/json');
+      }
+    });
+  },
+
+  /**
+   * open(calculation, onPledge) - Abre o fluxo de compensação para um cálculo
+   *
+   * LÓGICA:
+   * 1. Guarda o cálculo e começa pelo escopo da viagem
+   * 2. Sugere todos os créditos no primeiro projeto do catálogo
+   * 3. Se o cálculo já foi compensado, mostra o comprovante existente
+   *
+   * @param {Object} calculation - Objeto com: {resultsData, creditsData, historyId, pledge}
+   * @param {Function} onPledge - Chamada com o comprovante após confirmar (opcional)
+   */
+  open: function(calculation, onPledge) {
+    this.calculation = calculation;
+    this.onPledge = onPledge || null;
+    this.scope = 'trip';
+    this.pledge = calculation.pledge || null;
+    this.allocations = this.splitEvenly(this.getNeededCredits(), [OffsetProjects.getAll()[0].id]);
+
+    this.render();
+    UI.showElement('offset');
+  },
+
+  /**
+   * close() - Fecha o fluxo de compensação
+   */
+  close: function() {
+    UI.hideElement('offset');
+    document.getElementById('offset-content').innerHTML = '';
+  },
+
+  /**
+   * getNeededCredits() - Créditos a compensar no escopo escolhido
+   *
+   * @returns {number} Créditos da viagem, ou do total anual se scope = 'annual'
+   */
+  getNeededCredits: function() {
+    const creditsData = this.calculation.creditsData;
+
+    if (this.scope === 'annual' && creditsData.annual) {
+      return creditsData.annual.credits;
+    }
+
+    return creditsData.credits;
+  },
+
+  /**
+   * calculateAllocation(allocations, neededCredits) - Totais e custo de uma distribuição
+   *
+   * LÓGICA:
+   * 1. Para cada projeto com créditos > 0: custo = créditos × preço por crédito (reais)
+   * 2. Soma créditos e custo; converte o custo para a moeda em uso (CreditPricing)
+   * 3. A distribuição está completa quando o total alocado é igual aos créditos
+   *    necessários (comparação com 4 casas decimais, a precisão dos créditos)
+   *
+   * EXEMPLO:
+   * - 0.5 crédito: { 'eolica-nordeste': 0.25, 'amazonia-redd': 0.25 }
+   *   => custo R$ 6,25 + R$ 15,00 = R$ 21,25, completa
+   *
+   * @param {Object} allocations - Créditos por projeto ({ projectId: créditos })
+   * @param {number} neededCredits - Créditos a compensar
+   * @returns {Object} Objeto com: {lines, allocatedCredits, remainingCredits, totalCostBRL,
+   *                   totalCost, currency, isComplete}
+   */
+  calculateAllocation: function(allocations, neededCredits) {
+    const round = (value, decimals) => Math.round(value * Math.pow(10, decimals)) / Math.pow(10, decimals);
+
+    const lines = OffsetProjects.getAll()
+      .filter(project => allocations[project.id] > 0)
+      .map(project => ({
+        projectId: project.id,
+        name: project.name,
+        credits: round(allocations[project.id], 4),
+        pricePerCreditBRL: project.pricePerCreditBRL,
+        costBRL: round(allocations[project.id] * project.pricePerCreditBRL, 2)
+      }));
+
+    const allocatedCredits = round(lines.reduce((sum, line) => sum + line.credits, 0), 4);
+    const totalCostBRL = round(lines.reduce((sum, line) => sum + line.costBRL, 0), 2);
+    const remainingCredits = round(neededCredits - allocatedCredits, 4);
+
+    return {
+      lines: lines,
+      allocatedCredits: allocatedCredits,
+      remainingCredits: remainingCredits,
+      totalCostBRL: totalCostBRL,
+      totalCost: round(CreditPricing.convert(totalCostBRL), 2),
+      currency: CreditPricing.currency,
+      isComplete: remainingCredits === 0 && allocatedCredits > 0
+    };
+  },
+
+  /**
+   * splitEvenly(credits, projectIds) - Distribui créditos igualmente entre projetos
+   *
+   * Cada projeto recebe a parte arredondada a 4 casas; a sobra do
+   * arredondamento vai para o último, para que a soma seja exata.
+   *
+   * EXEMPLO:
+   * - splitEvenly(1, ['a', 'b', 'c']) => { a: 0.3333, b: 0.3333, c: 0.3334 }
+   *
+   * @param {number} credits - Créditos a distribuir
+   * @param {Array<string>} projectIds - Projetos que recebem créditos
+   * @returns {Object} Créditos por projeto
+   */
+  splitEvenly: function(credits, projectIds) {
+    const allocations = {};
+    const share = Math.floor(credits / projectIds.length * 10000) / 10000;
+
+    projectIds.forEach((projectId, index) => {
+      allocations[projectId] = index === projectIds.length - 1
+        ? Math.round((credits - share * (projectIds.length - 1)) * 10000) / 10000
+        : share;
+    });
+
+    return allocations;
+  },
+
+  /**
+   * createPledge(calculation, scope, allocation) - Monta o termo de compromisso
+   *
+   * @param {Object} calculation - Cálculo compensado (resultsData, creditsData)
+   * @param {string} scope - 'trip' ou 'annual'
+   * @param {Object} allocation - Resultado de calculateAllocation() (completo)
+   * @returns {Object} Comprovante (ver ESTRUTURA DO COMPROVANTE)
+   */
+  createPledge: function(calculation, scope, allocation) {
+    const now = new Date();
+    const code = Math.random().toString(36).slice(2, 8).toUpperCase();
+    const isAnnual = scope === 'annual' && calculation.creditsData.annual;
+
+    return {
+      id: `COMP-${now.toISOString().slice(0, 10).replace(/-/g, '')}-${code}`,
+      createdAt: now.toISOString(),
+      scope: isAnnual ? 'annual' : 'trip',
+      emission: isAnnual ? calculation.creditsData.annual.emission : calculation.resultsData.emission,
+      credits: allocation.allocatedCredits,
+      allocations: allocation.lines,
+      totalCostBRL: allocation.totalCostBRL,
+      currency: allocation.currency,
+      totalCost: allocation.totalCost
+    };
+  },
+
+  /**
+   * confirm() - Registra a compensação e mostra o comprovante
+   *
+   * LÓGICA:
+   * 1. Exige distribuição completa (o resumo já indica o que falta)
+   * 2. Gera o comprovante e o guarda no cálculo e no registro do histórico
+   * 3. Chama onPledge (ex: atualizar a lista do histórico) e mostra o comprovante
+   */
+  confirm: function() {
+    const allocation = this.calculateAllocation(this.allocations, this.getNeededCredits());
+
+    if (!allocation.isComplete) {
+      console.warn('Distribuição incompleta: ajuste os créditos antes de confirmar');
+      return;
+    }
+
+    this.pledge = this.createPledge(this.calculation, this.scope, allocation);
+    this.calculation.pledge = this.pledge;
+
+    if (this.calculation.historyId) {
+      EmissionHistory.update(this.calculation.historyId, { pledge: this.pledge });
+    }
+
+    if (this.onPledge) {
+      this.onPledge(this.pledge);
+    }
+
+    this.render();
+  },
+
+  /**
+   * render() - Re-renderiza o painel (comprovante, se já confirmado, ou distribuição)
+   */
+  render: function() {
+    const content = document.getElementById('offset-content');
+
+    content.innerHTML = this.pledge
+      ? this.renderReceipt(this.pledge)
+      : this.renderPanel(this.calculateAllocation(this.allocations, this.getNeededCredits()));
+  },
+
+  /**
+   * renderPanel(allocation) - HTML da lista de projetos e da distribuição
+   *
+   * ESTRUTURA HTML GERADA:
+   * - Título e escopo (select apenas para viagem recorrente: viagem ou ano)
+   * - Um cartão por projeto: tipo, local, certificação, preço por crédito e
+   *   campo de créditos (data-project-id)
+   * - Resumo (renderSummary) e botões Distribuir igualmente / Confirmar / Cancelar
+   *
+   * @param {Object} allocation - Resultado de calculateAllocation()
+   * @returns {string} String HTML do painel
+   */
+  renderPanel: function(allocation) {
+    const creditsData = this.calculation.creditsData;
+
+    const scopeHTML = creditsData.annual ? `
+        <div class="offset__scope">
+          <label for="offset-scope" class="offset__label">${I18n.t('offset.scope')}</label>
+          <select id="offset-scope" class="offset__select">
+            <option value="trip"${this.scope === 'trip' ? ' selected' : ''}>${I18n.t('offset.scopeTrip', { credits: UI.formatNumber(creditsData.credits, 4) })}</option>
+            <option value="annual"${this.scope === 'annual' ? ' selected' : ''}>${I18n.t('offset.scopeAnnual', { credits: UI.formatNumber(creditsData.annual.credits, 4) })}</option>
+          </select>
+        </div>
+    ` : '';
+
+    const projectsHTML = OffsetProjects.getAll().map(project => `
+          <li class="offset__project">
+            <div class="offset__project-info">
+              <span class="offset__project-name">${project.emoji} ${OffsetProjects.getText(project, 'name')}</span>
+              <span class="offset__project-meta">${OffsetProjects.getText(project, 'type')} · ${OffsetProjects.getText(project, 'location')} · ${project.standard}</span>
+              <span class="offset__project-description">${OffsetProjects.getText(project, 'description')}</span>
+            </div>
+            <div class="offset__project-price">
+              ${I18n.t('offset.perCredit', { price: UI.formatCurrency(CreditPricing.convert(project.pricePerCreditBRL)) })}
+            </div>
+            <div class="offset__project-allocation">
+              <label for="offset-${project.id}" class="offset__label">${I18n.t('offset.credits')}</label>
+              <input id="offset-${project.id}" type="number" min="0" step="0.0001" class="offset__input"
+                data-project-id="${project.id}" value="${this.allocations[project.id] || 0}">
+            </div>
+          </li>
+    `).join('');
+
+    return `
+      <div class="offset__container">
+        <h3 class="offset__title">${I18n.t('offset.title')}</h3>
+        <p class="offset__intro">
+          ${I18n.t('offset.intro', { credits: UI.formatNumber(this.getNeededCredits(), 4) })}
+        </p>
+        ${scopeHTML}
+        <ul class="offset__projects">
+          ${projectsHTML}
+        </ul>
+        <div id="offset-summary" class="offset__summary" aria-live="polite">
+          ${this.renderSummary(allocation)}
+        </div>
+        <div class="offset__actions">
+          <button type="button" class="offset__button offset__button--secondary" data-offset-action="split">${I18n.t('offset.split')}</button>
+          <button type="button" class="offset__button offset__button--secondary" data-offset-action="cancel">${I18n.t('offset.cancel')}</button>
+          <button type="button" class="offset__button" data-offset-action="confirm">${I18n.t('offset.confirm')}</button>
+        </div>
+      </div>
+    `;
+  },
+
+  /**
+   * renderSummary(allocation) - HTML do total alocado e do custo
+   *
+   * @param {Object} allocation - Resultado de calculateAllocation()
+   * @returns {string} String HTML do resumo (com aviso do que falta ou sobra)
+   */
+  renderSummary: function(allocation) {
+    let status = `<span class="offset__status offset__status--ok">${I18n.t('offset.complete')}</span>`;
+
+    if (allocation.remainingCredits > 0) {
+      status = `<span class="offset__status">${I18n.t('offset.missing', { credits: UI.formatNumber(allocation.remainingCredits, 4) })}</span>`;
+    } else if (allocation.remainingCredits < 0) {
+      status = `<span class="offset__status">${I18n.t('offset.extra', { credits: UI.formatNumber(-allocation.remainingCredits, 4) })}</span>`;
+    }
+
+    return `
+      <span>${I18n.t('offset.allocated', { credits: UI.formatNumber(allocation.allocatedCredits, 4) })}</span>
+      <span>${I18n.t('offset.totalCost', { cost: UI.formatCurrency(allocation.totalCost, allocation.currency) })}</span>
+      ${status}
+    `;
+  },
+
+  /**
+   * renderReceipt(pledge) - HTML do comprovante da compensação
+   *
+   * @param {Object} pledge - Comprovante (ver ESTRUTURA DO COMPROVANTE)
+   * @returns {string} String HTML do comprovante
+   */
+  renderReceipt: function(pledge) {
+    const date = new Date(pledge.createdAt).toLocaleString(I18n.locale, { dateStyle: 'short', timeStyle: 'short' });
+
+    // O nome salvo no termo é o do catálogo em pt-BR; projetos ainda no catálogo aparecem no idioma em uso
+    const linesHTML = pledge.allocations.map(line => {
+      const project = OffsetProjects.getById(line.projectId);
+      const name = project ? OffsetProjects.getText(project, 'name') : UI.escapeHTML(line.name);
+
+      return `
+            <li class="offset__receipt-line">
+              <span>${name}</span>
+              <span>${I18n.t('offset.receiptLine', { credits: UI.formatNumber(line.credits, 4), cost: UI.formatCurrency(line.costBRL, 'BRL') })}</span>
+            </li>
+      `;
+    }).join('');
+    const totalText = UI.formatCurrency(pledge.totalCost, pledge.currency) +
+      (pledge.currency !== 'BRL' ? ` (${UI.formatCurrency(pledge.totalCostBRL, 'BRL')})` : '');
+
+    return `
+      <div class="offset__container offset__receipt">
+        <h3 class="offset__title">${I18n.t('offset.receiptTitle')}</h3>
+        <p class="offset__receipt-id">${I18n.t('offset.receiptId', { id: UI.escapeHTML(pledge.id), date: date })}</p>
+        <p>
+          ${I18n.t('offset.receiptText', {
+            mass: UI.formatMass(pledge.emission, 2),
+            scope: I18n.t(pledge.scope === 'annual' ? 'offset.receiptAnnual' : 'offset.receiptTrip'),
+            credits: UI.formatNumber(pledge.credits, 4)
+          })}
+        </p>
+        <ul class="offset__receipt-lines">
+          ${linesHTML}
+        </ul>
+        <p class="offset__receipt-total">
+          ${I18n.t('offset.receiptTotal', { cost: totalText })}
+        </p>
+        <p class="offset__intro">${I18n.t('offset.receiptSaved')}</p>
+        <div class="offset__actions">
+          <button type="button" class="offset__button offset__button--secondary" data-offset-action="download">${I18n.t('offset.download')}</button>
+          <button type="button" class="offset__button offset__button--secondary" data-offset-action="cancel">${I18n.t('offset.close')}</button>
+        </div>
+      </div>
+    `;
+  }
+};
@@ -0,0 +1,341 @@
+/**
+ * report.js - Relatório de Emissões para Impressão (PDF) e Download (HTML)
+ *
+ * DESCRIÇÃO GERAL:
+ * Define um objeto global chamado Report que monta um relatório de uma página
+ * do último cálculo (resultsData, comparação de calculateAllModes e creditsData
+ * montados em js/app.js, os mesmos dados de renderResults, renderComparison e
+ * renderCarbonCredits), com:
+ * - Data do cálculo e da geração do relatório
+ * - Rota, trechos, distância, modo, passageiros, frequência e emissão
+ * - Comparação da mesma viagem entre os modos de transporte
+ * - Créditos de carbono e custo estimado
+ * - Premissas: base de fatores (com citação), GWP, forçamento radiativo e referência
+ *
+ * Os textos vêm do catálogo do I18n (chaves 'report.*'), no idioma em uso
+ * quando o relatório é gerado; distâncias e massas saem nas unidades escolhidas
+ * (js/units.js).
+ *
+ * O relatório pode ser:
+ * - Impresso pela página (ou salvo em PDF pelo diálogo de impressão): o HTML vai
+ *   para a seção #report e a folha de estilos de impressão (css/style.css, @media print)
+ *   mostra apenas essa seção enquanto o body tem a classe 'is-printing-report'
+ * - Baixado como arquivo HTML independente, com os estilos embutidos (STYLES)
+ *
+ * ESTRUTURA DO Report:
+ * {
+ *   STYLES: string                - CSS embutido no arquivo HTML baixado
+ *   render(): Function            - Gera o HTML do relatório (sem <html>/<head>)
+ *   renderTripRows(): Function    - Linhas da tabela da viagem
+ *   renderComparisonTable(): Function - Tabela da comparação entre modos
+ *   renderCredits(): Function     - Créditos de carbono e custo estimado
+ *   renderAssumptions(): Function - Premissas do cálculo
+ *   buildDocument(): Function     - Documento HTML completo e independente
+ *   print(): Function             - Mostra o relatório na página e abre a impressão
+ *   download(): Function          - Baixa o relatório como arquivo HTML
+ * }
+ */
+
+const Report = {
+  /**
+   * CSS do arquivo HTML baixado (o mesmo visual da impressão pela página)
+   */
+  STYLES: `
+    body { font-family: 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color: #112937; margin: 0; padding: 24px; }
+    .report { max-width: 780px; margin: 0 auto; font-size: 13px; line-height: 1.4; }
+    .report__header { border-bottom: 3px solid #10b981; padding-bottom: 8px; margin-bottom: 16px; }
+    .report__title { font-size: 22px; margin: 0 0 4px; }
+    .report__meta { color: #6b7280; margin: 0; }
+    .report__section { margin-bottom: 16px; break-inside: avoid; }
+    .report__subtitle { font-size: 15px; margin: 0 0 6px; color: #059669; }
+    .report__table { width: 100%; border-collapse: collapse; }
+    .report__table th, .report__table td { text-align: left; padding: 4px 6px; border-bottom: 1px solid #e5e7eb; }
+    .report__table td.report__number, .report__table th.report__number { text-align: right; }
+    .report__row--selected td { font-weight: 700; background-color: #f0fdf4; }
+    .report__highlight { font-size: 18px; font-weight: 700; color: #059669; }
+    .report__list { margin: 0; padding-left: 18px; }
+    .report__footer { color: #6b7280; font-size: 11px; border-top: 1px solid #e5e7eb; padding-top: 6px; }
+    @page { size: A4; margin: 12mm; }
+  `,
+
+  /**
+   * render(calculation) - Gera o HTML do relatório
+   *
+   * @param {Object} calculation - Objeto com: {resultsData, allModesComparison, creditsData, tripMode, baseline, timestamp}
+   * @returns {string} String HTML do relatório (elemento .report)
+   */
+  render: function(calculation) {
+    const data = calculation.resultsData;
+    const dateOptions = { dateStyle: 'short', timeStyle: 'short' };
+    const calculatedAt = new Date(calculation.timestamp).toLocaleString(I18n.locale, dateOptions);
+    const generatedAt = new Date().toLocaleString(I18n.locale, dateOptions);
+
+    return `
+      <article class="report">
+        <header class="report__header">
+          <h1 class="report__title">${I18n.t('report.title')}</h1>
+          <p class="report__meta">${I18n.t('report.meta', { calculated: calculatedAt, generated: generatedAt })}</p>
+        </header>
+
+        <section class="report__section">
+          <h2 class="report__subtitle">${I18n.t('report.trip')}</h2>
+          <table class="report__table">
+            <tbody>
+              ${this.renderTripRows(data)}
+            </tbody>
+          </table>
+        </section>
+
+        <section class="report__section">
+          <h2 class="report__subtitle">${I18n.t('report.comparison')}</h2>
+          ${this.renderComparisonTable(calculation)}
+        </section>
+
+        <section class="report__section">
+          <h2 class="report__subtitle">${I18n.t('report.credits')}</h2>
+          ${this.renderCredits(calculation.creditsData)}
+        </section>
+
+        <section class="report__section">
+          <h2 class="report__subtitle">${I18n.t('report.assumptions')}</h2>
+          ${this.renderAssumptions(data, calculation.creditsData.pricing)}
+        </section>
+
+        <footer class="report__footer">
+          ${I18n.t('report.footer')}
+        </footer>
+      </article>
+    `;
+  },
+
+  /**
+   * renderTripRows(data) - Linhas da tabela da viagem
+   *
+   * LÓGICA:
+   * - Rota, trechos (quando há mais de um), distância, modo, passageiros e frequência
+   * - Emissão total e por passageiro; viagens recorrentes incluem o total mensal e anual
+   *
+   * @param {Object} data - resultsData do cálculo (ver UI.renderResults)
+   * @returns {string} Linhas <tr> da tabela
+   */
+  renderTripRows: function(data) {
+    const row = (label, value) => `<tr><th scope="row">${label}</th><td>${value}</td></tr>`;
+
+    const modeData = CONFIG.TRANSPORT_MODES[data.mode];
+    const variantLabel = UI.getVariantLabel(data.mode, data.variant);
+    const modeText = modeData
+      ? `${modeData.emoji} ${UI.getModeLabel(data.mode)}${variantLabel ? ` (${variantLabel})` : ''}`
+      : I18n.t('report.mixed');
+
+    const recurrence = data.recurrence || {};
+    const frequencyKey = ['weekly', 'monthly'].includes(recurrence.frequency) ? recurrence.frequency : 'once';
+    const frequencyText = I18n.t(`report.${frequencyKey}`);
+
+    let rows = row(I18n.t('report.route'), `${UI.escapeHTML(data.origin)} → ${UI.escapeHTML(data.destination)}`);
+
+    if (Array.isArray(data.legs) && data.legs.length > 1) {
+      const legsList = data.legs.map(leg => {
+        return `<li>${UI.escapeHTML(leg.origin)} → ${UI.escapeHTML(leg.destination)} · ${UI.getModeLabel(leg.mode)} · ${UI.formatDistance(leg.distance, 2)} · ${UI.formatMass(leg.emission, 2)}</li>`;
+      }).join('');
+      rows += row(I18n.t('report.legs'), `<ul class="report__list">${legsList}</ul>`);
+    }
+
+    const distanceText = UI.formatDistance(data.distance, 2);
+    rows += row(I18n.t('report.distance'), recurrence.roundTrip ? I18n.t('report.roundTrip', { distance: distanceText }) : distanceText);
+    rows += row(I18n.t('report.mode'), modeText);
+    rows += row(I18n.t('report.passengers'), data.passengers);
+    rows += row(I18n.t('report.frequency'), recurrence.tripsPerYear
+      ? I18n.t('report.tripsPerYear', { frequency: frequencyText, trips: UI.formatNumber(recurrence.tripsPerYear, 0) })
+      : frequencyText);
+    rows += row(I18n.t('report.emission'), `<span class="report__highlight">${UI.formatMass(data.emission, 2)} CO2e</span>`);
+    rows += row(I18n.t('report.perPassenger'), `${UI.formatMass(data.perPassengerEmission, 2)} CO2e`);
+
+    if (recurrence.yearlyEmission !== null && recurrence.yearlyEmission !== undefined) {
+      rows += row(I18n.t('report.monthlyYearly'),
+        `${UI.formatMass(recurrence.monthlyEmission, 2)} / ${UI.formatMass(recurrence.yearlyEmission, 2)} CO2e`);
+    }
+
+    if (data.savings && data.savings.percentage !== null) {
+      rows += row(I18n.t('results.savings', { baseline: UI.getBaselineLabel(data.baseline) }),
+        `${UI.formatMass(data.savings.savedKg, 2)} (${UI.formatNumber(data.savings.percentage, 2)}%)`);
+    }
+
+    return rows;
+  },
+
+  /**
+   * renderComparisonTable(calculation) - Tabela da comparação entre modos
+   *
+   * Uma linha por modo (menor emissão primeiro), com emissão do grupo, por
+   * passageiro e percentual vs referência; a linha do modo calculado fica em destaque.
+   *
+   * @param {Object} calculation - Objeto com: {allModesComparison, tripMode, baseline}
+   * @returns {string} String HTML da tabela
+   */
+  renderComparisonTable: function(calculation) {
+    const baselineLabel = UI.getBaselineLabel(calculation.baseline);
+
+    const rows = calculation.allModesComparison.map(item => {
+      const modeData = CONFIG.TRANSPORT_MODES[item.mode];
+      const selectedClass = item.mode === calculation.tripMode ? ' class="report__row--selected"' : '';
+      const percentage = item.percentageVsBaseline === null ? '—' : `${UI.formatNumber(item.percentageVsBaseline, 1)}%`;
+      const massDecimals = Units.getMassDecimals(2);
+
+      return `
+        <tr${selectedClass}>
+          <td>${modeData.emoji} ${UI.getModeLabel(item.mode)}</td>
+          <td class="report__number">${UI.formatNumber(Units.fromKg(item.emission), massDecimals)}</td>
+          <td class="report__number">${UI.formatNumber(Units.fromKg(item.perPassengerEmission), massDecimals)}</td>
+          <td class="report__number">${percentage}</td>
+        </tr>
+      `;
+    }).join('');
+
+    return `
+      <table class="report__table">
+        <thead>
+          <tr>
+            <th scope="col">${I18n.t('report.modeColumn')}</th>
+            <th scope="col" class="report__number">${I18n.t('report.emissionColumn', { unit: Units.getMassSymbol() })}</th>
+            <th scope="col" class="report__number">${I18n.t('report.perPassengerColumn', { unit: Units.getMassSymbol() })}</th>
+            <th scope="col" class="report__number">${I18n.t('report.vsBaseline', { baseline: baselineLabel })}</th>
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    `;
+  },
+
+  /**
+   * renderCredits(creditsData) - Créditos de carbono e custo estimado
+   *
+   * @param {Object} creditsData - Objeto com: {credits, price: {min, max, average}, annual}
+   * @returns {string} String HTML da tabela de créditos
+   */
+  renderCredits: function(creditsData) {
+    const priceText = price => I18n.t('report.price', {
+      average: UI.formatCurrency(price.average, price.currency),
+      min: UI.formatCurrency(price.min, price.currency),
+      max: UI.formatCurrency(price.max, price.currency)
+    });
+
+    let rows = `
+      <tr><th scope="row">${I18n.t('report.creditsPerTrip')}</th><td>${UI.formatNumber(creditsData.credits, 4)}</td></tr>
+      <tr><th scope="row">${I18n.t('report.costPerTrip')}</th><td>${priceText(creditsData.price)}</td></tr>
+    `;
+
+    if (creditsData.annual) {
+      rows += `
+        <tr><th scope="row">${I18n.t('report.creditsPerYear')}</th><td>${UI.formatNumber(creditsData.annual.credits, 4)}</td></tr>
+        <tr><th scope="row">${I18n.t('report.costPerYear')}</th><td>${priceText(creditsData.annual.price)}</td></tr>
+      `;
+    }
+
+    return `<table class="report__table"><tbody>${rows}</tbody></table>`;
+  },
+
+  /**
+   * renderAssumptions(data, pricing) - Premissas do cálculo
+   *
+   * @param {Object} data - resultsData do cálculo (factorDataset de EmissionFactors.describe())
+   * @param {Object} pricing - Preço dos créditos usado (CreditPricing.describe(), opcional)
+   * @returns {string} String HTML com a lista de premissas
+   */
+  renderAssumptions: function(data, pricing) {
+    const dataset = data.factorDataset;
+    const items = [];
+
+    if (dataset) {
+      items.push(I18n.t('report.factors', {
+        label: I18n.translateLabel(`factorDatasets.${dataset.id}.label`, dataset.label),
+        version: dataset.version,
+        year: dataset.year,
+        unit: dataset.unit,
+        citation: I18n.translateLabel(`factorDatasets.${dataset.id}.citation`, dataset.citation)
+      }));
+      items.push(I18n.t('report.gwp', { gwp: dataset.gwp.label, ch4: dataset.gwp.ch4, n2o: dataset.gwp.n2o }));
+      items.push(dataset.radiativeForcing > 1
+        ? I18n.t('report.radiativeForcing', { value: UI.formatNumber(dataset.radiativeForcing, 1) })
+        : I18n.t('report.noRadiativeForcing'));
+    }
+
+    items.push(I18n.t('report.baseline', { baseline: UI.getBaselineLabel(data.baseline) }));
+    const prices = pricing || CreditPricing.describe();
+    const rateText = prices.currency !== 'BRL'
+      ? I18n.t('report.rate', { currency: prices.currency, rate: UI.formatCurrency(prices.rate, 'BRL') })
+      : '';
+    items.push(I18n.t('report.pricing', {
+      mass: UI.formatMass(CONFIG.CARBON_CREDIT.KG_PER_CREDIT, 0),
+      profile: I18n.translateLabel(`pricingProfiles.${prices.profileId}`, prices.profileLabel),
+      min: UI.formatCurrency(prices.minBRL, 'BRL'),
+      max: UI.formatCurrency(prices.maxBRL, 'BRL'),
+      rate: rateText
+    }));
+
+    return `<ul class="report__list">${items.map(item => `<li>${item}</li>`).join('')}</ul>`;
+  },
+
+  /**
+   * buildDocument(calculation) - Documento HTML completo e independente
+   *
+   * @param {Object} calculation - Último cálculo (ver render)
+   * @returns {string} Documento HTML com os estilos embutidos
+   */
+  buildDocument: function(calculation) {
+    const data = calculation.resultsData;
+
+    return `<!doctype html>
+<html lang="${I18n.locale}">
+  <head>
+    <meta charset="utf-8">
+    <title>${I18n.t('report.documentTitle', { origin: UI.escapeHTML(data.origin), destination: UI.escapeHTML(data.destination) })}</title>
+    <style>${this.STYLES}</style>
+  </head>
+  <body>
+    ${this.render(calculation)}
+  </body>
+</html>
+`;
+  },
+
+  /**
+   * print(calculation) - Mostra o relatório na página e abre o diálogo de impressão
+   *
+   * LÓGICA:
+   * 1. Insere o relatório em #report-content
+   * 2. Adiciona a classe 'is-printing-report' ao body (a folha de impressão
+   *    oculta o restante da página)
+   * 3. Abre a impressão; ao fechar (evento afterprint) remove a classe
+   *
+   * @param {Object} calculation - Último cálculo (ver render)
+   */
+  print: function(calculation) {
+    const container = document.getElementById('report-content');
+
+    if (!container) {
+      console.warn('Container do relatório "report-content" não encontrado');
+      return;
+    }
+
+    container.innerHTML = this.render(calculation);
+    document.body.classList.add('is-printing-report');
+
+    window.addEventListener('afterprint', function() {
+      document.body.classList.remove('is-printing-report');
+    }, { once: true });
+
+    window.print();
+  },
+
+  /**
+   * download(calculation) - Baixa o relatório como arquivo HTML
+   *
+   * Nome do arquivo: relatorio-emissao-AAAA-MM-DD.html (data do cálculo)
+   *
+   * @param {Object} calculation - Último cálculo (ver render)
+   */
+  download: function(calculation) {
+    const fileName = `relatorio-emissao-${Exporter.fileDate(calculation.timestamp)}.html`;
+    Exporter.download(fileName, this.buildDocument(calculation), 'text/html');
+  }
+};
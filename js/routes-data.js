@@ -4,12 +4,39 @@
  * DESCRIÇÃO GERAL:
  * Define um objeto global chamado RoutesDB que funciona como banco de dados
  * de rotas brasileiras, contendo informações sobre distâncias entre cidades
- * e métodos para consultar essas informações.
+ * e métodos para consultar essas informações. Os dados ficam no arquivo
+ * data/brazil-routes.json, lido por load() ao abrir a página (ou, sem
+ * servidor HTTP, da cópia em data/brazil-routes.js).
  * 
  * ESTRUTURA DO RoutesDB:
  * {
+ *   DATA_URL: string              - Caminho do arquivo de dados
+ *   DATA_SCRIPT_URL: string       - Cópia dos dados em script, para páginas abertas em file://
+ *   status: string                - Situação do carregamento ('idle', 'loading', 'ready', 'error')
+ *   ready: Promise|null           - Promise do carregamento (resolve com o status final)
  *   routes: Array<Object>         - Array com todas as rotas cadastradas
+ *   cities: Object                - Código IBGE, estado e coordenadas (latitude/longitude) de cada cidade
+ *   regions: Object               - Nomes das regiões do Brasil
+ *   states: Object                - Código IBGE, nome e região de cada unidade da federação (sigla)
+ *   load(): Function              - Carrega o arquivo de dados (assíncrono)
+ *   loadScriptData(): Function    - Lê a cópia dos dados em script quando o fetch() falha
+ *   applyData(): Function         - Confere e aplica os dados lidos do arquivo
+ *   validateData(): Function      - Aponta municípios e rotas inconsistentes (duplicados, contraditórios)
  *   getAllCities(): Function      - Retorna lista de cidades únicas e ordenadas
+ *   normalizeName(): Function     - Normaliza um nome (sem acentos, minúsculas, sufixo ", uf")
+ *   splitName(): Function         - Separa cidade e sigla do estado de um nome normalizado
+ *   editDistance(): Function      - Distância de edição (Levenshtein) entre dois textos
+ *   prefixDistance(): Function    - Distância de edição entre um texto e o começo de um nome
+ *   maxTypos(): Function          - Erros de digitação tolerados para o tamanho do texto
+ *   getCityIndex(): Function      - Índice de busca com os nomes normalizados das cidades
+ *   resolveCity(): Function       - Encontra o nome cadastrado de uma cidade digitada de forma aproximada
+ *   searchCities(): Function      - Busca cidades ordenadas por relevância (autocomplete)
+ *   getCoordinates(): Function    - Busca as coordenadas de uma cidade
+ *   buildGraph(): Function        - Monta o grafo ponderado de cidades a partir das rotas
+ *   findRoute(): Function         - Busca o menor caminho entre duas cidades (direto ou com conexões)
+ *   haversineKm(): Function       - Distância em linha reta (grande círculo) entre coordenadas
+ *   estimateDistance(): Function  - Estima a distância pela linha reta com fator de desvio
+ *   resolveDistance(): Function   - Resolve a distância para um modo (rota, caminho ou estimativa)
  *   findDistance(): Function      - Busca distância entre duas cidades
  * }
  * 
@@ -20,79 +47,350 @@
  *   distanceKm: number          - Distância em quilômetros
  * }
  * 
+ * ARQUIVO DE DADOS (data/brazil-routes.json):
+ * {
+ *   states: { "SP": { ibge: 35, name: "São Paulo", region: "sudeste" }, ... },
+ *   cities: [ { ibge: 3509502, name: "Campinas", state: "SP", capital: false, lat, lon }, ... ],
+ *   routes: [ { origin: 3550308, destination: 3509502, distanceKm: 95 }, ... ]
+ * }
+ * As rotas apontam para os municípios pelo código IBGE; ao carregar, viram
+ * nomes com a sigla do estado ("São Paulo, SP" → "Campinas, SP").
+ * 
+ * CARREGAMENTO:
+ * Enquanto o arquivo é lido (status 'loading'), as buscas não encontram
+ * cidades; ao terminar, document recebe o evento 'routesload' e os campos
+ * de distância já preenchidos refazem a busca. Municípios e rotas
+ * inconsistentes (ver validateData()) são descartados com um aviso no console.
+ * 
  * REGIÕES COBERTAS:
- * - Sudeste: São Paulo, Rio de Janeiro, Belo Horizonte, Campinas, etc.
- * - Norte: Manaus, Belém, Rio Branco
- * - Nordeste: Salvador, Recife, Fortaleza, Natal, Maceió, São Luís, Teresina
- * - Sul: Curitiba, Porto Alegre, Florianópolis, Londrina, Santa Maria
- * - Centro-Oeste: Brasília, Goiânia, Cuiabá, Campo Grande
+ * Todas as capitais e os principais municípios de cada estado, nas cinco
+ * regiões (ex: Sudeste: São Paulo, Campinas, Uberlândia, Juiz de Fora;
+ * Nordeste: Salvador, Feira de Santana, Caruaru, Juazeiro do Norte)
+ * 
+ * ROTAS INDIRETAS:
+ * As rotas formam um grafo ponderado (cidades = vértices, rotas = arestas com
+ * peso em km). Quando não existe rota direta, findRoute() calcula o menor
+ * caminho conectado (algoritmo de Dijkstra), ex: Campinas → São Paulo → Brasília.
+ * 
+ * ESTIMATIVA POR COORDENADAS:
+ * Quando não há rota (direta ou indireta), a distância é estimada pela fórmula
+ * de haversine (distância de grande círculo) multiplicada por um fator de desvio
+ * da malha usada pelo modo (rodovia, aérea ou hidrovia), definido em
+ * CONFIG.DETOUR_FACTORS. Para o avião, caminhos indiretos por rodovia não fazem
+ * sentido, então a estimativa em linha reta é usada sempre que não há rota direta.
+ * 
+ * NOMES APROXIMADOS:
+ * Todas as buscas passam por resolveCity(), que ignora acentos e maiúsculas,
+ * aceita o nome sem o estado quando não há outra cidade com o mesmo nome e
+ * tolera erros de digitação: "sao paulo", "Sao Paulo, SP" e "São Paulo - SP"
+ * encontram "São Paulo, SP".
  * 
  * USO:
+ * - Carregar a base: RoutesDB.load().then(status => ...)
  * - Acessar todas as cidades: RoutesDB.getAllCities()
+ * - Nome cadastrado de um texto digitado: RoutesDB.resolveCity("goiania") => "Goiânia, GO"
+ * - Sugestões para o autocomplete: RoutesDB.searchCities("sao", 8)
  * - Buscar distância: RoutesDB.findDistance("São Paulo, SP", "Rio de Janeiro, RJ")
+ * - Buscar rota com cidades intermediárias: RoutesDB.findRoute("Campinas, SP", "Brasília, DF")
  */
 
 const RoutesDB = {
+  /**
+   * Caminho do arquivo com os estados, municípios e rotas (relativo ao index.html)
+   */
+  DATA_URL: 'data/brazil-routes.json',
+
+  /**
+   * Cópia do arquivo de dados em JavaScript (define BRAZIL_ROUTES_DATA)
+   * Navegadores bloqueiam o fetch() de arquivos locais; um <script> ainda é carregado em file://
+   */
+  DATA_SCRIPT_URL: 'data/brazil-routes.js',
+
+  /**
+   * Situação do carregamento da base: 'idle' (não iniciado), 'loading', 'ready' ou 'error'
+   */
+  status: 'idle',
+
+  /**
+   * Promise do carregamento (criada por load()); resolve com o status final
+   */
+  ready: null,
+
   /**
    * Array contendo objetos de rota com origem, destino e distância em km
-   * Inclui conexões de capital a capital, rotas regionais e principais centros urbanos
-   */
-  routes: [
-    // Rotas Sudeste
-    { origin: 'São Paulo, SP', destination: 'Rio de Janeiro, RJ', distanceKm: 430 },
-    { origin: 'São Paulo, SP', destination: 'Brasília, DF', distanceKm: 1015 },
-    { origin: 'Rio de Janeiro, RJ', destination: 'Brasília, DF', distanceKm: 1148 },
-    { origin: 'São Paulo, SP', destination: 'Campinas, SP', distanceKm: 95 },
-    { origin: 'Rio de Janeiro, RJ', destination: 'Niterói, RJ', distanceKm: 13 },
-    { origin: 'Belo Horizonte, MG', destination: 'Ouro Preto, MG', distanceKm: 100 },
-    { origin: 'São Paulo, SP', destination: 'Belo Horizonte, MG', distanceKm: 586 },
-    { origin: 'Rio de Janeiro, RJ', destination: 'Belo Horizonte, MG', distanceKm: 716 },
-    { origin: 'São Paulo, SP', destination: 'Sorocaba, SP', distanceKm: 108 },
-    { origin: 'São Paulo, SP', destination: 'Guarulhos, SP', distanceKm: 28 },
-
-    // Rotas Norte
-    { origin: 'Manaus, AM', destination: 'Rio Branco, AC', distanceKm: 1800 },
-    { origin: 'Belém, PA', destination: 'Manaus, AM', distanceKm: 1665 },
-    { origin: 'Belém, PA', destination: 'Brasília, DF', distanceKm: 1863 },
-    { origin: 'Manaus, AM', destination: 'Brasília, DF', distanceKm: 2187 },
-
-    // Rotas Nordeste
-    { origin: 'Salvador, BA', destination: 'Brasília, DF', distanceKm: 1268 },
-    { origin: 'Recife, PE', destination: 'Salvador, BA', distanceKm: 766 },
-    { origin: 'Fortaleza, CE', destination: 'Brasília, DF', distanceKm: 2145 },
-    { origin: 'Natal, RN', destination: 'Recife, PE', distanceKm: 299 },
-    { origin: 'Maceió, AL', destination: 'Recife, PE', distanceKm: 240 },
-    { origin: 'São Luís, MA', destination: 'Brasília, DF', distanceKm: 2125 },
-    { origin: 'Teresina, PI', destination: 'Brasília, DF', distanceKm: 1704 },
-
-    // Rotas Sul
-    { origin: 'Curitiba, PR', destination: 'Brasília, DF', distanceKm: 1110 },
-    { origin: 'Rio de Janeiro, RJ', destination: 'Curitiba, PR', distanceKm: 920 },
-    { origin: 'São Paulo, SP', destination: 'Curitiba, PR', distanceKm: 408 },
-    { origin: 'Porto Alegre, RS', destination: 'Curitiba, PR', distanceKm: 1090 },
-    { origin: 'Curitiba, PR', destination: 'Londrina, PR', distanceKm: 380 },
-    { origin: 'Brasília, DF', destination: 'Porto Alegre, RS', distanceKm: 2020 },
-    { origin: 'Santa Maria, RS', destination: 'Porto Alegre, RS', distanceKm: 290 },
-    { origin: 'Florianópolis, SC', destination: 'Porto Alegre, RS', distanceKm: 640 },
-
-    // Rotas Centro-Oeste
-    { origin: 'Brasília, DF', destination: 'Goiânia, GO', distanceKm: 209 },
-    { origin: 'Brasília, DF', destination: 'Cuiabá, MT', distanceKm: 925 },
-    { origin: 'Goiânia, GO', destination: 'São Paulo, SP', distanceKm: 917 },
-    { origin: 'Campo Grande, MS', destination: 'Brasília, DF', distanceKm: 1315 },
-    { origin: 'Cuiabá, MT', destination: 'Goiânia, GO', distanceKm: 1070 },
-
-    // Rotas adicionais importantes
-    { origin: 'Santos, SP', destination: 'São Paulo, SP', distanceKm: 72 },
-    { origin: 'Jundiaí, SP', destination: 'São Paulo, SP', distanceKm: 60 },
-    { origin: 'Ribeirão Preto, SP', destination: 'São Paulo, SP', distanceKm: 310 },
-    { origin: 'Araçatuba, SP', destination: 'São Paulo, SP', distanceKm: 520 },
-    { origin: 'Vitória, ES', destination: 'Rio de Janeiro, RJ', distanceKm: 521 },
-  ],
-
-  /**
-   * Retorna um array único e ordenado de todos os nomes de cidades encontradas nas rotas
-   * Extrai cidades tanto da origem quanto do destino
+   * Preenchido por load() a partir das rotas do arquivo de dados (códigos IBGE viram nomes)
+   */
+  routes: [],
+
+  /**
+   * Municípios conhecidos, por nome com a sigla do estado (ex: "Campinas, SP")
+   * Cada item: {ibge, state, capital, lat, lon}; preenchido por load()
+   */
+  cities: {},
+
+  /**
+   * Nomes das regiões em pt-BR (traduzidos com I18n.translateLabel('regions.<chave>'))
+   */
+  regions: {
+    norte: 'Norte',
+    nordeste: 'Nordeste',
+    centroOeste: 'Centro-Oeste',
+    sudeste: 'Sudeste',
+    sul: 'Sul'
+  },
+
+  /**
+   * Unidades da federação por sigla: {ibge, name, region}; preenchido por load()
+   * Usadas para agrupar as sugestões do autocomplete e reconhecer o sufixo ", UF"
+   */
+  states: {},
+
+  /**
+   * Carrega a base de cidades e rotas do arquivo DATA_URL
+   * 
+   * LÓGICA:
+   * 1. Marca o status como 'loading' (a interface mostra o aviso de carregamento)
+   * 2. Busca e lê o JSON; se o fetch() falhar (ex: página aberta em file://),
+   *    lê a cópia em script com loadScriptData(); applyData() confere e aplica os dados
+   * 3. Marca 'ready' ou, se nenhum dos dois puder ser lido, 'error'
+   *    (sem a base, as distâncias precisam ser digitadas manualmente)
+   * 4. Dispara 'routesload' em document (detail: {status, cities, routes})
+   * 
+   * Chamadas repetidas devolvem a mesma Promise.
+   * 
+   * @returns {Promise<string>} Promise que resolve com o status final ('ready' ou 'error')
+   */
+  load: function() {
+    if (this.ready) {
+      return this.ready;
+    }
+
+    this.status = 'loading';
+
+    this.ready = fetch(this.DATA_URL)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        return response.json();
+      })
+      .catch(error => {
+        console.warn(`Não foi possível ler ${this.DATA_URL} (${error.message}); usando ${this.DATA_SCRIPT_URL}`);
+        return this.loadScriptData();
+      })
+      .then(data => {
+        this.applyData(data);
+        this.status = 'ready';
+        console.log(`Base de cidades carregada: ${Object.keys(this.cities).length} municípios, ${this.routes.length} rotas`);
+      })
+      .catch(error => {
+        console.error('Não foi possível carregar a base de cidades e rotas:', error);
+        this.status = 'error';
+      })
+      .then(() => {
+        document.dispatchEvent(new CustomEvent('routesload', {
+          detail: { status: this.status, cities: Object.keys(this.cities).length, routes: this.routes.length }
+        }));
+        return this.status;
+      });
+
+    return this.ready;
+  },
+
+  /**
+   * Lê os dados de DATA_SCRIPT_URL, acrescentando um <script> à página
+   * (usado quando o fetch() do JSON falha)
+   * 
+   * @returns {Promise<Object>} Promise com os dados (mesmo formato do JSON) ou rejeitada se o script não carregar
+   */
+  loadScriptData: function() {
+    return new Promise((resolve, reject) => {
+      // Script já carregado (ex: incluído no index.html)
+      if (typeof BRAZIL_ROUTES_DATA !== 'undefined') {
+        resolve(BRAZIL_ROUTES_DATA);
+        return;
+      }
+
+      const script = document.createElement('script');
+      script.src = this.DATA_SCRIPT_URL;
+      script.onload = () => {
+        if (typeof BRAZIL_ROUTES_DATA !== 'undefined') {
+          resolve(BRAZIL_ROUTES_DATA);
+        } else {
+          reject(new Error(`${this.DATA_SCRIPT_URL} não define BRAZIL_ROUTES_DATA`));
+        }
+      };
+      script.onerror = () => reject(new Error(`Não foi possível carregar ${this.DATA_SCRIPT_URL}`));
+      document.head.appendChild(script);
+    });
+  },
+
+  /**
+   * Aplica os dados lidos do arquivo em states, cities e routes
+   * Os itens com problema apontado por validateData() ficam de fora e cada
+   * problema é registrado no console
+   * 
+   * @param {Object} data - Conteúdo do arquivo: {states, cities, routes} (ver data/brazil-routes.json)
+   * @returns {Array<Object>} Problemas encontrados (ver validateData())
+   */
+  applyData: function(data) {
+    const issues = this.validateData(data);
+    const skipped = { states: new Set(), cities: new Set(), routes: new Set() };
+
+    issues.forEach(issue => {
+      skipped[issue.section].add(issue.index);
+      console.warn(`Base de cidades (${issue.code}): ${issue.message}`);
+    });
+
+    const states = {};
+    Object.keys(data.states).forEach(uf => {
+      if (!skipped.states.has(uf)) {
+        const state = data.states[uf];
+        states[uf] = { ibge: state.ibge, name: state.name, region: state.region };
+      }
+    });
+
+    // Nome de exibição de cada código IBGE, para traduzir as rotas
+    const cities = {};
+    const namesByCode = {};
+    data.cities.forEach((city, index) => {
+      if (!skipped.cities.has(index)) {
+        const name = `${city.name}, ${city.state}`;
+        cities[name] = { ibge: city.ibge, state: city.state, capital: Boolean(city.capital), lat: city.lat, lon: city.lon };
+        namesByCode[city.ibge] = name;
+      }
+    });
+
+    this.states = states;
+    this.cities = cities;
+    this.routes = data.routes
+      .filter((route, index) => !skipped.routes.has(index))
+      .map(route => ({
+        origin: namesByCode[route.origin],
+        destination: namesByCode[route.destination],
+        distanceKm: route.distanceKm
+      }));
+
+    return issues;
+  },
+
+  /**
+   * Confere a consistência do arquivo de dados antes de usá-lo
+   * 
+   * VERIFICAÇÕES:
+   * - Estados: região conhecida (chave de regions) e código IBGE de 2 dígitos
+   * - Municípios: estado conhecido, código IBGE de 7 dígitos começando pelo código
+   *   do estado, coordenadas válidas, sem código ou nome repetido
+   * - Rotas: origem e destino conhecidos e diferentes, distância maior que zero e
+   *   não menor que a linha reta entre as coordenadas
+   * - Pares repetidos (em qualquer sentido): com a mesma distância são duplicados
+   *   ('duplicate-route', aviso); com distâncias diferentes são contraditórios
+   *   ('contradictory-route', erro). Vale sempre a primeira ocorrência.
+   * 
+   * EXEMPLO:
+   * - Rotas [SP→RJ 430 km, RJ→SP 450 km]
+   *   => [{level: 'error', code: 'contradictory-route', section: 'routes', index: 1, message: '...'}]
+   * 
+   * @param {Object} data - Conteúdo do arquivo: {states, cities, routes}
+   * @returns {Array<Object>} Problemas {level, code, section, index, message}; index é a sigla
+   *                          do estado ou a posição no array de municípios/rotas
+   */
+  validateData: function(data) {
+    const issues = [];
+    const report = (level, code, section, index, message) => {
+      issues.push({ level: level, code: code, section: section, index: index, message: message });
+    };
+
+    // Estados
+    const stateCodes = {};
+    Object.keys(data.states || {}).forEach(uf => {
+      const state = data.states[uf];
+
+      if (!this.regions[state.region]) {
+        report('error', 'unknown-region', 'states', uf, `Estado ${uf} com região desconhecida "${state.region}"`);
+      } else if (!/^\d{2}$/.test(String(state.ibge))) {
+        report('error', 'invalid-ibge', 'states', uf, `Estado ${uf} com código IBGE inválido "${state.ibge}"`);
+      } else {
+        stateCodes[uf] = String(state.ibge);
+      }
+    });
+
+    // Municípios
+    const citiesByCode = {};
+    const seenNames = {};
+    (data.cities || []).forEach((city, index) => {
+      const name = `${city.name}, ${city.state}`;
+      const code = String(city.ibge);
+
+      if (!stateCodes[city.state]) {
+        report('error', 'unknown-state', 'cities', index, `${name}: estado desconhecido`);
+      } else if (!/^\d{7}$/.test(code) || code.slice(0, 2) !== stateCodes[city.state]) {
+        report('error', 'invalid-ibge', 'cities', index, `${name}: código IBGE ${code} não pertence ao estado ${city.state}`);
+      } else if (typeof city.lat !== 'number' || typeof city.lon !== 'number' ||
+        Math.abs(city.lat) > 90 || Math.abs(city.lon) > 180) {
+        report('error', 'invalid-coordinates', 'cities', index, `${name}: coordenadas inválidas`);
+      } else if (citiesByCode[code]) {
+        report('error', 'duplicate-city', 'cities', index, `${name}: código IBGE ${code} já usado por ${citiesByCode[code].name}, ${citiesByCode[code].state}`);
+      } else if (seenNames[this.normalizeName(name)]) {
+        report('error', 'duplicate-city', 'cities', index, `${name}: município repetido`);
+      } else {
+        citiesByCode[code] = city;
+        seenNames[this.normalizeName(name)] = true;
+      }
+    });
+
+    // Rotas
+    const seenPairs = {};
+    (data.routes || []).forEach((route, index) => {
+      const origin = citiesByCode[String(route.origin)];
+      const destination = citiesByCode[String(route.destination)];
+
+      if (!origin || !destination) {
+        report('error', 'unknown-city', 'routes', index, `Rota ${index}: município ${!origin ? route.origin : route.destination} não encontrado`);
+        return;
+      }
+
+      const label = `Rota ${index} (${origin.name}, ${origin.state} → ${destination.name}, ${destination.state})`;
+
+      if (origin === destination) {
+        report('error', 'same-city', 'routes', index, `${label}: origem e destino iguais`);
+        return;
+      }
+
+      if (typeof route.distanceKm !== 'number' || !(route.distanceKm > 0)) {
+        report('error', 'invalid-distance', 'routes', index, `${label}: distância inválida "${route.distanceKm}"`);
+        return;
+      }
+
+      // A distância percorrida não pode ser menor que a linha reta (com 1 km de folga para arredondamentos)
+      const straightLineKm = this.haversineKm(origin, destination);
+      if (route.distanceKm + 1 < straightLineKm) {
+        report('error', 'shorter-than-straight-line', 'routes', index,
+          `${label}: ${route.distanceKm} km é menor que a linha reta (${Math.round(straightLineKm)} km)`);
+        return;
+      }
+
+      // O par é o mesmo nos dois sentidos
+      const pair = [String(route.origin), String(route.destination)].sort().join('-');
+      const first = seenPairs[pair];
+
+      if (first === undefined) {
+        seenPairs[pair] = index;
+      } else if (data.routes[first].distanceKm === route.distanceKm) {
+        report('warning', 'duplicate-route', 'routes', index, `${label}: repete a rota ${first}`);
+      } else {
+        report('error', 'contradictory-route', 'routes', index,
+          `${label}: ${route.distanceKm} km contradiz a rota ${first} (${data.routes[first].distanceKm} km)`);
+      }
+    });
+
+    return issues;
+  },
+
+  /**
+   * Retorna um array único e ordenado de todos os nomes de cidades conhecidas
+   * Extrai cidades tanto da origem quanto do destino das rotas e inclui as
+   * cidades que possuem apenas coordenadas cadastradas
    * Remove duplicatas e ordena alfabeticamente
    * 
    * @returns {Array<string>} Array de nomes de cidades (ex: ["Araçatuba, SP", "Belém, PA", ...])
@@ -107,47 +405,509 @@ const RoutesDB = {
       citiesSet.add(route.destination);
     });
 
+    // Adicionar cidades que só possuem coordenadas (sem rota cadastrada)
+    Object.keys(this.cities).forEach(city => {
+      citiesSet.add(city);
+    });
+
     // Converter Set para array e ordenar alfabeticamente
     return Array.from(citiesSet).sort();
   },
 
   /**
-   * Encontra a distância em quilômetros entre duas cidades
-   * Busca a rota em ambas as direções (origem-destino e destino-origem)
-   * Normaliza a entrada: remove espaços em branco e converte para minúsculas para comparação
+   * Normaliza um nome de cidade para comparação
+   * Remove acentos, passa para minúsculas, junta espaços repetidos e
+   * padroniza o sufixo do estado ("São Paulo - SP" e "São Paulo/SP" viram "sao paulo, sp")
    * 
-   * @param {string} origin - Nome da cidade de origem (ex: "São Paulo, SP")
-   * @param {string} destination - Nome da cidade de destino (ex: "Rio de Janeiro, RJ")
-   * @returns {number|null} Distância em km se encontrada, null caso contrário
+   * @param {string} name - Nome digitado ou cadastrado
+   * @returns {string} Nome normalizado (ex: "Goiânia, GO" => "goiania, go")
    */
-  findDistance: function(origin, destination) {
-    // Normalizar entrada: converter para minúsculas e remover espaços em branco extras
-    const normalizedOrigin = origin.trim().toLowerCase();
-    const normalizedDestination = destination.trim().toLowerCase();
+  normalizeName: function(name) {
+    const normalized = String(name || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim();
 
-    // Buscar rota na direção origem -> destino
-    const routeForward = this.routes.find(route =>
-      route.origin.toLowerCase() === normalizedOrigin &&
-      route.destination.toLowerCase() === normalizedDestination
-    );
+    // Sufixo separado por hífen ou barra: aceitar apenas siglas de estado conhecidas
+    return normalized.replace(/\s*[-\/]\s*([a-z]{2})$/, (match, uf) => {
+      return this.states[uf.toUpperCase()] ? `, ${uf}` : match;
+    }).replace(/\s*,\s*/g, ', ');
+  },
 
-    // Se encontrou na direção direta, retornar a distância
-    if (routeForward) {
-      return routeForward.distanceKm;
+  /**
+   * Separa um nome normalizado em cidade e sigla do estado
+   * 
+   * @param {string} normalizedName - Nome já normalizado (ver normalizeName())
+   * @returns {Object} Objeto com {city, state}; state é null sem sufixo ", UF" reconhecido
+   */
+  splitName: function(normalizedName) {
+    const match = normalizedName.match(/^(.*), ([a-z]{2})$/);
+
+    if (match && this.states[match[2].toUpperCase()]) {
+      return { city: match[1], state: match[2].toUpperCase() };
     }
 
-    // Buscar rota na direção inversa (destino -> origem)
-    const routeReverse = this.routes.find(route =>
-      route.origin.toLowerCase() === normalizedDestination &&
-      route.destination.toLowerCase() === normalizedOrigin
+    return { city: normalizedName, state: null };
+  },
+
+  /**
+   * Distância de edição (Levenshtein) entre dois textos: quantas letras
+   * precisam ser inseridas, removidas ou trocadas para ir de um ao outro
+   * 
+   * @param {string} a - Primeiro texto
+   * @param {string} b - Segundo texto
+   * @returns {number} Número de edições (ex: "recif" → "recife" = 1)
+   */
+  editDistance: function(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  },
+
+  /**
+   * Distância de edição entre um texto e o começo de um nome, para comparar
+   * o que ainda está sendo digitado: considera o começo do nome com o mesmo
+   * tamanho do texto e com uma letra a mais (letra esquecida)
+   * 
+   * @param {string} text - Texto digitado (ex: "curitba")
+   * @param {string} name - Nome completo (ex: "curitiba")
+   * @returns {number} Menor número de edições (no exemplo, 1)
+   */
+  prefixDistance: function(text, name) {
+    return Math.min(
+      this.editDistance(text, name.slice(0, text.length)),
+      this.editDistance(text, name.slice(0, text.length + 1))
     );
+  },
+
+  /**
+   * Número de erros de digitação tolerados para um texto do tamanho informado
+   * Textos curtos não aceitam erros (evita que "rio" vire outra cidade)
+   * 
+   * @param {number} length - Quantidade de letras digitadas
+   * @returns {number} 0 até 4 letras, 1 até 8 letras, 2 acima disso
+   */
+  maxTypos: function(length) {
+    if (length <= 4) return 0;
+    if (length <= 8) return 1;
+    return 2;
+  },
+
+  /**
+   * Monta o índice de busca com o nome normalizado de cada cidade conhecida
+   * 
+   * @returns {Array<Object>} Itens {name, key, city, state, region}
+   *                          (ex: {name: "Goiânia, GO", key: "goiania, go", city: "goiania", state: "GO", region: "centroOeste"})
+   */
+  getCityIndex: function() {
+    return this.getAllCities().map(name => {
+      const key = this.normalizeName(name);
+      const parts = this.splitName(key);
+      const stateData = parts.state ? this.states[parts.state] : null;
+
+      return {
+        name: name,
+        key: key,
+        city: parts.city,
+        state: parts.state,
+        region: stateData ? stateData.region : null
+      };
+    });
+  },
+
+  /**
+   * Encontra o nome cadastrado de uma cidade digitada de forma aproximada
+   * 
+   * ORDEM DE RESOLUÇÃO:
+   * 1. Nome igual sem acentos/maiúsculas ("sao paulo, sp" => "São Paulo, SP")
+   * 2. Sem o sufixo do estado, se só uma cidade tiver esse nome ("goiania" => "Goiânia, GO")
+   * 3. Erros de digitação dentro de maxTypos(), se só uma cidade for a mais próxima
+   *    ("Florianopolys, SC" => "Florianópolis, SC")
+   * 
+   * @param {string} name - Nome digitado
+   * @returns {string|null} Nome cadastrado ou null se nenhuma (ou mais de uma) cidade corresponder
+   */
+  resolveCity: function(name) {
+    const key = this.normalizeName(name);
+
+    if (!key) {
+      return null;
+    }
+
+    const index = this.getCityIndex();
+    const query = this.splitName(key);
+
+    // 1: nome completo igual
+    const exact = index.find(item => item.key === key);
+    if (exact) {
+      return exact.name;
+    }
 
-    // Se encontrou na direção inversa, retornar a distância (é a mesma)
-    if (routeReverse) {
-      return routeReverse.distanceKm;
+    // 2: nome sem o estado
+    if (!query.state) {
+      const sameCity = index.filter(item => item.city === key);
+      if (sameCity.length === 1) {
+        return sameCity[0].name;
+      }
+      if (sameCity.length > 1) {
+        return null;
+      }
+    }
+
+    // 3: erros de digitação no nome da cidade (o estado, se informado, precisa bater)
+    const tolerance = this.maxTypos(query.city.length);
+    let best = null;
+    let bestDistance = Infinity;
+    let tie = false;
+
+    index.forEach(item => {
+      if (query.state && item.state !== query.state) {
+        return;
+      }
+
+      const distance = this.editDistance(query.city, item.city);
+      if (distance < bestDistance) {
+        best = item;
+        bestDistance = distance;
+        tie = false;
+      } else if (distance === bestDistance) {
+        tie = true;
+      }
+    });
+
+    return best && bestDistance <= tolerance && !tie ? best.name : null;
+  },
+
+  /**
+   * Busca cidades para as sugestões do autocomplete, da mais à menos relevante
+   * 
+   * PONTUAÇÃO (menor = melhor):
+   * 0. Nome completo igual, ou nome da cidade igual sem o estado ("campinas" => "Campinas, SP")
+   * 1. Nome da cidade começa com o texto ("sao" => "São Paulo, SP", "São Luís, MA")
+   * 2. Alguma palavra do nome começa com o texto ("preto" => "Ribeirão Preto, SP")
+   * 3. O nome contém o texto
+   * 4. O começo do nome difere do texto por até maxTypos() letras ("curitba" => "Curitiba, PR")
+   * Empates: primeiro a cidade com mais rotas na base (os grandes centros, ex: "sao"
+   * => "São Paulo, SP" antes de "São Bernardo do Campo, SP"), depois ordem alfabética.
+   * Com sufixo ", UF", só entram cidades desse estado.
+   * 
+   * @param {string} text - Texto digitado
+   * @param {number} limit - Quantidade máxima de resultados (opcional)
+   * @returns {Array<Object>} Itens {name, city, state, region, score}
+   */
+  searchCities: function(text, limit) {
+    const key = this.normalizeName(text);
+
+    if (!key) {
+      return [];
+    }
+
+    const query = this.splitName(key.replace(/,$/, ''));
+    const tolerance = this.maxTypos(query.city.length);
+    const results = [];
+
+    // Quantidade de rotas de cada cidade, para desempatar
+    const routeCount = {};
+    this.routes.forEach(route => {
+      routeCount[route.origin] = (routeCount[route.origin] || 0) + 1;
+      routeCount[route.destination] = (routeCount[route.destination] || 0) + 1;
+    });
+
+    this.getCityIndex().forEach(item => {
+      if (query.state && item.state !== query.state) {
+        return;
+      }
+
+      let score = null;
+      if (item.key === key || item.city === query.city) {
+        score = 0;
+      } else if (item.city.startsWith(query.city)) {
+        score = 1;
+      } else if (item.city.split(' ').some(word => word.startsWith(query.city))) {
+        score = 2;
+      } else if (item.city.includes(query.city)) {
+        score = 3;
+      } else if (tolerance > 0 && this.prefixDistance(query.city, item.city) <= tolerance) {
+        score = 4;
+      }
+
+      if (score !== null) {
+        results.push({ name: item.name, city: item.city, state: item.state, region: item.region, score: score });
+      }
+    });
+
+    results.sort((a, b) => a.score - b.score ||
+      (routeCount[b.name] || 0) - (routeCount[a.name] || 0) ||
+      a.name.localeCompare(b.name, 'pt-BR'));
+
+    return limit ? results.slice(0, limit) : results;
+  },
+
+  /**
+   * Monta o grafo ponderado de cidades a partir do array de rotas
+   * Cada rota gera uma aresta nos dois sentidos (a distância é a mesma)
+   * As chaves do grafo são os nomes normalizados (sem acentos, minúsculas, sem espaços extras)
+   * 
+   * @returns {Object} Objeto com: {names: {chave: nome original}, edges: {chave: {chaveVizinha: km}}}
+   */
+  buildGraph: function() {
+    const names = {};
+    const edges = {};
+
+    this.routes.forEach(route => {
+      const originKey = this.normalizeName(route.origin);
+      const destinationKey = this.normalizeName(route.destination);
+
+      // Guardar o nome original de cada cidade para exibição
+      names[originKey] = route.origin;
+      names[destinationKey] = route.destination;
+
+      edges[originKey] = edges[originKey] || {};
+      edges[destinationKey] = edges[destinationKey] || {};
+
+      // Se houver rotas repetidas para o mesmo par, manter a menor distância
+      const current = edges[originKey][destinationKey];
+      if (current === undefined || route.distanceKm < current) {
+        edges[originKey][destinationKey] = route.distanceKm;
+        edges[destinationKey][originKey] = route.distanceKm;
+      }
+    });
+
+    return { names: names, edges: edges };
+  },
+
+  /**
+   * Encontra o menor caminho entre duas cidades usando o algoritmo de Dijkstra
+   * Uma rota direta cadastrada é sempre usada como está; caso contrário, o caminho
+   * passa pelas cidades intermediárias que resultam na menor distância total
+   * 
+   * EXEMPLO:
+   * - findRoute("Campinas, SP", "Brasília, DF")
+   *   => { distanceKm: 1056, path: ["Campinas, SP", "Ribeirão Preto, SP", "Uberaba, MG",
+   *        "Uberlândia, MG", "Goiânia, GO", "Brasília, DF"],
+   *        via: ["Ribeirão Preto, SP", "Uberaba, MG", "Uberlândia, MG", "Goiânia, GO"], direct: false }
+   * 
+   * @param {string} origin - Nome da cidade de origem (ex: "Campinas, SP")
+   * @param {string} destination - Nome da cidade de destino (ex: "Brasília, DF")
+   * @returns {Object|null} Objeto com {distanceKm, path, via, direct} ou null se não houver caminho
+   */
+  findRoute: function(origin, destination) {
+    // Encontrar o nome cadastrado (sem acentos, sem o estado ou com erros de digitação)
+    // e normalizar para a chave do grafo
+    const originKey = this.normalizeName(this.resolveCity(origin) || origin);
+    const destinationKey = this.normalizeName(this.resolveCity(destination) || destination);
+
+    const graph = this.buildGraph();
+
+    // Cidades desconhecidas ou iguais não formam rota
+    if (!graph.edges[originKey] || !graph.edges[destinationKey] || originKey === destinationKey) {
+      return null;
+    }
+
+    // Rota direta cadastrada: retornar sem buscar caminhos alternativos
+    const directDistance = graph.edges[originKey][destinationKey];
+    if (directDistance !== undefined) {
+      return {
+        distanceKm: directDistance,
+        path: [graph.names[originKey], graph.names[destinationKey]],
+        via: [],
+        direct: true
+      };
+    }
+
+    // Dijkstra: distâncias acumuladas e predecessores de cada cidade
+    const distances = {};
+    const previous = {};
+    const visited = new Set();
+    distances[originKey] = 0;
+
+    while (true) {
+      // Escolher a cidade não visitada com menor distância acumulada
+      // (o grafo é pequeno, então uma busca linear é suficiente)
+      let current = null;
+      Object.keys(distances).forEach(city => {
+        if (!visited.has(city) && (current === null || distances[city] < distances[current])) {
+          current = city;
+        }
+      });
+
+      // Nenhuma cidade alcançável restante: não existe caminho
+      if (current === null) {
+        return null;
+      }
+
+      // Chegou ao destino: reconstruir caminho a partir dos predecessores
+      if (current === destinationKey) {
+        break;
+      }
+
+      visited.add(current);
+
+      // Relaxar arestas para os vizinhos
+      Object.keys(graph.edges[current]).forEach(neighbor => {
+        const candidate = distances[current] + graph.edges[current][neighbor];
+        if (distances[neighbor] === undefined || candidate < distances[neighbor]) {
+          distances[neighbor] = candidate;
+          previous[neighbor] = current;
+        }
+      });
+    }
+
+    // Reconstruir caminho do destino até a origem
+    const path = [];
+    for (let city = destinationKey; city !== undefined; city = previous[city]) {
+      path.unshift(graph.names[city]);
+    }
+
+    return {
+      distanceKm: distances[destinationKey],
+      path: path,
+      via: path.slice(1, -1),
+      direct: false
+    };
+  },
+
+  /**
+   * Busca as coordenadas de uma cidade (nome aproximado resolvido por resolveCity())
+   * 
+   * @param {string} city - Nome da cidade (ex: "Palmas, TO" ou "palmas")
+   * @returns {Object|null} Objeto com {lat, lon} ou null se a cidade não tiver coordenadas
+   */
+  getCoordinates: function(city) {
+    const name = this.resolveCity(city);
+
+    return name && this.cities[name] ? this.cities[name] : null;
+  },
+
+  /**
+   * Calcula a distância de grande círculo entre duas coordenadas (fórmula de haversine)
+   * 
+   * EXEMPLO:
+   * - São Paulo → Rio de Janeiro: aproximadamente 361 km em linha reta
+   * 
+   * @param {Object} from - Coordenadas de origem {lat, lon} em graus
+   * @param {Object} to - Coordenadas de destino {lat, lon} em graus
+   * @returns {number} Distância em linha reta em quilômetros
+   */
+  haversineKm: function(from, to) {
+    const EARTH_RADIUS_KM = 6371;
+    const toRadians = degrees => degrees * Math.PI / 180;
+
+    const deltaLat = toRadians(to.lat - from.lat);
+    const deltaLon = toRadians(to.lon - from.lon);
+
+    const a = Math.sin(deltaLat / 2) ** 2 +
+      Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(deltaLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+  },
+
+  /**
+   * Estima a distância entre duas cidades pela linha reta multiplicada por um fator de desvio
+   * O fator representa quanto o trajeto real se afasta da linha reta
+   * (ex: rodovias fazem curvas, aviões seguem aerovias)
+   * 
+   * EXEMPLO:
+   * - estimateDistance("Brasília, DF", "Palmas, TO", 1.05)
+   *   => { distanceKm: 649, straightLineKm: 618.4, detourFactor: 1.05 }
+   * 
+   * @param {string} origin - Nome da cidade de origem
+   * @param {string} destination - Nome da cidade de destino
+   * @param {number} detourFactor - Multiplicador de desvio sobre a linha reta (padrão: 1)
+   * @returns {Object|null} Objeto com {distanceKm, straightLineKm, detourFactor} ou null sem coordenadas
+   */
+  estimateDistance: function(origin, destination, detourFactor) {
+    const from = this.getCoordinates(origin);
+    const to = this.getCoordinates(destination);
+
+    // Sem coordenadas para alguma das cidades não é possível estimar
+    if (!from || !to) {
+      return null;
+    }
+
+    const factor = detourFactor || 1;
+    const straightLineKm = this.haversineKm(from, to);
+
+    return {
+      distanceKm: Math.round(straightLineKm * factor),           // Distância estimada, km inteiros
+      straightLineKm: Math.round(straightLineKm * 10) / 10,     // Linha reta, 1 decimal
+      detourFactor: factor
+    };
+  },
+
+  /**
+   * Resolve a distância entre duas cidades para um modo de transporte
+   * 
+   * ORDEM DE RESOLUÇÃO:
+   * 1. Rota direta cadastrada (source: 'direct')
+   * 2. Menor caminho pelo grafo de rotas, exceto para modos aéreos (source: 'derived')
+   * 3. Estimativa em linha reta com o fator de desvio da malha do modo (source: 'estimated')
+   * 
+   * A malha de cada modo vem de CONFIG.TRANSPORT_MODES[mode].network e o fator de
+   * CONFIG.DETOUR_FACTORS; sem modo informado, assume-se a malha rodoviária.
+   * 
+   * @param {string} origin - Nome da cidade de origem
+   * @param {string} destination - Nome da cidade de destino
+   * @param {string} mode - Modo de transporte (opcional, ex: 'plane')
+   * @returns {Object|null} Objeto com {distanceKm, source, path, via, straightLineKm, detourFactor} ou null
+   */
+  resolveDistance: function(origin, destination, mode) {
+    const modeData = mode ? CONFIG.TRANSPORT_MODES[mode] : null;
+    const network = modeData && modeData.network ? modeData.network : 'road';
+
+    // 1 e 2: rota direta ou menor caminho pelo grafo
+    const route = this.findRoute(origin, destination);
+    if (route && (route.direct || network !== 'air')) {
+      return {
+        distanceKm: route.distanceKm,
+        source: route.direct ? 'direct' : 'derived',
+        path: route.path,
+        via: route.via
+      };
+    }
+
+    // 3: estimativa em linha reta com fator de desvio da malha
+    const estimate = this.estimateDistance(origin, destination, CONFIG.DETOUR_FACTORS[network]);
+    if (estimate) {
+      return {
+        distanceKm: estimate.distanceKm,
+        source: 'estimated',
+        path: [this.resolveCity(origin) || origin.trim(), this.resolveCity(destination) || destination.trim()],
+        via: [],
+        straightLineKm: estimate.straightLineKm,
+        detourFactor: estimate.detourFactor
+      };
     }
 
-    // Retornar null se nenhuma rota foi encontrada
     return null;
+  },
+
+  /**
+   * Encontra a distância em quilômetros entre duas cidades
+   * Usa a rota direta quando cadastrada (em qualquer direção), depois o menor
+   * caminho conectado e, por fim, a estimativa em linha reta (ver resolveDistance())
+   * Os nomes podem vir sem acentos, sem o estado ou com erros de digitação (ver resolveCity())
+   * 
+   * @param {string} origin - Nome da cidade de origem (ex: "São Paulo, SP" ou "sao paulo")
+   * @param {string} destination - Nome da cidade de destino (ex: "Rio de Janeiro, RJ")
+   * @param {string} mode - Modo de transporte (opcional; define a malha da estimativa)
+   * @returns {number|null} Distância em km se encontrada, null caso contrário
+   */
+  findDistance: function(origin, destination, mode) {
+    const resolved = this.resolveDistance(origin, destination, mode);
+
+    // Retornar null se nenhuma rota ou estimativa foi encontrada
+    return resolved ? resolved.distanceKm : null;
   }
 };
@@ -0,0 +1,321 @@
+/**
+ * share.js - Links Compartilháveis do Cálculo
+ *
+ * DESCRIÇÃO GERAL:
+ * Define um objeto global chamado ShareLink que grava o estado do formulário
+ * na URL (query string) após cada cálculo e, ao abrir a página com esses
+ * parâmetros, restaura o formulário para que o cálculo seja refeito
+ * automaticamente. Assim um link reproduz exatamente o mesmo resultado.
+ * O cálculo refeito a partir do link não é gravado no histórico (js/app.js).
+ *
+ * ESTRUTURA DO ShareLink:
+ * {
+ *   buildQuery(): Function        - Monta a query string a partir do estado
+ *   updateURL(): Function         - Grava o estado do cálculo na URL atual
+ *   readState(): Function         - Lê o estado a partir da URL atual
+ *   applyState(): Function        - Preenche o formulário com o estado lido
+ *   copyLink(): Function          - Copia o link atual para a área de transferência
+ * }
+ *
+ * PARÂMETROS DA URL (mesmos nomes dos campos do formulário):
+ * - origin            Cidade de origem
+ * - destination       Cidade de destino
+ * - distance          Distância em km
+ * - manual-distance   '1' quando a distância foi digitada manualmente
+ * - transport         Modo de transporte (chave de CONFIG.TRANSPORT_MODES)
+ * - variant           Combustível/porte (apenas modos com variantes)
+ * - passengers        Passageiros do grupo (omitido quando 1)
+ * - round-trip        '1' para ida e volta
+ * - frequency         'weekly' ou 'monthly' (omitido para viagem única)
+ * - days-per-week / weeks   Repetição semanal
+ * - trips-per-month   Repetição mensal
+ * - factors           Base de fatores de emissão (chave de EmissionFactors.DATASETS)
+ * - gwp               Conjunto de GWP usado no CO2e (chave de CONFIG.GWP_SETS)
+ * - rf                '1' para incluir o forçamento radiativo dos voos
+ * - baseline          Referência da comparação: modo ou 'custom' (omitido quando carro)
+ * - baseline-factor   Fator da referência personalizada em kg CO2e/km
+ *
+ * EXEMPLO:
+ *   index.html?origin=S%C3%A3o+Paulo%2C+SP&destination=Campinas%2C+SP&distance=95&transport=bus
+ *
+ * NOTA:
+ * Itinerários com trechos adicionais não são codificados na URL; nesse caso
+ * os parâmetros são removidos para que o link não reproduza um resultado diferente.
+ */
+
+const ShareLink = {
+  /**
+   * buildQuery(state) - Monta a query string a partir do estado do formulário
+   *
+   * @param {Object} state - Objeto com: {origin, destination, distance, manual, mode, variant, passengers, recurrence, factors, gwp, radiativeForcing, baseline}
+   *                         (recurrence: {roundTrip, frequency, daysPerWeek, weeks, tripsPerMonth}, opcional;
+   *                         baseline: {mode, factor}, opcional)
+   * @returns {string} Query string sem o '?' (ex: "origin=...&destination=...")
+   */
+  buildQuery: function(state) {
+    const params = new URLSearchParams();
+
+    params.set('origin', state.origin);
+    params.set('destination', state.destination);
+    params.set('distance', state.distance);
+
+    if (state.manual) {
+      params.set('manual-distance', '1');
+    }
+
+    params.set('transport', state.mode);
+
+    if (state.variant) {
+      params.set('variant', state.variant);
+    }
+
+    if (state.passengers > 1) {
+      params.set('passengers', state.passengers);
+    }
+
+    const recurrence = state.recurrence || {};
+
+    if (recurrence.roundTrip) {
+      params.set('round-trip', '1');
+    }
+
+    if (recurrence.frequency === 'weekly') {
+      params.set('frequency', 'weekly');
+      params.set('days-per-week', recurrence.daysPerWeek);
+      params.set('weeks', recurrence.weeks);
+    } else if (recurrence.frequency === 'monthly') {
+      params.set('frequency', 'monthly');
+      params.set('trips-per-month', recurrence.tripsPerMonth);
+    }
+
+    if (state.factors) {
+      params.set('factors', state.factors);
+    }
+
+    if (state.gwp) {
+      params.set('gwp', state.gwp);
+    }
+
+    if (state.radiativeForcing) {
+      params.set('rf', '1');
+    }
+
+    if (state.baseline && state.baseline.mode !== CONFIG.DEFAULT_BASELINE) {
+      params.set('baseline', state.baseline.mode);
+
+      if (state.baseline.mode === 'custom') {
+        params.set('baseline-factor', state.baseline.factor);
+      }
+    }
+
+    return params.toString();
+  },
+
+  /**
+   * updateURL(legs, passengers, recurrence, baseline) - Grava o estado do cálculo na URL atual
+   *
+   * LÓGICA:
+   * 1. Itinerário com um trecho: grava os parâmetros na query string
+   * 2. Itinerário com vários trechos: remove os parâmetros (não representáveis)
+   * 3. Usa history.replaceState para não recarregar a página nem criar entrada no histórico
+   *
+   * @param {Array<Object>} legs - Trechos de Itinerary.getLegs()
+   * @param {number} passengers - Passageiros do grupo
+   * @param {Object} recurrence - Ida e volta e repetição: {roundTrip, frequency, daysPerWeek, weeks, tripsPerMonth}
+   * @param {Object} baseline - Referência da comparação: {mode, factor}
+   */
+  updateURL: function(legs, passengers, recurrence, baseline) {
+    let query = '';
+
+    if (legs.length === 1) {
+      const distanceInput = document.getElementById('distance');
+
+      query = this.buildQuery({
+        origin: legs[0].origin,
+        destination: legs[0].destination,
+        distance: legs[0].distance,
+        manual: distanceInput.dataset.distanceSource === 'manual',
+        mode: legs[0].mode,
+        variant: legs[0].variant,
+        passengers: passengers,
+        recurrence: recurrence,
+        factors: EmissionFactors.activeId,
+        gwp: EmissionFactors.gwpId,
+        radiativeForcing: EmissionFactors.radiativeForcing,
+        baseline: baseline
+      });
+    }
+
+    const url = `${window.location.pathname}${query ? '?' + query : ''}`;
+
+    try {
+      window.history.replaceState(null, '', url);
+    } catch (error) {
+      // Ex: página aberta via file:// em navegadores que bloqueiam replaceState
+      console.warn('Não foi possível atualizar a URL com o cálculo:', error);
+    }
+  },
+
+  /**
+   * readState() - Lê o estado do formulário a partir da URL atual
+   *
+   * LÓGICA:
+   * 1. Lê a query string (ou o hash, para links do tipo index.html#origin=...)
+   * 2. Exige origem, destino e modo de transporte conhecido
+   * 3. Converte distância e passageiros em números
+   * 4. Chaves (modo, variante, base, GWP, referência) só valem se forem chaves
+   *    próprias das tabelas de CONFIG/EmissionFactors: "constructor" ou "toString"
+   *    vindos do link são descartados
+   *
+   * @returns {Object|null} Objeto com: {origin, destination, distance, manual, mode, variant, passengers, recurrence, factors, gwp, radiativeForcing, baseline},
+   *                        ou null se a URL não contém um cálculo válido
+   */
+  readState: function() {
+    const query = window.location.search || window.location.hash.replace(/^#/, '?');
+    const params = new URLSearchParams(query);
+    const isKey = (table, key) => key !== null && Object.prototype.hasOwnProperty.call(table, key);
+
+    const origin = (params.get('origin') || '').trim();
+    const destination = (params.get('destination') || '').trim();
+    const mode = params.get('transport');
+
+    if (!origin || !destination || !isKey(CONFIG.TRANSPORT_MODES, mode)) {
+      return null;
+    }
+
+    const distance = parseFloat(params.get('distance'));
+    const passengers = parseInt(params.get('passengers'), 10);
+    const frequency = ['weekly', 'monthly'].includes(params.get('frequency')) ? params.get('frequency') : 'once';
+    const baselineMode = params.get('baseline');
+    const baselineFactor = parseFloat(params.get('baseline-factor'));
+    const variants = CONFIG.VEHICLE_VARIANTS[mode];
+    const variant = variants && isKey(variants.options, params.get('variant')) ? params.get('variant') : null;
+
+    return {
+      origin: origin,
+      destination: destination,
+      distance: isNaN(distance) ? null : distance,
+      manual: params.get('manual-distance') === '1',
+      mode: mode,
+      variant: variant,
+      passengers: passengers >= 1 ? passengers : 1,
+      recurrence: {
+        roundTrip: params.get('round-trip') === '1',
+        frequency: frequency,
+        daysPerWeek: params.get('days-per-week'),
+        weeks: params.get('weeks'),
+        tripsPerMonth: params.get('trips-per-month')
+      },
+      factors: isKey(EmissionFactors.DATASETS, params.get('factors')) ? params.get('factors') : null,
+      gwp: isKey(CONFIG.GWP_SETS, params.get('gwp')) ? params.get('gwp') : null,
+      radiativeForcing: params.get('rf') === '1',
+      baseline: isKey(CONFIG.TRANSPORT_MODES, baselineMode) || (baselineMode === 'custom' && baselineFactor > 0)
+        ? { mode: baselineMode, factor: baselineMode === 'custom' ? baselineFactor : null }
+        : null
+    };
+  },
+
+  /**
+   * applyState(state) - Preenche o formulário com o estado lido da URL
+   *
+   * LÓGICA:
+   * 1. Seleciona o modo de transporte e o combustível/porte
+   * 2. Preenche origem, destino, passageiros, ida e volta, repetição, base de fatores, GWP,
+   *    forçamento radiativo e referência da comparação
+   * 3. Distância manual: marca a caixa e usa a distância do link
+   * 4. Distância automática: dispara o auto-preenchimento pelo RoutesDB;
+   *    se a rota não for encontrada, usa a distância do link como manual
+   *
+   * Os eventos 'change' são disparados para que os listeners de
+   * CONFIG.bindDistanceAutofill() e das variantes atualizem a interface.
+   * Base de fatores, GWP e forçamento radiativo do link valem só nesta sessão
+   * (EmissionFactors.applyShared): as escolhas salvas de quem abre o link não mudam.
+   *
+   * @param {Object} state - Estado retornado por readState()
+   */
+  applyState: function(state) {
+    const originInput = document.getElementById('origin');
+    const destinationInput = document.getElementById('destination');
+    const distanceInput = document.getElementById('distance');
+    const manualCheckbox = document.getElementById('manual-distance');
+    const modeRadio = document.querySelector(`input[name="transport"][value="${state.mode}"]`);
+
+    // Modo de transporte (mostra o bloco de variantes do modo)
+    if (modeRadio) {
+      modeRadio.checked = true;
+      modeRadio.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    // Combustível/porte (readState já conferiu que é uma opção do modo)
+    const variantSelect = document.getElementById(`variant-${state.mode}`);
+    if (variantSelect && state.variant) {
+      variantSelect.value = state.variant;
+    }
+
+    document.getElementById('passengers').value = state.passengers;
+
+    // Base de fatores, GWP e forçamento radiativo do link, sem salvar as escolhas
+    // (o forçamento radiativo ausente no link = desligado)
+    EmissionFactors.applyShared({
+      factors: state.factors,
+      gwp: state.gwp,
+      radiativeForcing: state.radiativeForcing
+    });
+
+    // Referência da comparação (ausente = carro; o select mostra o campo do fator personalizado)
+    const baselineSelect = document.getElementById('baseline');
+    if (baselineSelect) {
+      const baseline = state.baseline || { mode: CONFIG.DEFAULT_BASELINE, factor: null };
+      baselineSelect.value = baseline.mode;
+      document.getElementById('baseline-factor').value = baseline.factor !== null ? baseline.factor : '';
+      baselineSelect.dispatchEvent(new Event('change'));
+    }
+
+    // Ida e volta e repetição (mantém os valores padrão dos campos não informados)
+    const recurrence = state.recurrence;
+    const frequencySelect = document.getElementById('trip-frequency');
+    document.getElementById('round-trip').checked = recurrence.roundTrip;
+    frequencySelect.value = recurrence.frequency;
+    frequencySelect.dispatchEvent(new Event('change'));
+
+    [['days-per-week', recurrence.daysPerWeek], ['weeks', recurrence.weeks], ['trips-per-month', recurrence.tripsPerMonth]]
+      .forEach(([id, value]) => {
+        if (value !== null) {
+          document.getElementById(id).value = value;
+        }
+      });
+
+    originInput.value = state.origin;
+    destinationInput.value = state.destination;
+
+    // Distância automática: buscar no RoutesDB como se o usuário tivesse digitado
+    if (!state.manual) {
+      destinationInput.dispatchEvent(new Event('change'));
+    }
+
+    // Distância manual (ou rota não encontrada): usar a distância do link
+    if ((state.manual || distanceInput.value === '') && state.distance !== null) {
+      manualCheckbox.checked = true;
+      manualCheckbox.dispatchEvent(new Event('change'));
+      distanceInput.value = Units.toInputValue(state.distance);
+    }
+  },
+
+  /**
+   * copyLink() - Copia o link do cálculo atual para a área de transferência
+   *
+   * @returns {Promise<boolean>} true se o link foi copiado
+   */
+  copyLink: function() {
+    if (!navigator.clipboard) {
+      return Promise.resolve(false);
+    }
+
+    return navigator.clipboard.writeText(window.location.href)
+      .then(() => true)
+      .catch(error => {
+        console.warn('Não foi possível copiar o link:', error);
+        return false;
+      });
+  }
+};
@@ -6,19 +6,43 @@
  * para formatação de dados, manipulação de elementos DOM e renderização
  * de resultados da calculadora de emissões.
  * 
+ * Textos e formatação seguem o idioma em uso (js/i18n.js): os textos vêm de
+ * I18n.t() e os números/moedas usam I18n.locale.
+ * 
+ * Os dados chegam sempre em km e kg; resultados, comparação, créditos,
+ * histórico, importação em lote e frete exibem distâncias e massas na unidade
+ * escolhida (js/units.js) via formatDistance(), formatMass() e formatTonneDistance().
+ * 
  * ESTRUTURA DO UI:
  * {
  *   // Métodos utilitários de formatação e manipulação de elementos
  *   formatNumber(): Function
  *   formatCurrency(): Function
+ *   formatDistance(): Function
+ *   formatMass(): Function
+ *   formatSmallMass(): Function
+ *   formatIntensity(): Function
+ *   formatTonneDistance(): Function
+ *   formatFreightIntensity(): Function
+ *   getModeLabel(): Function
+ *   getVariantLabel(): Function
+ *   getBaselineLabel(): Function
+ *   escapeHTML(): Function
  *   showElement(): Function
  *   hideElement(): Function
  *   scrollToElement(): Function
  *   
  *   // Métodos de renderização de conteúdo
  *   renderResults(): Function
+ *   renderGasBreakdown(): Function
+ *   renderFlightAssumptions(): Function
+ *   renderFactorSource(): Function
  *   renderComparison(): Function
  *   renderCarbonCredits(): Function
+ *   renderHistory(): Function
+ *   renderHistoryTotal(): Function
+ *   renderBatchSummary(): Function
+ *   renderFreightResults(): Function
  *   
  *   // Métodos de feedback do usuário
  *   showLoading(): Function
@@ -38,16 +62,16 @@ const UI = {
    * 
    * LÓGICA:
    * 1. Usa toFixed() para definir número de casas decimais
-   * 2. Utiliza toLocaleString('pt-BR') para adicionar separadores de milhar
+   * 2. Utiliza toLocaleString(I18n.locale) para os separadores do idioma em uso
    * 3. Retorna string formatada
    * 
    * EXEMPLO:
-   * - formatNumber(1234.567, 2) => "1.234,57"
-   * - formatNumber(10000, 0) => "10.000"
+   * - formatNumber(1234.567, 2) => "1.234,57" (pt-BR, es) / "1,234.57" (en)
+   * - formatNumber(10000, 0) => "10.000" (pt-BR) / "10,000" (en)
    * 
    * @param {number} number - Número a ser formatado
    * @param {number} decimals - Número de casas decimais desejadas
-   * @returns {string} Número formatado com separadores pt-BR
+   * @returns {string} Número formatado com os separadores do idioma em uso
    */
   formatNumber: function(number, decimals) {
     // Validar entrada
@@ -58,42 +82,210 @@ const UI = {
     // Usar toFixed para definir casas decimais
     const fixed = parseFloat(number).toFixed(decimals);
 
-    // Usar toLocaleString para adicionar separadores de milhar (pt-BR)
-    return parseFloat(fixed).toLocaleString('pt-BR', {
+    // Usar toLocaleString para adicionar separadores de milhar do idioma em uso
+    return parseFloat(fixed).toLocaleString(I18n.locale, {
       minimumFractionDigits: decimals,
       maximumFractionDigits: decimals
     });
   },
 
   /**
-   * formatCurrency(value) - Formata valor como moeda brasileira
+   * formatCurrency(value, currency) - Formata valor como moeda
    * 
    * LÓGICA:
-   * 1. Usa toLocaleString com estilo 'currency' e moeda 'BRL'
-   * 2. Retorna string formatada como "R$ 1.234,56"
+   * 1. Usa a moeda informada ou a moeda de exibição em uso (CreditPricing.currency)
+   * 2. Usa toLocaleString com estilo 'currency' e o idioma em uso (I18n.locale)
+   * 3. Retorna string formatada como "R$ 1.234,56" (ou "US$ 1.234,56", "€ 1.234,56")
    * 
    * EXEMPLO:
    * - formatCurrency(100) => "R$ 100,00"
-   * - formatCurrency(1234.5) => "R$ 1.234,50"
+   * - formatCurrency(1234.5) => "R$ 1.234,50" (pt-BR) / "R$1,234.50" (en)
+   * - formatCurrency(20, 'USD') => "US$ 20,00" (pt-BR) / "$20.00" (en)
    * 
-   * @param {number} value - Valor a ser formatado em reais
-   * @returns {string} Valor formatado como moeda brasileira
+   * @param {number} value - Valor a ser formatado (já na moeda indicada)
+   * @param {string} currency - Código da moeda (chave de CONFIG.CARBON_CREDIT.CURRENCIES; padrão: moeda em uso)
+   * @returns {string} Valor formatado como moeda
    */
-  formatCurrency: function(value) {
-    // Validar entrada
-    if (typeof value !== 'number') {
-      return 'R$ 0,00';
-    }
+  formatCurrency: function(value, currency) {
+    const code = currency || CreditPricing.currency;
 
-    // Formatar como moeda BRL usando locale pt-BR
-    return value.toLocaleString('pt-BR', {
+    // Formatar como moeda no idioma em uso (valor inválido vira zero)
+    return (typeof value === 'number' ? value : 0).toLocaleString(I18n.locale, {
       style: 'currency',
-      currency: 'BRL',
+      currency: code,
       minimumFractionDigits: 2,
       maximumFractionDigits: 2
     });
   },
 
+  /**
+   * formatDistance(km, decimals) - Formata uma distância na unidade em uso, com o símbolo
+   * 
+   * EXEMPLO:
+   * - formatDistance(430, 2) => "430,00 km" / "267,19 mi"
+   * 
+   * @param {number} km - Distância em km
+   * @param {number} decimals - Número de casas decimais
+   * @returns {string} Distância formatada com o símbolo da unidade (Units.distance)
+   */
+  formatDistance: function(km, decimals) {
+    return `${this.formatNumber(Units.fromKm(km), decimals)} ${Units.getDistanceSymbol()}`;
+  },
+
+  /**
+   * formatMass(kg, decimals) - Formata uma massa na unidade em uso, com o símbolo
+   * 
+   * EXEMPLO:
+   * - formatMass(51.6, 2) => "51,60 kg" / "0,0516 t" / "113,76 lb"
+   * 
+   * @param {number} kg - Massa em kg
+   * @param {number} decimals - Número de casas decimais em kg (a tonelada usa mais casas)
+   * @returns {string} Massa formatada com o símbolo da unidade (Units.mass)
+   */
+  formatMass: function(kg, decimals) {
+    return `${this.formatNumber(Units.fromKg(kg), Units.getMassDecimals(decimals))} ${Units.getMassSymbol()}`;
+  },
+
+  /**
+   * formatSmallMass(kg, decimals) - Formata uma massa pequena na unidade menor da massa em uso
+   * 
+   * EXEMPLO:
+   * - formatSmallMass(0.0023, 2) => "2,30 g" / "0,0023 kg" / "0,081 oz"
+   * 
+   * @param {number} kg - Massa em kg
+   * @param {number} decimals - Número de casas decimais em gramas (kg e oz usam mais casas)
+   * @returns {string} Massa formatada com o símbolo da unidade menor (g, kg ou oz)
+   */
+  formatSmallMass: function(kg, decimals) {
+    return `${this.formatNumber(Units.fromKgSmall(kg), Units.getSmallMassDecimals(decimals))} ${Units.getSmallMassSymbol()}`;
+  },
+
+  /**
+   * formatIntensity(kgPerKm, decimals) - Formata uma emissão por distância nas unidades em uso
+   * 
+   * EXEMPLO:
+   * - formatIntensity(0.12, 2) => "0,12 kg/km" / "0,43 lb/mi"
+   * 
+   * @param {number} kgPerKm - Emissão em kg por km
+   * @param {number} decimals - Número de casas decimais em kg
+   * @returns {string} Valor formatado com os símbolos de massa e distância
+   */
+  formatIntensity: function(kgPerKm, decimals) {
+    const value = Units.fromKg(kgPerKm) / Units.fromKm(1);
+    return `${this.formatNumber(value, Units.getMassDecimals(decimals))} ${Units.getMassSymbol()}/${Units.getDistanceSymbol()}`;
+  },
+
+  /**
+   * formatTonneDistance(tonneKm, decimals) - Formata um transporte de carga (toneladas × distância)
+   * na unidade de distância em uso
+   * 
+   * EXEMPLO:
+   * - formatTonneDistance(5160, 2) => "5.160,00 tkm" / "3.206,27 tmi"
+   * 
+   * @param {number} tonneKm - Tonelada-km
+   * @param {number} decimals - Número de casas decimais
+   * @returns {string} Valor formatado com o símbolo (t + unidade de distância)
+   */
+  formatTonneDistance: function(tonneKm, decimals) {
+    return `${this.formatNumber(Units.fromKm(tonneKm), decimals)} t${Units.getDistanceSymbol()}`;
+  },
+
+  /**
+   * formatFreightIntensity(kgPerTonneKm, decimals) - Formata um fator de frete nas unidades em uso
+   * 
+   * EXEMPLO:
+   * - formatFreightIntensity(0.144, 3) => "0,144 kg/tkm" / "0,511 lb/tmi"
+   * 
+   * @param {number} kgPerTonneKm - Emissão em kg por tonelada-km
+   * @param {number} decimals - Número de casas decimais em kg
+   * @returns {string} Valor formatado com os símbolos de massa e de tonelada-distância
+   */
+  formatFreightIntensity: function(kgPerTonneKm, decimals) {
+    const value = Units.fromKg(kgPerTonneKm) / Units.fromKm(1);
+    return `${this.formatNumber(value, Units.getMassDecimals(decimals))} ${Units.getMassSymbol()}/t${Units.getDistanceSymbol()}`;
+  },
+
+  /**
+   * getModeLabel(mode, isFreight) - Obtém o nome de um modo no idioma em uso
+   * 
+   * EXEMPLO:
+   * - getModeLabel('bus') => "Ônibus" (pt-BR) / "Bus" (en)
+   * - getModeLabel('rail', true) => "Trem de carga" (CONFIG.FREIGHT_MODES)
+   * 
+   * @param {string} mode - Chave de CONFIG.TRANSPORT_MODES (ou de FREIGHT_MODES, se isFreight)
+   * @param {boolean} isFreight - Usar os modais de frete
+   * @returns {string} Nome do modo (a própria chave se o modo não existir)
+   */
+  getModeLabel: function(mode, isFreight) {
+    const modeData = (isFreight ? CONFIG.FREIGHT_MODES : CONFIG.TRANSPORT_MODES)[mode];
+
+    if (!modeData) {
+      return mode;
+    }
+
+    return I18n.translateLabel(`${isFreight ? 'freightModes' : 'modes'}.${mode}`, modeData.label);
+  },
+
+  /**
+   * getVariantLabel(mode, variant) - Obtém o nome de exibição de uma variante de veículo
+   * 
+   * EXEMPLO:
+   * - getVariantLabel('car', 'ethanol') => "Etanol hidratado" (pt-BR) / "Hydrous ethanol" (en)
+   * - getVariantLabel('plane', null) => ""
+   * 
+   * @param {string} mode - Modo de transporte
+   * @param {string} variant - Combustível/porte (chave de CONFIG.VEHICLE_VARIANTS)
+   * @returns {string} Nome da variante, ou string vazia se não houver
+   */
+  getVariantLabel: function(mode, variant) {
+    const variants = CONFIG.VEHICLE_VARIANTS[mode];
+
+    if (!variant || !variants || !variants.options[variant]) {
+      return '';
+    }
+
+    return I18n.translateLabel(`variants.${mode}.${variant}`, variants.options[variant].label);
+  },
+
+  /**
+   * getBaselineLabel(baseline) - Obtém o nome de exibição da referência de comparação
+   * 
+   * EXEMPLO:
+   * - getBaselineLabel({ mode: 'bus' }) => "Ônibus"
+   * - getBaselineLabel({ mode: 'custom', factor: 0.15 }) => "Referência (0,150 kg/km)"
+   * - getBaselineLabel(null) => "Carro" (CONFIG.DEFAULT_BASELINE)
+   * 
+   * @param {Object} baseline - Referência: {mode, factor} (ver Calculator.calculateBaselineEmission)
+   * @returns {string} Nome da referência
+   */
+  getBaselineLabel: function(baseline) {
+    const reference = baseline || { mode: CONFIG.DEFAULT_BASELINE };
+
+    if (reference.mode === 'custom') {
+      return I18n.t('baseline.customLabel', { factor: this.formatNumber(reference.factor, 3) });
+    }
+
+    return this.getModeLabel(reference.mode);
+  },
+
+  /**
+   * escapeHTML(text) - Escapa caracteres especiais de HTML
+   * Usado em textos vindos do usuário (arquivos importados, links e histórico)
+   * 
+   * EXEMPLO:
+   * - escapeHTML('<b>Sede</b>') => "&lt;b&gt;Sede&lt;/b&gt;"
+   * 
+   * @param {string} text - Texto a ser escapado
+   * @returns {string} Texto seguro para inserir em HTML
+   */
+  escapeHTML: function(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  },
+
   /**
    * showElement(elementId) - Mostra um elemento removendo a classe 'hidden'
    * 
@@ -164,83 +356,219 @@ const UI = {
    * - Container principal com classe "results__container"
    * - Cartões de informação (results__card):
    *   * Rota: origem -> destino
-   *   * Distância: valor em km
-   *   * Emissão: kg CO2 com ícone de folha
-   *   * Modo de transporte: ícone e nome
+   *   * Distância: valor na unidade em uso (km ou mi)
+   *   * Emissão: CO2e na unidade em uso (kg, t ou lb) com ícone de folha
+   *   * Gases: CO2, CH4 e N2O separados e o GWP usado no CO2e (ver renderGasBreakdown)
+   *   * Premissas dos voos: faixa, classe, pouso/decolagem e forçamento radiativo (ver renderFlightAssumptions)
+   *   * Modo de transporte: ícone e nome (ou detalhamento por trecho)
+   *   * Viagem recorrente: emissão por viagem, mensal e anual (se houver repetição)
    *   * Economia: (se não for carro e houver economia)
+   * - Fonte dos fatores: base usada, versão, ano e citação (ver renderFactorSource)
    * 
    * LÓGICA:
    * 1. Extrai metadata do modo de transporte de CONFIG
    * 2. Constrói string HTML com template literals
-   * 3. Inclui cartão de economia se o modo não é 'car'
-   * 4. Retorna HTML completo
+   * 3. Se houver mais de um trecho, mostra a rota completa e um cartão
+   *    com distância, modo e emissão de cada trecho no lugar do cartão de modo
+   * 4. Inclui cartão de economia se o modo não é 'car'
+   * 5. Retorna HTML completo
    * 
-   * @param {Object} data - Objeto com: {origin, destination, distance, emission, mode, savings}
+   * VISUALIZAÇÃO:
+   * - 'total': emissão do grupo inteiro (padrão)
+   * - 'perPassenger': emissão atribuída a cada passageiro (emissão e economia
+   *   divididas pelo número de passageiros)
+   * 
+   * @param {Object} data - Objeto com: {origin, destination, distance, emission, perPassengerEmission,
+   *                        passengers, mode, variant, savings, baseline, legs, recurrence, factorDataset, gases}
+   *                        (baseline é opcional: referência da economia {mode, factor}, padrão carro)
+   *                        (legs é opcional: array de {origin, destination, distance, mode, emission, perPassengerEmission};
+   *                        recurrence é opcional: resultado de Calculator.calculateRecurrence(), com
+   *                        distance/emission já contando a volta quando for ida e volta;
+   *                        factorDataset é opcional: resultado de EmissionFactors.describe();
+   *                        gases é opcional: {co2, ch4, n2o, co2e} do grupo, de Calculator.calculateRecurrence())
+   * @param {string} view - Visualização: 'total' ou 'perPassenger' (padrão: 'total')
    * @returns {string} String HTML com os resultados formatados
    */
-  renderResults: function(data) {
-    // Obter metadados do modo de transporte
-    const modeData = CONFIG.TRANSPORT_MODES[data.mode];
+  renderResults: function(data, view) {
+    // Verificar se a viagem tem mais de um trecho
+    const isMultiLeg = Array.isArray(data.legs) && data.legs.length > 1;
+
+    // Visualização por passageiro: valores divididos pelo número de passageiros
+    const passengers = data.passengers || 1;
+    const isPerPassenger = view === 'perPassenger';
+    const emission = isPerPassenger && data.perPassengerEmission !== undefined
+      ? data.perPassengerEmission
+      : data.emission;
+
+    // Com mais de um passageiro, mostrar também o valor da outra visualização
+    let passengersHelper = '';
+    if (passengers > 1) {
+      const otherValue = isPerPassenger
+        ? I18n.t('results.otherTotal', { mass: this.formatMass(data.emission, 2) })
+        : I18n.t('results.otherPerPassenger', { mass: this.formatMass(data.perPassengerEmission, 2) });
+      passengersHelper = `<div class="results__card-helper">${I18n.t('results.passengers', { n: passengers, other: otherValue })}</div>`;
+    }
+
+    // Ida e volta: distância e emissão já incluem a volta
+    const recurrence = data.recurrence || null;
+    const isRoundTrip = Boolean(recurrence && recurrence.roundTrip);
+    const distanceHelper = isRoundTrip
+      ? `<div class="results__card-helper">${I18n.t('results.roundTrip', { distance: this.formatDistance(data.distance / 2, 2) })}</div>`
+      : '';
+
+    // Cidades da rota: origem, conexões e destino final
+    const routeCities = isMultiLeg
+      ? [data.legs[0].origin].concat(data.legs.map(leg => leg.destination))
+      : [data.origin, data.destination];
+    const routeHTML = routeCities
+      .map(city => `<span class="results__city">${this.escapeHTML(city)}</span>`)
+      .join(` <span class="results__arrow">${isRoundTrip ? '⇄' : '→'}</span> `);
 
     // Construir string HTML com resultado principal
     let html = `
       <div class="results__container">
-        <h2 class="results__title">Resultado da Emissão</h2>
+        <h2 class="results__title">${I18n.t('results.title')}</h2>
         
         <!-- Cartão de Rota -->
         <div class="results__card results__card--route">
-          <div class="results__card-label">Rota</div>
+          <div class="results__card-label">${I18n.t('results.route')}</div>
           <div class="results__card-content">
-            <span class="results__city">${data.origin}</span>
-            <span class="results__arrow">→</span>
-            <span class="results__city">${data.destination}</span>
+            ${routeHTML}
           </div>
         </div>
 
         <!-- Cartão de Distância -->
         <div class="results__card results__card--distance">
-          <div class="results__card-label">Distância</div>
-          <div class="results__card-value">${this.formatNumber(data.distance, 2)} km</div>
+          <div class="results__card-label">${I18n.t('results.distance')}</div>
+          <div class="results__card-value">${this.formatDistance(data.distance, 2)}</div>
+          ${distanceHelper}
         </div>
 
         <!-- Cartão de Emissão -->
         <div class="results__card results__card--emission">
-          <div class="results__card-label">Emissão de CO<sub>2</sub></div>
+          <div class="results__card-label">${I18n.t(isPerPassenger ? 'results.emissionPerPassenger' : 'results.emission')}${recurrence && recurrence.tripsPerYear ? I18n.t('results.perTripSuffix') : ''}</div>
           <div class="results__card-value">
-            🍃 ${this.formatNumber(data.emission, 2)} kg
+            🍃 ${this.formatMass(emission, 2)}
           </div>
+          ${passengersHelper}
+        </div>
+    `;
+
+    // Emissão separada por gás (por passageiro: dividida pelo número de passageiros)
+    if (data.gases && data.factorDataset) {
+      html += this.renderGasBreakdown(data.gases, data.factorDataset.gwp, isPerPassenger ? passengers : 1);
+    }
+
+    if (isMultiLeg) {
+      // Cartão de Trechos: detalhamento da emissão de cada trecho
+      html += `
+        <div class="results__card results__card--legs">
+          <div class="results__card-label">${I18n.t('results.legs')}</div>
+          <ol class="results__legs">
+      `;
+
+      data.legs.forEach(leg => {
+        const legModeData = CONFIG.TRANSPORT_MODES[leg.mode];
+        const legVariantLabel = this.getVariantLabel(leg.mode, leg.variant);
+        html += `
+            <li class="results__leg">
+              <span class="results__leg-route">${this.escapeHTML(leg.origin)} → ${this.escapeHTML(leg.destination)}</span>
+              <span class="results__leg-mode">${legModeData.emoji} ${this.getModeLabel(leg.mode)}${legVariantLabel ? ` · ${legVariantLabel}` : ''}</span>
+              <span class="results__leg-distance">${this.formatDistance(leg.distance, 2)}</span>
+              <span class="results__leg-emission">${this.formatMass(isPerPassenger ? leg.perPassengerEmission : leg.emission, 2)}</span>
+            </li>
+        `;
+      });
+
+      html += `
+          </ol>
+          ${isRoundTrip ? `<div class="results__card-helper">${I18n.t('results.legsRoundTrip')}</div>` : ''}
         </div>
+      `;
+    } else {
+      // Obter metadados do modo de transporte e da variante (combustível/porte)
+      const modeData = CONFIG.TRANSPORT_MODES[data.mode];
+      const variantLabel = this.getVariantLabel(data.mode, data.variant);
 
+      html += `
         <!-- Cartão de Modo de Transporte -->
         <div class="results__card results__card--mode">
-          <div class="results__card-label">Modo de Transporte</div>
+          <div class="results__card-label">${I18n.t('results.mode')}</div>
           <div class="results__card-content">
             <span class="results__mode-icon">${modeData.emoji}</span>
-            <span class="results__mode-label">${modeData.label}</span>
+            <span class="results__mode-label">${this.getModeLabel(data.mode)}</span>
           </div>
+          ${variantLabel ? `<div class="results__card-helper">${variantLabel}</div>` : ''}
         </div>
-    `;
+      `;
+    }
+
+    // Premissas do modelo de voos (trechos de avião)
+    const flightLegs = (data.legs || []).filter(leg => leg.flight);
+    if (flightLegs.length > 0) {
+      html += this.renderFlightAssumptions(flightLegs);
+    }
+
+    // Viagem recorrente: totais mensal e anual
+    if (recurrence && recurrence.tripsPerYear) {
+      const frequencyText = recurrence.frequency === 'weekly'
+        ? I18n.t('results.frequencyWeekly', { trips: this.formatNumber(recurrence.tripsPerYear, 0) })
+        : I18n.t('results.frequencyMonthly', {
+          perMonth: this.formatNumber(recurrence.tripsPerYear / 12, 0),
+          perYear: this.formatNumber(recurrence.tripsPerYear, 0)
+        });
+      const monthly = isPerPassenger ? recurrence.monthlyPerPassengerEmission : recurrence.monthlyEmission;
+      const yearly = isPerPassenger ? recurrence.yearlyPerPassengerEmission : recurrence.yearlyEmission;
 
-    // Adicionar cartão de economia se não for carro e houver economia
-    if (data.mode !== 'car' && data.savings) {
+      html += `
+        <!-- Cartão de Viagem Recorrente -->
+        <div class="results__card results__card--recurrence">
+          <div class="results__card-label">${I18n.t('results.recurrence')}</div>
+          <div class="results__card-content">
+            <div class="results__recurrence-item">
+              <span class="results__recurrence-label">${I18n.t('results.perTrip')}</span>
+              <span class="results__recurrence-value">${this.formatMass(emission, 2)}</span>
+            </div>
+            <div class="results__recurrence-item">
+              <span class="results__recurrence-label">${I18n.t('results.perMonth')}</span>
+              <span class="results__recurrence-value">${this.formatMass(monthly, 2)}</span>
+            </div>
+            <div class="results__recurrence-item">
+              <span class="results__recurrence-label">${I18n.t('results.perYear')}</span>
+              <span class="results__recurrence-value">${this.formatMass(yearly, 2)}</span>
+            </div>
+          </div>
+          <div class="results__card-helper">${frequencyText} · ${I18n.t('results.yearlyDistance', { distance: this.formatDistance(recurrence.yearlyDistance, 0) })}</div>
+        </div>
+      `;
+    }
+
+    // Adicionar cartão de economia se o modo não for a própria referência e houver economia
+    const baselineMode = data.baseline ? data.baseline.mode : CONFIG.DEFAULT_BASELINE;
+    if (data.mode !== baselineMode && data.savings) {
       html += `
         <!-- Cartão de Economia -->
         <div class="results__card results__card--savings">
-          <div class="results__card-label">Economia vs Carro</div>
+          <div class="results__card-label">${I18n.t('results.savings', { baseline: this.getBaselineLabel(data.baseline) })}</div>
           <div class="results__card-content">
             <div class="results__savings-item">
-              <span class="results__savings-label">Kg Economizados:</span>
-              <span class="results__savings-value">${this.formatNumber(data.savings.savedKg, 2)} kg</span>
+              <span class="results__savings-label">${I18n.t('results.saved')}</span>
+              <span class="results__savings-value">${this.formatMass(isPerPassenger ? data.savings.savedKg / passengers : data.savings.savedKg, 2)}</span>
             </div>
             <div class="results__savings-item">
-              <span class="results__savings-label">Percentual:</span>
-              <span class="results__savings-value">${this.formatNumber(data.savings.percentage, 2)}%</span>
+              <span class="results__savings-label">${I18n.t('results.percentage')}</span>
+              <span class="results__savings-value">${data.savings.percentage === null ? '—' : `${this.formatNumber(data.savings.percentage, 2)}%`}</span>
             </div>
           </div>
         </div>
       `;
     }
 
+    // Base de fatores usada no cálculo, com a citação da fonte
+    if (data.factorDataset) {
+      html += this.renderFactorSource(data.factorDataset);
+    }
+
     html += `
       </div>
     `;
@@ -249,15 +577,155 @@ const UI = {
   },
 
   /**
-   * renderComparison(modesArray, selectedMode) - Renderiza comparação entre modos
+   * renderGasBreakdown(gases, gwp, divisor) - Renderiza a emissão de cada gás
+   * 
+   * ESTRUTURA HTML GERADA:
+   * - Cartão "results__card--gases" com uma linha por gás:
+   *   * CO2 na unidade de massa em uso
+   *   * CH4 e N2O na unidade menor da massa em uso (g, kg ou oz; ver formatSmallMass),
+   *     com a contribuição em CO2e na unidade em uso
+   * - Linha de forçamento radiativo dos voos, se houver acréscimo
+   * - Rodapé com o conjunto de GWP usado (ex: "GWP IPCC AR5 (2014): CH4 = 28, N2O = 265")
+   * 
+   * EXEMPLO:
+   * - renderGasBreakdown({co2: 16.2, ch4: 0.0023, n2o: 0.0005, co2e: 16.4}, gwp, 1)
+   *   => "CO2 16,20 kg", "CH4 2,30 g (0,06 kg CO2e)", "N2O 0,50 g (0,13 kg CO2e)"
+   *   (em libras: "CH4 0,081 oz (0,14 lb CO2e)")
+   * 
+   * @param {Object} gases - Emissão por gás em kg: {co2, ch4, n2o, rf, co2e}
+   * @param {Object} gwp - GWP usado, de EmissionFactors.describe(): {id, label, ch4, n2o}
+   * @param {number} divisor - Divide os valores (número de passageiros na visualização por passageiro; padrão: 1)
+   * @returns {string} String HTML do cartão
+   */
+  renderGasBreakdown: function(gases, gwp, divisor) {
+    const share = divisor > 1 ? divisor : 1;
+
+    // Bases só com CO2 (ex: estimativas originais da calculadora)
+    const onlyCO2 = gases.co2 > 0 && gases.ch4 === 0 && gases.n2o === 0;
+
+    const rows = [
+      { label: 'CO<sub>2</sub>', value: this.formatMass(gases.co2 / share, 2), co2e: null },
+      { label: 'CH<sub>4</sub>', value: this.formatSmallMass(gases.ch4 / share, 2), co2e: gases.ch4 * gwp.ch4 / share },
+      { label: 'N<sub>2</sub>O', value: this.formatSmallMass(gases.n2o / share, 2), co2e: gases.n2o * gwp.n2o / share }
+    ];
+
+    // Voos com forçamento radiativo: acréscimo dos efeitos não-CO2, já em CO2e
+    if (gases.rf > 0) {
+      rows.push({ label: I18n.t('gases.nonCO2'), value: I18n.t('gases.radiativeForcing'), co2e: gases.rf / share });
+    }
+
+    const rowsHTML = rows.map(row => `
+            <div class="results__gas-item">
+              <span class="results__gas-label">${row.label}</span>
+              <span class="results__gas-value">${row.value}</span>
+              ${row.co2e !== null ? `<span class="results__gas-co2e">${this.formatMass(row.co2e, 2)} CO<sub>2</sub>e</span>` : ''}
+            </div>
+    `).join('');
+
+    return `
+        <!-- Cartão de Gases -->
+        <div class="results__card results__card--gases">
+          <div class="results__card-label">${I18n.t('gases.title')}</div>
+          <div class="results__card-content">
+            ${rowsHTML}
+          </div>
+          <div class="results__card-helper">GWP ${gwp.label}: CH<sub>4</sub> = ${gwp.ch4.toLocaleString(I18n.locale)}, N<sub>2</sub>O = ${gwp.n2o.toLocaleString(I18n.locale)}</div>
+          ${onlyCO2 ? `<div class="results__card-helper">${I18n.t('gases.onlyCO2')}</div>` : ''}
+        </div>
+    `;
+  },
+
+  /**
+   * renderFlightAssumptions(legs) - Renderiza as premissas usadas em cada voo
+   * 
+   * ESTRUTURA HTML GERADA:
+   * - Cartão "results__card--flights" com uma linha por trecho de avião:
+   *   rota, faixa de distância, classe da cabine, pouso/decolagem e
+   *   forçamento radiativo, com a emissão por passageiro e por km
+   * 
+   * EXEMPLO:
+   * - "São Paulo, SP → Brasília, DF · Curta distância (até 1.500 km) · Classe econômica ·
+   *    +125 km de pouso e decolagem · sem forçamento radiativo · 231,25 kg por passageiro (0,23 kg/km)"
+   * 
+   * @param {Array<Object>} legs - Trechos de avião com as premissas em leg.flight (Calculator.calculateFlightEmission())
+   * @returns {string} String HTML do cartão
+   */
+  renderFlightAssumptions: function(legs) {
+    const itemsHTML = legs.map(leg => {
+      const flight = leg.flight;
+      const cabinLabel = this.getVariantLabel('plane', flight.cabinClass);
+      const cabinText = flight.cabinMultiplier !== 1 ? `${cabinLabel} (×${flight.cabinMultiplier.toLocaleString(I18n.locale)})` : cabinLabel;
+      const rfText = flight.radiativeForcing > 1
+        ? I18n.t('flights.radiativeForcing', { value: flight.radiativeForcing.toLocaleString(I18n.locale) })
+        : I18n.t('flights.noRadiativeForcing');
+      const bandLabel = I18n.translateLabel(`flightBands.${flight.band}`, flight.bandLabel);
+      const perKm = leg.distance > 0 ? flight.emission / leg.distance : 0;
+
+      return `
+            <li class="results__flight">
+              <span class="results__flight-route">${this.escapeHTML(leg.origin)} → ${this.escapeHTML(leg.destination)}</span>
+              <span class="results__flight-assumptions">${bandLabel} · ${cabinText} · ${I18n.t('flights.lto', { distance: this.formatDistance(flight.ltoKm, 0) })} · ${rfText}</span>
+              <span class="results__flight-emission">${I18n.t('flights.emission', { mass: this.formatMass(flight.emission, 2), intensity: this.formatIntensity(perKm, 2) })}</span>
+            </li>
+      `;
+    }).join('');
+
+    return `
+        <!-- Cartão de Premissas dos Voos -->
+        <div class="results__card results__card--flights">
+          <div class="results__card-label">${I18n.t('flights.title')}</div>
+          <ol class="results__flights">
+            ${itemsHTML}
+          </ol>
+        </div>
+    `;
+  },
+
+  /**
+   * renderFactorSource(dataset) - Renderiza a base de fatores usada e sua citação
+   * 
+   * EXEMPLO:
+   * - renderFactorSource(EmissionFactors.describe()) => "📚 Fatores: DESNZ/DEFRA (Reino Unido) ·
+   *   Conversion Factors 2024 (2024) · kg CO2e/km" + citação + link da publicação
+   * 
+   * Variantes que a base não cobre (dataset.uncoveredVariants) são avisadas,
+   * pois foram calculadas com o fator da variante padrão do modo.
+   * 
+   * Nome e citação vêm traduzidos de 'factorDatasets.<id>' quando o catálogo tem a base
+   * (estimativas da calculadora); as bases publicadas mantêm a referência original.
+   * 
+   * @param {Object} dataset - Objeto com: {id, label, version, year, unit, citation, url, uncoveredVariants}
+   * @returns {string} String HTML com a fonte dos fatores
+   */
+  renderFactorSource: function(dataset) {
+    const link = dataset.url
+      ? ` <a class="results__source-link" href="${dataset.url}" target="_blank" rel="noopener">${I18n.t('source.link')}</a>`
+      : '';
+
+    const uncovered = dataset.uncoveredVariants || [];
+    const warning = uncovered.length > 0
+      ? `<p class="results__source-warning">${I18n.t('source.uncovered', { variants: uncovered.map(item => this.getVariantLabel(item.mode, item.variant)).join(', ') })}</p>`
+      : '';
+
+    return `
+        <div class="results__source">
+          <div class="results__source-title">${I18n.t('source.title')} ${I18n.translateLabel(`factorDatasets.${dataset.id}.label`, dataset.label)} · ${dataset.version} (${dataset.year}) · ${dataset.unit}</div>
+          <p class="results__source-citation">${I18n.translateLabel(`factorDatasets.${dataset.id}.citation`, dataset.citation)}${link}</p>
+          ${warning}
+        </div>
+    `;
+  },
+
+  /**
+   * renderComparison(modesArray, selectedMode, view, baseline) - Renderiza comparação entre modos
    * 
    * ESTRUTURA HTML GERADA:
    * - Container de comparação (comparison__container)
    * - Para cada modo:
    *   * Item com classe "comparison__item" (ou "comparison__item--selected")
    *   * Header com ícone, nome e emissão
-   *   * Badge "Selecionado" se é o modo escolhido
-   *   * Stats com emissão e percentual vs carro
+   *   * Badge "Selecionado" se é o modo escolhido e "Referência" se é a referência
+   *   * Stats com emissão e percentual vs referência (carro por padrão)
    *   * Progress bar colorida baseada na emissão
    * - Box de dica com mensagem educativa no final
    * 
@@ -266,6 +734,7 @@ const UI = {
    * - Amarelo (25-75%): emissão média
    * - Laranja (75-100%): emissão alta
    * - Vermelho (>100%): emissão muito alta
+   * - Cinza: sem percentual (a referência não emite, ex: bicicleta)
    * 
    * LÓGICA:
    * 1. Cria container principal
@@ -275,39 +744,76 @@ const UI = {
    * 5. Inclui progress bar com largura proporcional
    * 6. Adiciona box de dica no final
    * 
-   * @param {Array} modesArray - Array de objetos {mode, emission, percentageVsCar}
+   * VISUALIZAÇÃO:
+   * - 'total': emissão do grupo inteiro em cada modo (padrão)
+   * - 'perPassenger': emissão por passageiro em cada modo; os percentuais
+   *   não mudam, pois o grupo é o mesmo em todos os modos
+   * - 'freight': modais de frete (CONFIG.FREIGHT_MODES) para a mesma carga,
+   *   com o fator por tonelada-km e percentual vs caminhão (percentageVsTruck)
+   * 
+   * @param {Array} modesArray - Array de objetos {mode, emission, perPassengerEmission, percentageVsBaseline}
+   *                             (no frete: {mode, emission, factor, tonneKm, percentageVsTruck})
    * @param {string} selectedMode - Nome do modo selecionado
+   * @param {string} view - Visualização: 'total', 'perPassenger' ou 'freight' (padrão: 'total')
+   * @param {Object} baseline - Referência dos percentuais: {mode, factor} (padrão: carro; ignorado no frete)
    * @returns {string} String HTML com comparação entre modos
    */
-  renderComparison: function(modesArray, selectedMode) {
+  renderComparison: function(modesArray, selectedMode, view, baseline) {
+    // Emissão exibida de cada modo conforme a visualização
+    const isPerPassenger = view === 'perPassenger';
+    const emissionOf = item => isPerPassenger && item.perPassengerEmission !== undefined
+      ? item.perPassengerEmission
+      : item.emission;
+
+    // Frete: modais de carga comparados ao caminhão em vez da referência escolhida
+    const isFreight = view === 'freight';
+    const modes = isFreight ? CONFIG.FREIGHT_MODES : CONFIG.TRANSPORT_MODES;
+    const percentageOf = item => isFreight ? item.percentageVsTruck : item.percentageVsBaseline;
+    const baselineMode = baseline ? baseline.mode : CONFIG.DEFAULT_BASELINE;
+    const baselineLabel = this.getBaselineLabel(baseline);
+    const title = I18n.t(isFreight
+      ? 'comparison.freightTitle'
+      : isPerPassenger ? 'comparison.titlePerPassenger' : 'comparison.title');
+
     // Encontrar emissão máxima para usar como referência (100%)
-    const maxEmission = Math.max(...modesArray.map(m => m.emission));
+    const maxEmission = Math.max(...modesArray.map(emissionOf));
 
     // Iniciar HTML do container
     let html = `
       <div class="comparison__container">
-        <h2 class="comparison__title">Comparação entre Modos de Transporte</h2>
+        <h2 class="comparison__title">${title}</h2>
     `;
 
+    // Referência personalizada não aparece na lista de modos: indicar no topo
+    if (!isFreight && baselineMode === 'custom') {
+      html += `
+        <p class="comparison__reference">${I18n.t('comparison.customReference', { factor: this.formatNumber(baseline.factor, 3) })}</p>
+      `;
+    }
+
     // Iterar sobre cada modo de transporte
     modesArray.forEach(item => {
       // Obter metadados do modo
-      const modeData = CONFIG.TRANSPORT_MODES[item.mode];
+      const modeData = modes[item.mode];
 
-      // Verificar se este é o modo selecionado
+      // Verificar se este é o modo selecionado e se é a referência
       const isSelected = item.mode === selectedMode;
+      const isBaseline = !isFreight && item.mode === baselineMode;
       const selectedClass = isSelected ? ' comparison__item--selected' : '';
 
       // Calcular percentual para progress bar (0-100)
-      const progressPercent = (item.emission / maxEmission) * 100;
+      const progressPercent = maxEmission > 0 ? (emissionOf(item) / maxEmission) * 100 : 0;
 
-      // Determinar cor da progress bar baseado no percentual vs carro
+      // Determinar cor da progress bar baseado no percentual vs referência (ou caminhão, no frete)
+      const percentage = percentageOf(item);
       let barColor = '#10b981';  // Verde padrão
-      if (item.percentageVsCar > 100) {
+      if (percentage === null) {
+        barColor = '#9ca3af';    // Cinza (referência sem emissão)
+      } else if (percentage > 100) {
         barColor = '#ef4444';    // Vermelho (>100%)
-      } else if (item.percentageVsCar > 75) {
+      } else if (percentage > 75) {
         barColor = '#f59e0b';    // Laranja (75-100%)
-      } else if (item.percentageVsCar > 25) {
+      } else if (percentage > 25) {
         barColor = '#fbbf24';    // Amarelo (25-75%)
       }
 
@@ -318,12 +824,17 @@ const UI = {
           <div class="comparison__header">
             <div class="comparison__mode-info">
               <span class="comparison__icon">${modeData.emoji}</span>
-              <span class="comparison__label">${modeData.label}</span>
-              ${isSelected ? '<span class="comparison__badge">Selecionado</span>' : ''}
+              <span class="comparison__label">${this.getModeLabel(item.mode, isFreight)}</span>
+              ${isSelected ? `<span class="comparison__badge">${I18n.t('comparison.selected')}</span>` : ''}
+              ${isBaseline ? `<span class="comparison__badge comparison__badge--baseline">${I18n.t('comparison.baseline')}</span>` : ''}
             </div>
             <div class="comparison__emission-stats">
-              <span class="comparison__emission">${this.formatNumber(item.emission, 2)} kg</span>
-              <span class="comparison__percentage">${this.formatNumber(item.percentageVsCar, 1)}% do carro</span>
+              <span class="comparison__emission">${this.formatMass(emissionOf(item), 2)}</span>
+              <span class="comparison__percentage">${isFreight
+                ? I18n.t('comparison.vsTruck', { factor: this.formatFreightIntensity(item.factor, 3), percentage: this.formatNumber(percentage, 1) })
+                : percentage === null
+                  ? I18n.t('comparison.vsBaselineNone', { baseline: baselineLabel })
+                  : I18n.t('comparison.vsBaseline', { percentage: this.formatNumber(percentage, 1), baseline: baselineLabel })}</span>
             </div>
           </div>
 
@@ -336,10 +847,11 @@ const UI = {
     });
 
     // Adicionar box de dica
+    const tip = I18n.t(isFreight ? 'comparison.tipFreight' : 'comparison.tip');
+
     html += `
         <div class="comparison__tip">
-          <strong>💡 Dica:</strong> Sempre opte por modos de transporte com menor emissão de CO<sub>2</sub> 
-          para reduzir seu impacto ambiental. A bicicleta e o ônibus são as opções mais sustentáveis!
+          <strong>${I18n.t('comparison.tipTitle')}</strong> ${tip}
         </div>
       </div>
     `;
@@ -355,65 +867,107 @@ const UI = {
    * - Grid com 2 cartões:
    *   * Cartão 1: Quantidade de créditos necessários
    *   * Cartão 2: Preço estimado (médio com range min-max)
+   * - Total anual (viagem recorrente): emissão, créditos e preço do ano
    * - Box informativo sobre o que é crédito de carbono
-   * - Botão de ação para compensação (não-funcional para demo)
+   * - Botão "Compensar Emissões", que abre o fluxo de compensação (js/offset.js)
    * 
    * LÓGICA:
    * 1. Extrai dados de créditos e preço do objeto
    * 2. Constrói grid com 2 cartões lado a lado
    * 3. Formata números e valores monetários
    * 4. Inclui box explicativo sobre créditos de carbono
-   * 5. Adiciona botão de compensação como elemento visual
+   * 5. Adiciona o botão de compensação
    * 
-   * @param {Object} creditsData - Objeto com: {credits, price: {min, max, average}}
+   * @param {Object} creditsData - Objeto com: {credits, price: {min, max, average, currency}, annual, pricing}
+   *                               (annual é opcional: {emission, credits, price} do total anual;
+   *                               pricing é opcional: CreditPricing.describe() usado no preço)
    * @returns {string} String HTML com informações de créditos de carbono
    */
   renderCarbonCredits: function(creditsData) {
+    // Viagem recorrente: créditos para compensar um ano inteiro
+    const annual = creditsData.annual;
+    const annualHTML = annual ? `
+        <!-- Total anual da viagem recorrente -->
+        <div class="carbon-credits__annual">
+          <h3 class="carbon-credits__annual-title">${I18n.t('credits.annualTitle', { mass: this.formatMass(annual.emission, 2) })}</h3>
+          <div class="carbon-credits__grid">
+            <div class="carbon-credits__card">
+              <div class="carbon-credits__card-label">${I18n.t('credits.perYear')}</div>
+              <div class="carbon-credits__card-value">
+                ${this.formatNumber(annual.credits, 4)}
+              </div>
+            </div>
+            <div class="carbon-credits__card">
+              <div class="carbon-credits__card-label">${I18n.t('credits.pricePerYear')}</div>
+              <div class="carbon-credits__card-value">
+                ${this.formatCurrency(annual.price.average, annual.price.currency)}
+              </div>
+              <div class="carbon-credits__card-range">
+                ${this.formatCurrency(annual.price.min, annual.price.currency)} - ${this.formatCurrency(annual.price.max, annual.price.currency)}
+              </div>
+            </div>
+          </div>
+        </div>
+    ` : '';
+
+    // Perfil de preço e cotação usados (painel "Preço dos créditos")
+    const pricing = creditsData.pricing;
+    const pricingHTML = pricing ? `
+            <div class="carbon-credits__card-helper">
+              ${I18n.t('credits.pricing', {
+                profile: I18n.translateLabel(`pricingProfiles.${pricing.profileId}`, pricing.profileLabel),
+                min: this.formatCurrency(pricing.minBRL, 'BRL'),
+                max: this.formatCurrency(pricing.maxBRL, 'BRL')
+              })}${pricing.currency !== 'BRL'
+                ? I18n.t('credits.rate', { rate: this.formatCurrency(pricing.rate, 'BRL'), currency: pricing.currency })
+                : ''}
+            </div>
+    ` : '';
+
     const html = `
       <div class="carbon-credits__container">
-        <h2 class="carbon-credits__title">Créditos de Carbono</h2>
+        <h2 class="carbon-credits__title">${I18n.t('credits.title')}</h2>
 
         <!-- Grid com 2 cartões -->
         <div class="carbon-credits__grid">
           <!-- Cartão 1: Créditos Necessários -->
           <div class="carbon-credits__card">
-            <div class="carbon-credits__card-label">Créditos Necessários</div>
+            <div class="carbon-credits__card-label">${I18n.t('credits.needed')}</div>
             <div class="carbon-credits__card-value">
               ${this.formatNumber(creditsData.credits, 4)}
             </div>
             <div class="carbon-credits__card-helper">
-              1 crédito = 1.000 kg CO<sub>2</sub>
+              ${I18n.t('credits.perCredit', { mass: this.formatMass(CONFIG.CARBON_CREDIT.KG_PER_CREDIT, 0) })}
             </div>
           </div>
 
           <!-- Cartão 2: Preço Estimado -->
           <div class="carbon-credits__card">
-            <div class="carbon-credits__card-label">Preço Estimado</div>
+            <div class="carbon-credits__card-label">${I18n.t('credits.price')}</div>
             <div class="carbon-credits__card-value">
-              ${this.formatCurrency(creditsData.price.average)}
+              ${this.formatCurrency(creditsData.price.average, creditsData.price.currency)}
             </div>
             <div class="carbon-credits__card-range">
-              ${this.formatCurrency(creditsData.price.min)} - ${this.formatCurrency(creditsData.price.max)}
+              ${this.formatCurrency(creditsData.price.min, creditsData.price.currency)} - ${this.formatCurrency(creditsData.price.max, creditsData.price.currency)}
             </div>
+            ${pricingHTML}
           </div>
         </div>
-
+${annualHTML}
         <!-- Box Informativo sobre Créditos de Carbono -->
         <div class="carbon-credits__info-box">
-          <h3 class="carbon-credits__info-title">O que é um Crédito de Carbono?</h3>
+          <h3 class="carbon-credits__info-title">${I18n.t('credits.infoTitle')}</h3>
           <p class="carbon-credits__info-text">
-            Um crédito de carbono representa o direito de emitir uma tonelada de dióxido de carbono 
-            equivalente. Ao comprar créditos, você financia projetos de redução de emissões e 
-            neutraliza o impacto ambiental de sua viagem.
+            ${I18n.t('credits.infoText')}
           </p>
           <p class="carbon-credits__info-text">
-            Exemplos de projetos: reflorestamento, energia renovável, eficiência energética.
+            ${I18n.t('credits.infoExamples')}
           </p>
         </div>
 
-        <!-- Botão de Ação (Demo) -->
-        <button class="carbon-credits__button">
-          🛒 Compensar Emissões
+        <!-- Botão de Ação: abre o fluxo de compensação (js/offset.js) -->
+        <button type="button" class="carbon-credits__button" aria-controls="offset">
+          ${I18n.t('credits.button')}
         </button>
       </div>
     `;
@@ -421,6 +975,321 @@ const UI = {
     return html;
   },
 
+  /**
+   * renderHistory(entries) - Renderiza a lista de cálculos salvos
+   * 
+   * ESTRUTURA HTML GERADA:
+   * - Container do histórico (history__container)
+   * - Total acumulado (ver renderHistoryTotal)
+   * - Lista (history__list) com um item por cálculo:
+   *   * Data/hora, rota, modo, distância, emissão e créditos
+   *   * Selo "Compensado" quando o cálculo tem termo de compensação
+   *   * Botão "Excluir" com data-history-id
+   * - Botões de exportação em CSV/JSON (data-export="history")
+   * - Botão "Limpar histórico" (em dois cliques: o primeiro pede confirmação
+   *   em history__confirm, role="status")
+   * - Mensagem de lista vazia quando não há cálculos
+   * 
+   * @param {Array<Object>} entries - Registros de EmissionHistory.getAll()
+   * @param {number} totalKg - Total acumulado em kg CO2e (EmissionHistory.getTotalEmission())
+   * @returns {string} String HTML com o histórico
+   */
+  renderHistory: function(entries, totalKg) {
+    let html = `
+      <div class="history__container">
+        <h2 class="history__title">${I18n.t('history.title')}</h2>
+    `;
+
+    if (entries.length === 0) {
+      html += `
+        <p class="history__empty">${I18n.t('history.empty')}</p>
+      </div>
+      `;
+      return html;
+    }
+
+    // Total acumulado das viagens salvas
+    html += this.renderHistoryTotal(totalKg, entries.length);
+
+    html += `
+        <ul class="history__list">
+    `;
+
+    entries.forEach(entry => {
+      // Modo misto (itinerário com modos diferentes) não tem metadados únicos
+      const modeData = CONFIG.TRANSPORT_MODES[entry.mode];
+      const modeText = modeData ? `${modeData.emoji} ${this.getModeLabel(entry.mode)}` : I18n.t('history.mixed');
+      const legsText = entry.legs > 1 ? I18n.t('history.legs', { n: entry.legs }) : '';
+      const roundTripText = entry.roundTrip ? I18n.t('history.roundTrip') : '';
+      // Registros vêm do localStorage: textos livres são escapados antes de entrar no HTML
+      const pledgeHTML = entry.pledge
+        ? `<span class="history__badge" title="${this.escapeHTML(I18n.t('history.pledgeTitle', { id: entry.pledge.id }))}">${I18n.t('history.pledge')}</span>`
+        : '';
+      const date = new Date(entry.timestamp).toLocaleString(I18n.locale, {
+        dateStyle: 'short',
+        timeStyle: 'short'
+      });
+
+      html += `
+          <li class="history__item">
+            <div class="history__info">
+              <span class="history__date">${date}</span>
+              <span class="history__route">${this.escapeHTML(entry.origin)} → ${this.escapeHTML(entry.destination)} ${pledgeHTML}</span>
+              <span class="history__details">
+                ${modeText}${legsText}${roundTripText} · ${this.formatDistance(entry.distance, 2)} · ${I18n.t('history.credits', { credits: this.formatNumber(entry.credits, 4) })}
+              </span>
+            </div>
+            <span class="history__emission">${this.formatMass(entry.emission, 2)}</span>
+            <button type="button" class="history__delete" data-history-id="${this.escapeHTML(entry.id)}" aria-label="${I18n.t('history.delete', { date: date })}">
+              ✕
+            </button>
+          </li>
+      `;
+    });
+
+    html += `
+        </ul>
+
+        <!-- Exportação do histórico; o formato numérico vem do select da própria seção -->
+        <div class="export" aria-label="${I18n.t('history.export')}">
+          <label for="history-export-format" class="export__label">${I18n.t('export.format')}</label>
+          <select id="history-export-format" class="export__format">
+            <option value="pt-BR" selected>${I18n.t('export.ptBR')}</option>
+            <option value="international">${I18n.t('export.international')}</option>
+          </select>
+          <button type="button" class="export__button" data-export="history" data-file-type="csv">${I18n.t('export.csv')}</button>
+          <button type="button" class="export__button" data-export="history" data-file-type="json">${I18n.t('export.json')}</button>
+        </div>
+
+        <p class="history__confirm" role="status"></p>
+        <button type="button" class="history__clear">${I18n.t('history.clear')}</button>
+      </div>
+    `;
+
+    return html;
+  },
+
+  /**
+   * renderHistoryTotal(totalKg, count) - Renderiza o total acumulado de emissões
+   * 
+   * EXEMPLO:
+   * - renderHistoryTotal(1250.5, 3) => cartão "1.250,50 kg CO2e em 3 viagens"
+   * 
+   * @param {number} totalKg - Soma das emissões salvas em kg CO2e
+   * @param {number} count - Quantidade de viagens salvas
+   * @returns {string} String HTML com o cartão de total acumulado
+   */
+  renderHistoryTotal: function(totalKg, count) {
+    const tripsText = I18n.t(count === 1 ? 'history.tripsOne' : 'history.tripsMany', { count: count });
+
+    return `
+        <div class="history__total">
+          <div class="history__total-label">${I18n.t('history.total')}</div>
+          <div class="history__total-value">🍃 ${this.formatMass(totalKg, 2)} CO<sub>2</sub>e</div>
+          <div class="history__total-helper">${tripsText}</div>
+        </div>
+    `;
+  },
+
+  /**
+   * renderBatchSummary(batch) - Renderiza o resumo da importação em lote (CSV)
+   * 
+   * ESTRUTURA HTML GERADA:
+   * - Container do lote (batch__container)
+   * - Cartões com viagens calculadas, emissão total e créditos/preço estimado
+   * - Tabela de totais por modo (viagens, distância, emissão)
+   * - Tabela com todas as linhas do arquivo; linhas com erro destacadas
+   *   (batch__row--error) e com o motivo na coluna "Situação"
+   * 
+   * @param {Object} batch - Resultado de BulkImport.calculateBatch()
+   * @returns {string} String HTML com o resumo do lote
+   */
+  renderBatchSummary: function(batch) {
+    const errorText = I18n.t(batch.errorCount === 1 ? 'batch.errorsOne' : 'batch.errorsMany', { count: batch.errorCount });
+    const distanceColumn = I18n.t('batch.distanceColumn', { unit: Units.getDistanceSymbol() });
+    const emissionColumn = I18n.t('batch.emissionColumn', { unit: Units.getMassSymbol() });
+    const distanceValue = km => this.formatNumber(Units.fromKm(km), 2);
+    const emissionValue = kg => this.formatNumber(Units.fromKg(kg), Units.getMassDecimals(2));
+    const priceText = I18n.t('prices.range', {
+      min: this.formatCurrency(batch.price.min, batch.price.currency),
+      max: this.formatCurrency(batch.price.max, batch.price.currency),
+      average: this.formatCurrency(batch.price.average, batch.price.currency)
+    });
+
+    let html = `
+      <div class="batch__container">
+        <h2 class="batch__title">${I18n.t('batch.title')}</h2>
+
+        <div class="batch__cards">
+          <div class="batch__card">
+            <div class="batch__card-label">${I18n.t('batch.trips')}</div>
+            <div class="batch__card-value">${I18n.t('batch.tripsValue', { valid: batch.validCount, total: batch.rows.length })}</div>
+            <div class="batch__card-helper">${errorText}</div>
+          </div>
+          <div class="batch__card">
+            <div class="batch__card-label">${I18n.t('batch.emission')}</div>
+            <div class="batch__card-value">🍃 ${this.formatMass(batch.totalEmission, 2)} CO<sub>2</sub>e</div>
+            <div class="batch__card-helper">${I18n.t('batch.totalDistance', { distance: this.formatDistance(batch.totalDistance, 2) })}</div>
+          </div>
+          <div class="batch__card">
+            <div class="batch__card-label">${I18n.t('batch.credits')}</div>
+            <div class="batch__card-value">${this.formatNumber(batch.credits, 4)}</div>
+            <div class="batch__card-helper">${priceText}</div>
+          </div>
+        </div>
+        ${batch.factorDataset ? this.renderFactorSource(batch.factorDataset) : ''}
+    `;
+
+    // Totais por modo de transporte
+    const modes = Object.keys(batch.totalsByMode);
+    if (modes.length > 0) {
+      html += `
+        <h3 class="batch__subtitle">${I18n.t('batch.byMode')}</h3>
+        <table class="batch__table">
+          <thead>
+            <tr><th>${I18n.t('batch.mode')}</th><th>${I18n.t('batch.tripsColumn')}</th><th>${distanceColumn}</th><th>${emissionColumn}</th></tr>
+          </thead>
+          <tbody>
+      `;
+
+      modes.forEach(mode => {
+        const modeData = CONFIG.TRANSPORT_MODES[mode];
+        const totals = batch.totalsByMode[mode];
+
+        html += `
+            <tr>
+              <td>${modeData.emoji} ${this.getModeLabel(mode)}</td>
+              <td>${totals.trips}</td>
+              <td>${distanceValue(totals.distance)}</td>
+              <td>${emissionValue(totals.emission)}</td>
+            </tr>
+        `;
+      });
+
+      html += `
+          </tbody>
+        </table>
+      `;
+    }
+
+    // Todas as linhas do arquivo, com as não resolvidas destacadas
+    html += `
+        <h3 class="batch__subtitle">${I18n.t('batch.rows')}</h3>
+        <table class="batch__table">
+          <thead>
+            <tr><th>${I18n.t('batch.line')}</th><th>${I18n.t('batch.route')}</th><th>${I18n.t('batch.mode')}</th><th>${distanceColumn}</th><th>${emissionColumn}</th><th>${I18n.t('batch.status')}</th></tr>
+          </thead>
+          <tbody>
+    `;
+
+    batch.rows.forEach(row => {
+      const modeData = CONFIG.TRANSPORT_MODES[row.mode];
+      const variantLabel = this.getVariantLabel(row.mode, row.variant);
+      const passengerText = Number.isInteger(row.passengers) && row.passengers > 1 ? I18n.t('batch.passengers', { n: row.passengers }) : '';
+      const modeDetails = [variantLabel, passengerText].filter(Boolean).join(' · ');
+      const modeText = modeData
+        ? `${modeData.emoji} ${this.getModeLabel(row.mode)}${modeDetails ? `<br><small>${modeDetails}</small>` : ''}`
+        : this.escapeHTML(row.modeInput);
+      const isError = row.status === 'error';
+      const distanceText = row.distance !== null ? distanceValue(row.distance) : '—';
+      const statusText = isError
+        ? `⚠️ ${this.escapeHTML(I18n.t(row.error, row.errorParams))}`
+        : I18n.t(row.distanceSource === 'manual' ? 'batch.fromFile' : 'batch.fromRoutes');
+
+      html += `
+            <tr class="batch__row${isError ? ' batch__row--error' : ''}">
+              <td>${row.line}</td>
+              <td>${this.escapeHTML(row.origin)} → ${this.escapeHTML(row.destination)}</td>
+              <td>${modeText}</td>
+              <td>${distanceText}</td>
+              <td>${isError ? '—' : emissionValue(row.emission)}</td>
+              <td>${statusText}</td>
+            </tr>
+      `;
+    });
+
+    html += `
+          </tbody>
+        </table>
+      </div>
+    `;
+
+    return html;
+  },
+
+  /**
+   * renderFreightResults(data) - Renderiza o resultado de um frete de carga
+   * 
+   * ESTRUTURA HTML GERADA:
+   * - Container "freight__container" com cartões de resultado (results__card):
+   *   * Rota: origem -> destino
+   *   * Carga: peso, ocupação do veículo e tonelada-distância (tkm ou tmi)
+   *   * Emissão: CO2e com o fator por tonelada-distância usado, nas unidades em uso
+   *   * Créditos de carbono e preço estimado
+   * - Emissão por gás (renderGasBreakdown) e fonte dos fatores (renderFactorSource)
+   * 
+   * @param {Object} data - Objeto com: {origin, destination, distanceSource, freight, credits, price, factorDataset}
+   *                        (freight: resultado de Calculator.calculateFreightEmission();
+   *                        distanceSource: 'manual' ou 'routes')
+   * @returns {string} String HTML com o resultado do frete
+   */
+  renderFreightResults: function(data) {
+    const freight = data.freight;
+    const modeData = CONFIG.FREIGHT_MODES[freight.mode];
+    const distanceText = I18n.t(data.distanceSource === 'routes' ? 'freight.fromRoutes' : 'freight.fromInput');
+    const priceText = I18n.t('prices.range', {
+      min: this.formatCurrency(data.price.min, data.price.currency),
+      max: this.formatCurrency(data.price.max, data.price.currency),
+      average: this.formatCurrency(data.price.average, data.price.currency)
+    });
+    const cargoText = I18n.t('freight.cargoDetails', {
+      mode: `${modeData.emoji} ${this.getModeLabel(freight.mode, true)}`,
+      tonnes: this.formatNumber(freight.cargoTonnes, 2),
+      load: this.formatNumber(freight.loadFactor * 100, 0),
+      reference: this.formatNumber(freight.referenceLoadFactor * 100, 0)
+    });
+
+    let html = `
+      <div class="freight__container">
+        <div class="results__card results__card--route">
+          <div class="results__card-label">${I18n.t('results.route')}</div>
+          <div class="results__card-content">
+            <span class="results__city">${this.escapeHTML(data.origin)}</span>
+            <span class="results__arrow">→</span>
+            <span class="results__city">${this.escapeHTML(data.destination)}</span>
+          </div>
+          <div class="results__card-helper">${this.formatDistance(freight.distance, 2)} · ${distanceText}</div>
+        </div>
+
+        <div class="results__card results__card--freight">
+          <div class="results__card-label">${I18n.t('freight.cargo')}</div>
+          <div class="results__card-value">${this.formatTonneDistance(freight.tonneKm, 2)}</div>
+          <div class="results__card-helper">${cargoText}</div>
+        </div>
+
+        <div class="results__card results__card--emission">
+          <div class="results__card-label">${I18n.t('results.emission')}</div>
+          <div class="results__card-value">🍃 ${this.formatMass(freight.emission, 2)}</div>
+          <div class="results__card-helper">${I18n.t('freight.factor', { factor: this.formatFreightIntensity(freight.factor, 4) })}</div>
+        </div>
+
+        <div class="results__card">
+          <div class="results__card-label">${I18n.t('credits.title')}</div>
+          <div class="results__card-value">${this.formatNumber(data.credits, 4)}</div>
+          <div class="results__card-helper">${priceText}</div>
+        </div>
+    `;
+
+    html += this.renderGasBreakdown(freight.gases, data.factorDataset.gwp, 1);
+    html += this.renderFactorSource(data.factorDataset);
+
+    html += `
+      </div>
+    `;
+
+    return html;
+  },
+
   /**
    * showLoading(buttonElement) - Mostra estado de carregamento no botão
    * 
@@ -445,7 +1314,7 @@ const UI = {
     buttonElement.disabled = true;
 
     // Mostrar spinner e texto de carregamento
-    buttonElement.innerHTML = '<span class="spinner"></span> Calculando...';
+    buttonElement.innerHTML = `<span class="spinner"></span> ${I18n.t('ui.loading')}`;
   },
 
   /**
@@ -0,0 +1,353 @@
+/**
+ * units.js - Unidades de Exibição (km/mi e kg/t/lb)
+ *
+ * DESCRIÇÃO GERAL:
+ * Define um objeto global chamado Units que guarda as unidades escolhidas no
+ * painel "Unidades" e converte valores entre elas e o SI. O Calculator
+ * continua calculando em quilômetros e quilogramas: as distâncias digitadas
+ * (ou preenchidas pelo RoutesDB) são convertidas para km ao ler o formulário,
+ * e os resultados são convertidos para a unidade escolhida ao exibir
+ * (UI.formatDistance, UI.formatMass). As escolhas ficam salvas no localStorage.
+ *
+ * ESTRUTURA DO Units:
+ * {
+ *   STORAGE_KEY: string           - Chave usada no localStorage
+ *   distance: string              - Unidade de distância em uso (chave de CONFIG.UNITS.DISTANCE)
+ *   mass: string                  - Unidade de massa em uso (chave de CONFIG.UNITS.MASS)
+ *   init(): Function              - Lê as escolhas salvas e liga os selects do painel
+ *   setDistanceUnit(): Function   - Troca a unidade de distância
+ *   setMassUnit(): Function       - Troca a unidade de massa
+ *   fromKm(): Function            - Converte km para a unidade de distância em uso
+ *   toKm(): Function              - Converte um valor digitado na unidade em uso para km
+ *   toInputValue(): Function      - Valor de um campo de distância a partir de km
+ *   convertInputValue(): Function - Converte o valor de um campo entre duas unidades de distância
+ *   fromKg(): Function            - Converte kg para a unidade de massa em uso
+ *   fromKgSmall(): Function       - Converte kg para a unidade menor da massa em uso (g, kg ou oz)
+ *   getDistanceSymbol(): Function - Símbolo da unidade de distância ('km', 'mi')
+ *   getMassSymbol(): Function     - Símbolo da unidade de massa ('kg', 't', 'lb')
+ *   getSmallMassSymbol(): Function - Símbolo da unidade menor de massa ('g', 'kg', 'oz')
+ *   getMassDecimals(): Function   - Casas decimais para exibir uma massa na unidade em uso
+ *   getSmallMassDecimals(): Function - Casas decimais para exibir uma massa na unidade menor
+ *   updateSymbols(): Function     - Atualiza os símbolos nos rótulos dos campos de distância
+ *   save(): Function              - Grava as escolhas no localStorage
+ *   renderDistanceOptions(): Function - Gera os <option> do select de distância
+ *   renderMassOptions(): Function - Gera os <option> do select de massa
+ * }
+ *
+ * EVENTO:
+ * Ao trocar uma unidade, document recebe o evento 'unitchange'
+ * (detail: {distance, mass, previousDistance}); os campos de distância
+ * convertem o valor e os resultados são re-renderizados.
+ *
+ * EXEMPLO:
+ * - Unidade 'mi': Units.fromKm(430) => 267,19...; Units.toKm(100) => 160,93
+ * - Unidade 'lb': Units.fromKg(51.6) => 113,76
+ */
+
+const Units = {
+  /**
+   * Chave usada para guardar as escolhas no localStorage
+   */
+  STORAGE_KEY: 'calculadora-carbono:units',
+
+  /**
+   * Unidade de distância em uso
+   */
+  distance: CONFIG.UNITS.DEFAULT_DISTANCE,
+
+  /**
+   * Unidade de massa em uso
+   */
+  mass: CONFIG.UNITS.DEFAULT_MASS,
+
+  /**
+   * init() - Lê as escolhas salvas e liga os selects #distance-unit e #mass-unit
+   *
+   * LÓGICA:
+   * 1. Restaura as unidades do localStorage (unidades desconhecidas são ignoradas)
+   * 2. Preenche os selects e atualiza os símbolos dos rótulos de distância
+   * 3. Trocar um select chama setDistanceUnit() / setMassUnit()
+   * 4. Ao trocar o idioma, re-gera os nomes das unidades
+   */
+  init: function() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || 'null');
+
+      if (stored) {
+        if (CONFIG.UNITS.DISTANCE[stored.distance]) {
+          this.distance = stored.distance;
+        }
+        if (CONFIG.UNITS.MASS[stored.mass]) {
+          this.mass = stored.mass;
+        }
+      }
+    } catch (error) {
+      console.warn('Não foi possível ler as unidades do localStorage:', error);
+    }
+
+    this.updateSymbols();
+
+    const distanceSelect = document.getElementById('distance-unit');
+    const massSelect = document.getElementById('mass-unit');
+
+    if (!distanceSelect || !massSelect) {
+      console.warn('Selects do painel de unidades não encontrados');
+      return;
+    }
+
+    distanceSelect.innerHTML = this.renderDistanceOptions();
+    distanceSelect.value = this.distance;
+    distanceSelect.addEventListener('change', () => {
+      this.setDistanceUnit(distanceSelect.value);
+    });
+
+    massSelect.innerHTML = this.renderMassOptions();
+    massSelect.value = this.mass;
+    massSelect.addEventListener('change', () => {
+      this.setMassUnit(massSelect.value);
+    });
+
+    document.addEventListener('localechange', () => {
+      distanceSelect.innerHTML = this.renderDistanceOptions();
+      distanceSelect.value = this.distance;
+      massSelect.innerHTML = this.renderMassOptions();
+      massSelect.value = this.mass;
+    });
+  },
+
+  /**
+   * setDistanceUnit(unit) - Troca a unidade de distância, salva e avisa os módulos
+   *
+   * @param {string} unit - Chave de CONFIG.UNITS.DISTANCE ('km' ou 'mi')
+   * @returns {boolean} true se a unidade existe e foi selecionada
+   */
+  setDistanceUnit: function(unit) {
+    if (!CONFIG.UNITS.DISTANCE[unit]) {
+      console.warn(`Unidade de distância "${unit}" não encontrada`);
+      return false;
+    }
+
+    const previousDistance = this.distance;
+    this.distance = unit;
+    this.save();
+    this.updateSymbols();
+
+    document.dispatchEvent(new CustomEvent('unitchange', {
+      detail: { distance: this.distance, mass: this.mass, previousDistance: previousDistance }
+    }));
+    return true;
+  },
+
+  /**
+   * setMassUnit(unit) - Troca a unidade de massa, salva e avisa os módulos
+   *
+   * @param {string} unit - Chave de CONFIG.UNITS.MASS ('kg', 't' ou 'lb')
+   * @returns {boolean} true se a unidade existe e foi selecionada
+   */
+  setMassUnit: function(unit) {
+    if (!CONFIG.UNITS.MASS[unit]) {
+      console.warn(`Unidade de massa "${unit}" não encontrada`);
+      return false;
+    }
+
+    this.mass = unit;
+    this.save();
+
+    document.dispatchEvent(new CustomEvent('unitchange', {
+      detail: { distance: this.distance, mass: this.mass, previousDistance: this.distance }
+    }));
+    return true;
+  },
+
+  /**
+   * fromKm(km) - Converte quilômetros para a unidade de distância em uso
+   *
+   * @param {number} km - Distância em km
+   * @returns {number} Distância na unidade em uso
+   */
+  fromKm: function(km) {
+    return km * CONFIG.UNITS.DISTANCE[this.distance].perKm;
+  },
+
+  /**
+   * toKm(value) - Converte uma distância digitada na unidade em uso para km
+   *
+   * Fora de km, o resultado é arredondado a 2 casas (10 m): os campos guardam
+   * 2 casas decimais, e assim os 267,19 mi preenchidos a partir de 430 km
+   * voltam a ser 430 km, e não 430,0006 km.
+   *
+   * @param {number} value - Distância na unidade em uso (NaN continua NaN)
+   * @returns {number} Distância em km
+   */
+  toKm: function(value) {
+    if (this.distance === 'km') {
+      return value;
+    }
+
+    return Math.round(value / CONFIG.UNITS.DISTANCE[this.distance].perKm * 100) / 100;
+  },
+
+  /**
+   * toInputValue(km) - Valor de um campo de distância a partir de km
+   *
+   * EXEMPLO:
+   * - Unidade 'km': toInputValue(430) => 430
+   * - Unidade 'mi': toInputValue(430) => 267.19
+   *
+   * @param {number} km - Distância em km
+   * @returns {number} Distância na unidade em uso (fora de km, com no máximo 2 casas decimais)
+   */
+  toInputValue: function(km) {
+    if (this.distance === 'km') {
+      return km;
+    }
+
+    return Math.round(this.fromKm(km) * 100) / 100;
+  },
+
+  /**
+   * convertInputValue(value, fromUnit) - Converte o valor de um campo de distância
+   * digitado em outra unidade para a unidade em uso
+   *
+   * @param {string} value - Valor do campo (vazio ou inválido é devolvido sem mudança)
+   * @param {string} fromUnit - Unidade em que o valor foi digitado (chave de CONFIG.UNITS.DISTANCE)
+   * @returns {string|number} Valor na unidade em uso, com no máximo 2 casas decimais
+   */
+  convertInputValue: function(value, fromUnit) {
+    const number = parseFloat(value);
+    const from = CONFIG.UNITS.DISTANCE[fromUnit];
+
+    if (isNaN(number) || !from || fromUnit === this.distance) {
+      return value;
+    }
+
+    return this.toInputValue(number / from.perKm);
+  },
+
+  /**
+   * fromKg(kg) - Converte quilogramas para a unidade de massa em uso
+   *
+   * @param {number} kg - Massa em kg
+   * @returns {number} Massa na unidade em uso
+   */
+  fromKg: function(kg) {
+    return kg * CONFIG.UNITS.MASS[this.mass].perKg;
+  },
+
+  /**
+   * fromKgSmall(kg) - Converte quilogramas para a unidade menor da massa em uso
+   * (massas pequenas, ex: CH4 e N2O de uma viagem)
+   *
+   * EXEMPLO:
+   * - Unidade 'kg': fromKgSmall(0.0023) => 2,3 (g)
+   * - Unidade 'lb': fromKgSmall(0.0023) => 0,081 (oz)
+   *
+   * @param {number} kg - Massa em kg
+   * @returns {number} Massa na unidade menor (CONFIG.UNITS.MASS[mass].small)
+   */
+  fromKgSmall: function(kg) {
+    return kg * CONFIG.UNITS.MASS[this.mass].small.perKg;
+  },
+
+  /**
+   * getDistanceSymbol() - Símbolo da unidade de distância em uso
+   *
+   * @returns {string} 'km' ou 'mi'
+   */
+  getDistanceSymbol: function() {
+    return CONFIG.UNITS.DISTANCE[this.distance].symbol;
+  },
+
+  /**
+   * getMassSymbol() - Símbolo da unidade de massa em uso
+   *
+   * @returns {string} 'kg', 't' ou 'lb'
+   */
+  getMassSymbol: function() {
+    return CONFIG.UNITS.MASS[this.mass].symbol;
+  },
+
+  /**
+   * getSmallMassSymbol() - Símbolo da unidade menor da massa em uso
+   *
+   * @returns {string} 'g', 'kg' ou 'oz'
+   */
+  getSmallMassSymbol: function() {
+    return CONFIG.UNITS.MASS[this.mass].small.symbol;
+  },
+
+  /**
+   * getMassDecimals(decimals) - Casas decimais para exibir uma massa na unidade em uso
+   *
+   * EXEMPLO:
+   * - Unidade 'kg': getMassDecimals(2) => 2
+   * - Unidade 't': getMassDecimals(2) => 4 (extraDecimals de CONFIG.UNITS.MASS.t)
+   *
+   * @param {number} decimals - Casas decimais usadas em kg
+   * @returns {number} Casas decimais na unidade em uso
+   */
+  getMassDecimals: function(decimals) {
+    return decimals + (CONFIG.UNITS.MASS[this.mass].extraDecimals || 0);
+  },
+
+  /**
+   * getSmallMassDecimals(decimals) - Casas decimais para exibir uma massa na unidade menor
+   *
+   * EXEMPLO:
+   * - Unidade 'kg' (g): getSmallMassDecimals(2) => 2
+   * - Unidade 't' (kg): getSmallMassDecimals(2) => 4
+   *
+   * @param {number} decimals - Casas decimais usadas em gramas
+   * @returns {number} Casas decimais na unidade menor em uso
+   */
+  getSmallMassDecimals: function(decimals) {
+    return decimals + (CONFIG.UNITS.MASS[this.mass].small.extraDecimals || 0);
+  },
+
+  /**
+   * updateSymbols() - Atualiza os símbolos nos rótulos dos campos de distância
+   * (elementos com a classe "units__distance-symbol", ex: "Distância (km)")
+   */
+  updateSymbols: function() {
+    const symbol = this.getDistanceSymbol();
+
+    document.querySelectorAll('.units__distance-symbol').forEach(element => {
+      element.textContent = symbol;
+    });
+  },
+
+  /**
+   * save() - Grava as unidades escolhidas no localStorage
+   */
+  save: function() {
+    try {
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify({ distance: this.distance, mass: this.mass }));
+    } catch (error) {
+      console.warn('Não foi possível salvar as unidades no localStorage:', error);
+    }
+  },
+
+  /**
+   * renderDistanceOptions() - Gera os <option> do select de unidades de distância
+   *
+   * @returns {string} HTML das opções (ex: "<option value="mi">Milhas (mi)</option>")
+   */
+  renderDistanceOptions: function() {
+    return Object.keys(CONFIG.UNITS.DISTANCE).map(unit => {
+      const label = I18n.translateLabel(`units.${unit}`, CONFIG.UNITS.DISTANCE[unit].label);
+      return `<option value="${unit}">${label}</option>`;
+    }).join('');
+  },
+
+  /**
+   * renderMassOptions() - Gera os <option> do select de unidades de massa
+   *
+   * @returns {string} HTML das opções (ex: "<option value="lb">Libras (lb)</option>")
+   */
+  renderMassOptions: function() {
+    return Object.keys(CONFIG.UNITS.MASS).map(unit => {
+      const label = I18n.translateLabel(`units.${unit}`, CONFIG.UNITS.MASS[unit].label);
+      return `<option value="${unit}">${label}</option>`;
+    }).join('');
+  }
+};
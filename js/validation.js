@@ -0,0 +1,314 @@
+/**
+ * validation.js - Validação dos Formulários com Mensagens ao Lado dos Campos
+ *
+ * DESCRIÇÃO GERAL:
+ * Define um objeto global chamado Validation que confere os valores dos
+ * formulários de viagem e de frete e mostra cada problema logo abaixo do
+ * campo, sem janelas de alerta. A mensagem fica ligada ao campo por
+ * aria-describedby (leitores de tela a anunciam ao focar o campo) e o campo
+ * com erro recebe aria-invalid="true".
+ *
+ * ERROS E AVISOS:
+ * - Erro: impede o cálculo (ex: origem vazia, distância <= 0, cidade fora da base sem distância)
+ * - Aviso: aparece junto do resultado, sem impedir o cálculo (ex: bicicleta acima
+ *   de 1.000 km, em CONFIG.TRANSPORT_MODES[modo].maxDistanceKm)
+ *
+ * ESTRUTURA DO Validation:
+ * {
+ *   validateTrip(): Function      - Confere trechos, passageiros, repetição e referência
+ *   validateFreight(): Function   - Confere o formulário de frete
+ *   isKnownCity(): Function       - Verifica se a cidade está na base (RoutesDB.resolveCity())
+ *   showIssues(): Function        - Mostra erros e avisos ao lado dos campos
+ *   clearIssues(): Function       - Remove as mensagens de um formulário
+ *   clearField(): Function        - Remove a mensagem de um campo
+ *   bindClearOnEdit(): Function   - Apaga a mensagem de um campo quando ele é editado
+ * }
+ *
+ * ESTRUTURA DO RESULTADO (validateTrip / validateFreight):
+ * {
+ *   errors: Array<{field, message}>,   - field = id do campo; impedem o cálculo
+ *   warnings: Array<{field, message}>  - Mostrados sem impedir o cálculo
+ * }
+ *
+ * EXEMPLO:
+ * - validateTrip({ legs: [{origin: '', ...}], ... })
+ *   => { errors: [{ field: 'origin', message: 'Por favor, selecione a cidade de origem' }], warnings: [] }
+ */
+
+const Validation = {
+  /**
+   * validateTrip(values) - Confere os valores do formulário principal
+   *
+   * LÓGICA:
+   * 1. Em cada trecho: origem e destino preenchidos e presentes na base de cidades
+   *    (cidade fora da base é erro sem distância, e aviso com distância digitada),
+   *    distância preenchida e maior que zero, modo escolhido e distância dentro
+   *    do limite plausível do modo (aviso)
+   * 2. Passageiros: inteiro >= 1
+   * 3. Repetição: dias por semana (1 a 7) e semanas (1 a 52), ou viagens por mês (>= 1)
+   * 4. Referência personalizada: fator > 0
+   *
+   * @param {Object} values - Objeto com: {legs, passengers, recurrence, baseline}
+   *                          (legs de Itinerary.getLegs(), com os ids dos campos em leg.fields)
+   * @returns {Object} Objeto com {errors, warnings} (ver ESTRUTURA DO RESULTADO)
+   */
+  validateTrip: function(values) {
+    const errors = [];
+    const warnings = [];
+
+    values.legs.forEach(leg => {
+      const hasDistance = !isNaN(leg.distance);
+      let hasCityError = false;
+
+      // Origem e destino: preenchidos e presentes na base de cidades
+      [
+        { field: leg.fields.origin, city: leg.origin, emptyKey: 'errors.origin' },
+        { field: leg.fields.destination, city: leg.destination, emptyKey: 'errors.destination' }
+      ].forEach(item => {
+        if (!item.city) {
+          errors.push({ field: item.field, message: I18n.t(item.emptyKey) });
+          hasCityError = true;
+        } else if (!this.isKnownCity(item.city)) {
+          if (hasDistance) {
+            warnings.push({ field: item.field, message: I18n.t('warnings.unknownCity', { city: item.city }) });
+          } else {
+            errors.push({ field: item.field, message: I18n.t('errors.unknownCity', { city: item.city }) });
+            hasCityError = true;
+          }
+        }
+      });
+
+      // Distância: sem erro de cidade, a falta de distância é um problema do próprio campo
+      if (!hasDistance) {
+        if (!hasCityError) {
+          errors.push({ field: leg.fields.distance, message: I18n.t('errors.distanceMissing', { unit: Units.getDistanceSymbol() }) });
+        }
+      } else if (leg.distance <= 0) {
+        errors.push({ field: leg.fields.distance, message: I18n.t('errors.distancePositive') });
+      }
+
+      if (!leg.mode) {
+        errors.push({ field: leg.fields.mode, message: I18n.t('errors.mode') });
+        return;
+      }
+
+      // Distância acima do plausível para o modo: avisar sem impedir o cálculo
+      const maxDistance = CONFIG.TRANSPORT_MODES[leg.mode].maxDistanceKm;
+      if (maxDistance && leg.distance > maxDistance) {
+        warnings.push({
+          field: leg.fields.distance,
+          message: I18n.t('warnings.distanceTooLong', {
+            mode: UI.getModeLabel(leg.mode),
+            distance: UI.formatDistance(leg.distance, 0),
+            max: UI.formatDistance(maxDistance, 0)
+          })
+        });
+      }
+    });
+
+    if (!Number.isInteger(values.passengers) || values.passengers < 1) {
+      errors.push({ field: 'passengers', message: I18n.t('errors.passengers') });
+    }
+
+    const recurrence = values.recurrence;
+    if (recurrence.frequency === 'weekly') {
+      if (!Number.isInteger(recurrence.daysPerWeek) || recurrence.daysPerWeek < 1 || recurrence.daysPerWeek > 7) {
+        errors.push({ field: 'days-per-week', message: I18n.t('errors.daysPerWeek') });
+      }
+
+      if (!Number.isInteger(recurrence.weeks) || recurrence.weeks < 1 || recurrence.weeks > 52) {
+        errors.push({ field: 'weeks', message: I18n.t('errors.weeks') });
+      }
+    }
+
+    if (recurrence.frequency === 'monthly' &&
+        (!Number.isInteger(recurrence.tripsPerMonth) || recurrence.tripsPerMonth < 1)) {
+      errors.push({ field: 'trips-per-month', message: I18n.t('errors.tripsPerMonth') });
+    }
+
+    if (values.baseline.mode === 'custom' && !(values.baseline.factor > 0)) {
+      errors.push({ field: 'baseline-factor', message: I18n.t('errors.baselineFactor') });
+    }
+
+    return { errors: errors, warnings: warnings };
+  },
+
+  /**
+   * validateFreight(values) - Confere os valores do formulário de frete
+   *
+   * LÓGICA:
+   * 1. Origem e destino preenchidos
+   * 2. Peso da carga > 0 e ocupação entre 1% e 100%
+   * 3. Distância digitada > 0; sem distância, a rota precisa existir na base
+   *
+   * @param {Object} values - Objeto com: {origin, destination, distanceText, distance,
+   *                          cargoTonnes, loadPercent} (distance: km da base ou digitados, null se não encontrada)
+   * @returns {Object} Objeto com {errors, warnings} (ver ESTRUTURA DO RESULTADO)
+   */
+  validateFreight: function(values) {
+    const errors = [];
+
+    if (!values.origin) {
+      errors.push({ field: 'freight-origin', message: I18n.t('errors.freightCities') });
+    }
+
+    if (!values.destination) {
+      errors.push({ field: 'freight-destination', message: I18n.t('errors.freightCities') });
+    }
+
+    if (!(values.cargoTonnes > 0)) {
+      errors.push({ field: 'freight-weight', message: I18n.t('errors.freightWeight') });
+    }
+
+    if (!(values.loadPercent >= 1 && values.loadPercent <= 100)) {
+      errors.push({ field: 'freight-load', message: I18n.t('errors.freightLoad') });
+    }
+
+    if (values.origin && values.destination) {
+      if (values.distanceText === '' && values.distance === null) {
+        errors.push({ field: 'freight-distance', message: I18n.t('errors.freightRoute', { unit: Units.getDistanceSymbol() }) });
+      } else if (values.distanceText !== '' && !(values.distance > 0)) {
+        errors.push({ field: 'freight-distance', message: I18n.t('errors.freightDistance') });
+      }
+    }
+
+    return { errors: errors, warnings: [] };
+  },
+
+  /**
+   * isKnownCity(city) - Verifica se a cidade está na base (RoutesDB.getAllCities())
+   * A comparação é a mesma de RoutesDB.findDistance(): ignora acentos e maiúsculas,
+   * aceita o nome sem o estado e pequenos erros de digitação (RoutesDB.resolveCity())
+   *
+   * @param {string} city - Nome digitado (ex: "São Paulo, SP" ou "sao paulo")
+   * @returns {boolean} true se a cidade existe na base
+   */
+  isKnownCity: function(city) {
+    return RoutesDB.resolveCity(city) !== null;
+  },
+
+  /**
+   * showIssues(form, result) - Mostra erros e avisos ao lado dos campos
+   *
+   * LÓGICA:
+   * 1. Remove as mensagens anteriores do formulário
+   * 2. Para cada problema, cria <p id="<campo>-error" class="calculator__error"> no
+   *    bloco do campo (.calculator__field ou o fieldset) e acrescenta o id ao
+   *    aria-describedby do campo; erros marcam aria-invalid="true"
+   * 3. Havendo erros, escreve o resumo em .calculator__errors (role="alert") e
+   *    leva o foco ao primeiro campo com erro
+   *
+   * @param {HTMLFormElement} form - Formulário validado
+   * @param {Object} result - Resultado de validateTrip() ou validateFreight()
+   * @returns {boolean} true se não há erros (o cálculo pode seguir)
+   */
+  showIssues: function(form, result) {
+    this.clearIssues(form);
+
+    const shown = {};
+    const addMessage = (issue, type) => {
+      const field = document.getElementById(issue.field);
+
+      // Uma mensagem por campo: o primeiro problema encontrado
+      if (!field || shown[issue.field]) return;
+      shown[issue.field] = true;
+
+      const message = document.createElement('p');
+      message.id = `${issue.field}-${type}`;
+      message.className = type === 'error' ? 'calculator__error' : 'calculator__error calculator__error--warning';
+      message.textContent = issue.message;
+      (field.closest('.calculator__field') || field).appendChild(message);
+
+      const describedBy = (field.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+      field.setAttribute('aria-describedby', describedBy.concat(message.id).join(' '));
+
+      if (type === 'error') {
+        field.setAttribute('aria-invalid', 'true');
+      }
+    };
+
+    result.errors.forEach(issue => addMessage(issue, 'error'));
+    result.warnings.forEach(issue => addMessage(issue, 'warning'));
+
+    const summary = form.querySelector('.calculator__errors');
+    if (summary) {
+      summary.textContent = result.errors.length > 0 ? I18n.t('errors.summary') : '';
+    }
+
+    if (result.errors.length > 0) {
+      const firstField = document.getElementById(result.errors[0].field);
+      const focusTarget = firstField && firstField.matches('fieldset')
+        ? firstField.querySelector('input')
+        : firstField;
+
+      if (focusTarget) {
+        focusTarget.focus();
+      }
+      return false;
+    }
+
+    return true;
+  },
+
+  /**
+   * clearIssues(form) - Remove todas as mensagens de erro e aviso de um formulário
+   *
+   * @param {HTMLFormElement} form - Formulário
+   */
+  clearIssues: function(form) {
+    form.querySelectorAll('[aria-describedby]').forEach(field => {
+      this.clearField(field);
+    });
+
+    const summary = form.querySelector('.calculator__errors');
+    if (summary) {
+      summary.textContent = '';
+    }
+  },
+
+  /**
+   * clearField(field) - Remove a mensagem de erro/aviso de um campo
+   * Outros ids do aria-describedby (ex: textos de ajuda) são mantidos.
+   *
+   * @param {HTMLElement} field - Campo (ou fieldset) com a mensagem
+   */
+  clearField: function(field) {
+    const messageIds = [`${field.id}-error`, `${field.id}-warning`];
+    const describedBy = (field.getAttribute('aria-describedby') || '').split(' ')
+      .filter(id => id && !messageIds.includes(id));
+
+    messageIds.forEach(id => {
+      const message = document.getElementById(id);
+      if (message) {
+        message.remove();
+      }
+    });
+
+    if (describedBy.length > 0) {
+      field.setAttribute('aria-describedby', describedBy.join(' '));
+    } else {
+      field.removeAttribute('aria-describedby');
+    }
+    field.removeAttribute('aria-invalid');
+  },
+
+  /**
+   * bindClearOnEdit(form) - Apaga a mensagem de um campo assim que ele é editado
+   * (delegação: vale também para os trechos adicionados depois)
+   *
+   * @param {HTMLFormElement} form - Formulário
+   */
+  bindClearOnEdit: function(form) {
+    const onEdit = event => {
+      // Nos botões de rádio, a mensagem fica no fieldset
+      const field = event.target.closest('[aria-invalid], [aria-describedby]');
+
+      if (field && form.contains(field)) {
+        this.clearField(field);
+      }
+    };
+
+    form.addEventListener('input', onEdit);
+    form.addEventListener('change', onEdit);
+  }
+};